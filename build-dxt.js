@@ -64,7 +64,7 @@ class DXTBuilder {
             name: this.packageInfo.name,
             version: this.packageInfo.version,
             description: this.packageInfo.description,
-            main: "src/index-clasp-integrated.js", // Clasp統合版をメインに設定
+            main: "src/server.js", // 統合サーバーをメインに設定
             author: this.packageInfo.author,
             license: this.packageInfo.license,
             
@@ -72,7 +72,7 @@ class DXTBuilder {
             dxt: {
                 type: "mcp-server",
                 runtime: "node",
-                entry_point: "src/index-clasp-integrated.js",
+                entry_point: "src/server.js",
                 node_version: ">=18.0.0",
                 install_command: "npm install",
                 start_command: "npm start"
@@ -160,7 +160,9 @@ class DXTBuilder {
     getIncludeFiles() {
         return [
             // メインファイル
-            'src/index-clasp-integrated.js',  // Clasp統合版をメイン
+            'src/server.js',                  // 統合サーバーをメイン
+            'src/tools/',                     // ツールモジュール
+            'src/index-clasp-integrated.js',  // 従来の起動方法（互換用）
             'src/index.js',                   // API専用版も含める
             'src/index-security.js',          // セキュリティ版も含める
             
@@ -5,6 +5,7 @@
  * - Service Account認証
  * - OAuth2.0認証 
  * - APIクライアント初期化
+ * - スコープと認証方法の優先順位は設定（google セクション）に従う
  * 
  * Author: Utakata
  */
@@ -14,6 +15,8 @@ import { google } from 'googleapis';
 import fs from 'fs-extra';
 import path from 'path';
 import { fileURLToPath } from 'url';
+import _ from 'lodash';
+import { AUTH_METHODS, loadConfig } from '../utils/config.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -24,15 +27,14 @@ export class GoogleAuth {
     this.credentials = null;
     this.isAuthenticatedFlag = false;
     
-    // 必要なスコープ
-    this.scopes = [
-      'https://www.googleapis.com/auth/script.projects',
-      'https://www.googleapis.com/auth/script.processes',
-      'https://www.googleapis.com/auth/script.deployments',
-      'https://www.googleapis.com/auth/script.metrics',
-      'https://www.googleapis.com/auth/drive.file',
-      'https://www.googleapis.com/auth/drive.metadata.readonly'
-    ];
+    const config = loadConfig().google || {};
+
+    // 必要なスコープ（各APIのスコープを合わせたもの）
+    this.scopes = _.uniq(_.flatMap(Object.values(config.apis || {}), api => api.scopes || []));
+
+    // 認証方法（preferred を先頭に、methods の順で試す）
+    const methods = config.auth?.methods || AUTH_METHODS;
+    this.authMethods = _.uniq([config.auth?.preferred, ...methods].filter(method => methods.includes(method)));
   }
 
   /**
@@ -53,15 +55,25 @@ export class GoogleAuth {
       const serviceAccountKey = process.env.GOOGLE_SERVICE_ACCOUNT_KEY;
       const credentialsPath = process.env.GOOGLE_CREDENTIALS_PATH;
 
-      if (serviceAccountKey) {
+      // 認証情報がそろっている方法のうち、優先順位が最も高いものを使用
+      const available = {
+        service_account: Boolean(serviceAccountKey),
+        oauth: Boolean(credentialsPath),
+        default: true
+      };
+      const method = this.authMethods.find(m => available[m]);
+
+      if (method === 'service_account') {
         // Service Account認証（推奨）
         await this.authenticateWithServiceAccount(serviceAccountKey);
-      } else if (credentialsPath) {
+      } else if (method === 'oauth') {
         // OAuth2.0認証
         await this.authenticateWithOAuth(credentialsPath);
-      } else {
+      } else if (method === 'default') {
         // アプリケーションデフォルト認証を試行
         await this.authenticateWithDefault();
+      } else {
+        throw new Error(`利用可能な認証方法がありません（google.auth.methods: ${this.authMethods.join(', ')}）`);
       }
 
       this.isAuthenticatedFlag = true;
@@ -0,0 +1,217 @@
+#!/usr/bin/env node
+
+/**
+ * Google Apps Script MCP Server
+ *
+ * ツールモジュールをレジストリに登録して提供する統合MCPサーバー
+ * 有効にするモジュールは設定（server.modules）またはコマンドライン引数で選択する
+ *
+ *   node src/server.js --modules project,files,execution
+ *   node src/server.js --enable properties --disable clasp
+ *   node src/server.js --list-modules
+ *
+ * Author: Utakata
+ * License: MIT
+ */
+
+import { parseArgs } from 'util';
+import { realpathSync } from 'fs';
+import { pathToFileURL } from 'url';
+import { Server } from '@modelcontextprotocol/sdk/server/index.js';
+import { StdioServerTransport } from '@modelcontextprotocol/sdk/server/stdio.js';
+import {
+  CallToolRequestSchema,
+  ErrorCode,
+  ListToolsRequestSchema,
+  McpError,
+} from '@modelcontextprotocol/sdk/types.js';
+
+import { GoogleAuth } from './auth/google-auth.js';
+import { GASApiService } from './services/gas-api.js';
+import { BackupService } from './services/backup-service.js';
+import { CodeSearchService } from './services/code-search.js';
+import { MODULE_NAMES, TOOL_MODULES, ToolRegistry, resolveModules } from './tools/index.js';
+import { loadConfig } from './utils/config.js';
+import { chalk } from './utils/logger.js';
+import { validateEnvironment } from './utils/validation.js';
+import _ from 'lodash';
+
+class GoogleAppsScriptMCPServer {
+  constructor(options = {}) {
+    this.name = 'google-apps-script-mcp';
+    this.version = '1.1.0';
+    this.server = new Server(
+      {
+        name: this.name,
+        version: this.version,
+      },
+      {
+        capabilities: {
+          tools: {},
+        },
+      }
+    );
+
+    this.googleAuth = new GoogleAuth();
+    // ensureAuthenticated() で認証したクライアントをAPI呼び出しでも使う
+    this.gasApi = new GASApiService(this.googleAuth);
+    this.backupService = new BackupService(this.gasApi);
+    this.codeSearch = new CodeSearchService(this.gasApi);
+
+    this.registry = new ToolRegistry({
+      gasApi: this.gasApi,
+      backupService: this.backupService,
+      codeSearch: this.codeSearch
+    });
+    resolveModules(options.modules || MODULE_NAMES).forEach(module => this.registry.register(module));
+
+    this.setupToolHandlers();
+  }
+
+  /**
+   * MCPツールハンドラーの設定
+   */
+  setupToolHandlers() {
+    // ツール一覧の提供（設定で無効化されたツールは除く）
+    this.server.setRequestHandler(ListToolsRequestSchema, async () => {
+      return {
+        tools: this.registry.listTools(tool => this.gasApi.governor.isEnabled(tool.name))
+      };
+    });
+
+    // ツール実行ハンドラー
+    this.server.setRequestHandler(CallToolRequestSchema, async (request) => {
+      const { name, arguments: args = {} } = request.params;
+
+      if (!this.registry.has(name)) {
+        throw new McpError(
+          ErrorCode.MethodNotFound,
+          `Unknown tool: ${name}`
+        );
+      }
+
+      try {
+        // 無効なツールの拒否とレート制限（ツール内のAPI呼び出しにツール単位の再試行設定を適用）
+        return await this.gasApi.governor.runTool(name, async () => {
+          // Clasp機能・ローカルのみで完結する操作は認証不要、API機能の場合は認証確認
+          if (this.registry.requiresAuthentication(name, args)) {
+            await this.ensureAuthenticated();
+          }
+
+          return await this.registry.call(name, args);
+        });
+      } catch (error) {
+        console.error(`Error executing tool ${name}:`, error);
+        throw new McpError(
+          ErrorCode.InternalError,
+          `Tool execution failed: ${error.message}`
+        );
+      }
+    });
+  }
+
+  /**
+   * 認証確認
+   */
+  async ensureAuthenticated() {
+    if (!this.googleAuth.isAuthenticated()) {
+      await this.googleAuth.authenticate();
+    }
+  }
+
+  /**
+   * サーバー開始
+   */
+  async run() {
+    // 環境変数検証
+    validateEnvironment();
+
+    console.log(chalk.blue(`🚀 Google Apps Script MCP Server v${this.version} 起動中...`));
+    console.log(chalk.green(`🧩 有効なモジュール: ${this.registry.moduleNames().join(', ')}`));
+
+    const transport = new StdioServerTransport();
+    await this.server.connect(transport);
+
+    // 定期バックアップ（backup.scriptIds 設定時のみ）
+    this.backupService.startSchedule();
+
+    console.log(chalk.green('✅ サーバーが正常に起動しました'));
+  }
+}
+
+const splitNames = values => (values || [])
+  .flatMap(value => value.split(','))
+  .map(name => name.trim())
+  .filter(Boolean);
+
+/**
+ * コマンドライン引数を解析し、有効にするモジュールを決定
+ *
+ * --modules で一覧を置き換え、--enable / --disable で defaults に追加・削除する
+ */
+export function parseServerArgs(argv, defaults = MODULE_NAMES) {
+  const { values } = parseArgs({
+    args: argv,
+    options: {
+      modules: { type: 'string' },
+      enable: { type: 'string', multiple: true },
+      disable: { type: 'string', multiple: true },
+      'list-modules': { type: 'boolean' }
+    }
+  });
+
+  const enable = splitNames(values.enable);
+  const disable = splitNames(values.disable);
+  const base = values.modules !== undefined ? splitNames([values.modules]) : defaults;
+
+  // 未知のモジュール名はここで例外にする
+  resolveModules([...base, ...enable, ...disable]);
+
+  return {
+    modules: _.difference(_.union(base, enable), disable),
+    listModules: Boolean(values['list-modules'])
+  };
+}
+
+/**
+ * メイン実行
+ *
+ * options.modules は従来のエントリーポイント（src/index*.js）から既定のモジュール構成を指定する場合に使用
+ */
+export async function main(options = {}) {
+  try {
+    const defaults = options.modules || loadConfig().server?.modules || MODULE_NAMES;
+    const { modules, listModules } = parseServerArgs(process.argv.slice(2), defaults);
+
+    if (listModules) {
+      TOOL_MODULES.forEach(module => {
+        console.log(`${modules.includes(module.name) ? '✅' : '⬜'} ${module.name}: ${module.description}（${module.tools.length}ツール）`);
+      });
+      return;
+    }
+
+    const server = new GoogleAppsScriptMCPServer({ modules });
+    await server.run();
+  } catch (error) {
+    console.error(chalk.red(`❌ サーバーの起動に失敗しました: ${error.message}`));
+    process.exit(1);
+  }
+}
+
+// エラーハンドリング
+process.on('SIGINT', async () => {
+  console.log(chalk.yellow('\n🛑 サーバーを停止しています...'));
+  process.exit(0);
+});
+
+process.on('unhandledRejection', (reason, promise) => {
+  console.error(chalk.red('Unhandled Rejection at:'), promise, chalk.red('reason:'), reason);
+  process.exit(1);
+});
+
+// 直接実行された場合のみ起動（Windows のパス・URLエンコードが必要なパス・シンボリックリンクにも対応）
+if (process.argv[1] && import.meta.url === pathToFileURL(realpathSync(process.argv[1])).href) {
+  main();
+}
+
+export { GoogleAppsScriptMCPServer };
@@ -0,0 +1,344 @@
+/**
+ * ローカルバックアップサービス
+ *
+ * GASApiService.backupProject のスナップショットを
+ * gzip圧縮したアーカイブとしてローカルディレクトリに保存し、世代管理する
+ * - 複数プロジェクトの一括バックアップ
+ * - 定期実行（設定の backup.scriptIds または GAS_MCP_BACKUP_SCRIPT_IDS 指定時）
+ * - 日次・週次の保持ルールによる削除
+ *
+ * Author: Utakata
+ */
+
+import fs from 'fs-extra';
+import os from 'os';
+import path from 'path';
+import zlib from 'zlib';
+import { promisify } from 'util';
+import dayjs from 'dayjs';
+import { loadConfig } from '../utils/config.js';
+import { logger } from '../utils/logger.js';
+
+const gzip = promisify(zlib.gzip);
+const gunzip = promisify(zlib.gunzip);
+
+// <scriptId>-YYYYMMDD-HHmmss-SSS.json.gz（ミリ秒のない以前の形式も読み込む）
+const ARCHIVE_PATTERN = /^(.+)-(\d{8})-(\d{6})(?:-(\d{3}))?\.json\.gz$/;
+// Apps Script のスクリプトIDに使われる文字（パスの構築前に検証する）
+const SCRIPT_ID_PATTERN = /^[A-Za-z0-9_-]+$/;
+// setTimeout で待機できる最大時間（約24.8日）。これより長い待機は分割する
+const MAX_TIMER_DELAY = 2 ** 31 - 1;
+
+/**
+ * gzipアーカイブからバックアップを読み込む
+ */
+export async function readBackupArchive(filePath) {
+  const buffer = await fs.readFile(filePath);
+  const json = filePath.endsWith('.gz') ? (await gunzip(buffer)).toString('utf8') : buffer.toString('utf8');
+  return JSON.parse(json);
+}
+
+/**
+ * バックアップの保存先に使うスクリプトIDを検証（ディレクトリ外を指すIDは拒否）
+ */
+export function assertScriptId(scriptId) {
+  if (typeof scriptId !== 'string' || !SCRIPT_ID_PATTERN.test(scriptId)) {
+    throw new Error(`スクリプトIDが不正です: ${scriptId}`);
+  }
+  return scriptId;
+}
+
+export class BackupService {
+  constructor(gasApi, options = {}) {
+    this.gasApi = gasApi;
+    const config = loadConfig().backup || {};
+    // scriptIds は配列またはカンマ区切りの文字列
+    const scriptIds = options.scriptIds || config.scriptIds || [];
+    this.backupDir = options.backupDir || config.dir ||
+      path.join(os.homedir(), '.gas-mcp', 'backups');
+    this.scriptIds = (Array.isArray(scriptIds) ? scriptIds : String(scriptIds).split(','))
+      .map(id => String(id).trim()).filter(Boolean);
+    this.intervalHours = Number(options.intervalHours || config.intervalHours || 24);
+    this.keepDaily = Number(options.keepDaily ?? config.keepDaily ?? 7);
+    this.keepWeekly = Number(options.keepWeekly ?? config.keepWeekly ?? 4);
+    this.timer = null;
+    this.scheduled = false;
+  }
+
+  /**
+   * 1件のスナップショットをアーカイブとして保存
+   *
+   * 同じ時刻（ミリ秒単位）のアーカイブがある場合は上書きせずに例外にする
+   */
+  async writeArchive(snapshot) {
+    const scriptId = assertScriptId(snapshot.project.scriptId);
+    const dir = path.join(this.backupDir, scriptId);
+    const fileName = `${scriptId}-${dayjs(snapshot.timestamp).format('YYYYMMDD-HHmmss-SSS')}.json.gz`;
+    const filePath = path.join(dir, fileName);
+
+    await fs.ensureDir(dir);
+    try {
+      await fs.writeFile(filePath, await gzip(JSON.stringify(snapshot)), { flag: 'wx' });
+    } catch (error) {
+      if (error.code === 'EEXIST') {
+        throw new Error(`同じ時刻のバックアップが既に存在します: ${filePath}`);
+      }
+      throw error;
+    }
+
+    return filePath;
+  }
+
+  /**
+   * 複数プロジェクトをバックアップ（失敗したプロジェクトがあっても続行）
+   */
+  async backupProjects(scriptIds = this.scriptIds) {
+    if (!scriptIds || scriptIds.length === 0) {
+      throw new Error('バックアップ対象のscriptIdが指定されていません（設定の backup.scriptIds または GAS_MCP_BACKUP_SCRIPT_IDS を設定してください）');
+    }
+
+    logger.info(`💾 ${scriptIds.length}件のプロジェクトをバックアップ中...`);
+
+    const results = [];
+    for (const scriptId of scriptIds) {
+      try {
+        const snapshot = await this.gasApi.backupProject(scriptId);
+        const filePath = await this.writeArchive(snapshot);
+        const stat = await fs.stat(filePath);
+        const result = { scriptId, title: snapshot.project.title, path: filePath, size: stat.size };
+        if (snapshot.triggersUnavailable) {
+          result.triggersUnavailable = snapshot.triggersUnavailable;
+        }
+        results.push(result);
+      } catch (error) {
+        logger.error(`❌ バックアップ失敗: ${scriptId} - ${error.message}`);
+        results.push({ scriptId, error: error.message });
+      }
+    }
+
+    logger.success(`✅ バックアップ完了: ${results.filter(r => !r.error).length}/${scriptIds.length}件`);
+
+    return {
+      backupDir: this.backupDir,
+      results: results
+    };
+  }
+
+  /**
+   * 保存済みバックアップの一覧（新しい順）
+   */
+  async listBackups(scriptId = null) {
+    if (scriptId) {
+      assertScriptId(scriptId);
+    }
+    if (!(await fs.pathExists(this.backupDir))) {
+      return { backupDir: this.backupDir, backups: [] };
+    }
+
+    // 保存先以外のディレクトリは一覧に含めない
+    const dirs = scriptId
+      ? [scriptId]
+      : (await fs.readdir(this.backupDir)).filter(dir => SCRIPT_ID_PATTERN.test(dir));
+    const backups = [];
+
+    for (const dir of dirs) {
+      const dirPath = path.join(this.backupDir, dir);
+      if (!(await fs.pathExists(dirPath)) || !(await fs.stat(dirPath)).isDirectory()) continue;
+
+      for (const fileName of await fs.readdir(dirPath)) {
+        const match = fileName.match(ARCHIVE_PATTERN);
+        if (!match) continue;
+
+        const filePath = path.join(dirPath, fileName);
+        const stat = await fs.stat(filePath);
+        const [, archiveScriptId, datePart, timePart, millisecondPart = '000'] = match;
+        backups.push({
+          scriptId: archiveScriptId,
+          path: filePath,
+          timestamp: dayjs(
+            `${datePart.slice(0, 4)}-${datePart.slice(4, 6)}-${datePart.slice(6, 8)}T` +
+            `${timePart.slice(0, 2)}:${timePart.slice(2, 4)}:${timePart.slice(4, 6)}.${millisecondPart}`
+          ).toISOString(),
+          size: stat.size
+        });
+      }
+    }
+
+    backups.sort((a, b) => b.timestamp.localeCompare(a.timestamp));
+
+    return {
+      backupDir: this.backupDir,
+      backups: backups
+    };
+  }
+
+  /**
+   * 保持ルールに従い残すバックアップを選択
+   *
+   * 直近 keepDaily 日分は各日の最新、直近 keepWeekly 週分は各週の最新を残す。
+   * 最新のバックアップは常に残す
+   */
+  selectRetained(backups, keepDaily = this.keepDaily, keepWeekly = this.keepWeekly) {
+    const retained = new Set();
+    const days = new Set();
+    const weeks = new Set();
+
+    // backups は新しい順
+    for (const backup of backups) {
+      const time = dayjs(backup.timestamp);
+      const day = time.format('YYYY-MM-DD');
+      const week = time.startOf('week').format('YYYY-MM-DD');
+
+      if (!days.has(day) && days.size < keepDaily) {
+        days.add(day);
+        retained.add(backup.path);
+      }
+      if (!weeks.has(week) && weeks.size < keepWeekly) {
+        weeks.add(week);
+        retained.add(backup.path);
+      }
+    }
+
+    if (backups.length > 0) {
+      retained.add(backups[0].path);
+    }
+
+    return retained;
+  }
+
+  /**
+   * 保持ルールに該当しないバックアップを削除
+   */
+  async pruneBackups(scriptId = null, options = {}) {
+    const keepDaily = options.keepDaily ?? this.keepDaily;
+    const keepWeekly = options.keepWeekly ?? this.keepWeekly;
+    const { backups } = await this.listBackups(scriptId);
+
+    const byScript = new Map();
+    backups.forEach(backup => {
+      if (!byScript.has(backup.scriptId)) byScript.set(backup.scriptId, []);
+      byScript.get(backup.scriptId).push(backup);
+    });
+
+    const kept = [];
+    const removed = [];
+    for (const scriptBackups of byScript.values()) {
+      const retained = this.selectRetained(scriptBackups, keepDaily, keepWeekly);
+      for (const backup of scriptBackups) {
+        (retained.has(backup.path) ? kept : removed).push(backup);
+      }
+    }
+
+    if (!options.dryRun) {
+      for (const backup of removed) {
+        await fs.remove(backup.path);
+      }
+      logger.info(`🧹 ${removed.length}件の古いバックアップを削除しました`);
+    }
+
+    return {
+      dryRun: Boolean(options.dryRun),
+      keepDaily: keepDaily,
+      keepWeekly: keepWeekly,
+      kept: kept,
+      removed: removed
+    };
+  }
+
+  /**
+   * 次の定期バックアップまでの待機時間（ミリ秒）
+   *
+   * 対象プロジェクトのうち最新のバックアップが最も古いものを基準にし、
+   * バックアップのないプロジェクトがある場合や間隔を過ぎている場合は 0
+   */
+  async nextBackupDelay(now = Date.now()) {
+    const { backups } = await this.listBackups();
+    const latest = new Map();
+    // backups は新しい順
+    backups.forEach(backup => {
+      if (!latest.has(backup.scriptId)) latest.set(backup.scriptId, Date.parse(backup.timestamp));
+    });
+
+    const oldest = Math.min(...this.scriptIds.map(scriptId => latest.get(scriptId) ?? -Infinity));
+    return Math.max(0, oldest + this.intervalHours * 60 * 60 * 1000 - now);
+  }
+
+  /**
+   * 定期バックアップを1回実行（失敗してもスケジュールは継続）
+   */
+  async runScheduledBackup() {
+    try {
+      const googleAuth = this.gasApi.googleAuth;
+      if (!googleAuth.isAuthenticated()) {
+        await googleAuth.authenticate();
+      }
+      await this.backupProjects();
+      await this.pruneBackups();
+    } catch (error) {
+      logger.error(`❌ 定期バックアップエラー: ${error.message}`);
+    }
+  }
+
+  /**
+   * delay ミリ秒後に定期バックアップを実行し、以降は intervalHours ごとに実行する
+   */
+  scheduleBackup(delay) {
+    if (!this.scheduled) {
+      return;
+    }
+
+    const wait = Math.min(delay, MAX_TIMER_DELAY);
+    this.timer = setTimeout(async () => {
+      if (delay > wait) {
+        this.scheduleBackup(delay - wait);
+        return;
+      }
+      await this.runScheduledBackup();
+      this.scheduleBackup(this.intervalHours * 60 * 60 * 1000);
+    }, wait);
+    // 定期バックアップがプロセス終了を妨げないようにする
+    this.timer.unref();
+  }
+
+  /**
+   * 定期バックアップを開始（対象が設定されていない場合は何もしない）
+   *
+   * 最新のバックアップから intervalHours 以上経過している場合は、起動直後にバックアップする
+   */
+  startSchedule() {
+    if (this.scheduled || this.scriptIds.length === 0) {
+      return false;
+    }
+    if (!(this.intervalHours > 0)) {
+      logger.error(`❌ 定期バックアップの間隔が不正です: ${this.intervalHours}`);
+      return false;
+    }
+
+    this.scheduled = true;
+    this.nextBackupDelay()
+      .catch(error => {
+        logger.warn(`⚠️ 保存済みバックアップを確認できませんでした: ${error.message}`);
+        return 0;
+      })
+      .then(delay => {
+        if (delay === 0) {
+          logger.info(`💾 前回のバックアップから${this.intervalHours}時間以上経過しているため、すぐにバックアップします`);
+        }
+        this.scheduleBackup(delay);
+      });
+
+    logger.info(`⏰ 定期バックアップを開始しました（${this.intervalHours}時間ごと / ${this.scriptIds.length}件）`);
+    return true;
+  }
+
+  /**
+   * 定期バックアップを停止
+   */
+  stopSchedule() {
+    this.scheduled = false;
+    if (this.timer) {
+      clearTimeout(this.timer);
+      this.timer = null;
+    }
+  }
+}
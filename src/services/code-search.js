@@ -0,0 +1,196 @@
+/**
+ * プロジェクト横断コード検索サービス
+ *
+ * アクセス可能なGASプロジェクトをページングして取得し、
+ * 各プロジェクトのソースを正規表現またはリテラルで検索する
+ * - 同時取得数の制限（config の search_gas_code.concurrency）
+ * - 更新日時が変わっていないプロジェクトは GASApiService のプロジェクトキャッシュから読み込む
+ *
+ * Author: Utakata
+ */
+
+import _ from 'lodash';
+import { getToolConfig } from '../utils/config.js';
+import { logger } from '../utils/logger.js';
+
+// 1行あたりの表示上限（長い行は切り詰める）
+const MAX_LINE_LENGTH = 200;
+// listProjects の1ページあたりの件数
+const PROJECT_PAGE_SIZE = 100;
+
+/**
+ * 同時実行数を制限して非同期処理を適用（結果は入力順）
+ */
+async function mapWithConcurrency(items, limit, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+
+  const worker = async () => {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await fn(items[index], index);
+    }
+  };
+
+  await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker));
+  return results;
+}
+
+export class CodeSearchService {
+  constructor(gasApi, options = {}) {
+    const config = getToolConfig('search_gas_code');
+    this.gasApi = gasApi;
+    this.concurrency = Number(options.concurrency || config.concurrency || 4);
+    this.maxProjects = Number(options.maxProjects || config.maxProjects || 500);
+    this.maxMatches = Number(options.maxMatches || config.maxMatches || 1000);
+  }
+
+  /**
+   * 検索パターンを作成（不正な正規表現は例外）
+   */
+  buildPattern(query, options = {}) {
+    if (!query) {
+      throw new Error('検索文字列を指定してください');
+    }
+
+    const source = options.regex ? query : _.escapeRegExp(query);
+    try {
+      return new RegExp(source, options.caseSensitive ? 'g' : 'gi');
+    } catch (error) {
+      throw new Error(`正規表現が不正です: ${error.message}`);
+    }
+  }
+
+  /**
+   * 検索対象のプロジェクトを列挙（scriptIds 指定時はそのまま使用）
+   */
+  async collectProjects(scriptIds = null, maxProjects = this.maxProjects) {
+    if (scriptIds && scriptIds.length > 0) {
+      return {
+        projects: scriptIds.map(scriptId => ({ scriptId, title: null, updateTime: null })),
+        truncated: false
+      };
+    }
+
+    const projects = [];
+    let pageToken = null;
+    do {
+      const page = await this.gasApi.listProjects(PROJECT_PAGE_SIZE, pageToken);
+      projects.push(...page.files);
+      pageToken = page.nextPageToken || null;
+    } while (pageToken && projects.length < maxProjects);
+
+    return {
+      projects: projects.slice(0, maxProjects),
+      truncated: Boolean(pageToken) || projects.length > maxProjects
+    };
+  }
+
+  /**
+   * プロジェクトのファイルを取得（一覧の更新日時が一致すればキャッシュを使用）
+   *
+   * 一覧で更新日時が分かっているため、プロジェクトごとのメタデータの取得は省略する
+   */
+  async loadProject(project, refresh = false) {
+    const { projectCache } = this.gasApi;
+    const cached = !refresh && project.updateTime
+      ? await projectCache.get(projectCache.key(project.scriptId))
+      : null;
+    const hit = Boolean(cached) && cached.updateTime === project.updateTime;
+
+    const remote = hit ? cached : await this.gasApi.getProject(project.scriptId, null, {
+      cache: 'bypass',
+      updateTime: project.updateTime || undefined
+    });
+
+    return {
+      scriptId: project.scriptId,
+      title: project.title || remote.title,
+      updateTime: project.updateTime || remote.updateTime,
+      files: remote.files,
+      cached: hit
+    };
+  }
+
+  /**
+   * 1プロジェクト内の一致箇所を列挙
+   */
+  findMatches(files, pattern, fileTypes = null) {
+    const matches = [];
+
+    files
+      .filter(file => !fileTypes || fileTypes.includes(file.type))
+      .forEach(file => {
+        (file.source || '').split('\n').forEach((text, index) => {
+          pattern.lastIndex = 0;
+          const match = pattern.exec(text);
+          if (!match) return;
+
+          matches.push({
+            file: file.name,
+            line: index + 1,
+            column: match.index + 1,
+            text: text.trim().slice(0, MAX_LINE_LENGTH)
+          });
+        });
+      });
+
+    return matches;
+  }
+
+  /**
+   * アクセス可能なプロジェクトを横断してコードを検索
+   */
+  async search(query, options = {}) {
+    const pattern = this.buildPattern(query, options);
+    const maxMatches = Number(options.maxMatches || this.maxMatches);
+    const { projects, truncated } = await this.collectProjects(options.scriptIds, Number(options.maxProjects || this.maxProjects));
+
+    logger.info(`🔍 ${projects.length}件のプロジェクトを検索中: ${query}`);
+
+    const errors = [];
+    let cacheHits = 0;
+
+    const scanned = await mapWithConcurrency(projects, this.concurrency, async project => {
+      try {
+        const loaded = await this.loadProject(project, options.refresh);
+        if (loaded.cached) cacheHits++;
+        return {
+          scriptId: loaded.scriptId,
+          title: loaded.title,
+          matches: this.findMatches(loaded.files, pattern, options.fileTypes)
+        };
+      } catch (error) {
+        logger.error(`❌ 検索失敗: ${project.scriptId} - ${error.message}`);
+        errors.push({ scriptId: project.scriptId, title: project.title, error: error.message });
+        return null;
+      }
+    });
+
+    // 一致件数の上限を超えた分は切り捨てる
+    const matched = scanned.filter(result => result && result.matches.length > 0);
+    const totalMatches = _.sumBy(matched, r => r.matches.length);
+    const results = [];
+    let remaining = maxMatches;
+    for (const result of matched) {
+      if (remaining <= 0) break;
+      results.push({ ...result, matches: result.matches.slice(0, remaining) });
+      remaining -= result.matches.length;
+    }
+
+    const matchCount = _.sumBy(results, r => r.matches.length);
+    logger.success(`✅ 検索完了: ${results.length}件のプロジェクトで${matchCount}件一致`);
+
+    return {
+      query: query,
+      regex: Boolean(options.regex),
+      projectsScanned: projects.length - errors.length,
+      projectsTruncated: truncated,
+      cacheHits: cacheHits,
+      matchCount: matchCount,
+      matchesTruncated: totalMatches > matchCount,
+      results: results,
+      errors: errors
+    };
+  }
+}
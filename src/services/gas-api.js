@@ -12,23 +12,53 @@
  */
 
 import { GoogleAuth } from '../auth/google-auth.js';
+import fs from 'fs-extra';
+import path from 'path';
+import { LocalRuntimeService } from './local-runtime.js';
+import { LibraryResolver } from './library-resolver.js';
+import { ProjectCache } from './project-cache.js';
+import { QuotaGovernor } from './quota-governor.js';
+import { TriggerHelper } from './trigger-helper.js';
+import { readBackupArchive } from './backup-service.js';
+import { readProjectFiles, readTriggerManifest } from '../utils/project-files.js';
+import { detectConflicts, diffProjectFiles, hashProjectFiles, hashSource, unifiedDiff } from '../utils/diff.js';
+import { getToolConfig } from '../utils/config.js';
+import { buildFunctionCatalog } from '../utils/gas-source.js';
+import { lintProject } from '../utils/gas-linter.js';
+import { applyManifestOperations, validateManifest } from '../utils/manifest.js';
+import { compareScopes, inferScopes } from '../utils/scope-analyzer.js';
+import { buildTriggerConfig } from '../utils/trigger-builder.js';
 import dayjs from 'dayjs';
 import _ from 'lodash';
 
+// 実行ログの自動ページネーション上限
+const MAX_LOG_RESULTS = 1000;
+// 実行ログ追跡の最大時間（秒）
+const MAX_FOLLOW_SECONDS = 300;
+// 失敗として集計するプロセスステータス
+const FAILED_PROCESS_STATUSES = ['FAILED', 'TIMED_OUT'];
+// 実行ログ追跡で終了まで追いかけるプロセスステータス
+const IN_PROGRESS_STATUSES = ['RUNNING', 'PAUSED', 'DELAYED'];
+
 export class GASApiService {
   constructor(googleAuth = null) {
     this.googleAuth = googleAuth || new GoogleAuth();
+    this.localRuntime = new LocalRuntimeService();
+    this.libraryResolver = new LibraryResolver(this);
+    this.projectCache = new ProjectCache();
+    this.governor = new QuotaGovernor();
+    this.triggerHelper = new TriggerHelper(this);
   }
 
   /**
    * APIクライアントを取得
    */
   getScriptApi() {
-    return this.googleAuth.getScriptApi();
+    return this.governor.wrapClient(this.googleAuth.getScriptApi(), 'script');
   }
 
   getDriveApi() {
-    return this.googleAuth.getDriveApi();
+    return this.governor.wrapClient(this.googleAuth.getDriveApi(), 'drive');
   }
 
   // ===== プロジェクト管理 =====
@@ -110,31 +140,55 @@ export class GASApiService {
 
   /**
    * GASプロジェクトの詳細を取得
+   *
+   * プロジェクト一覧などで更新日時が分かっている場合は options.updateTime を指定すると、
+   * メタデータを取得せずにその日時でキャッシュを検証する（タイトルは含まれないことがある）
    */
-  async getProject(scriptId, versionNumber = null) {
+  async getProject(scriptId, versionNumber = null, options = {}) {
     try {
       const scriptApi = this.getScriptApi();
+      const isHead = _.isNil(versionNumber);
+      const cacheKey = this.projectCache.key(scriptId, versionNumber);
       
       console.log(`📄 プロジェクト詳細を取得中: ${scriptId}`);
+
+      // 最新の内容は更新日時（メタデータのみの軽いリクエスト）でキャッシュを検証する
+      const metadata = !isHead
+        ? {}
+        : options.updateTime
+          ? { updateTime: options.updateTime }
+          : (await scriptApi.projects.get({ scriptId })).data;
+
+      if (options.cache !== 'bypass') {
+        const cached = await this.projectCache.get(cacheKey);
+        if (cached && (!isHead || (metadata.updateTime && cached.updateTime === metadata.updateTime))) {
+          console.log(`📦 キャッシュから取得しました: ${cached.title || scriptId}`);
+          return { ...cached, title: cached.title ?? metadata.title };
+        }
+      }
       
       const params = { scriptId };
-      if (versionNumber !== null) {
+      if (!isHead) {
         params.versionNumber = versionNumber;
       }
 
       const response = await scriptApi.projects.getContent(params);
-      const project = response.data;
+      const content = response.data;
+
+      const project = {
+        scriptId: content.scriptId || scriptId,
+        title: metadata.title ?? content.title,
+        createTime: metadata.createTime ?? content.createTime,
+        updateTime: metadata.updateTime ?? content.updateTime,
+        files: content.files || [],
+        functionSet: content.functionSet || {},
+        contentHash: hashProjectFiles(content.files || [])
+      };
+      await this.projectCache.set(cacheKey, project);
 
-      console.log(`✅ プロジェクト詳細を取得しました: ${project.title}`);
+      console.log(`✅ プロジェクト詳細を取得しました: ${project.title || scriptId}`);
       
-      return {
-        scriptId: project.scriptId,
-        title: project.title,
-        createTime: project.createTime,
-        updateTime: project.updateTime,
-        files: project.files || [],
-        functionSet: project.functionSet || {}
-      };
+      return project;
       
     } catch (error) {
       console.error('❌ プロジェクト詳細取得エラー:', error.message);
@@ -144,12 +198,29 @@ export class GASApiService {
 
   /**
    * GASプロジェクトを更新
+   *
+   * options.baseSnapshot（取得時のファイル配列）または options.baseHash を指定すると、
+   * リモートがその時点から変更されていた場合は書き込まずに競合レポートを返す
    */
-  async updateProject(scriptId, content) {
+  async updateProject(scriptId, content, options = {}) {
     try {
       const scriptApi = this.getScriptApi();
+
+      if (options.baseSnapshot || options.baseHash) {
+        const remote = await this.getProject(scriptId, null, { cache: 'bypass' });
+        const report = this.checkProjectDrift(remote, content.files || [], options);
+        if (report) {
+          console.warn(`⚠️ リモートが変更されているため更新を中止しました: ${scriptId}`);
+          return report;
+        }
+      }
       
+      this.checkPrePushLint(content.files || [], options);
+
       console.log(`📝 プロジェクト更新中: ${scriptId}`);
+
+      // 書き込みが失敗した場合も内容が不明になるため、先にキャッシュを破棄する
+      await this.projectCache.invalidate(scriptId);
       
       const response = await scriptApi.projects.updateContent({
         scriptId: scriptId,
@@ -162,7 +233,8 @@ export class GASApiService {
       return {
         scriptId: project.scriptId,
         title: project.title,
-        updateTime: project.updateTime
+        updateTime: project.updateTime,
+        contentHash: hashProjectFiles(content.files || [])
       };
       
     } catch (error) {
@@ -171,6 +243,55 @@ export class GASApiService {
     }
   }
 
+  /**
+   * リモートとベースを比較し、変更があれば競合レポートを返す（変更がなければnull）
+   */
+  checkProjectDrift(remote, localFiles, options = {}) {
+    let files;
+
+    if (options.baseSnapshot) {
+      const baseFiles = Array.isArray(options.baseSnapshot)
+        ? options.baseSnapshot
+        : options.baseSnapshot.files || [];
+      const result = detectConflicts({ base: baseFiles, remote: remote.files, local: localFiles });
+      if (!result.drifted) return null;
+      files = result.files;
+    } else {
+      if (hashProjectFiles(remote.files) === options.baseHash) return null;
+
+      // ベースの内容が不明なため、リモートとローカルの差分のみ提示する
+      const localMap = new Map(localFiles.map(f => [f.name, f.source ?? null]));
+      const remoteMap = new Map(remote.files.map(f => [f.name, f.source ?? null]));
+      const names = [...new Set([...remoteMap.keys(), ...localMap.keys()])].sort();
+      files = names
+        .filter(name => remoteMap.get(name) !== localMap.get(name))
+        .map(name => ({
+          name: name,
+          status: 'unknown-base',
+          change: !remoteMap.has(name) ? 'missing-remotely' : !localMap.has(name) ? 'missing-locally' : 'modified',
+          remoteDiff: null,
+          localDiff: unifiedDiff(name, remoteMap.get(name), localMap.get(name), 'remote', 'local')
+        }));
+    }
+
+    return this.buildConflictReport(remote, files, options.baseHash);
+  }
+
+  /**
+   * 競合レポートを生成
+   */
+  buildConflictReport(remote, files, baseHash = null) {
+    return {
+      conflict: true,
+      scriptId: remote.scriptId,
+      title: remote.title,
+      remoteUpdateTime: remote.updateTime,
+      remoteHash: hashProjectFiles(remote.files),
+      baseHash: baseHash || null,
+      files: files
+    };
+  }
+
   // ===== ファイル操作 =====
 
   /**
@@ -214,9 +335,9 @@ export class GASApiService {
   /**
    * GASファイルの内容を取得
    */
-  async getFile(scriptId, fileName) {
+  async getFile(scriptId, fileName, options = {}) {
     try {
-      const project = await this.getProject(scriptId);
+      const project = await this.getProject(scriptId, null, options);
       const file = project.files.find(f => f.name === fileName);
       
       if (!file) {
@@ -228,7 +349,8 @@ export class GASApiService {
       return {
         name: file.name,
         type: file.type,
-        source: file.source
+        source: file.source,
+        hash: hashSource(file.source)
       };
       
     } catch (error) {
@@ -239,8 +361,11 @@ export class GASApiService {
 
   /**
    * GASファイルを更新
+   *
+   * options.baseSource（取得時のソース）または options.baseHash を指定すると、
+   * リモートのファイルがその時点から変更されていた場合は書き込まずに競合レポートを返す
    */
-  async updateFile(scriptId, fileName, source) {
+  async updateFile(scriptId, fileName, source, options = {}) {
     try {
       const project = await this.getProject(scriptId);
       
@@ -249,6 +374,29 @@ export class GASApiService {
         throw new Error(`ファイル「${fileName}」が見つかりません`);
       }
 
+      if (options.baseSource !== undefined || options.baseHash) {
+        const remoteSource = project.files[fileIndex].source;
+        const hasBaseSource = options.baseSource !== undefined;
+        const drifted = hasBaseSource
+          ? remoteSource !== options.baseSource
+          : hashSource(remoteSource) !== options.baseHash;
+
+        if (drifted && remoteSource !== source) {
+          console.warn(`⚠️ ファイル「${fileName}」はリモートで変更されているため更新を中止しました`);
+          return this.buildConflictReport(project, [
+            {
+              name: fileName,
+              status: hasBaseSource ? 'conflict' : 'unknown-base',
+              change: 'modified',
+              remoteDiff: hasBaseSource ? unifiedDiff(fileName, options.baseSource, remoteSource, 'base', 'remote') : null,
+              localDiff: hasBaseSource
+                ? unifiedDiff(fileName, options.baseSource, source, 'base', 'local')
+                : unifiedDiff(fileName, remoteSource, source, 'remote', 'local')
+            }
+          ], options.baseHash);
+        }
+      }
+
       // ファイルを更新
       project.files[fileIndex].source = source;
       
@@ -257,13 +405,14 @@ export class GASApiService {
         files: project.files
       };
 
-      await this.updateProject(scriptId, updatedContent);
+      await this.updateProject(scriptId, updatedContent, { skipLint: options.skipLint });
       
       console.log(`✅ ファイル「${fileName}」を更新しました`);
       
       return {
         name: fileName,
         source: source,
+        hash: hashSource(source),
         updateTime: new Date().toISOString()
       };
       
@@ -310,10 +459,22 @@ export class GASApiService {
 
   /**
    * GAS関数を実行
+   *
+   * options.runtime に 'local' を指定するとローカルエミュレーターで実行する
+   * （options.projectDir を指定した場合はclaspディレクトリから読み込み、Googleに接続しない）
    */
-  async executeFunction(scriptId, functionName, parameters = [], devMode = false) {
+  async executeFunction(scriptId, functionName, parameters = [], devMode = false, options = {}) {
+    if (options.runtime === 'local') {
+      return await this.executeFunctionLocally(scriptId, functionName, parameters, options.projectDir);
+    }
+
     try {
       const scriptApi = this.getScriptApi();
+
+      // 開発モードは最新のコードを実行するため、事前に関数名を検証できる
+      if (devMode) {
+        this.findProjectFunction((await this.getProject(scriptId)).files, functionName, { rejectPrivate: true });
+      }
       
       console.log(`🚀 関数実行中: ${functionName}`);
       
@@ -354,6 +515,28 @@ export class GASApiService {
     }
   }
 
+  /**
+   * GAS関数をローカルエミュレーターで実行
+   */
+  async executeFunctionLocally(scriptId, functionName, parameters = [], projectDir = null) {
+    try {
+      let files;
+      if (projectDir) {
+        const local = await readProjectFiles(projectDir);
+        scriptId = scriptId || local.scriptId || projectDir;
+        files = local.files;
+      } else {
+        files = (await this.getProject(scriptId)).files;
+      }
+
+      return await this.localRuntime.execute(scriptId, files, functionName, parameters);
+      
+    } catch (error) {
+      console.error('❌ ローカル関数実行エラー:', error.message);
+      throw new Error(`ローカル関数実行失敗: ${error.message}`);
+    }
+  }
+
   /**
    * Webアプリとしてデプロイ
    */
@@ -416,277 +599,972 @@ export class GASApiService {
     }
   }
 
-  // ===== トリガー管理 =====
-
   /**
-   * トリガーを管理
+   * デプロイメントを管理
    */
-  async manageTriggers(scriptId, action, triggerConfig = null, triggerId = null) {
+  async manageDeployments(scriptId, action, deploymentId = null, versionNumber = null, description = null) {
     try {
-      const scriptApi = this.getScriptApi();
-      
       switch (action) {
         case 'list':
-          return await this.listTriggers(scriptId);
-        case 'create':
-          return await this.createTrigger(scriptId, triggerConfig);
+          return await this.listDeployments(scriptId);
+        case 'get':
+          return await this.getDeployment(scriptId, deploymentId);
+        case 'update':
+          return await this.updateDeployment(scriptId, deploymentId, versionNumber, description);
         case 'delete':
-          return await this.deleteTrigger(scriptId, triggerId);
+          return await this.deleteDeployment(scriptId, deploymentId);
+        case 'promote':
+          return await this.promoteDeployment(scriptId, deploymentId, versionNumber, description);
         default:
           throw new Error(`未知のアクション: ${action}`);
       }
       
     } catch (error) {
-      console.error('❌ トリガー管理エラー:', error.message);
-      throw new Error(`トリガー管理失敗: ${error.message}`);
+      console.error('❌ デプロイメント管理エラー:', error.message);
+      throw new Error(`デプロイメント管理失敗: ${error.message}`);
     }
   }
 
   /**
-   * トリガー一覧を取得
+   * デプロイメントの詳細を取得
    */
-  async listTriggers(scriptId) {
+  async getDeployment(scriptId, deploymentId) {
     try {
+      if (!deploymentId) {
+        throw new Error('deploymentIdが指定されていません');
+      }
+
       const scriptApi = this.getScriptApi();
       
-      console.log(`⚡ トリガー一覧取得中: ${scriptId}`);
-      
-      const response = await scriptApi.projects.triggers.list({
-        scriptId: scriptId
+      const response = await scriptApi.projects.deployments.get({
+        scriptId: scriptId,
+        deploymentId: deploymentId
       });
 
-      const triggers = response.data.triggers || [];
-      console.log(`✅ ${triggers.length}件のトリガーを取得しました`);
-      
-      return {
-        triggers: triggers
-      };
+      return response.data;
       
     } catch (error) {
-      console.error('❌ トリガー一覧取得エラー:', error.message);
-      throw new Error(`トリガー一覧取得失敗: ${error.message}`);
+      console.error('❌ デプロイメント取得エラー:', error.message);
+      throw new Error(`デプロイメント取得失敗: ${error.message}`);
     }
   }
 
   /**
-   * トリガーを作成
+   * 既存デプロイメントを別バージョンに更新（URLは変わらない）
    */
-  async createTrigger(scriptId, triggerConfig) {
+  async updateDeployment(scriptId, deploymentId, versionNumber, description = null, manifestFileName = 'appsscript') {
     try {
+      if (!versionNumber) {
+        throw new Error('versionNumberが指定されていません');
+      }
+
+      const current = await this.getDeployment(scriptId, deploymentId);
+      if (!current.deploymentConfig?.versionNumber) {
+        throw new Error('HEADデプロイメントはバージョンを変更できません');
+      }
+
       const scriptApi = this.getScriptApi();
       
-      console.log(`⚡ トリガー作成中: ${triggerConfig.handlerFunction}`);
+      console.log(`🔄 デプロイメント更新中: ${deploymentId} → v${versionNumber}`);
       
-      const response = await scriptApi.projects.triggers.create({
+      const response = await scriptApi.projects.deployments.update({
         scriptId: scriptId,
-        requestBody: triggerConfig
+        deploymentId: deploymentId,
+        requestBody: {
+          deploymentConfig: {
+            scriptId: scriptId,
+            versionNumber: versionNumber,
+            manifestFileName: current.deploymentConfig.manifestFileName || manifestFileName,
+            description: description ?? current.deploymentConfig.description ?? ''
+          }
+        }
       });
 
-      const trigger = response.data;
-      console.log(`✅ トリガー作成完了: ${trigger.triggerId}`);
+      const deployment = response.data;
+      console.log(`✅ デプロイメント更新完了: ${deployment.deploymentId}`);
       
       return {
-        triggerId: trigger.triggerId,
-        handlerFunction: trigger.handlerFunction,
-        eventType: trigger.eventType,
-        createTime: trigger.createTime
+        deploymentId: deployment.deploymentId,
+        previousVersion: current.deploymentConfig.versionNumber,
+        versionNumber: deployment.deploymentConfig?.versionNumber,
+        entryPoints: deployment.entryPoints,
+        updateTime: deployment.updateTime,
+        description: deployment.deploymentConfig?.description
       };
       
     } catch (error) {
-      console.error('❌ トリガー作成エラー:', error.message);
-      throw new Error(`トリガー作成失敗: ${error.message}`);
+      console.error('❌ デプロイメント更新エラー:', error.message);
+      throw new Error(`デプロイメント更新失敗: ${error.message}`);
     }
   }
 
   /**
-   * トリガーを削除
+   * デプロイメントを削除
    */
-  async deleteTrigger(scriptId, triggerId) {
+  async deleteDeployment(scriptId, deploymentId) {
     try {
+      const current = await this.getDeployment(scriptId, deploymentId);
+      if (!current.deploymentConfig?.versionNumber) {
+        throw new Error('HEADデプロイメントは削除できません');
+      }
+
       const scriptApi = this.getScriptApi();
       
-      console.log(`⚡ トリガー削除中: ${triggerId}`);
+      console.log(`🗑️ デプロイメント削除中: ${deploymentId}`);
       
-      await scriptApi.projects.triggers.delete({
+      await scriptApi.projects.deployments.delete({
         scriptId: scriptId,
-        triggerId: triggerId
+        deploymentId: deploymentId
       });
 
-      console.log(`✅ トリガー削除完了: ${triggerId}`);
+      console.log(`✅ デプロイメント削除完了: ${deploymentId}`);
       
       return {
-        deleted: triggerId,
+        deleted: deploymentId,
+        versionNumber: current.deploymentConfig.versionNumber,
         deleteTime: dayjs().toISOString()
       };
       
     } catch (error) {
-      console.error('❌ トリガー削除エラー:', error.message);
-      throw new Error(`トリガー削除失敗: ${error.message}`);
+      console.error('❌ デプロイメント削除エラー:', error.message);
+      throw new Error(`デプロイメント削除失敗: ${error.message}`);
     }
   }
 
-  // ===== ログ・監視 =====
+  /**
+   * 安定したデプロイメントID（本番など）を新しいバージョンに昇格
+   *
+   * versionNumber 省略時は最新バージョンを使用する。
+   * 現在より古いバージョンへの変更（ロールバック）は update アクションで行う
+   */
+  async promoteDeployment(scriptId, deploymentId, versionNumber = null, description = null) {
+    try {
+      const current = await this.getDeployment(scriptId, deploymentId);
+      const currentVersion = current.deploymentConfig?.versionNumber;
+      if (!currentVersion) {
+        throw new Error('HEADデプロイメントは昇格できません');
+      }
+
+      let targetVersion = versionNumber;
+      if (!targetVersion) {
+        const { versions } = await this.listVersions(scriptId);
+        if (versions.length === 0) {
+          throw new Error('バージョンが存在しません。先にcreate_gas_versionでバージョンを作成してください');
+        }
+        targetVersion = versions[0].versionNumber;
+      }
+
+      if (targetVersion <= currentVersion) {
+        throw new Error(`v${targetVersion}は現在のv${currentVersion}より新しくありません（ロールバックはupdateアクションを使用してください）`);
+      }
+
+      console.log(`⬆️ デプロイメント昇格: ${deploymentId} v${currentVersion} → v${targetVersion}`);
+      
+      return await this.updateDeployment(scriptId, deploymentId, targetVersion, description);
+      
+    } catch (error) {
+      console.error('❌ デプロイメント昇格エラー:', error.message);
+      throw new Error(`デプロイメント昇格失敗: ${error.message}`);
+    }
+  }
+
+  // ===== バージョン管理 =====
 
   /**
-   * 実行ログを取得
+   * イミュータブルなバージョンを作成
    */
-  async getLogs(scriptId, pageSize = 100, pageToken = null, filter = null) {
+  async createVersion(scriptId, description = '') {
     try {
       const scriptApi = this.getScriptApi();
       
-      console.log(`📊 実行ログ取得中: ${scriptId}`);
+      console.log(`🏷️ バージョン作成中: ${scriptId}`);
       
-      const params = {
+      const response = await scriptApi.projects.versions.create({
         scriptId: scriptId,
-        pageSize: pageSize
-      };
+        requestBody: { description: description }
+      });
 
-      if (pageToken) params.pageToken = pageToken;
-      if (filter) params.filter = filter;
+      const version = response.data;
+      console.log(`✅ バージョン作成完了: ${version.versionNumber}`);
+      
+      return {
+        scriptId: version.scriptId,
+        versionNumber: version.versionNumber,
+        description: version.description,
+        createTime: version.createTime
+      };
+      
+    } catch (error) {
+      console.error('❌ バージョン作成エラー:', error.message);
+      throw new Error(`バージョン作成失敗: ${error.message}`);
+    }
+  }
 
-      const response = await scriptApi.processes.list(params);
-      const executions = response.data.processes || [];
+  /**
+   * バージョン一覧を取得（全ページ）
+   */
+  async listVersions(scriptId, pageSize = 50) {
+    try {
+      const scriptApi = this.getScriptApi();
       
-      console.log(`✅ ${executions.length}件のログを取得しました`);
+      console.log(`🏷️ バージョン一覧取得中: ${scriptId}`);
+      
+      const versions = [];
+      let pageToken = null;
+      do {
+        const params = { scriptId: scriptId, pageSize: pageSize };
+        if (pageToken) params.pageToken = pageToken;
+
+        const response = await scriptApi.projects.versions.list(params);
+        versions.push(...(response.data.versions || []));
+        pageToken = response.data.nextPageToken;
+      } while (pageToken);
+
+      // 新しいバージョンから順に並べる
+      versions.sort((a, b) => b.versionNumber - a.versionNumber);
+
+      console.log(`✅ ${versions.length}件のバージョンを取得しました`);
       
       return {
-        executions: executions,
-        nextPageToken: response.data.nextPageToken
+        versions: versions
       };
       
     } catch (error) {
-      console.error('❌ ログ取得エラー:', error.message);
-      throw new Error(`ログ取得失敗: ${error.message}`);
+      console.error('❌ バージョン一覧取得エラー:', error.message);
+      throw new Error(`バージョン一覧取得失敗: ${error.message}`);
     }
   }
 
   /**
-   * プロジェクトメトリクスを取得
+   * バージョンの詳細を取得
    */
-  async getMetrics(scriptId, filter = null) {
+  async getVersion(scriptId, versionNumber) {
     try {
       const scriptApi = this.getScriptApi();
       
-      console.log(`📈 メトリクス取得中: ${scriptId}`);
+      const response = await scriptApi.projects.versions.get({
+        scriptId: scriptId,
+        versionNumber: versionNumber
+      });
+
+      return response.data;
       
-      const params = { scriptId };
-      if (filter) params.filter = filter;
+    } catch (error) {
+      console.error('❌ バージョン取得エラー:', error.message);
+      throw new Error(`バージョン取得失敗: ${error.message}`);
+    }
+  }
 
-      const response = await scriptApi.projects.getMetrics(params);
-      const metrics = response.data;
+  /**
+   * 2つのバージョン間（toVersion省略時はHEAD）のファイル差分を取得
+   */
+  async diffVersions(scriptId, fromVersion, toVersion = null) {
+    try {
+      console.log(`🔍 バージョン差分取得中: ${fromVersion} → ${toVersion ?? 'HEAD'}`);
       
-      console.log(`✅ メトリクスを取得しました`);
+      const fromProject = await this.getProject(scriptId, fromVersion);
+      const toProject = await this.getProject(scriptId, toVersion);
+
+      const fromLabel = `v${fromVersion}`;
+      const toLabel = toVersion === null ? 'HEAD' : `v${toVersion}`;
+      const result = diffProjectFiles(fromProject.files, toProject.files, fromLabel, toLabel);
+
+      console.log(`✅ バージョン差分を取得しました: ${result.files.length}件のファイルに変更`);
       
-      return metrics;
+      return {
+        scriptId: scriptId,
+        from: fromLabel,
+        to: toLabel,
+        fromHash: fromProject.contentHash,
+        toHash: toProject.contentHash,
+        summary: result.summary,
+        files: result.files
+      };
       
     } catch (error) {
-      console.error('❌ メトリクス取得エラー:', error.message);
-      throw new Error(`メトリクス取得失敗: ${error.message}`);
+      console.error('❌ バージョン差分取得エラー:', error.message);
+      throw new Error(`バージョン差分取得失敗: ${error.message}`);
     }
   }
 
-  // ===== ライブラリ管理 =====
+  // ===== トリガー管理 =====
 
   /**
-   * ライブラリを管理
+   * トリガーを管理
    */
-  async manageLibraries(scriptId, action, libraryId = null, version = null, identifier = null) {
+  async manageTriggers(scriptId, action, triggerConfig = null, triggerId = null) {
     try {
       switch (action) {
         case 'list':
-          return await this.listLibraries(scriptId);
-        case 'add':
-          return await this.addLibrary(scriptId, libraryId, version, identifier);
-        case 'remove':
-          return await this.removeLibrary(scriptId, libraryId);
-        case 'update':
-          return await this.updateLibrary(scriptId, libraryId, version);
+          return await this.listTriggers(scriptId);
+        case 'create':
+          return await this.createValidatedTrigger(scriptId, triggerConfig);
+        case 'delete':
+          return await this.deleteTrigger(scriptId, triggerId);
         default:
           throw new Error(`未知のアクション: ${action}`);
       }
       
     } catch (error) {
-      console.error('❌ ライブラリ管理エラー:', error.message);
-      throw new Error(`ライブラリ管理失敗: ${error.message}`);
+      console.error('❌ トリガー管理エラー:', error.message);
+      throw new Error(`トリガー管理失敗: ${error.message}`);
     }
   }
 
   /**
-   * ライブラリ一覧を取得
+   * トリガー一覧を取得
+   *
+   * Apps Script API にトリガーの操作はないため、プロジェクトのトリガーヘルパーで ScriptApp を呼び出す。
+   * options.install が false の場合はヘルパーを追加せず、ない場合は例外にする
    */
-  async listLibraries(scriptId) {
+  async listTriggers(scriptId, options = {}) {
     try {
-      const project = await this.getProject(scriptId);
-      
-      // マニフェストファイルからライブラリ情報を取得
-      const manifestFile = project.files.find(f => f.name === 'appsscript');
-      if (!manifestFile) {
-        return { libraries: [] };
-      }
-
-      const manifest = JSON.parse(manifestFile.source);
-      const libraries = manifest.dependencies?.libraries || [];
+      console.log(`⚡ トリガー一覧取得中: ${scriptId}`);
       
-      console.log(`📚 ${libraries.length}件のライブラリを取得しました`);
+      const triggers = await this.triggerHelper.call(scriptId, 'list', {}, options) || [];
+      console.log(`✅ ${triggers.length}件のトリガーを取得しました`);
       
       return {
-        libraries: libraries
+        triggers: triggers
       };
       
     } catch (error) {
-      console.error('❌ ライブラリ一覧取得エラー:', error.message);
-      throw new Error(`ライブラリ一覧取得失敗: ${error.message}`);
+      console.error('❌ トリガー一覧取得エラー:', error.message);
+      throw new Error(`トリガー一覧取得失敗: ${error.message}`);
     }
   }
 
   /**
-   * ライブラリを追加
+   * トリガーのハンドラー関数がプロジェクトに存在するか検証
    */
-  async addLibrary(scriptId, libraryId, version, identifier) {
-    try {
-      const project = await this.getProject(scriptId);
-      
-      // マニフェストファイルを取得
-      const manifestFile = project.files.find(f => f.name === 'appsscript');
-      if (!manifestFile) {
-        throw new Error('マニフェストファイルが見つかりません');
+  async validateTriggerHandler(scriptId, handlerFunction) {
+    const project = await this.getProject(scriptId);
+    this.findProjectFunction(project.files, handlerFunction);
+  }
+
+  /**
+   * 関数カタログから関数を検索（見つからない場合は利用可能な関数名を含めて例外）
+   */
+  findProjectFunction(files, functionName, options = {}) {
+    const { functions, errors } = buildFunctionCatalog(files);
+    const found = functions.find(fn => fn.name === functionName);
+
+    if (found) {
+      if (options.rejectPrivate && found.flags.private) {
+        throw new Error(`プライベート関数（末尾が _）は実行APIから呼び出せません: ${functionName}`);
       }
+      return found;
+    }
 
-      const manifest = JSON.parse(manifestFile.source);
-      
-      // ライブラリを追加
-      if (!manifest.dependencies) manifest.dependencies = {};
-      if (!manifest.dependencies.libraries) manifest.dependencies.libraries = [];
+    let message = `関数「${functionName}」がプロジェクトに見つかりません`;
+    const candidates = functions.map(fn => fn.name).filter(name => !name.endsWith('_'));
+    if (candidates.length > 0) {
+      message += `（利用可能な関数: ${candidates.slice(0, 20).join(', ')}）`;
+    }
+    if (errors.length > 0) {
+      message += `\n構文エラーのため解析できなかったファイル: ${errors.map(e => `${e.file}（${e.message}）`).join(', ')}`;
+    }
+    throw new Error(message);
+  }
 
-      const newLibrary = {
-        userSymbol: identifier,
-        libraryId: libraryId,
-        version: version
-      };
+  /**
+   * 型付きのトリガー指定を検証して作成
+   *
+   * ハンドラー関数の存在と、config/default.json の maxTriggers を確認する
+   */
+  async createValidatedTrigger(scriptId, triggerSpec) {
+    const triggerConfig = buildTriggerConfig(triggerSpec);
+    const maxTriggers = getToolConfig('manage_gas_triggers').maxTriggers ?? 20;
 
-      manifest.dependencies.libraries.push(newLibrary);
-      
-      // マニフェストファイルを更新
-      await this.updateFile(scriptId, 'appsscript', JSON.stringify(manifest, null, 2));
+    const { triggers } = await this.listTriggers(scriptId);
+    if (triggers.length >= maxTriggers) {
+      throw new Error(`トリガー数が上限（${maxTriggers}件）に達しています。不要なトリガーを削除してください`);
+    }
+
+    await this.validateTriggerHandler(scriptId, triggerConfig.handlerFunction);
+
+    const trigger = await this.createTrigger(scriptId, triggerConfig);
+    return {
+      ...trigger,
+      config: triggerConfig
+    };
+  }
+
+  /**
+   * トリガーを作成
+   */
+  async createTrigger(scriptId, triggerConfig) {
+    try {
+      console.log(`⚡ トリガー作成中: ${triggerConfig.handlerFunction}`);
       
-      console.log(`✅ ライブラリ「${identifier}」を追加しました`);
+      const trigger = await this.triggerHelper.call(scriptId, 'create', { config: triggerConfig });
+      console.log(`✅ トリガー作成完了: ${trigger.triggerId}`);
       
       return {
-        added: identifier,
-        libraryId: libraryId,
-        version: version
+        triggerId: trigger.triggerId,
+        handlerFunction: trigger.handlerFunction,
+        eventType: trigger.eventType,
+        createTime: dayjs().toISOString()
       };
       
     } catch (error) {
-      console.error('❌ ライブラリ追加エラー:', error.message);
-      throw new Error(`ライブラリ追加失敗: ${error.message}`);
+      console.error('❌ トリガー作成エラー:', error.message);
+      throw new Error(`トリガー作成失敗: ${error.message}`);
     }
   }
 
   /**
-   * ライブラリを削除
+   * トリガーを削除
    */
-  async removeLibrary(scriptId, libraryId) {
+  async deleteTrigger(scriptId, triggerId) {
+    try {
+      console.log(`⚡ トリガー削除中: ${triggerId}`);
+      
+      await this.triggerHelper.call(scriptId, 'delete', { triggerId: triggerId });
+
+      console.log(`✅ トリガー削除完了: ${triggerId}`);
+      
+      return {
+        deleted: triggerId,
+        deleteTime: dayjs().toISOString()
+      };
+      
+    } catch (error) {
+      console.error('❌ トリガー削除エラー:', error.message);
+      throw new Error(`トリガー削除失敗: ${error.message}`);
+    }
+  }
+
+  // ===== トリガー同期 =====
+
+  /**
+   * トリガー定義ファイル（triggers.json）の状態に合わせてトリガーを同期
+   *
+   * options.apply が false（既定）の場合は変更計画のみ返す。
+   * 設定が変わったトリガーは ScriptApp に更新がないため削除して作り直す。
+   * サーバー以外で作成された時間主導トリガーはスケジュールが不明なため、定義と比較できず置き換えになる
+   */
+  async syncTriggers(options = {}) {
+    try {
+      const manifest = options.triggers
+        ? { path: null, scriptId: null, triggers: options.triggers }
+        : await readTriggerManifest(options.projectDir, options.manifestPath);
+      const scriptId = options.scriptId || manifest.scriptId;
+      const prune = options.prune ?? true;
+
+      if (!scriptId) {
+        throw new Error('scriptId を指定するか、projectDir に .clasp.json を配置してください');
+      }
+
+      console.log(`🔄 トリガー同期${options.apply ? '' : '計画を作成'}中: ${scriptId}`);
+
+      // 定義を検証してAPI形式に変換（問題はまとめて報告する）
+      const errors = [];
+      const desired = [];
+      manifest.triggers.forEach((spec, index) => {
+        try {
+          desired.push(buildTriggerConfig(spec));
+        } catch (error) {
+          errors.push(`#${index + 1}: ${error.message}`);
+        }
+      });
+
+      const { triggers: current } = await this.listTriggers(scriptId);
+      const plan = this.planTriggerChanges(desired, current, prune);
+
+      const { functions } = buildFunctionCatalog((await this.getProject(scriptId)).files);
+      const functionNames = new Set(functions.map(fn => fn.name));
+      _.uniq(desired.map(t => t.handlerFunction))
+        .filter(name => !functionNames.has(name))
+        .forEach(name => errors.push(`関数「${name}」がプロジェクトに見つかりません`));
+
+      const maxTriggers = getToolConfig('manage_gas_triggers').maxTriggers ?? 20;
+      const finalCount = desired.length + plan.unmanaged.length;
+      if (finalCount > maxTriggers) {
+        errors.push(`同期後のトリガー数（${finalCount}件）が上限（${maxTriggers}件）を超えます`);
+      }
+
+      const result = {
+        scriptId: scriptId,
+        manifestPath: manifest.path,
+        applied: false,
+        prune: prune,
+        inSync: plan.create.length + plan.change.length + plan.remove.length === 0,
+        plan: plan,
+        errors: errors
+      };
+
+      if (!options.apply || result.inSync) {
+        return result;
+      }
+
+      if (errors.length > 0) {
+        throw new Error(`トリガー定義に問題があるため適用を中止しました:\n${errors.join('\n')}`);
+      }
+
+      // 上限に引っかからないよう削除を先に行う
+      for (const trigger of [...plan.remove, ...plan.change.map(c => c.from)]) {
+        await this.deleteTrigger(scriptId, trigger.triggerId);
+      }
+      for (const trigger of [...plan.create, ...plan.change.map(c => c.to)]) {
+        await this.createTrigger(scriptId, trigger);
+      }
+
+      console.log(`✅ トリガー同期完了: ${scriptId}`);
+
+      result.applied = true;
+      return result;
+      
+    } catch (error) {
+      console.error('❌ トリガー同期エラー:', error.message);
+      throw new Error(`トリガー同期失敗: ${error.message}`);
+    }
+  }
+
+  // ===== ログ・監視 =====
+
+  /**
+   * 時間指定（"30m" / "24h" / "7d" / "2w"）を開始日時に変換
+   */
+  parseSince(since) {
+    const match = String(since).match(/^(\d+)\s*([mhdw])$/);
+    if (!match) {
+      throw new Error(`不正な期間指定です: ${since}（例: 30m, 24h, 7d, 2w）`);
+    }
+
+    const units = { m: 'minute', h: 'hour', d: 'day', w: 'week' };
+    return dayjs().subtract(Number(match[1]), units[match[2]]).toISOString();
+  }
+
+  /**
+   * 構造化フィルターを processes.listScriptProcesses のパラメータに変換
+   */
+  buildProcessFilterParams(filter = {}) {
+    const params = {};
+    const toUpperList = value => _.castArray(value).filter(Boolean).map(item => String(item).toUpperCase());
+    const startTime = filter.since ? this.parseSince(filter.since) : filter.startTime;
+
+    if (filter.functionName) params['scriptProcessFilter.functionName'] = filter.functionName;
+    if (filter.deploymentId) params['scriptProcessFilter.deploymentId'] = filter.deploymentId;
+    if (filter.statuses) params['scriptProcessFilter.statuses'] = toUpperList(filter.statuses);
+    if (filter.types) params['scriptProcessFilter.types'] = toUpperList(filter.types);
+    if (filter.userAccessLevels) params['scriptProcessFilter.userAccessLevels'] = toUpperList(filter.userAccessLevels);
+    if (startTime) params['scriptProcessFilter.startTime'] = dayjs(startTime).toISOString();
+    if (filter.endTime) params['scriptProcessFilter.endTime'] = dayjs(filter.endTime).toISOString();
+
+    return params;
+  }
+
+  /**
+   * プロセス一覧をステータス別・関数別に集計
+   */
+  summarizeProcesses(processes = []) {
+    const summary = {
+      total: processes.length,
+      failed: 0,
+      byStatus: {},
+      byFunction: {}
+    };
+
+    processes.forEach(process => {
+      const status = process.processStatus || 'PROCESS_STATUS_UNSPECIFIED';
+      const functionName = process.functionName || '(不明)';
+      const failed = FAILED_PROCESS_STATUSES.includes(status);
+
+      if (!summary.byFunction[functionName]) {
+        summary.byFunction[functionName] = { total: 0, failed: 0, byStatus: {} };
+      }
+      const entry = summary.byFunction[functionName];
+
+      summary.byStatus[status] = (summary.byStatus[status] || 0) + 1;
+      entry.byStatus[status] = (entry.byStatus[status] || 0) + 1;
+      entry.total++;
+      if (failed) {
+        entry.failed++;
+        summary.failed++;
+      }
+    });
+
+    return summary;
+  }
+
+  /**
+   * 実行ログを取得
+   *
+   * filter: functionName / statuses / types / userAccessLevels / deploymentId /
+   *         since（"24h" など） / startTime / endTime
+   * maxResults に達するまで自動でページを辿る
+   */
+  async getLogs(scriptId, filter = {}, options = {}) {
+    try {
+      const scriptApi = this.getScriptApi();
+      const pageSize = options.pageSize || 100;
+      const maxResults = Math.min(options.maxResults || 500, MAX_LOG_RESULTS);
+      
+      console.log(`📊 実行ログ取得中: ${scriptId}`);
+      
+      const baseParams = {
+        scriptId: scriptId,
+        ...this.buildProcessFilterParams(filter)
+      };
+
+      const executions = [];
+      let pageToken = options.pageToken || null;
+
+      do {
+        const params = {
+          ...baseParams,
+          // 上限を超えて取得しないよう最終ページのサイズを調整
+          pageSize: Math.min(pageSize, maxResults - executions.length)
+        };
+        if (pageToken) params.pageToken = pageToken;
+
+        const response = await scriptApi.processes.listScriptProcesses(params);
+        executions.push(...(response.data.processes || []));
+        pageToken = response.data.nextPageToken || null;
+      } while (pageToken && executions.length < maxResults);
+      
+      console.log(`✅ ${executions.length}件のログを取得しました`);
+      
+      return {
+        executions: executions,
+        summary: this.summarizeProcesses(executions),
+        nextPageToken: pageToken,
+        truncated: Boolean(pageToken),
+        lastStartTime: _.max(executions.map(e => e.startTime).filter(Boolean)) || null
+      };
+      
+    } catch (error) {
+      console.error('❌ ログ取得エラー:', error.message);
+      throw new Error(`ログ取得失敗: ${error.message}`);
+    }
+  }
+
+  /**
+   * 実行ログを追跡（最後に見た開始日時以降の新しいプロセスをポーリング）
+   */
+  async followLogs(scriptId, filter = {}, options = {}) {
+    const duration = Math.min(options.duration || 60, MAX_FOLLOW_SECONDS) * 1000;
+    const interval = Math.max(options.interval || 10, 1) * 1000;
+    const deadline = Date.now() + duration;
+
+    const startParams = this.buildProcessFilterParams(filter);
+    let cursor = startParams['scriptProcessFilter.startTime'] || dayjs().toISOString();
+    const baseFilter = _.omit(filter, ['since', 'startTime']);
+
+    console.log(`👀 実行ログを追跡中: ${scriptId}（${duration / 1000}秒 / ${interval / 1000}秒間隔）`);
+
+    // startTime は境界を含むため、同じプロセスは1件にまとめ、最新のステータスで置き換える
+    const processes = new Map();
+    let statusChanges = 0;
+    let polls = 0;
+
+    while (true) {
+      const result = await this.getLogs(scriptId, { ...baseFilter, startTime: cursor }, {
+        maxResults: options.maxResults
+      });
+      polls++;
+
+      result.executions.forEach(execution => {
+        const key = `${execution.functionName}|${execution.processType}|${execution.startTime}`;
+        const previous = processes.get(key);
+        if (previous && previous.processStatus !== execution.processStatus) {
+          console.log(`🔄 ${execution.functionName}（${execution.startTime}）: ${previous.processStatus} → ${execution.processStatus}`);
+          statusChanges++;
+        }
+        processes.set(key, execution);
+      });
+
+      // 実行中のプロセスは終了時のステータスを取得できるよう、その開始日時より先にカーソルを進めない
+      const pendingStartTime = _.min([...processes.values()]
+        .filter(execution => IN_PROGRESS_STATUSES.includes(execution.processStatus))
+        .map(execution => execution.startTime)
+        .filter(Boolean));
+      if (result.lastStartTime && result.lastStartTime > cursor) {
+        cursor = result.lastStartTime;
+      }
+      if (pendingStartTime && pendingStartTime < cursor) {
+        cursor = pendingStartTime;
+      }
+
+      if (Date.now() + interval > deadline) break;
+      await new Promise(resolve => setTimeout(resolve, interval));
+    }
+
+    const executions = [...processes.values()]
+      .sort((a, b) => (b.startTime || '').localeCompare(a.startTime || ''));
+
+    return {
+      executions: executions,
+      summary: this.summarizeProcesses(executions),
+      // 実行中のプロセスがあればその開始日時（続きから取得したときに終了時のステータスを確認できる）
+      lastStartTime: cursor,
+      statusChanges: statusChanges,
+      polls: polls
+    };
+  }
+
+  /**
+   * プロジェクトメトリクスを取得
+   *
+   * granularity: DAILY / WEEKLY
+   * アクティブユーザー・総実行数・失敗実行数を期間ごとの時系列にまとめ、
+   * 失敗率と前週比を算出する
+   */
+  async getMetrics(scriptId, granularity = 'WEEKLY', deploymentId = null) {
+    try {
+      const scriptApi = this.getScriptApi();
+      const metricsGranularity = String(granularity).toUpperCase();
+
+      if (!['DAILY', 'WEEKLY'].includes(metricsGranularity)) {
+        throw new Error(`未対応の集計単位です: ${granularity}（daily / weekly）`);
+      }
+      
+      console.log(`📈 メトリクス取得中: ${scriptId} (${metricsGranularity})`);
+      
+      const params = { scriptId, metricsGranularity };
+      if (deploymentId) params['metricsFilter.deploymentId'] = deploymentId;
+
+      const response = await scriptApi.projects.getMetrics(params);
+      const series = this.buildMetricsSeries(response.data);
+      
+      console.log(`✅ メトリクスを取得しました（${series.length}期間）`);
+      
+      return {
+        scriptId: scriptId,
+        granularity: metricsGranularity,
+        deploymentId: deploymentId,
+        series: series,
+        totals: this.aggregateMetrics(series),
+        weekOverWeek: this.compareMetricsWeekOverWeek(series, metricsGranularity)
+      };
+      
+    } catch (error) {
+      console.error('❌ メトリクス取得エラー:', error.message);
+      throw new Error(`メトリクス取得失敗: ${error.message}`);
+    }
+  }
+
+  /**
+   * activeUsers / totalExecutions / failedExecutions を期間ごとに結合（古い順）
+   */
+  buildMetricsSeries(metrics = {}) {
+    const points = new Map();
+    const keys = ['activeUsers', 'totalExecutions', 'failedExecutions'];
+
+    keys.forEach(key => {
+      (metrics[key] || []).forEach(value => {
+        if (!points.has(value.startTime)) {
+          points.set(value.startTime, {
+            startTime: value.startTime,
+            endTime: value.endTime,
+            activeUsers: 0,
+            totalExecutions: 0,
+            failedExecutions: 0
+          });
+        }
+        // int64 は文字列で返される
+        points.get(value.startTime)[key] = Number(value.value || 0);
+      });
+    });
+
+    return [...points.values()]
+      .sort((a, b) => a.startTime.localeCompare(b.startTime))
+      .map(point => ({
+        ...point,
+        failureRate: this.calculateFailureRate(point.failedExecutions, point.totalExecutions)
+      }));
+  }
+
+  /**
+   * 失敗率（%、小数点2桁）
+   */
+  calculateFailureRate(failed, total) {
+    return total > 0 ? Math.round((failed / total) * 10000) / 100 : 0;
+  }
+
+  /**
+   * 期間内の合計（アクティブユーザーは期間平均）
+   */
+  aggregateMetrics(points = []) {
+    const totalExecutions = _.sumBy(points, 'totalExecutions');
+    const failedExecutions = _.sumBy(points, 'failedExecutions');
+
+    return {
+      activeUsers: points.length > 0 ? Math.round(_.meanBy(points, 'activeUsers') * 100) / 100 : 0,
+      totalExecutions: totalExecutions,
+      failedExecutions: failedExecutions,
+      failureRate: this.calculateFailureRate(failedExecutions, totalExecutions)
+    };
+  }
+
+  /**
+   * 直近1週間と前の1週間を比較
+   *
+   * 日次の場合は直近7期間と前の7期間を集計して比較する
+   */
+  compareMetricsWeekOverWeek(series, granularity) {
+    const size = granularity === 'DAILY' ? 7 : 1;
+    if (series.length < size * 2) {
+      return null;
+    }
+
+    const current = this.aggregateMetrics(series.slice(-size));
+    const previous = this.aggregateMetrics(series.slice(-size * 2, -size));
+    const delta = key => ({
+      current: current[key],
+      previous: previous[key],
+      delta: Math.round((current[key] - previous[key]) * 100) / 100,
+      deltaPercent: previous[key] > 0
+        ? Math.round(((current[key] - previous[key]) / previous[key]) * 10000) / 100
+        : null
+    });
+
+    return {
+      activeUsers: delta('activeUsers'),
+      totalExecutions: delta('totalExecutions'),
+      failedExecutions: delta('failedExecutions'),
+      // 失敗率はポイント差で比較
+      failureRate: {
+        current: current.failureRate,
+        previous: previous.failureRate,
+        delta: Math.round((current.failureRate - previous.failureRate) * 100) / 100
+      }
+    };
+  }
+
+  // ===== ライブラリ管理 =====
+
+  /**
+   * ライブラリを管理
+   *
+   * options.projectDir を指定すると、変更後に gas-libraries.lock.json を更新する
+   */
+  async manageLibraries(scriptId, action, libraryId = null, version = null, identifier = null, options = {}) {
+    try {
+      let result;
+      switch (action) {
+        case 'list':
+          return await this.listLibraries(scriptId);
+        case 'outdated':
+          return await this.listOutdatedLibraries(scriptId);
+        case 'lock':
+          if (!options.projectDir) {
+            throw new Error('lock には projectDir を指定してください');
+          }
+          return await this.lockLibraries(scriptId, options.projectDir);
+        case 'add':
+          result = await this.addLibrary(scriptId, libraryId, version, identifier);
+          break;
+        case 'remove':
+          result = await this.removeLibrary(scriptId, libraryId);
+          break;
+        case 'update':
+          result = await this.updateLibrary(scriptId, libraryId, version);
+          break;
+        default:
+          throw new Error(`未知のアクション: ${action}`);
+      }
+
+      if (options.projectDir) {
+        result.lockfile = (await this.lockLibraries(scriptId, options.projectDir)).path;
+      }
+
+      return result;
+      
+    } catch (error) {
+      console.error('❌ ライブラリ管理エラー:', error.message);
+      throw new Error(`ライブラリ管理失敗: ${error.message}`);
+    }
+  }
+
+  /**
+   * ライブラリ一覧を取得
+   */
+  async listLibraries(scriptId) {
+    try {
+      const project = await this.getProject(scriptId);
+      
+      // マニフェストファイルからライブラリ情報を取得
+      const manifestFile = project.files.find(f => f.name === 'appsscript');
+      if (!manifestFile) {
+        return { libraries: [] };
+      }
+
+      const manifest = JSON.parse(manifestFile.source);
+      const libraries = manifest.dependencies?.libraries || [];
+      
+      console.log(`📚 ${libraries.length}件のライブラリを取得しました`);
+      
+      return {
+        libraries: libraries,
+        duplicates: this.libraryResolver.findDuplicates(libraries)
+      };
+      
+    } catch (error) {
+      console.error('❌ ライブラリ一覧取得エラー:', error.message);
+      throw new Error(`ライブラリ一覧取得失敗: ${error.message}`);
+    }
+  }
+
+  /**
+   * ライブラリを追加
+   */
+  async addLibrary(scriptId, libraryId, version, identifier) {
+    try {
+      const project = await this.getProject(scriptId);
+      
+      // マニフェストファイルを取得
+      const manifestFile = project.files.find(f => f.name === 'appsscript');
+      if (!manifestFile) {
+        throw new Error('マニフェストファイルが見つかりません');
+      }
+
+      const manifest = JSON.parse(manifestFile.source);
+      
+      // ライブラリを追加
+      if (!manifest.dependencies) manifest.dependencies = {};
+      if (!manifest.dependencies.libraries) manifest.dependencies.libraries = [];
+
+      // 存在・公開バージョン・識別子の衝突・重複を検証
+      const resolved = await this.libraryResolver.validateNewLibrary(
+        project.files,
+        manifest.dependencies.libraries,
+        libraryId,
+        version,
+        identifier
+      );
+
+      const newLibrary = {
+        userSymbol: identifier,
+        libraryId: libraryId,
+        version: resolved.version
+      };
+
+      manifest.dependencies.libraries.push(newLibrary);
+      
+      // マニフェストファイルを更新
+      await this.updateFile(scriptId, 'appsscript', JSON.stringify(manifest, null, 2));
+      
+      console.log(`✅ ライブラリ「${identifier}」を追加しました`);
+      
+      return {
+        added: identifier,
+        libraryId: libraryId,
+        version: resolved.version,
+        latestVersion: resolved.latestVersion || null
+      };
+      
+    } catch (error) {
+      console.error('❌ ライブラリ追加エラー:', error.message);
+      throw new Error(`ライブラリ追加失敗: ${error.message}`);
+    }
+  }
+
+  /**
+   * ライブラリを削除
+   */
+  async removeLibrary(scriptId, libraryId) {
     try {
       const project = await this.getProject(scriptId);
       
@@ -754,18 +1632,24 @@ export class GASApiService {
       }
 
       const oldVersion = library.version;
-      library.version = newVersion;
+      let resolvedVersion = newVersion;
+      if (this.libraryResolver.verifyLibraries) {
+        resolvedVersion = (await this.libraryResolver.resolveVersion(libraryId, newVersion)).version;
+      } else if (!newVersion || newVersion === 'latest') {
+        throw new Error('verifyLibraries が無効のため "latest" は解決できません。バージョン番号を指定してください');
+      }
+      library.version = resolvedVersion;
 
       // マニフェストファイルを更新
       await this.updateFile(scriptId, 'appsscript', JSON.stringify(manifest, null, 2));
       
-      console.log(`✅ ライブラリ「${library.userSymbol}」を${oldVersion}から${newVersion}に更新しました`);
+      console.log(`✅ ライブラリ「${library.userSymbol}」を${oldVersion}から${resolvedVersion}に更新しました`);
       
       return {
         updated: library.userSymbol,
         libraryId: libraryId,
         oldVersion: oldVersion,
-        newVersion: newVersion
+        newVersion: resolvedVersion
       };
       
     } catch (error) {
@@ -774,6 +1658,301 @@ export class GASApiService {
     }
   }
 
+  /**
+   * 新しいバージョンが公開されているライブラリを取得
+   */
+  async listOutdatedLibraries(scriptId) {
+    const { libraries } = await this.listLibraries(scriptId);
+    const results = await this.libraryResolver.findOutdated(libraries);
+
+    console.log(`📚 ${results.filter(r => r.outdated).length}件のライブラリに新しいバージョンがあります`);
+
+    return {
+      libraries: results,
+      outdated: results.filter(r => r.outdated)
+    };
+  }
+
+  /**
+   * 現在のライブラリ構成を gas-libraries.lock.json に記録
+   */
+  async lockLibraries(scriptId, projectDir) {
+    const { libraries } = await this.listLibraries(scriptId);
+    const result = await this.libraryResolver.writeLockfile(projectDir, scriptId, libraries);
+
+    console.log(`🔒 ロックファイルを書き出しました: ${result.path}`);
+
+    return result;
+  }
+
+  // ===== マニフェスト管理 =====
+
+  /**
+   * マニフェスト（appsscript.json）を管理
+   *
+   * update では型付きの操作を適用し、スキーマ検証に通った場合のみ書き込む
+   */
+  async manageManifest(scriptId, action = 'get', operations = [], options = {}) {
+    try {
+      const project = await this.getProject(scriptId);
+      const manifestFile = project.files.find(f => f.name === 'appsscript');
+      if (!manifestFile) {
+        throw new Error('マニフェストファイルが見つかりません');
+      }
+
+      let manifest;
+      try {
+        manifest = JSON.parse(manifestFile.source);
+      } catch (error) {
+        throw new Error(`マニフェストのJSONが不正です: ${error.message}`);
+      }
+
+      if (action === 'get') {
+        return {
+          manifest: manifest,
+          validation: validateManifest(manifest)
+        };
+      }
+      if (action !== 'update') {
+        throw new Error(`未知のアクション: ${action}`);
+      }
+      if (!operations || operations.length === 0) {
+        throw new Error('operations を指定してください');
+      }
+
+      console.log(`🧾 マニフェスト更新中: ${scriptId}（${operations.length}件の操作）`);
+
+      const { manifest: updated, changes } = applyManifestOperations(manifest, operations);
+      const validation = validateManifest(updated);
+      const source = JSON.stringify(updated, null, 2);
+
+      const result = {
+        dryRun: Boolean(options.dryRun),
+        manifest: updated,
+        changes: changes,
+        validation: validation,
+        diff: unifiedDiff('appsscript.json', manifestFile.source, source, 'before', 'after')
+      };
+
+      if (options.dryRun) {
+        return result;
+      }
+      if (!validation.valid) {
+        throw new Error(`マニフェストの検証に失敗したため書き込みを中止しました:\n${validation.errors.map(e => `- ${e}`).join('\n')}`);
+      }
+
+      // 読み込んだ内容をベースにして、その間のリモート変更を上書きしない
+      const written = await this.updateFile(scriptId, 'appsscript', source, { baseSource: manifestFile.source });
+      if (written.conflict) {
+        return written;
+      }
+
+      console.log(`✅ マニフェストを更新しました: ${changes.length}件の変更`);
+
+      return result;
+      
+    } catch (error) {
+      console.error('❌ マニフェスト管理エラー:', error.message);
+      throw new Error(`マニフェスト管理失敗: ${error.message}`);
+    }
+  }
+
+  /**
+   * 解析対象のファイルを取得（projectDir 指定時はclaspディレクトリ、それ以外はAPI）
+   */
+  async loadSourceFiles(scriptId, projectDir = null) {
+    if (projectDir) {
+      const local = await readProjectFiles(projectDir);
+      return { files: local.files, rootDir: local.rootDir };
+    }
+    if (!scriptId) {
+      throw new Error('scriptId または projectDir を指定してください');
+    }
+    return { files: (await this.getProject(scriptId)).files, rootDir: null };
+  }
+
+  /**
+   * ソースからOAuthスコープを推定してマニフェストと比較
+   *
+   * options.projectDir を指定するとclaspディレクトリのファイルを解析する。
+   * options.apply で不足スコープの追加と広すぎるスコープの置き換えを行い、
+   * options.pruneUnused の場合は使用箇所のないスコープも削除する
+   */
+  async analyzeScopes(scriptId = null, options = {}) {
+    try {
+      const { files, rootDir } = await this.loadSourceFiles(scriptId, options.projectDir);
+
+      console.log(`🔍 OAuthスコープを解析中: ${options.projectDir || scriptId}`);
+
+      const manifestFile = files.find(f => f.name === 'appsscript');
+      const manifest = manifestFile ? JSON.parse(manifestFile.source) : {};
+      const manifestScopes = manifest.oauthScopes || [];
+      const inferred = inferScopes(files, manifest);
+      const comparison = compareScopes(inferred.required, manifestScopes);
+
+      const result = {
+        scriptId: scriptId,
+        projectDir: options.projectDir || null,
+        // oauthScopes が未指定の場合、Apps Script はスコープを自動検出する
+        explicit: Array.isArray(manifest.oauthScopes),
+        manifestScopes: manifestScopes,
+        required: inferred.required,
+        missing: comparison.missing,
+        overBroad: comparison.overBroad,
+        unused: comparison.unused,
+        unknownAdvancedServices: inferred.unknownAdvancedServices,
+        errors: inferred.errors,
+        applied: false,
+        changes: []
+      };
+
+      if (!options.apply) {
+        return result;
+      }
+      if (!manifestFile) {
+        throw new Error('マニフェストファイルが見つかりません');
+      }
+      if (inferred.errors.length > 0) {
+        throw new Error(`構文エラーのあるファイルがあるため修正を中止しました: ${inferred.errors.map(e => e.file).join(', ')}`);
+      }
+
+      const remove = [
+        ...comparison.overBroad.map(o => o.scope),
+        ...(options.pruneUnused ? comparison.unused : [])
+      ];
+      const add = _.uniq([
+        ...comparison.missing.map(m => m.scope),
+        ...comparison.overBroad.flatMap(o => o.suggested)
+      ]);
+      const operations = [];
+      if (remove.length > 0) operations.push({ op: 'removeOAuthScopes', scopes: remove });
+      if (add.length > 0) operations.push({ op: 'addOAuthScopes', scopes: add });
+
+      if (operations.length === 0) {
+        return result;
+      }
+
+      if (rootDir) {
+        const { manifest: updated, changes } = applyManifestOperations(manifest, operations);
+        const validation = validateManifest(updated);
+        if (!validation.valid) {
+          throw new Error(`マニフェストの検証に失敗しました:\n${validation.errors.map(e => `- ${e}`).join('\n')}`);
+        }
+        await fs.writeJson(path.join(rootDir, 'appsscript.json'), updated, { spaces: 2 });
+        result.changes = changes;
+      } else {
+        const written = await this.manageManifest(scriptId, 'update', operations);
+        if (written.conflict) {
+          return written;
+        }
+        result.changes = written.changes;
+      }
+
+      console.log(`✅ OAuthスコープを修正しました: ${result.changes.length}件の変更`);
+
+      result.applied = true;
+      return result;
+      
+    } catch (error) {
+      console.error('❌ OAuthスコープ解析エラー:', error.message);
+      throw new Error(`OAuthスコープ解析失敗: ${error.message}`);
+    }
+  }
+
+  // ===== 関数カタログ =====
+
+  /**
+   * プロジェクトのトップレベル関数をフラグ付きで列挙
+   *
+   * API経由の場合はインストール済みトリガーのハンドラーも照合する
+   */
+  async listFunctions(scriptId = null, options = {}) {
+    try {
+      const { files } = await this.loadSourceFiles(scriptId, options.projectDir);
+
+      console.log(`📚 関数カタログを作成中: ${options.projectDir || scriptId}`);
+
+      const manifestFile = files.find(f => f.name === 'appsscript');
+      const manifest = manifestFile ? JSON.parse(manifestFile.source) : {};
+
+      let triggerHandlers = null;
+      if (!options.projectDir) {
+        try {
+          const { triggers } = await this.listTriggers(scriptId);
+          triggerHandlers = triggers.map(t => t.handlerFunction);
+        } catch (error) {
+          // トリガーを取得できなくてもカタログは返す（installedTrigger は null）
+          console.warn(`⚠️ トリガーを取得できませんでした: ${error.message}`);
+        }
+      }
+
+      const { functions, errors } = buildFunctionCatalog(files, { triggerHandlers, manifest });
+
+      console.log(`✅ ${functions.length}件の関数を検出しました`);
+
+      return {
+        scriptId: scriptId,
+        projectDir: options.projectDir || null,
+        executionApi: manifest.executionApi || null,
+        triggersChecked: triggerHandlers !== null,
+        functions: functions,
+        errors: errors
+      };
+      
+    } catch (error) {
+      console.error('❌ 関数カタログ作成エラー:', error.message);
+      throw new Error(`関数カタログ作成失敗: ${error.message}`);
+    }
+  }
+
+  // ===== 静的解析 =====
+
+  /**
+   * プロジェクトのソースを静的解析
+   */
+  async lintProject(scriptId = null, options = {}) {
+    try {
+      const { files } = await this.loadSourceFiles(scriptId, options.projectDir);
+
+      console.log(`🔎 ソースを解析中: ${options.projectDir || scriptId}`);
+
+      const result = lintProject(files, { runtimeVersion: options.runtimeVersion });
+
+      console.log(`✅ 解析完了: エラー${result.errorCount}件 / 警告${result.warningCount}件`);
+
+      return {
+        scriptId: scriptId,
+        projectDir: options.projectDir || null,
+        ...result
+      };
+      
+    } catch (error) {
+      console.error('❌ ソース解析エラー:', error.message);
+      throw new Error(`ソース解析失敗: ${error.message}`);
+    }
+  }
+
+  /**
+   * プッシュ前のLintゲート（config の lint_gas_project.prePushGate が有効な場合のみ）
+   *
+   * エラーがあれば例外を投げて書き込みを中止する
+   */
+  checkPrePushLint(files = [], options = {}) {
+    if (!getToolConfig('lint_gas_project').prePushGate || options.skipLint) {
+      return null;
+    }
+
+    const result = lintProject(files);
+    if (result.errorCount > 0) {
+      const errors = result.findings
+        .filter(f => f.severity === 'error')
+        .map(f => `- ${f.file}:${f.line ?? '-'} [${f.rule}] ${f.message}`);
+      throw new Error(`Lintエラーのためプッシュを中止しました（${result.errorCount}件）:\n${errors.join('\n')}`);
+    }
+
+    return result;
+  }
+
   // ===== ユーティリティ =====
 
   /**
@@ -781,10 +1960,13 @@ export class GASApiService {
    */
   async getProjectStats(scriptId) {
     try {
+      // listLibraries はキャッシュ済みのプロジェクト内容を使う
       const project = await this.getProject(scriptId);
-      const triggers = await this.listTriggers(scriptId);
-      const deployments = await this.listDeployments(scriptId);
-      const libraries = await this.listLibraries(scriptId);
+      const [triggers, deployments, libraries] = await Promise.all([
+        this.listTriggers(scriptId),
+        this.listDeployments(scriptId),
+        this.listLibraries(scriptId)
+      ]);
 
       const stats = {
         projectInfo: {
@@ -824,21 +2006,35 @@ export class GASApiService {
 
   /**
    * プロジェクトをバックアップ
+   *
+   * バックアップでプロジェクトを変更しないよう、トリガーはヘルパーが追加済みの場合のみ取得する。
+   * 取得できない場合は triggers を null とし、理由を triggersUnavailable に記録する
    */
   async backupProject(scriptId) {
     try {
       const project = await this.getProject(scriptId);
-      const triggers = await this.listTriggers(scriptId);
       const deployments = await this.listDeployments(scriptId);
       const libraries = await this.listLibraries(scriptId);
 
+      let triggers = null;
+      let triggersUnavailable = null;
+      try {
+        triggers = (await this.listTriggers(scriptId, { install: false })).triggers;
+      } catch (error) {
+        console.warn(`⚠️ トリガーを取得できないため、トリガーなしでバックアップします: ${error.message}`);
+        triggersUnavailable = error.message;
+      }
+
       const backup = {
         timestamp: dayjs().toISOString(),
         project: project,
-        triggers: triggers.triggers,
+        triggers: triggers,
         deployments: deployments.deployments,
         libraries: libraries.libraries
       };
+      if (triggersUnavailable) {
+        backup.triggersUnavailable = triggersUnavailable;
+      }
 
       console.log(`💾 プロジェクト「${project.title}」をバックアップしました`);
       
@@ -849,4 +2045,223 @@ export class GASApiService {
       throw new Error(`プロジェクトバックアップ失敗: ${error.message}`);
     }
   }
+
+  /**
+   * バックアップスナップショットを読み込む（オブジェクト・JSON文字列・ファイルパス）
+   */
+  async loadBackup(backup = null, backupPath = null) {
+    let snapshot = backup;
+    if (!snapshot && backupPath) {
+      // .json.gz（ローカルバックアップアーカイブ）にも対応
+      snapshot = await readBackupArchive(backupPath);
+    }
+    if (typeof snapshot === 'string') {
+      snapshot = JSON.parse(snapshot);
+    }
+
+    if (!snapshot || !Array.isArray(snapshot.project?.files)) {
+      throw new Error('バックアップの形式が不正です（project.files がありません）');
+    }
+
+    return snapshot;
+  }
+
+  /**
+   * トリガーの比較用シグネチャ（IDや日時を除いた設定内容）
+   */
+  getTriggerSignature(trigger) {
+    // キー順序に依存しないよう正規化して比較する
+    const normalize = value => _.isPlainObject(value)
+      ? _.fromPairs(Object.keys(value).sort().map(key => [key, normalize(value[key])]))
+      : Array.isArray(value) ? value.map(normalize) : value;
+    return JSON.stringify(normalize(_.omit(trigger, ['triggerId', 'createTime', 'updateTime'])));
+  }
+
+  /**
+   * あるべきトリガー一覧と現在のトリガーを比較して変更計画を作成
+   *
+   * 同じ関数・イベントタイプで設定だけが異なるものは置き換え（change）とする。
+   * prune が false の場合、余分なトリガーは削除せず unmanaged に含める
+   */
+  planTriggerChanges(desired = [], current = [], prune = true) {
+    const plan = { create: [], change: [], remove: [], unchanged: [], unmanaged: [] };
+
+    const currentSignatures = new Set(current.map(t => this.getTriggerSignature(t)));
+    const desiredSignatures = new Set(desired.map(t => this.getTriggerSignature(t)));
+    const missing = desired.filter(t => !currentSignatures.has(this.getTriggerSignature(t)));
+    const extra = current.filter(t => !desiredSignatures.has(this.getTriggerSignature(t)));
+    plan.unchanged = current.filter(t => desiredSignatures.has(this.getTriggerSignature(t)));
+
+    for (const trigger of missing) {
+      const replaced = extra.find(t =>
+        t.handlerFunction === trigger.handlerFunction &&
+        t.eventType === trigger.eventType &&
+        !plan.change.some(c => c.from === t)
+      );
+      if (replaced) {
+        plan.change.push({ from: replaced, to: trigger });
+      } else {
+        plan.create.push(trigger);
+      }
+    }
+    for (const trigger of extra) {
+      if (!plan.change.some(c => c.from === trigger)) {
+        (prune ? plan.remove : plan.unmanaged).push(trigger);
+      }
+    }
+
+    return plan;
+  }
+
+  /**
+   * バックアップと現在の状態を比較して復元計画を作成
+   */
+  buildRestorePlan(snapshot, current) {
+    const plan = {
+      files: { create: [], change: [], remove: [] },
+      libraries: { create: [], change: [], remove: [] },
+      triggers: { create: [], change: [], remove: [] }
+    };
+
+    // ファイル
+    const currentFiles = new Map(current.files.map(f => [f.name, f]));
+    const backupFiles = new Map(snapshot.project.files.map(f => [f.name, f]));
+    for (const [name, file] of backupFiles) {
+      const existing = currentFiles.get(name);
+      if (!existing) {
+        plan.files.create.push(name);
+      } else if (existing.source !== file.source || existing.type !== file.type) {
+        plan.files.change.push(name);
+      }
+    }
+    for (const name of currentFiles.keys()) {
+      if (!backupFiles.has(name)) plan.files.remove.push(name);
+    }
+
+    // ライブラリ（マニフェストの復元に伴って変わる）
+    const currentLibraries = new Map(current.libraries.map(l => [l.libraryId, l]));
+    const backupLibraries = new Map((snapshot.libraries || []).map(l => [l.libraryId, l]));
+    for (const [libraryId, library] of backupLibraries) {
+      const existing = currentLibraries.get(libraryId);
+      if (!existing) {
+        plan.libraries.create.push(library);
+      } else if (existing.version !== library.version || existing.userSymbol !== library.userSymbol) {
+        plan.libraries.change.push({ from: existing, to: library });
+      }
+    }
+    for (const [libraryId, library] of currentLibraries) {
+      if (!backupLibraries.has(libraryId)) plan.libraries.remove.push(library);
+    }
+
+    // トリガー（IDはプロジェクトごとに異なるため設定内容で照合）。復元しない場合は空のまま
+    if (current.triggers) {
+      const triggerPlan = this.planTriggerChanges(snapshot.triggers || [], current.triggers);
+      plan.triggers = _.pick(triggerPlan, ['create', 'change', 'remove']);
+    }
+
+    return plan;
+  }
+
+  /**
+   * バックアップからプロジェクトを復元
+   *
+   * options.scriptId 省略時は新しいプロジェクトを作成して復元する。
+   * options.dryRun が true の場合は変更を加えず復元計画のみ返す。
+   * options.triggers が false の場合や、トリガーを取得できない場合はトリガーを変更せず、
+   * ファイルとマニフェストのみ復元する（理由は triggerErrors に含める）
+   */
+  async restoreProject(backup, options = {}) {
+    try {
+      const snapshot = await this.loadBackup(backup, options.backupPath);
+      const targetScriptId = options.scriptId || null;
+      const triggerErrors = [];
+
+      console.log(`♻️ プロジェクト復元${options.dryRun ? '計画を作成' : ''}中: ${snapshot.project.title} → ${targetScriptId || '新規プロジェクト'}`);
+
+      // 復元先の現在のトリガー（null はトリガーを復元しない）
+      let currentTriggers = null;
+      if (options.triggers === false) {
+        triggerErrors.push('トリガーの復元は指定により行いません');
+      } else if (!Array.isArray(snapshot.triggers)) {
+        triggerErrors.push(`バックアップにトリガーが含まれていません${snapshot.triggersUnavailable ? `（${snapshot.triggersUnavailable}）` : ''}`);
+      } else if (!targetScriptId) {
+        currentTriggers = [];
+      } else {
+        try {
+          currentTriggers = (await this.listTriggers(targetScriptId)).triggers;
+        } catch (error) {
+          console.warn(`⚠️ 復元先のトリガーを取得できないため、トリガーは復元しません: ${error.message}`);
+          triggerErrors.push(error.message);
+        }
+      }
+
+      const current = targetScriptId
+        ? {
+            files: (await this.getProject(targetScriptId)).files,
+            libraries: (await this.listLibraries(targetScriptId)).libraries,
+            triggers: currentTriggers
+          }
+        : { files: [], libraries: [], triggers: currentTriggers };
+
+      const plan = this.buildRestorePlan(snapshot, current);
+      const result = {
+        dryRun: Boolean(options.dryRun),
+        source: {
+          scriptId: snapshot.project.scriptId,
+          title: snapshot.project.title,
+          timestamp: snapshot.timestamp
+        },
+        scriptId: targetScriptId,
+        plan: plan,
+        // デプロイメントはバージョンに紐づくため復元対象外
+        skipped: currentTriggers ? ['deployments'] : ['deployments', 'triggers'],
+        triggerErrors: triggerErrors
+      };
+
+      if (options.dryRun) {
+        return result;
+      }
+
+      let scriptId = targetScriptId;
+      if (!scriptId) {
+        const created = await this.createProject(options.title || `${snapshot.project.title} (restored)`);
+        scriptId = created.scriptId;
+        result.scriptId = scriptId;
+        result.created = true;
+      }
+
+      // ファイル（マニフェストに含まれるライブラリも同時に復元される）
+      await this.updateProject(scriptId, {
+        scriptId: scriptId,
+        files: snapshot.project.files.map(f => ({ name: f.name, type: f.type, source: f.source }))
+      }, {
+        // バックアップ時点の状態に戻すため、Lintゲートは適用しない
+        skipLint: true
+      });
+
+      // トリガー（失敗しても復元済みのファイルはそのままにし、残りのトリガーを続行する）
+      for (const trigger of [...plan.triggers.remove, ...plan.triggers.change.map(c => c.from)]) {
+        try {
+          await this.deleteTrigger(scriptId, trigger.triggerId);
+        } catch (error) {
+          triggerErrors.push(`${trigger.handlerFunction}: ${error.message}`);
+        }
+      }
+      for (const trigger of [...plan.triggers.create, ...plan.triggers.change.map(c => c.to)]) {
+        try {
+          await this.createTrigger(scriptId, _.omit(trigger, ['triggerId', 'createTime', 'updateTime']));
+        } catch (error) {
+          triggerErrors.push(`${trigger.handlerFunction}: ${error.message}`);
+        }
+      }
+
+      console.log(`✅ プロジェクト復元完了: ${scriptId}`);
+      
+      return result;
+      
+    } catch (error) {
+      console.error('❌ プロジェクト復元エラー:', error.message);
+      throw new Error(`プロジェクト復元失敗: ${error.message}`);
+    }
+  }
 }
@@ -0,0 +1,256 @@
+/**
+ * 暗号化キープロバイダー
+ *
+ * キーリングに保存するデータ暗号化キーの作り方と保護方法を提供する
+ * - file: ランダムなキーをそのまま（hex）保存する
+ * - passphrase: パスフレーズとキーごとのソルトから scrypt でキーを導出する（キー自体は保存しない）
+ * - encrypted-file: ランダムなキーを、パスフレーズから導出したキーで暗号化して保存する
+ * - kms: ランダムなキーを、KMS互換のHTTPエンドポイント（Cloud KMS の encrypt / decrypt 形式）で暗号化して保存する
+ *   Cloud KMS にはGoogleの認証情報（GOOGLE_SERVICE_ACCOUNT_KEY またはアプリケーションデフォルト認証）のトークンを使い、
+ *   それ以外のエンドポイント（ローカルの互換サーバーなど）には ENCRYPTION_KMS_TOKEN を使う
+ *
+ * 各プロバイダーは以下を実装する
+ * - createKey(): 新しいキーと保存用の値 { key, stored } を返す
+ * - loadKey(stored): 保存用の値からキーを復元する
+ *
+ * Author: Utakata
+ */
+
+import crypto from 'crypto';
+import { promisify } from 'util';
+import axios from 'axios';
+import { GoogleAuth } from 'google-auth-library';
+import { loadConfig } from '../utils/config.js';
+
+const scrypt = promisify(crypto.scrypt);
+
+// AES-256 のキー長（バイト）
+export const KEY_LENGTH = 32;
+
+const DEFAULT_KDF = { N: 32768, r: 8, p: 1 };
+const DEFAULT_KMS_ENDPOINT = 'https://cloudkms.googleapis.com';
+const KMS_SCOPE = 'https://www.googleapis.com/auth/cloudkms';
+
+/**
+ * hex文字列のキーを検証して Buffer に変換
+ */
+export function parseKey(hex, label) {
+  const key = Buffer.from(String(hex), 'hex');
+  if (key.length !== KEY_LENGTH || key.toString('hex') !== String(hex).toLowerCase()) {
+    throw new Error(`${label} は${KEY_LENGTH}バイト（hex ${KEY_LENGTH * 2}文字）である必要があります`);
+  }
+  return key;
+}
+
+/**
+ * ENCRYPTION_PASSPHRASE を取得（未設定なら例外）
+ */
+function requirePassphrase() {
+  const passphrase = process.env.ENCRYPTION_PASSPHRASE;
+  if (!passphrase) {
+    throw new Error('ENCRYPTION_PASSPHRASE が設定されていません');
+  }
+  return passphrase;
+}
+
+/**
+ * パスフレーズとソルトから scrypt でキーを導出
+ */
+async function deriveKey(passphrase, kdf) {
+  const { N, r, p } = kdf;
+  // scrypt の必要メモリ（128 * N * r）に余裕を持たせる
+  return await scrypt(passphrase, Buffer.from(kdf.salt, 'hex'), KEY_LENGTH, { N, r, p, maxmem: 256 * N * r });
+}
+
+/**
+ * パスフレーズの誤りを検出するための検証値（キー自体は復元できない）
+ */
+function keyCheck(key) {
+  return crypto.createHmac('sha256', key).update('gas-mcp-key-check').digest('hex').slice(0, 16);
+}
+
+/**
+ * KDFパラメータを作成（ソルトは毎回生成）
+ */
+function createKdf(options) {
+  return {
+    name: 'scrypt',
+    salt: crypto.randomBytes(16).toString('hex'),
+    ...DEFAULT_KDF,
+    ..._pickKdf(options)
+  };
+}
+
+function _pickKdf(options = {}) {
+  return Object.fromEntries(['N', 'r', 'p'].filter(name => options[name] !== undefined).map(name => [name, options[name]]));
+}
+
+/**
+ * キーを保護用のキーで暗号化（AES-256-GCM）
+ */
+function wrapKey(key, wrappingKey) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', wrappingKey, iv);
+  const encrypted = Buffer.concat([cipher.update(key), cipher.final()]);
+  return {
+    encrypted: encrypted.toString('hex'),
+    iv: iv.toString('hex'),
+    authTag: cipher.getAuthTag().toString('hex')
+  };
+}
+
+function unwrapKey(wrapped, wrappingKey) {
+  const decipher = crypto.createDecipheriv('aes-256-gcm', wrappingKey, Buffer.from(wrapped.iv, 'hex'));
+  decipher.setAuthTag(Buffer.from(wrapped.authTag, 'hex'));
+  return Buffer.concat([decipher.update(Buffer.from(wrapped.encrypted, 'hex')), decipher.final()]);
+}
+
+export class FileKeyProvider {
+  constructor() {
+    this.name = 'file';
+  }
+
+  async createKey() {
+    const key = crypto.randomBytes(KEY_LENGTH);
+    return { key, stored: { key: key.toString('hex') } };
+  }
+
+  async loadKey(stored) {
+    return parseKey(stored.key, `キー「${stored.id}」`);
+  }
+}
+
+export class PassphraseKeyProvider {
+  constructor(options = {}) {
+    this.name = 'passphrase';
+    this.kdf = options.kdf || {};
+  }
+
+  async createKey() {
+    const kdf = createKdf(this.kdf);
+    const key = await deriveKey(requirePassphrase(), kdf);
+    return { key, stored: { kdf, check: keyCheck(key) } };
+  }
+
+  async loadKey(stored) {
+    const key = await deriveKey(requirePassphrase(), stored.kdf);
+    if (stored.check && keyCheck(key) !== stored.check) {
+      throw new Error(`キー「${stored.id}」を導出できません。ENCRYPTION_PASSPHRASE が正しいか確認してください`);
+    }
+    return key;
+  }
+}
+
+export class EncryptedFileKeyProvider {
+  constructor(options = {}) {
+    this.name = 'encrypted-file';
+    this.kdf = options.kdf || {};
+  }
+
+  async createKey() {
+    const key = crypto.randomBytes(KEY_LENGTH);
+    const kdf = createKdf(this.kdf);
+    const wrappingKey = await deriveKey(requirePassphrase(), kdf);
+    return { key, stored: { kdf, wrapped: wrapKey(key, wrappingKey) } };
+  }
+
+  async loadKey(stored) {
+    const wrappingKey = await deriveKey(requirePassphrase(), stored.kdf);
+    try {
+      return unwrapKey(stored.wrapped, wrappingKey);
+    } catch {
+      throw new Error(`キー「${stored.id}」を復号できません。ENCRYPTION_PASSPHRASE が正しいか確認してください`);
+    }
+  }
+}
+
+export class KmsKeyProvider {
+  constructor(options = {}) {
+    this.name = 'kms';
+    this.endpoint = (options.endpoint || DEFAULT_KMS_ENDPOINT).replace(/\/+$/, '');
+    this.keyName = options.keyName || null;
+    this.timeout = Number(options.timeout || 10000);
+    // テストなどでトークンの取得方法を差し替える場合に指定
+    this.getAccessToken = options.getAccessToken || null;
+    this.auth = null;
+  }
+
+  /**
+   * Bearer 認証に使うアクセストークン（なければ null）
+   *
+   * Cloud KMS では google-auth-library が期限切れ前にトークンを更新する
+   */
+  async accessToken() {
+    if (this.getAccessToken) {
+      return await this.getAccessToken();
+    }
+    if (this.endpoint !== DEFAULT_KMS_ENDPOINT) {
+      return process.env.ENCRYPTION_KMS_TOKEN || null;
+    }
+
+    if (!this.auth) {
+      const serviceAccountKey = process.env.GOOGLE_SERVICE_ACCOUNT_KEY;
+      this.auth = new GoogleAuth({
+        scopes: [KMS_SCOPE],
+        // サーバーと同じサービスアカウントを使う（JSON文字列またはファイルパス）。なければアプリケーションデフォルト認証
+        ...(serviceAccountKey && (serviceAccountKey.trim().startsWith('{')
+          ? { credentials: JSON.parse(serviceAccountKey) }
+          : { keyFilename: serviceAccountKey }))
+      });
+    }
+    try {
+      return await this.auth.getAccessToken();
+    } catch (error) {
+      throw new Error(`KMSのアクセストークンを取得できません（GOOGLE_SERVICE_ACCOUNT_KEY またはアプリケーションデフォルト認証を確認してください）: ${error.message}`);
+    }
+  }
+
+  /**
+   * KMSの encrypt / decrypt を呼び出す
+   */
+  async request(keyName, method, body) {
+    if (!keyName) {
+      throw new Error('security.kms.keyName が設定されていません');
+    }
+
+    const token = await this.accessToken();
+    const headers = token ? { Authorization: `Bearer ${token}` } : {};
+    try {
+      const response = await axios.post(`${this.endpoint}/v1/${keyName}:${method}`, body, { headers, timeout: this.timeout });
+      return response.data;
+    } catch (error) {
+      const detail = error.response ? `${error.response.status} ${JSON.stringify(error.response.data)}` : error.message;
+      throw new Error(`KMSの${method}に失敗しました: ${detail}`);
+    }
+  }
+
+  async createKey() {
+    const key = crypto.randomBytes(KEY_LENGTH);
+    const { ciphertext } = await this.request(this.keyName, 'encrypt', { plaintext: key.toString('base64') });
+    return { key, stored: { kmsKeyName: this.keyName, ciphertext } };
+  }
+
+  async loadKey(stored) {
+    // 作成時のKMSキーで復号する（設定の keyName を変更しても既存のキーを読めるように）
+    const { plaintext } = await this.request(stored.kmsKeyName, 'decrypt', { ciphertext: stored.ciphertext });
+    return parseKey(Buffer.from(plaintext, 'base64').toString('hex'), `キー「${stored.id}」`);
+  }
+}
+
+/**
+ * 名前を指定してプロバイダーを作成（設定の security セクションを使用）
+ */
+export function createKeyProvider(name, config = loadConfig().security || {}) {
+  switch (name) {
+    case 'file':
+      return new FileKeyProvider();
+    case 'passphrase':
+      return new PassphraseKeyProvider({ kdf: config.kdf });
+    case 'encrypted-file':
+      return new EncryptedFileKeyProvider({ kdf: config.kdf });
+    case 'kms':
+      return new KmsKeyProvider(config.kms);
+    default:
+      throw new Error(`未知のキープロバイダーです: ${name}`);
+  }
+}
@@ -0,0 +1,152 @@
+/**
+ * 暗号化キーリング
+ *
+ * スクリプトプロパティの暗号化に使うキーをIDつきで複数保持する
+ * - キーリングファイル（既定: ~/.gas-mcp/keyring.json、設定の security.keyring で変更可）に保存
+ * - キーの保存方法はキープロバイダー（設定の security.provider）で選択する（key-providers.js を参照）
+ *   キーごとに作成時のプロバイダーを記録するため、プロバイダーを変更しても既存のキーで復号できる
+ * - ENCRYPTION_KEY 環境変数のキーも「env-<指紋>」のIDで読み込む（ファイルには保存しない）
+ * - キーがひとつもなければ最初の暗号化時に生成してキーリングに保存する（再起動後も復号できるように）
+ *
+ * Author: Utakata
+ */
+
+import crypto from 'crypto';
+import fs from 'fs-extra';
+import os from 'os';
+import path from 'path';
+import dayjs from 'dayjs';
+import { createKeyProvider, parseKey } from './key-providers.js';
+import { loadConfig } from '../utils/config.js';
+import { logger } from '../utils/logger.js';
+
+export class KeyRing {
+  constructor(options = {}) {
+    this.config = loadConfig().security || {};
+    this.path = options.path || this.config.keyring || path.join(os.homedir(), '.gas-mcp', 'keyring.json');
+    this.provider = options.provider || this.config.provider || 'file';
+    this.providers = new Map();
+    this.keys = new Map();
+    this.activeKeyId = null;
+    this.load();
+  }
+
+  /**
+   * プロバイダー名からプロバイダーを取得（作成済みなら再利用）
+   */
+  getProvider(name) {
+    if (!this.providers.has(name)) {
+      this.providers.set(name, createKeyProvider(name, this.config));
+    }
+    return this.providers.get(name);
+  }
+
+  /**
+   * キーリングファイルと ENCRYPTION_KEY を読み込む
+   *
+   * キー本体はプロバイダーによって復号やKMSへの問い合わせが必要なため、使用時に復元する
+   */
+  load() {
+    if (fs.pathExistsSync(this.path)) {
+      try {
+        const data = fs.readJsonSync(this.path);
+        (data.keys || []).forEach(({ id, provider = 'file', createdAt = null, ...stored }) => {
+          this.keys.set(id, { id, provider, key: null, stored, createdAt, persisted: true });
+        });
+        this.activeKeyId = data.activeKeyId || null;
+      } catch (error) {
+        throw new Error(`キーリングを読み込めません: ${this.path} - ${error.message}`);
+      }
+    }
+
+    if (process.env.ENCRYPTION_KEY) {
+      const key = parseKey(process.env.ENCRYPTION_KEY, 'ENCRYPTION_KEY');
+      const id = `env-${crypto.createHash('sha256').update(key).digest('hex').slice(0, 8)}`;
+      this.keys.set(id, { id, provider: 'env', key, stored: null, createdAt: null, persisted: false });
+      // キーリングで有効なキーが決まっていなければ環境変数のキーを使う
+      this.activeKeyId = this.activeKeyId || id;
+    }
+
+    if (this.activeKeyId && !this.keys.has(this.activeKeyId)) {
+      throw new Error(`有効なキー「${this.activeKeyId}」がキーリングにありません: ${this.path}`);
+    }
+  }
+
+  /**
+   * キーリングファイルに保存（環境変数のキーは保存しない）
+   */
+  save() {
+    const keys = [...this.keys.values()]
+      .filter(entry => entry.persisted)
+      .map(entry => ({ id: entry.id, provider: entry.provider, createdAt: entry.createdAt, ...entry.stored }));
+
+    fs.ensureDirSync(path.dirname(this.path));
+    fs.writeJsonSync(this.path, { activeKeyId: this.activeKeyId, keys }, { spaces: 2, mode: 0o600 });
+  }
+
+  /**
+   * 設定のプロバイダーで新しいキーを作成して有効なキーにする
+   */
+  async addKey(keyId = null) {
+    const id = keyId || `key-${dayjs().format('YYYYMMDD-HHmmss')}`;
+    if (this.keys.has(id)) {
+      throw new Error(`キー「${id}」はすでに存在します`);
+    }
+
+    const { key, stored } = await this.getProvider(this.provider).createKey();
+    this.keys.set(id, {
+      id,
+      provider: this.provider,
+      key,
+      stored,
+      createdAt: new Date().toISOString(),
+      persisted: true
+    });
+    this.activeKeyId = id;
+    this.save();
+
+    logger.info(`🔑 新しい暗号化キーを有効にしました: ${id}（${this.provider}）`);
+    return id;
+  }
+
+  /**
+   * 有効なキー（暗号化に使用、キーがひとつもなければ生成）
+   */
+  async activeKey() {
+    if (!this.activeKeyId) {
+      await this.addKey();
+      logger.warn(`⚠️ 暗号化キーを生成し、キーリングに保存しました: ${this.path}`);
+      if (this.provider === 'file') {
+        logger.warn('⚠️ このファイルを失うと暗号化済みのプロパティを復号できなくなります。安全な場所にバックアップしてください');
+      }
+    }
+    return await this.getKey(this.activeKeyId);
+  }
+
+  /**
+   * IDを指定してキーを取得（未復元ならプロバイダーで復元）
+   */
+  async getKey(keyId) {
+    const entry = this.keys.get(keyId);
+    if (!entry) {
+      throw new Error(`暗号化キー「${keyId}」がキーリングにありません（${this.path}）`);
+    }
+    if (!entry.key) {
+      entry.key = await this.getProvider(entry.provider).loadKey({ id: entry.id, ...entry.stored });
+    }
+    return entry;
+  }
+
+  /**
+   * 保持しているキーの一覧（キー本体は含めない）
+   */
+  list() {
+    return [...this.keys.values()].map(entry => ({
+      id: entry.id,
+      createdAt: entry.createdAt,
+      provider: entry.provider,
+      source: entry.persisted ? 'keyring' : 'env',
+      active: entry.id === this.activeKeyId
+    }));
+  }
+}
@@ -0,0 +1,219 @@
+/**
+ * ライブラリ依存関係リゾルバー
+ *
+ * appsscript.json の dependencies.libraries を検証・解決する
+ * - ライブラリの存在と公開バージョンの確認（verifyLibraries）
+ * - userSymbol の衝突・重複の検出
+ * - gas-libraries.lock.json の生成
+ * - 新しいバージョンがあるライブラリの検出
+ *
+ * Author: Utakata
+ */
+
+import fs from 'fs-extra';
+import path from 'path';
+import dayjs from 'dayjs';
+import _ from 'lodash';
+import { getToolConfig } from '../utils/config.js';
+import { GAS_GLOBAL_SERVICES, listTopLevelNames } from '../utils/gas-source.js';
+
+export const LOCKFILE_NAME = 'gas-libraries.lock.json';
+
+export class LibraryResolver {
+  constructor(gasApi) {
+    this.gasApi = gasApi;
+  }
+
+  /**
+   * 公開バージョンを検証するか（config/default.json の verifyLibraries）
+   */
+  get verifyLibraries() {
+    return getToolConfig('manage_gas_libraries').verifyLibraries !== false;
+  }
+
+  /**
+   * ライブラリの公開バージョン一覧を取得（新しい順）
+   */
+  async fetchVersions(libraryId) {
+    try {
+      const { versions } = await this.gasApi.listVersions(libraryId);
+      return versions;
+    } catch (error) {
+      throw new Error(`ライブラリ「${libraryId}」が見つからないか、アクセス権がありません: ${error.message}`);
+    }
+  }
+
+  /**
+   * バージョン指定を解決（"latest" は最新の公開バージョン）
+   */
+  async resolveVersion(libraryId, version) {
+    const versions = await this.fetchVersions(libraryId);
+    if (versions.length === 0) {
+      throw new Error(`ライブラリ「${libraryId}」には公開バージョンがありません`);
+    }
+
+    const latest = versions[0];
+    const resolved = !version || version === 'latest'
+      ? latest
+      : versions.find(v => String(v.versionNumber) === String(version));
+
+    if (!resolved) {
+      const available = versions.slice(0, 10).map(v => v.versionNumber).join(', ');
+      throw new Error(`ライブラリ「${libraryId}」にバージョン ${version} は存在しません（最新: ${latest.versionNumber}、公開済み: ${available}${versions.length > 10 ? ', ...' : ''}）`);
+    }
+
+    return {
+      version: String(resolved.versionNumber),
+      description: resolved.description || null,
+      createTime: resolved.createTime || null,
+      latestVersion: String(latest.versionNumber)
+    };
+  }
+
+  /**
+   * userSymbol が識別子として使えるか検証（問題点の配列を返す）
+   */
+  checkUserSymbol(userSymbol, files, libraries, libraryId = null) {
+    const problems = [];
+
+    if (!userSymbol || !/^[A-Za-z_$][\w$]*$/.test(userSymbol)) {
+      problems.push(`識別子「${userSymbol}」はJavaScriptの識別子として使用できません`);
+      return problems;
+    }
+
+    if (GAS_GLOBAL_SERVICES.includes(userSymbol)) {
+      problems.push(`識別子「${userSymbol}」は組み込みサービスと衝突します`);
+    }
+
+    const clashLibrary = libraries.find(lib => lib.userSymbol === userSymbol && lib.libraryId !== libraryId);
+    if (clashLibrary) {
+      problems.push(`識別子「${userSymbol}」は既にライブラリ ${clashLibrary.libraryId} で使用されています`);
+    }
+
+    const clashName = listTopLevelNames(files).names.find(n => n.name === userSymbol);
+    if (clashName) {
+      problems.push(`識別子「${userSymbol}」はプロジェクトの${clashName.kind}宣言（${clashName.file}:${clashName.line}）と衝突します`);
+    }
+
+    return problems;
+  }
+
+  /**
+   * マニフェスト内の重複エントリ（libraryId / userSymbol）を検出
+   */
+  findDuplicates(libraries = []) {
+    const duplicated = key => Object.entries(_.groupBy(libraries, key))
+      .filter(([, entries]) => entries.length > 1)
+      .map(([value, entries]) => ({ [key]: value, count: entries.length }));
+
+    return [...duplicated('libraryId'), ...duplicated('userSymbol')];
+  }
+
+  /**
+   * 追加するライブラリを検証して解決済みのエントリを返す
+   */
+  async validateNewLibrary(files, libraries, libraryId, version, userSymbol) {
+    const problems = [];
+
+    if (libraries.some(lib => lib.libraryId === libraryId)) {
+      problems.push(`ライブラリ ${libraryId} は既に追加されています（バージョン変更は update を使用してください）`);
+    }
+    problems.push(...this.checkUserSymbol(userSymbol, files, libraries, libraryId));
+
+    let resolved = { version: version };
+    if (this.verifyLibraries) {
+      try {
+        resolved = await this.resolveVersion(libraryId, version);
+      } catch (error) {
+        problems.push(error.message);
+      }
+    } else if (!version || version === 'latest') {
+      problems.push('verifyLibraries が無効のため "latest" は解決できません。バージョン番号を指定してください');
+    }
+
+    if (problems.length > 0) {
+      throw new Error(`ライブラリを追加できません:\n${problems.map(p => `- ${p}`).join('\n')}`);
+    }
+
+    return resolved;
+  }
+
+  /**
+   * 新しいバージョンが公開されているライブラリを列挙
+   */
+  async findOutdated(libraries = []) {
+    const results = [];
+
+    for (const library of libraries) {
+      try {
+        const versions = await this.fetchVersions(library.libraryId);
+        const latest = versions[0]?.versionNumber ?? null;
+        results.push({
+          userSymbol: library.userSymbol,
+          libraryId: library.libraryId,
+          version: library.version,
+          developmentMode: Boolean(library.developmentMode),
+          latestVersion: latest === null ? null : String(latest),
+          outdated: latest !== null && Number(library.version) < latest,
+          newerVersions: versions
+            .filter(v => v.versionNumber > Number(library.version))
+            .map(v => ({ versionNumber: v.versionNumber, description: v.description || null }))
+        });
+      } catch (error) {
+        results.push({
+          userSymbol: library.userSymbol,
+          libraryId: library.libraryId,
+          version: library.version,
+          error: error.message
+        });
+      }
+    }
+
+    return results;
+  }
+
+  /**
+   * ロックファイルの内容を作成
+   */
+  async buildLockfile(scriptId, libraries = []) {
+    const entries = {};
+
+    for (const library of _.sortBy(libraries, 'userSymbol')) {
+      const entry = {
+        libraryId: library.libraryId,
+        version: String(library.version),
+        developmentMode: Boolean(library.developmentMode)
+      };
+
+      if (this.verifyLibraries) {
+        const resolved = await this.resolveVersion(library.libraryId, library.version);
+        entry.description = resolved.description;
+        entry.createTime = resolved.createTime;
+      }
+
+      entries[library.userSymbol] = entry;
+    }
+
+    return {
+      lockfileVersion: 1,
+      scriptId: scriptId,
+      generatedAt: dayjs().toISOString(),
+      verified: this.verifyLibraries,
+      libraries: entries
+    };
+  }
+
+  /**
+   * gas-libraries.lock.json を書き出す
+   */
+  async writeLockfile(projectDir, scriptId, libraries) {
+    const lockfile = await this.buildLockfile(scriptId, libraries);
+    const lockPath = path.join(projectDir, LOCKFILE_NAME);
+    await fs.writeJson(lockPath, lockfile, { spaces: 2 });
+
+    return {
+      path: lockPath,
+      lockfile: lockfile
+    };
+  }
+}
@@ -0,0 +1,743 @@
+/**
+ * ローカルApps Scriptエミュレーター
+ *
+ * SERVER_JSファイルを Node の vm コンテキストに読み込み、
+ * Google に接続せずに関数を実行する
+ * - Logger / console
+ * - PropertiesService / CacheService
+ * - Utilities / ContentService / HtmlService / Session
+ *
+ * scripts.run と同じ { response, function, parameters, executionTime } 形式で結果を返す
+ *
+ * vm はグローバルを分けるためだけに使っており、分離の仕組みではない。
+ * スタブはサーバー側のオブジェクトのため、実行するコードはそこからサーバーのプロセスに到達できる
+ * （例: Logger.log.constructor('return process')()）。信頼できるコードのみ実行すること
+ *
+ * Author: Utakata
+ */
+
+import vm from 'vm';
+import util from 'util';
+import crypto from 'crypto';
+import dayjs from 'dayjs';
+import { logger } from '../utils/logger.js';
+
+const IDENTIFIER_PATTERN = /^[A-Za-z_$][A-Za-z0-9_$]*$/;
+const RUNNER_FILENAME = 'gas-mcp-runner.gs';
+
+// ===== PropertiesService / CacheService =====
+
+/**
+ * PropertiesService の Properties オブジェクト
+ */
+class LocalProperties {
+  constructor(store) {
+    this.store = store;
+  }
+
+  getProperty(key) {
+    return this.store.has(key) ? this.store.get(key) : null;
+  }
+
+  getProperties() {
+    return Object.fromEntries(this.store);
+  }
+
+  getKeys() {
+    return [...this.store.keys()];
+  }
+
+  setProperty(key, value) {
+    this.store.set(String(key), String(value));
+    return this;
+  }
+
+  setProperties(properties, deleteAllOthers = false) {
+    if (deleteAllOthers) this.store.clear();
+    for (const [key, value] of Object.entries(properties)) {
+      this.store.set(String(key), String(value));
+    }
+    return this;
+  }
+
+  deleteProperty(key) {
+    this.store.delete(key);
+    return this;
+  }
+
+  deleteAllProperties() {
+    this.store.clear();
+    return this;
+  }
+}
+
+/**
+ * CacheService の Cache オブジェクト
+ */
+class LocalCache {
+  constructor(store) {
+    this.store = store;
+  }
+
+  get(key) {
+    const entry = this.store.get(key);
+    if (!entry) return null;
+    if (entry.expiresAt < Date.now()) {
+      this.store.delete(key);
+      return null;
+    }
+    return entry.value;
+  }
+
+  getAll(keys) {
+    const values = {};
+    for (const key of keys) {
+      const value = this.get(key);
+      if (value !== null) values[key] = value;
+    }
+    return values;
+  }
+
+  put(key, value, expirationInSeconds = 600) {
+    this.store.set(key, {
+      value: String(value),
+      expiresAt: Date.now() + Math.min(expirationInSeconds, 21600) * 1000
+    });
+  }
+
+  putAll(values, expirationInSeconds = 600) {
+    for (const [key, value] of Object.entries(values)) {
+      this.put(key, value, expirationInSeconds);
+    }
+  }
+
+  remove(key) {
+    this.store.delete(key);
+  }
+
+  removeAll(keys) {
+    keys.forEach(key => this.store.delete(key));
+  }
+}
+
+// ===== Utilities =====
+
+const DIGEST_ALGORITHMS = {
+  MD2: 'md2',
+  MD5: 'md5',
+  SHA_1: 'sha1',
+  SHA_256: 'sha256',
+  SHA_384: 'sha384',
+  SHA_512: 'sha512'
+};
+
+/**
+ * Bufferを Apps Script 形式の符号付きバイト配列に変換
+ */
+function toSignedBytes(buffer) {
+  return Array.from(new Int8Array(buffer.buffer, buffer.byteOffset, buffer.length));
+}
+
+/**
+ * 文字列またはバイト配列をBufferに変換
+ */
+function toBuffer(data) {
+  if (Array.isArray(data)) {
+    return Buffer.from(Int8Array.from(data).buffer);
+  }
+  return Buffer.from(String(data), 'utf8');
+}
+
+/**
+ * Utilities.newBlob で返す簡易Blob
+ */
+class LocalBlob {
+  constructor(data, contentType = null, name = null) {
+    this.bytes = toBuffer(data);
+    this.contentType = contentType;
+    this.name = name;
+  }
+
+  getBytes() {
+    return toSignedBytes(this.bytes);
+  }
+
+  getDataAsString() {
+    return this.bytes.toString('utf8');
+  }
+
+  getContentType() {
+    return this.contentType;
+  }
+
+  setContentType(contentType) {
+    this.contentType = contentType;
+    return this;
+  }
+
+  getName() {
+    return this.name;
+  }
+
+  setName(name) {
+    this.name = name;
+    return this;
+  }
+
+  setDataFromString(string) {
+    this.bytes = Buffer.from(String(string), 'utf8');
+    return this;
+  }
+}
+
+/**
+ * Java SimpleDateFormat 形式で日付を整形
+ */
+function formatDate(date, timeZone, format) {
+  const parts = {};
+  new Intl.DateTimeFormat('en-US', {
+    timeZone: timeZone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit',
+    weekday: 'short'
+  }).formatToParts(date).forEach(part => {
+    parts[part.type] = part.value;
+  });
+
+  const hour = Number(parts.hour);
+  const tokens = {
+    yyyy: parts.year,
+    yy: parts.year.slice(-2),
+    MM: parts.month,
+    M: String(Number(parts.month)),
+    dd: parts.day,
+    d: String(Number(parts.day)),
+    HH: parts.hour,
+    H: String(hour),
+    hh: String(hour % 12 || 12).padStart(2, '0'),
+    h: String(hour % 12 || 12),
+    mm: parts.minute,
+    m: String(Number(parts.minute)),
+    ss: parts.second,
+    s: String(Number(parts.second)),
+    SSS: String(date.getMilliseconds()).padStart(3, '0'),
+    EEE: parts.weekday,
+    a: hour < 12 ? 'AM' : 'PM'
+  };
+
+  return format.replace(/'([^']*)'|yyyy|yy|MM|M|dd|d|HH|H|hh|h|mm|m|ss|s|SSS|EEE|a/g,
+    (match, literal) => (literal !== undefined ? literal : tokens[match]));
+}
+
+// Apps Script の Utilities.sleep の上限（ミリ秒）
+const MAX_SLEEP_MILLISECONDS = 300000;
+
+/**
+ * Utilities サービスのスタブを生成
+ *
+ * sleep はサーバーの処理を止めないよう実際には待機せず、onSleep に通知する
+ */
+function createUtilities(onSleep = () => {}) {
+  return {
+    DigestAlgorithm: Object.fromEntries(Object.keys(DIGEST_ALGORITHMS).map(k => [k, k])),
+    Charset: { US_ASCII: 'US_ASCII', UTF_8: 'UTF_8' },
+
+    computeDigest(algorithm, value) {
+      const hash = crypto.createHash(DIGEST_ALGORITHMS[algorithm] || 'sha256');
+      return toSignedBytes(hash.update(toBuffer(value)).digest());
+    },
+    computeHmacSha256Signature(value, key) {
+      const hmac = crypto.createHmac('sha256', toBuffer(key));
+      return toSignedBytes(hmac.update(toBuffer(value)).digest());
+    },
+    base64Encode(data) {
+      return toBuffer(data).toString('base64');
+    },
+    base64EncodeWebSafe(data) {
+      return toBuffer(data).toString('base64').replace(/\+/g, '-').replace(/\//g, '_');
+    },
+    base64Decode(encoded) {
+      return toSignedBytes(Buffer.from(encoded, 'base64'));
+    },
+    base64DecodeWebSafe(encoded) {
+      return toSignedBytes(Buffer.from(encoded.replace(/-/g, '+').replace(/_/g, '/'), 'base64'));
+    },
+    formatDate(date, timeZone, format) {
+      return formatDate(date, timeZone, format);
+    },
+    formatString(template, ...args) {
+      return util.format(template, ...args);
+    },
+    getUuid() {
+      return crypto.randomUUID();
+    },
+    newBlob(data, contentType = null, name = null) {
+      return new LocalBlob(data, contentType, name);
+    },
+    parseCsv(csv, delimiter = ',') {
+      return csv.split(/\r?\n/).filter(line => line.length > 0).map(line => line.split(delimiter));
+    },
+    sleep(milliseconds) {
+      const duration = Number(milliseconds);
+      if (!Number.isFinite(duration) || duration < 0 || duration > MAX_SLEEP_MILLISECONDS) {
+        throw new Error(`Utilities.sleep の待機時間は 0〜${MAX_SLEEP_MILLISECONDS} ミリ秒で指定してください: ${milliseconds}`);
+      }
+      onSleep(duration);
+    }
+  };
+}
+
+// ===== ContentService / HtmlService =====
+
+const MIME_TYPES = {
+  ATOM: 'application/atom+xml',
+  CSV: 'text/csv',
+  ICAL: 'text/calendar',
+  JAVASCRIPT: 'application/javascript',
+  JSON: 'application/json',
+  RSS: 'application/rss+xml',
+  TEXT: 'text/plain',
+  VCARD: 'text/vcard',
+  XML: 'text/xml'
+};
+
+/**
+ * ContentService の TextOutput
+ */
+class LocalTextOutput {
+  constructor(content = '') {
+    this.content = String(content);
+    this.mimeType = 'TEXT';
+    this.fileName = null;
+  }
+
+  append(addedContent) {
+    this.content += String(addedContent);
+    return this;
+  }
+
+  getContent() {
+    return this.content;
+  }
+
+  setContent(content) {
+    this.content = String(content);
+    return this;
+  }
+
+  getMimeType() {
+    return this.mimeType;
+  }
+
+  setMimeType(mimeType) {
+    this.mimeType = mimeType;
+    return this;
+  }
+
+  downloadAsFile(fileName) {
+    this.fileName = fileName;
+    return this;
+  }
+
+  getFileName() {
+    return this.fileName;
+  }
+
+  toJSON() {
+    return {
+      mimeType: MIME_TYPES[this.mimeType] || this.mimeType,
+      content: this.content
+    };
+  }
+}
+
+/**
+ * HtmlService の HtmlOutput
+ */
+class LocalHtmlOutput {
+  constructor(html = '') {
+    this.content = String(html);
+    this.title = '';
+    this.width = null;
+    this.height = null;
+    this.xFrameOptionsMode = 'DEFAULT';
+    this.metaTags = [];
+  }
+
+  append(addedContent) {
+    this.content += String(addedContent);
+    return this;
+  }
+
+  appendUntrusted(addedContent) {
+    this.content += escapeHtml(addedContent);
+    return this;
+  }
+
+  getContent() {
+    return this.content;
+  }
+
+  setContent(content) {
+    this.content = String(content);
+    return this;
+  }
+
+  getTitle() {
+    return this.title;
+  }
+
+  setTitle(title) {
+    this.title = title;
+    return this;
+  }
+
+  getWidth() {
+    return this.width;
+  }
+
+  setWidth(width) {
+    this.width = width;
+    return this;
+  }
+
+  getHeight() {
+    return this.height;
+  }
+
+  setHeight(height) {
+    this.height = height;
+    return this;
+  }
+
+  addMetaTag(name, content) {
+    this.metaTags.push({ name, content });
+    return this;
+  }
+
+  setFaviconUrl() {
+    return this;
+  }
+
+  setSandboxMode() {
+    return this;
+  }
+
+  setXFrameOptionsMode(mode) {
+    this.xFrameOptionsMode = mode;
+    return this;
+  }
+
+  toJSON() {
+    return {
+      title: this.title,
+      content: this.content
+    };
+  }
+}
+
+function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+/**
+ * スクリプトレット（<? ?>, <?= ?>, <?!= ?>）をJavaScriptに変換
+ */
+function compileTemplate(html) {
+  let code = '';
+  let cursor = 0;
+  const pattern = /<\?(!=|=)?([\s\S]*?)\?>/g;
+  let match;
+
+  while ((match = pattern.exec(html)) !== null) {
+    code += `__out.push(${JSON.stringify(html.slice(cursor, match.index))});\n`;
+    if (match[1] === '=') {
+      code += `__out.push(__escape(${match[2]}));\n`;
+    } else if (match[1] === '!=') {
+      code += `__out.push(String(${match[2]}));\n`;
+    } else {
+      code += `${match[2]}\n`;
+    }
+    cursor = pattern.lastIndex;
+  }
+  code += `__out.push(${JSON.stringify(html.slice(cursor))});\n`;
+
+  return code;
+}
+
+/**
+ * HtmlService の HtmlTemplate
+ */
+class LocalHtmlTemplate {
+  constructor(html, context) {
+    Object.defineProperty(this, '__source', { value: String(html) });
+    Object.defineProperty(this, '__context', { value: context });
+  }
+
+  getCode() {
+    return compileTemplate(this.__source);
+  }
+
+  getRawContent() {
+    return this.__source;
+  }
+
+  evaluate() {
+    const data = { ...this };
+    const run = vm.runInContext(
+      `(function (__data, __escape) { var __out = []; with (__data) {\n${this.getCode()}} return __out.join(''); })`,
+      this.__context
+    );
+    return new LocalHtmlOutput(run(data, escapeHtml));
+  }
+}
+
+/**
+ * ContentService / HtmlService のスタブを生成
+ */
+function createOutputServices(htmlFiles, getContext) {
+  const findHtml = (fileName) => {
+    const file = htmlFiles.find(f => f.name === fileName);
+    if (!file) {
+      throw new Error(`No HTML file named ${fileName} was found.`);
+    }
+    return file.source;
+  };
+
+  const ContentService = {
+    MimeType: Object.fromEntries(Object.keys(MIME_TYPES).map(k => [k, k])),
+    createTextOutput(content = '') {
+      return new LocalTextOutput(content);
+    }
+  };
+
+  const HtmlService = {
+    XFrameOptionsMode: { ALLOWALL: 'ALLOWALL', DEFAULT: 'DEFAULT' },
+    SandboxMode: { EMULATED: 'EMULATED', IFRAME: 'IFRAME', NATIVE: 'NATIVE' },
+    createHtmlOutput(html = '') {
+      return new LocalHtmlOutput(html);
+    },
+    createHtmlOutputFromFile(fileName) {
+      return new LocalHtmlOutput(findHtml(fileName));
+    },
+    createTemplate(html) {
+      return new LocalHtmlTemplate(html, getContext());
+    },
+    createTemplateFromFile(fileName) {
+      return new LocalHtmlTemplate(findHtml(fileName), getContext());
+    }
+  };
+
+  return { ContentService, HtmlService };
+}
+
+// ===== エミュレーター本体 =====
+
+export class LocalRuntimeService {
+  constructor(options = {}) {
+    this.timeout = options.timeout || 30000;
+    this.timeZone = options.timeZone || 'Etc/GMT';
+    this.propertyStores = new Map();
+    this.cacheStores = new Map();
+  }
+
+  /**
+   * スクリプトID単位のストアを取得（サーバー起動中は実行間で保持される）
+   */
+  getStore(stores, scriptId, scope) {
+    if (!stores.has(scriptId)) {
+      stores.set(scriptId, { script: new Map(), user: new Map(), document: new Map() });
+    }
+    return stores.get(scriptId)[scope];
+  }
+
+  /**
+   * vm コンテキストのグローバルオブジェクトを生成
+   */
+  createGlobals(scriptId, files, logs) {
+    const manifestFile = files.find(f => f.name === 'appsscript');
+    let timeZone = this.timeZone;
+    if (manifestFile) {
+      try {
+        timeZone = JSON.parse(manifestFile.source).timeZone || timeZone;
+      } catch {
+        // マニフェストが不正な場合はデフォルトのタイムゾーンを使用
+      }
+    }
+
+    const writeLog = (level) => (...args) => {
+      logs.push({
+        level: level,
+        message: util.format(...args),
+        timestamp: dayjs().toISOString()
+      });
+    };
+
+    const properties = (scope) => new LocalProperties(this.getStore(this.propertyStores, scriptId, scope));
+    const cache = (scope) => new LocalCache(this.getStore(this.cacheStores, scriptId, scope));
+
+    let context = null;
+    const { ContentService, HtmlService } = createOutputServices(
+      files.filter(f => f.type === 'HTML'),
+      () => context
+    );
+
+    const globals = {
+      console: {
+        log: writeLog('info'),
+        info: writeLog('info'),
+        warn: writeLog('warn'),
+        error: writeLog('error')
+      },
+      Logger: {
+        log(format, ...values) {
+          writeLog('info')(format, ...values);
+          return this;
+        },
+        getLog() {
+          return logs.map(entry => entry.message).join('\n');
+        },
+        clear() {
+          logs.length = 0;
+        }
+      },
+      PropertiesService: {
+        getScriptProperties: () => properties('script'),
+        getUserProperties: () => properties('user'),
+        getDocumentProperties: () => properties('document')
+      },
+      CacheService: {
+        getScriptCache: () => cache('script'),
+        getUserCache: () => cache('user'),
+        getDocumentCache: () => cache('document')
+      },
+      Session: {
+        getScriptTimeZone: () => timeZone,
+        getActiveUser: () => ({ getEmail: () => '' }),
+        getEffectiveUser: () => ({ getEmail: () => '' })
+      },
+      Utilities: createUtilities(milliseconds => {
+        writeLog('info')(`Utilities.sleep(${milliseconds}): ローカル実行では待機せずに続行します`);
+      }),
+      ContentService: ContentService,
+      HtmlService: HtmlService
+    };
+
+    context = vm.createContext(globals, { name: `gas-local:${scriptId}` });
+    return context;
+  }
+
+  /**
+   * エラーを scripts.run と同じ形式に変換
+   */
+  formatError(error) {
+    const stackTrace = [];
+    const framePattern = /at (?:(\S+) )?\(?([^():]+\.gs):(\d+):\d+\)?/g;
+    let match;
+    while ((match = framePattern.exec(error?.stack || '')) !== null) {
+      if (match[2] === RUNNER_FILENAME) continue;
+      stackTrace.push({
+        function: match[1] || match[2].replace(/\.gs$/, ''),
+        lineNumber: Number(match[3])
+      });
+    }
+
+    return {
+      code: 3,
+      message: 'ScriptError',
+      details: [
+        {
+          '@type': 'type.googleapis.com/google.apps.script.v1.ExecutionError',
+          errorMessage: error?.message || String(error),
+          errorType: error?.name || 'ScriptError',
+          scriptStackTraceElements: stackTrace
+        }
+      ]
+    };
+  }
+
+  /**
+   * プロジェクトファイルを読み込み関数を実行
+   */
+  async execute(scriptId, files, functionName, parameters = []) {
+    const startTime = Date.now();
+    const logs = [];
+
+    // scripts.run と同様、末尾が _ のプライベート関数は実行不可
+    if (!IDENTIFIER_PATTERN.test(functionName) || functionName.endsWith('_')) {
+      return {
+        error: this.formatError(new Error(`Script function not found: ${functionName}`)),
+        function: functionName,
+        parameters: parameters,
+        logs: logs
+      };
+    }
+
+    logger.info(`🧪 ローカル実行中: ${functionName}`);
+
+    const context = this.createGlobals(scriptId, files, logs);
+
+    try {
+      for (const file of files.filter(f => f.type === 'SERVER_JS')) {
+        new vm.Script(file.source, { filename: `${file.name}.gs` })
+          .runInContext(context, { timeout: this.timeout });
+      }
+
+      const target = vm.runInContext(`typeof ${functionName}`, context);
+      if (target !== 'function') {
+        throw new Error(`Script function not found: ${functionName}`);
+      }
+
+      // 引数・戻り値は scripts.run と同様にJSONとして受け渡す
+      context.__gasMcpArgs = JSON.stringify(parameters);
+      const value = vm.runInContext(`${functionName}.apply(this, JSON.parse(__gasMcpArgs))`, context, {
+        filename: RUNNER_FILENAME,
+        timeout: this.timeout
+      });
+      // 関数や Symbol など JSON にできない値は undefined になる
+      const json = value === undefined ? undefined : JSON.stringify(value);
+      const result = json === undefined ? undefined : JSON.parse(json);
+
+      logger.success(`✅ ローカル実行完了: ${functionName}`);
+
+      return {
+        response: {
+          '@type': 'type.googleapis.com/google.apps.script.v1.ExecutionResponse',
+          result: result
+        },
+        function: functionName,
+        parameters: parameters,
+        executionTime: dayjs().toISOString(),
+        duration: `${(Date.now() - startTime) / 1000}s`,
+        logs: logs
+      };
+
+    } catch (error) {
+      logger.error(`❌ ローカル実行エラー: ${error.message}`);
+      return {
+        error: this.formatError(error),
+        function: functionName,
+        parameters: parameters,
+        logs: logs
+      };
+    }
+  }
+
+  /**
+   * スクリプトIDに紐づくローカル状態（プロパティ・キャッシュ）をリセット
+   */
+  reset(scriptId) {
+    this.propertyStores.delete(scriptId);
+    this.cacheStores.delete(scriptId);
+  }
+}
@@ -0,0 +1,107 @@
+/**
+ * プロジェクト内容キャッシュ
+ *
+ * getProject の結果をメモリ上のLRUと（有効な場合は）ディスクに保存する
+ * - 最新の内容（HEAD）は呼び出し側が updateTime で検証する
+ * - バージョン指定の内容は変更されないため検証不要
+ * - 書き込み時は invalidate でHEADのエントリを破棄する
+ *
+ * Author: Utakata
+ */
+
+import fs from 'fs-extra';
+import os from 'os';
+import path from 'path';
+import _ from 'lodash';
+import { loadConfig } from '../utils/config.js';
+
+export class ProjectCache {
+  constructor(options = {}) {
+    const config = loadConfig().cache || {};
+    this.maxEntries = Number(options.maxEntries ?? config.maxEntries ?? 50);
+    this.diskDir = options.diskDir !== undefined
+      ? options.diskDir
+      : config.disk ? (config.dir || path.join(os.homedir(), '.gas-mcp', 'project-cache')) : null;
+    this.entries = new Map();
+  }
+
+  /**
+   * キャッシュキー（バージョン指定時は scriptId@versionNumber）
+   */
+  key(scriptId, versionNumber = null) {
+    return _.isNil(versionNumber) ? scriptId : `${scriptId}@${versionNumber}`;
+  }
+
+  diskPath(key) {
+    return path.join(this.diskDir, `${key}.json`);
+  }
+
+  /**
+   * エントリを取得（呼び出し側が変更しても影響しないよう複製を返す）
+   */
+  async get(key) {
+    if (this.entries.has(key)) {
+      const entry = this.entries.get(key);
+      // 最近使ったエントリを末尾に移動
+      this.entries.delete(key);
+      this.entries.set(key, entry);
+      return _.cloneDeep(entry);
+    }
+
+    if (!this.diskDir || !(await fs.pathExists(this.diskPath(key)))) {
+      return null;
+    }
+
+    try {
+      const entry = await fs.readJson(this.diskPath(key));
+      this.remember(key, entry);
+      return _.cloneDeep(entry);
+    } catch (error) {
+      console.warn(`⚠️ キャッシュを読み込めません: ${this.diskPath(key)} - ${error.message}`);
+      return null;
+    }
+  }
+
+  /**
+   * エントリを保存
+   */
+  async set(key, entry) {
+    this.remember(key, _.cloneDeep(entry));
+
+    if (this.diskDir) {
+      await fs.ensureDir(this.diskDir);
+      await fs.writeJson(this.diskPath(key), entry);
+    }
+  }
+
+  /**
+   * メモリに保存し、上限を超えた古いエントリを削除
+   */
+  remember(key, entry) {
+    this.entries.delete(key);
+    this.entries.set(key, entry);
+    while (this.entries.size > this.maxEntries) {
+      this.entries.delete(this.entries.keys().next().value);
+    }
+  }
+
+  /**
+   * 最新の内容（HEAD）のエントリを破棄
+   */
+  async invalidate(scriptId) {
+    this.entries.delete(scriptId);
+    if (this.diskDir) {
+      await fs.remove(this.diskPath(scriptId));
+    }
+  }
+
+  /**
+   * すべてのエントリを破棄
+   */
+  async clear() {
+    this.entries.clear();
+    if (this.diskDir) {
+      await fs.emptyDir(this.diskDir);
+    }
+  }
+}
@@ -0,0 +1,285 @@
+/**
+ * プロパティ操作ヘルパー
+ *
+ * スクリプトプロパティの読み書きは、プロジェクトに一度だけ追加する共通のヘルパーファイル
+ * （__gasMcpProps）の関数を Apps Script API で実行して行う
+ * - 操作のたびに一時ファイルを追加・削除しないため、プロジェクトの更新回数が減り、同時編集とも衝突しにくい
+ * - ヘルパーのソースにはバージョンを埋め込み、古い場合のみ更新する
+ * - 以前のバージョンが残した一時ファイル（temp_<操作>_<時刻>）は repair で削除できる
+ * - 操作対象はスクリプト・ユーザー・ドキュメントのプロパティから選択する（scope）
+ *
+ * Author: Utakata
+ */
+
+import { logger } from '../utils/logger.js';
+
+export const HELPER_FILE_NAME = '__gasMcpProps';
+export const HELPER_FUNCTION_NAME = '__gasMcpProps';
+export const HELPER_VERSION = 3;
+
+// プロパティのスコープと PropertiesService のメソッド
+export const PROPERTY_SCOPES = ['script', 'user', 'document'];
+export const DEFAULT_PROPERTY_SCOPE = 'script';
+
+// 以前のバージョンが操作ごとに作成していた一時ファイル
+const TEMP_FILE_PATTERN = /^temp_(setProperty|getProperty|deleteProperty|getAllProperties)_\d+$/;
+const VERSION_PATTERN = /var __GAS_MCP_PROPS_VERSION = (\d+);/;
+
+/**
+ * ヘルパーファイルのソースを生成
+ */
+export function generateHelperSource() {
+  return `/**
+ * Google Apps Script MCP Server のプロパティ操作ヘルパー
+ * MCPサーバーが自動で管理するファイルです。編集・削除しないでください。
+ */
+var __GAS_MCP_PROPS_VERSION = ${HELPER_VERSION};
+
+function __gasMcpPropsStore(scope) {
+  switch (scope || '${DEFAULT_PROPERTY_SCOPE}') {
+    case 'script':
+      return PropertiesService.getScriptProperties();
+    case 'user':
+      return PropertiesService.getUserProperties();
+    case 'document':
+      var properties = PropertiesService.getDocumentProperties();
+      if (!properties) {
+        throw new Error('ドキュメントのプロパティはコンテナバインドスクリプトでのみ使用できます');
+      }
+      return properties;
+    default:
+      throw new Error('未知のプロパティスコープです: ' + scope);
+  }
+}
+
+function ${HELPER_FUNCTION_NAME}(request) {
+  if (request.operation === 'version') {
+    return __GAS_MCP_PROPS_VERSION;
+  }
+
+  var properties = __gasMcpPropsStore(request.scope);
+  switch (request.operation) {
+    case 'getProperty':
+      return properties.getProperty(request.key);
+    case 'setProperty':
+      properties.setProperty(request.key, request.value);
+      return { success: true, key: request.key };
+    case 'deleteProperty':
+      properties.deleteProperty(request.key);
+      return { success: true, deleted: request.key };
+    case 'getAllProperties':
+      return properties.getProperties();
+    case 'setProperties':
+      // atomic の場合は書き込み前の状態を保存し、失敗したら元に戻す
+      var snapshot = request.atomic ? properties.getProperties() : null;
+      try {
+        properties.setProperties(request.properties, Boolean(request.deleteAllOthers));
+      } catch (error) {
+        if (snapshot) {
+          properties.setProperties(snapshot, true);
+          throw new Error('一括設定に失敗したため、元の状態に戻しました: ' + error.message);
+        }
+        throw error;
+      }
+      return { success: true, count: Object.keys(request.properties).length };
+    default:
+      throw new Error('未知のプロパティ操作です: ' + request.operation);
+  }
+}
+`;
+}
+
+/**
+ * ヘルパーファイルのソースからバージョンを取得（不明なら null）
+ */
+export function parseHelperVersion(source) {
+  const match = VERSION_PATTERN.exec(source || '');
+  return match ? Number(match[1]) : null;
+}
+
+/**
+ * 以前のバージョンが残した一時ファイルか判定
+ */
+export function isOrphanedTempFile(file) {
+  return file.type === 'SERVER_JS' && TEMP_FILE_PATTERN.test(file.name);
+}
+
+/**
+ * スコープを検証（省略時は script）
+ */
+export function normalizeScope(scope) {
+  const normalized = scope || DEFAULT_PROPERTY_SCOPE;
+  if (!PROPERTY_SCOPES.includes(normalized)) {
+    throw new Error(`未知のプロパティスコープです: ${scope}（${PROPERTY_SCOPES.join(' / ')}）`);
+  }
+  return normalized;
+}
+
+export class PropertiesHelper {
+  constructor(gasApi) {
+    this.gasApi = gasApi;
+    // 最新のヘルパーを確認済みのスクリプトID
+    this.installed = new Set();
+    // スクリプトIDごとの実行中のインストール（同時に呼ばれても更新は1回にする）
+    this.installing = new Map();
+  }
+
+  /**
+   * プロジェクトのファイルからヘルパーの状態と一時ファイルを調べる
+   */
+  inspect(files = []) {
+    const helper = files.find(file => file.name === HELPER_FILE_NAME);
+    const version = helper ? parseHelperVersion(helper.source) : null;
+    return {
+      installedVersion: version,
+      // 新しいバージョンのサーバーが更新したヘルパーは互換性があるものとしてそのまま使う
+      upToDate: version !== null && version >= HELPER_VERSION,
+      orphanedFiles: files.filter(isOrphanedTempFile).map(file => file.name)
+    };
+  }
+
+  /**
+   * ヘルパーを追加・更新し、指定された一時ファイルを削除する（1回のプロジェクト更新で行う）
+   *
+   * 取得時点からプロジェクトが変更されていた場合は上書きせずに例外にする
+   */
+  async writeProject(scriptId, project, options = {}) {
+    const removed = new Set(options.remove || []);
+    const files = project.files
+      .filter(file => !removed.has(file.name))
+      .filter(file => !options.installHelper || file.name !== HELPER_FILE_NAME);
+
+    if (options.installHelper) {
+      files.push({ name: HELPER_FILE_NAME, type: 'SERVER_JS', source: generateHelperSource() });
+    }
+
+    const result = await this.gasApi.updateProject(
+      scriptId,
+      { scriptId: scriptId, files: files },
+      { baseSnapshot: project.files, skipLint: true }
+    );
+    if (result.conflict) {
+      throw new Error('プロジェクトが同時に変更されたため、プロパティヘルパーを更新できませんでした。再実行してください');
+    }
+    return result;
+  }
+
+  /**
+   * ヘルパーがなければ追加し、古ければ更新する
+   */
+  async ensureInstalled(scriptId) {
+    if (this.installed.has(scriptId)) {
+      return;
+    }
+    if (!this.installing.has(scriptId)) {
+      this.installing.set(scriptId, this.install(scriptId));
+    }
+
+    const pending = this.installing.get(scriptId);
+    try {
+      await pending;
+    } finally {
+      // 失敗した場合も次回の呼び出しで再試行できるようにする
+      if (this.installing.get(scriptId) === pending) {
+        this.installing.delete(scriptId);
+      }
+    }
+  }
+
+  async install(scriptId) {
+    const project = await this.gasApi.getProject(scriptId, null, { cache: 'bypass' });
+    const status = this.inspect(project.files);
+
+    if (!status.upToDate) {
+      logger.info(`🧩 プロパティヘルパーを${status.installedVersion === null ? '追加' : '更新'}します: ${HELPER_FILE_NAME} v${HELPER_VERSION}`);
+      await this.writeProject(scriptId, project, { installHelper: true });
+    }
+    if (status.orphanedFiles.length > 0) {
+      logger.warn(`⚠️ 以前の一時ファイルが残っています（${status.orphanedFiles.join(', ')}）。repair_properties_helper で削除できます`);
+    }
+
+    this.installed.add(scriptId);
+  }
+
+  /**
+   * ヘルパー関数でプロパティ操作を実行
+   */
+  async call(scriptId, operation, request = {}) {
+    // 不正なスコープではプロジェクトを変更しない
+    normalizeScope(request.scope);
+    // 以前に確認済みの場合、その後のプロジェクト全体の更新などでヘルパーが削除されている可能性がある
+    const verifiedBefore = this.installed.has(scriptId);
+    await this.ensureInstalled(scriptId);
+
+    // ヘルパーはデプロイ済みのバージョンにないことがあるため、最新のコード（devMode）で実行する
+    const parameters = [{ operation, ...request, scope: normalizeScope(request.scope) }];
+    let result;
+    try {
+      result = await this.gasApi.executeFunction(scriptId, HELPER_FUNCTION_NAME, parameters, true);
+    } catch (error) {
+      // 次回は状態を確認し直す。確認済みの情報が古かった場合は、入れ直して1回だけ再実行する（各操作は繰り返しても結果が同じ）
+      this.installed.delete(scriptId);
+      if (!verifiedBefore) {
+        throw error;
+      }
+      logger.warn(`⚠️ プロパティヘルパーの実行に失敗したため、状態を確認して再実行します: ${error.message}`);
+      try {
+        await this.ensureInstalled(scriptId);
+        result = await this.gasApi.executeFunction(scriptId, HELPER_FUNCTION_NAME, parameters, true);
+      } catch (retryError) {
+        this.installed.delete(scriptId);
+        throw retryError;
+      }
+    }
+    if (result.error) {
+      // ヘルパーが削除・変更された可能性があるため、次回は状態を確認し直す
+      this.installed.delete(scriptId);
+      const message = result.error.details?.[0]?.errorMessage || result.error.message || JSON.stringify(result.error);
+      throw new Error(`${operation} の実行に失敗しました: ${message}`);
+    }
+    return result;
+  }
+
+  /**
+   * 以前のバージョンが残した一時ファイルを削除し、ヘルパーを最新にする
+   */
+  async repair(scriptId, options = {}) {
+    try {
+      logger.info(`🔧 プロパティヘルパーの修復: ${scriptId}`);
+
+      const project = await this.gasApi.getProject(scriptId, null, { cache: 'bypass' });
+      const status = this.inspect(project.files);
+      const changed = status.orphanedFiles.length > 0 || !status.upToDate;
+
+      if (changed && !options.dryRun) {
+        await this.writeProject(scriptId, project, {
+          remove: status.orphanedFiles,
+          installHelper: !status.upToDate
+        });
+        this.installed.add(scriptId);
+      }
+
+      if (!options.dryRun) {
+        logger.success(`✅ 一時ファイル${status.orphanedFiles.length}件を削除しました${status.upToDate ? '' : `（ヘルパーを v${HELPER_VERSION} に更新）`}`);
+      }
+
+      return {
+        scriptId: scriptId,
+        dryRun: Boolean(options.dryRun),
+        orphanedFiles: status.orphanedFiles,
+        removed: options.dryRun ? [] : status.orphanedFiles,
+        helper: {
+          file: HELPER_FILE_NAME,
+          version: HELPER_VERSION,
+          previousVersion: status.installedVersion,
+          action: status.upToDate ? 'none' : options.dryRun ? 'would-install' : 'installed'
+        },
+        timestamp: new Date().toISOString()
+      };
+
+    } catch (error) {
+      logger.error(`❌ プロパティヘルパー修復エラー: ${error.message}`);
+      throw new Error(`プロパティヘルパー修復失敗: ${error.message}`);
+    }
+  }
+}
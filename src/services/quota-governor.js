@@ -0,0 +1,189 @@
+/**
+ * クォータガバナー
+ *
+ * 設定（config/ と GAS_MCP_* 環境変数）のツール設定に従ってGoogle API呼び出しを制御する
+ * - enabled: false のツールは一覧に表示せず、実行も拒否する
+ * - rateLimit（例: "10/minute"）をツールごとのトークンバケットで制限する
+ * - 指数バックオフ（ジッター付き）で retries 回まで再試行する
+ *   読み取り（get / list）は 429 と 5xx、それ以外（作成・更新・実行）は 429 のみ再試行する
+ *   （5xx やタイムアウトはGoogle側で処理が完了している場合があり、再実行すると重複するため）
+ * - timeout（ツール単位）または limits.requestTimeout で1回の呼び出しを打ち切る
+ *
+ * Author: Utakata
+ */
+
+import { AsyncLocalStorage } from 'async_hooks';
+import { loadConfig, parseRateLimit } from '../utils/config.js';
+import { logger } from '../utils/logger.js';
+
+// バックオフの基準時間と上限（ミリ秒）
+const BACKOFF_BASE = 500;
+const BACKOFF_MAX = 30000;
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * 再試行すべきエラーか（429 は常に、5xx は読み取りのみ）
+ */
+export function getRetryableStatus(error, idempotent = true) {
+  const status = Number(error.response?.status ?? error.status ?? error.code);
+  if (status === 429) return status;
+  return idempotent && status >= 500 && status < 600 ? status : null;
+}
+
+/**
+ * googleapis のメソッド名が読み取り（副作用なし）か
+ */
+export function isReadMethod(name) {
+  return /^(get|list)/.test(name);
+}
+
+export class QuotaGovernor {
+  constructor(config = loadConfig()) {
+    this.tools = config.tools || {};
+    this.limits = config.limits || {};
+    this.buckets = new Map();
+    this.context = new AsyncLocalStorage();
+  }
+
+  /**
+   * ツールが有効か（設定がないツールは有効）
+   */
+  isEnabled(toolName) {
+    return this.tools[toolName]?.enabled !== false;
+  }
+
+  /**
+   * ツール単位の再試行回数とタイムアウト
+   */
+  settingsFor(toolName) {
+    const tool = this.tools[toolName] || {};
+    return {
+      retries: Number(tool.retries ?? this.limits.retries ?? 0),
+      timeout: Number(tool.timeout ?? this.limits.requestTimeout ?? 0)
+    };
+  }
+
+  /**
+   * トークンを1つ消費（不足している場合は補充まで待機）
+   */
+  async acquire(toolName) {
+    const rateLimit = this.tools[toolName]?.rateLimit;
+    if (!rateLimit) return;
+
+    if (!this.buckets.has(toolName)) {
+      const { limit, periodMs } = parseRateLimit(rateLimit);
+      this.buckets.set(toolName, { limit, periodMs, tokens: limit, updatedAt: Date.now() });
+    }
+    const bucket = this.buckets.get(toolName);
+    const maxWait = Number(this.limits.requestTimeout ?? 30000);
+
+    for (;;) {
+      const now = Date.now();
+      bucket.tokens = Math.min(bucket.limit, bucket.tokens + (now - bucket.updatedAt) * bucket.limit / bucket.periodMs);
+      bucket.updatedAt = now;
+
+      if (bucket.tokens >= 1) {
+        bucket.tokens -= 1;
+        return;
+      }
+
+      const wait = Math.ceil((1 - bucket.tokens) * bucket.periodMs / bucket.limit);
+      if (wait > maxWait) {
+        throw new Error(`ツール「${toolName}」のレート制限（${rateLimit}）を超えました。${Math.ceil(wait / 1000)}秒後に再実行してください`);
+      }
+      logger.warn(`⏳ レート制限（${rateLimit}）のため ${wait}ms 待機します: ${toolName}`);
+      await sleep(wait);
+    }
+  }
+
+  /**
+   * ツールを実行
+   *
+   * 無効なツールを拒否し、レート制限のトークンを消費してから fn を実行する。
+   * fn 内の非同期処理（API呼び出し）にだけツール名を引き継ぐため、同時に実行される
+   * 他のツールの再試行・タイムアウト設定とは混ざらない
+   */
+  async runTool(toolName, fn) {
+    if (!this.isEnabled(toolName)) {
+      throw new Error(`ツール「${toolName}」は無効化されています`);
+    }
+    return await this.context.run({ toolName }, async () => {
+      await this.acquire(toolName);
+      return await fn();
+    });
+  }
+
+  /**
+   * API呼び出しをタイムアウト・再試行付きで実行
+   *
+   * options.idempotent が false の場合は 5xx を再試行せずにそのまま例外にする
+   */
+  async call(fn, label = 'API呼び出し', options = {}) {
+    const idempotent = options.idempotent !== false;
+    const { retries, timeout } = this.settingsFor(this.context.getStore()?.toolName);
+
+    for (let attempt = 0; ; attempt++) {
+      try {
+        return await this.withTimeout(fn(), timeout, label);
+      } catch (error) {
+        const status = getRetryableStatus(error, idempotent);
+        if (status === null || attempt >= retries) {
+          throw error;
+        }
+
+        const retryAfter = Number(error.response?.headers?.['retry-after']);
+        const delay = retryAfter > 0
+          ? retryAfter * 1000
+          : Math.round(Math.random() * Math.min(BACKOFF_MAX, BACKOFF_BASE * 2 ** attempt));
+        logger.warn(`🔁 ${label} が失敗しました（${status}）。${delay}ms後に再試行します（${attempt + 1}/${retries}）`);
+        await sleep(delay);
+      }
+    }
+  }
+
+  /**
+   * 指定時間内に完了しなければ例外（timeout が0の場合は無制限）
+   */
+  async withTimeout(promise, timeout, label) {
+    if (!timeout) {
+      return await promise;
+    }
+
+    let timer;
+    try {
+      return await Promise.race([
+        promise,
+        new Promise((resolve, reject) => {
+          timer = setTimeout(() => reject(new Error(`${label} がタイムアウトしました（${timeout}ms）`)), timeout);
+        })
+      ]);
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  /**
+   * googleapis のクライアントをラップし、すべてのメソッド呼び出しを call 経由にする
+   * （get / list 以外のメソッドは 5xx で再試行しない）
+   */
+  wrapClient(client, label) {
+    return new Proxy(client, {
+      get: (target, property, receiver) => {
+        const value = Reflect.get(target, property, receiver);
+        if (typeof property === 'symbol') {
+          return value;
+        }
+        if (typeof value === 'function') {
+          return (...args) => this.call(() => value.apply(target, args), `${label}.${property}`, {
+            idempotent: isReadMethod(property)
+          });
+        }
+        if (value && typeof value === 'object' && !Array.isArray(value)) {
+          return this.wrapClient(value, `${label}.${property}`);
+        }
+        return value;
+      }
+    });
+  }
+}
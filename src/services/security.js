@@ -8,37 +8,28 @@
  */
 
 import crypto from 'crypto';
+import _ from 'lodash';
+import { KeyRing } from './keyring.js';
+import { PropertiesHelper, normalizeScope } from './properties-helper.js';
 import { logger } from '../utils/logger.js';
 
+// キーIDのない（旧形式の）暗号化データの表示名
+export const LEGACY_KEY_LABEL = 'legacy';
+
 export class SecurityManager {
-  constructor() {
-    this.encryptionKey = this.getOrCreateEncryptionKey();
+  constructor(options = {}) {
+    this.keyRing = options.keyRing || new KeyRing();
     this.algorithm = 'aes-256-gcm';
   }
 
   /**
-   * 暗号化キーの取得または生成
-   */
-  getOrCreateEncryptionKey() {
-    const envKey = process.env.ENCRYPTION_KEY;
-    if (envKey) {
-      return Buffer.from(envKey, 'hex');
-    }
-    
-    // 新しい暗号化キーを生成
-    const key = crypto.randomBytes(32);
-    logger.warn('⚠️ 新しい暗号化キーが生成されました。ENCRYPTION_KEY環境変数に設定することを推奨します:');
-    logger.warn(`ENCRYPTION_KEY=${key.toString('hex')}`);
-    return key;
-  }
-
-  /**
-   * データを暗号化
+   * データを有効なキーで暗号化（使用したキーIDを含めて返す）
    */
-  encrypt(text) {
+  async encrypt(text) {
     try {
+      const { id, key } = await this.keyRing.activeKey();
       const iv = crypto.randomBytes(12);
-      const cipher = crypto.createCipher(this.algorithm, this.encryptionKey);
+      const cipher = crypto.createCipheriv(this.algorithm, key, iv);
       cipher.setAAD(Buffer.from('gas-mcp', 'utf8'));
       
       let encrypted = cipher.update(text, 'utf8', 'hex');
@@ -47,6 +38,7 @@ export class SecurityManager {
       const authTag = cipher.getAuthTag();
       
       return {
+        keyId: id,
         encrypted,
         iv: iv.toString('hex'),
         authTag: authTag.toString('hex')
@@ -59,12 +51,27 @@ export class SecurityManager {
 
   /**
    * データを復号化
+   *
+   * keyId がない旧形式のデータは createCipher（IVなし）で暗号化されているため、
+   * ENCRYPTION_KEY と createDecipher で復号する（createDecipher のない Node.js では復号できない）
    */
-  decrypt(encryptedData) {
+  async decrypt(encryptedData, keyId = null) {
     try {
       const { encrypted, iv, authTag } = encryptedData;
-      
-      const decipher = crypto.createDecipher(this.algorithm, this.encryptionKey);
+
+      let decipher;
+      if (keyId) {
+        const { key } = await this.keyRing.getKey(keyId);
+        decipher = crypto.createDecipheriv(this.algorithm, key, Buffer.from(iv, 'hex'));
+      } else {
+        if (!process.env.ENCRYPTION_KEY) {
+          throw new Error('キーIDのない旧形式のデータです。暗号化時の ENCRYPTION_KEY を設定してください');
+        }
+        if (typeof crypto.createDecipher !== 'function') {
+          throw new Error('キーIDのない旧形式のデータはこのバージョンの Node.js では復号できません');
+        }
+        decipher = crypto.createDecipher(this.algorithm, Buffer.from(process.env.ENCRYPTION_KEY, 'hex'));
+      }
       decipher.setAAD(Buffer.from('gas-mcp', 'utf8'));
       decipher.setAuthTag(Buffer.from(authTag, 'hex'));
       
@@ -157,38 +164,56 @@ export class SecurityManager {
 }
 
 export class PropertiesManager {
-  constructor(gasApi) {
+  constructor(gasApi, options = {}) {
     this.gasApi = gasApi;
-    this.security = new SecurityManager();
+    this.security = options.security || new SecurityManager();
+    this.helper = options.helper || new PropertiesHelper(gasApi);
   }
 
   /**
-   * スクリプトプロパティにセキュアにデータを保存
+   * 値を暗号化し、キーIDを含む保存形式（JSON文字列）にする
    */
-  async setSecureProperty(scriptId, key, value, encrypt = true) {
+  async createEnvelope(value) {
+    const { keyId, ...data } = await this.security.encrypt(value);
+    return JSON.stringify({
+      _encrypted: true,
+      keyId: keyId,
+      data: data,
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  /**
+   * 暗号化された保存形式なら解析結果、それ以外は null
+   */
+  parseEnvelope(rawValue) {
     try {
-      logger.info(`🔒 スクリプトプロパティ設定: ${key}`);
-      
-      let finalValue = value;
-      if (encrypt && typeof value === 'string') {
-        const encrypted = this.security.encrypt(value);
-        finalValue = JSON.stringify({
-          _encrypted: true,
-          data: encrypted,
-          timestamp: new Date().toISOString()
-        });
-      }
+      const parsed = JSON.parse(rawValue);
+      return parsed && parsed._encrypted && parsed.data ? parsed : null;
+    } catch {
+      return null;
+    }
+  }
 
-      // PropertiesServiceを使用してプロパティを設定するGASコードを生成
-      const gasCode = this.generatePropertiesSetCode(key, finalValue);
+  /**
+   * プロパティにセキュアにデータを保存
+   *
+   * options.scope で対象を選択（script / user / document、既定: script）
+   */
+  async setSecureProperty(scriptId, key, value, encrypt = true, options = {}) {
+    try {
+      const scope = normalizeScope(options.scope);
+      logger.info(`🔒 プロパティ設定（${scope}）: ${key}`);
       
-      // 一時的なGAS関数を作成して実行
-      await this.executePropertiesOperation(scriptId, 'setProperty', gasCode);
+      const finalValue = encrypt && typeof value === 'string' ? await this.createEnvelope(value) : value;
+
+      await this.executePropertiesOperation(scriptId, 'setProperty', { key, value: finalValue, scope });
       
       logger.success(`✅ プロパティ「${key}」を安全に保存しました`);
       
       return {
         key: key,
+        scope: scope,
         encrypted: encrypt,
         timestamp: new Date().toISOString()
       };
@@ -200,17 +225,14 @@ export class PropertiesManager {
   }
 
   /**
-   * スクリプトプロパティからセキュアにデータを取得
+   * プロパティからセキュアにデータを取得
    */
-  async getSecureProperty(scriptId, key, decrypt = true) {
+  async getSecureProperty(scriptId, key, decrypt = true, options = {}) {
     try {
-      logger.info(`🔓 スクリプトプロパティ取得: ${key}`);
-      
-      // PropertiesServiceを使用してプロパティを取得するGASコードを生成
-      const gasCode = this.generatePropertiesGetCode(key);
+      const scope = normalizeScope(options.scope);
+      logger.info(`🔓 プロパティ取得（${scope}）: ${key}`);
       
-      // 一時的なGAS関数を作成して実行
-      const result = await this.executePropertiesOperation(scriptId, 'getProperty', gasCode);
+      const result = await this.executePropertiesOperation(scriptId, 'getProperty', { key, scope });
       
       if (!result || !result.response || !result.response.result) {
         return null;
@@ -222,16 +244,12 @@ export class PropertiesManager {
         return rawValue;
       }
 
-      // 暗号化されたデータかチェック
-      try {
-        const parsed = JSON.parse(rawValue);
-        if (parsed._encrypted && parsed.data) {
-          const decrypted = this.security.decrypt(parsed.data);
-          logger.success(`✅ プロパティ「${key}」を復号化しました`);
-          return decrypted;
-        }
-      } catch (parseError) {
-        // JSON解析に失敗した場合は、平文として扱う
+      // 暗号化されたデータかチェック（それ以外は平文として扱う）
+      const envelope = this.parseEnvelope(rawValue);
+      if (envelope) {
+        const decrypted = await this.security.decrypt(envelope.data, envelope.keyId);
+        logger.success(`✅ プロパティ「${key}」を復号化しました`);
+        return decrypted;
       }
       
       return rawValue;
@@ -243,19 +261,20 @@ export class PropertiesManager {
   }
 
   /**
-   * スクリプトプロパティを削除
+   * プロパティを削除
    */
-  async deleteProperty(scriptId, key) {
+  async deleteProperty(scriptId, key, options = {}) {
     try {
-      logger.info(`🗑️ スクリプトプロパティ削除: ${key}`);
+      const scope = normalizeScope(options.scope);
+      logger.info(`🗑️ プロパティ削除（${scope}）: ${key}`);
       
-      const gasCode = this.generatePropertiesDeleteCode(key);
-      await this.executePropertiesOperation(scriptId, 'deleteProperty', gasCode);
+      await this.executePropertiesOperation(scriptId, 'deleteProperty', { key, scope });
       
       logger.success(`✅ プロパティ「${key}」を削除しました`);
       
       return {
         deleted: key,
+        scope: scope,
         timestamp: new Date().toISOString()
       };
       
@@ -266,14 +285,14 @@ export class PropertiesManager {
   }
 
   /**
-   * すべてのスクリプトプロパティを取得
+   * すべてのプロパティを取得
    */
-  async getAllProperties(scriptId, decrypt = true) {
+  async getAllProperties(scriptId, decrypt = true, options = {}) {
     try {
-      logger.info('📋 全スクリプトプロパティ取得');
+      const scope = normalizeScope(options.scope);
+      logger.info(`📋 全プロパティ取得（${scope}）`);
       
-      const gasCode = this.generatePropertiesGetAllCode();
-      const result = await this.executePropertiesOperation(scriptId, 'getAllProperties', gasCode);
+      const result = await this.executePropertiesOperation(scriptId, 'getAllProperties', { scope });
       
       if (!result || !result.response || !result.response.result) {
         return {};
@@ -283,20 +302,8 @@ export class PropertiesManager {
       const decryptedProperties = {};
       
       for (const [key, value] of Object.entries(properties)) {
-        if (decrypt) {
-          try {
-            const parsed = JSON.parse(value);
-            if (parsed._encrypted && parsed.data) {
-              decryptedProperties[key] = this.security.decrypt(parsed.data);
-            } else {
-              decryptedProperties[key] = value;
-            }
-          } catch (parseError) {
-            decryptedProperties[key] = value;
-          }
-        } else {
-          decryptedProperties[key] = value;
-        }
+        const envelope = decrypt ? this.parseEnvelope(value) : null;
+        decryptedProperties[key] = envelope ? await this.security.decrypt(envelope.data, envelope.keyId) : value;
       }
       
       logger.success(`✅ ${Object.keys(decryptedProperties).length}件のプロパティを取得しました`);
@@ -310,101 +317,152 @@ export class PropertiesManager {
   }
 
   /**
-   * プロパティ設定用GASコード生成
+   * 現在の値（保存されている生の値）と比較した差分を作成
+   *
+   * encrypt の場合は復号した値、それ以外は保存されている値そのものと比較する。
+   * 変更のないキーは既存の値（暗号化済みならそのまま）を再利用する
    */
-  generatePropertiesSetCode(key, value) {
-    return `
-function setProperty() {
-  try {
-    PropertiesService.getScriptProperties().setProperty('${key}', ${JSON.stringify(value)});
-    return { success: true, key: '${key}' };
-  } catch (error) {
-    return { success: false, error: error.toString() };
-  }
-}`;
-  }
+  async diffProperties(current, properties, options = {}) {
+    const diff = { added: [], changed: [], unchanged: [], removed: [] };
+    const unchangedValues = {};
+
+    for (const [key, value] of Object.entries(properties)) {
+      if (!Object.prototype.hasOwnProperty.call(current, key)) {
+        diff.added.push(key);
+        continue;
+      }
 
-  /**
-   * プロパティ取得用GASコード生成
-   */
-  generatePropertiesGetCode(key) {
-    return `
-function getProperty() {
-  try {
-    const value = PropertiesService.getScriptProperties().getProperty('${key}');
-    return value;
-  } catch (error) {
-    throw new Error('プロパティ取得エラー: ' + error.toString());
-  }
-}`;
-  }
+      let same = false;
+      if (options.encrypt) {
+        const envelope = this.parseEnvelope(current[key]);
+        try {
+          same = Boolean(envelope) && await this.security.decrypt(envelope.data, envelope.keyId) === value;
+        } catch {
+          // 復号できない値は変更として扱い、新しい値で上書きする
+          same = false;
+        }
+      } else {
+        same = current[key] === value;
+      }
 
-  /**
-   * プロパティ削除用GASコード生成
-   */
-  generatePropertiesDeleteCode(key) {
-    return `
-function deleteProperty() {
-  try {
-    PropertiesService.getScriptProperties().deleteProperty('${key}');
-    return { success: true, deleted: '${key}' };
-  } catch (error) {
-    return { success: false, error: error.toString() };
-  }
-}`;
+      if (same) {
+        diff.unchanged.push(key);
+        unchangedValues[key] = current[key];
+      } else {
+        diff.changed.push(key);
+      }
+    }
+
+    if (options.deleteAllOthers) {
+      diff.removed = Object.keys(current).filter(key => !Object.prototype.hasOwnProperty.call(properties, key));
+    }
+
+    return { diff, unchangedValues };
   }
 
   /**
-   * 全プロパティ取得用GASコード生成
+   * 複数のプロパティを1回の実行で設定（setProperties）
+   *
+   * options
+   * - scope: script / user / document（既定: script）
+   * - encrypt: 値を暗号化するか（既定: true）
+   * - deleteAllOthers: 指定していないプロパティを削除するか（既定: false）
+   * - dryRun: 書き込まずに現在の値との差分のみ返す
+   * - atomic: 書き込み前の状態を保存し、失敗した場合は元に戻す（既定: true）
    */
-  generatePropertiesGetAllCode() {
-    return `
-function getAllProperties() {
-  try {
-    const properties = PropertiesService.getScriptProperties().getProperties();
-    return properties;
-  } catch (error) {
-    throw new Error('全プロパティ取得エラー: ' + error.toString());
-  }
-}`;
+  async setPropertiesBulk(scriptId, properties, options = {}) {
+    try {
+      const scope = normalizeScope(options.scope);
+      const encrypt = options.encrypt !== false;
+      const atomic = options.atomic !== false;
+      const deleteAllOthers = Boolean(options.deleteAllOthers);
+
+      const invalid = Object.entries(properties || {}).filter(([, value]) => typeof value !== 'string').map(([key]) => key);
+      if (!_.isPlainObject(properties) || invalid.length > 0) {
+        throw new Error(`プロパティはキーと文字列の値のオブジェクトである必要があります${invalid.length > 0 ? `（文字列以外: ${invalid.join(', ')}）` : ''}`);
+      }
+
+      logger.info(`📦 プロパティ一括設定（${scope}）: ${Object.keys(properties).length}件${options.dryRun ? '（ドライラン）' : ''}`);
+
+      const current = await this.getAllProperties(scriptId, false, { scope });
+      const { diff, unchangedValues } = await this.diffProperties(current, properties, { encrypt, deleteAllOthers });
+      const written = diff.added.length + diff.changed.length;
+
+      const result = {
+        scriptId: scriptId,
+        scope: scope,
+        dryRun: Boolean(options.dryRun),
+        atomic: atomic,
+        encrypted: encrypt,
+        deleteAllOthers: deleteAllOthers,
+        diff: diff,
+        written: 0,
+        timestamp: new Date().toISOString()
+      };
+
+      if (options.dryRun || (written === 0 && diff.removed.length === 0)) {
+        logger.info(`📝 追加 ${diff.added.length}件 / 変更 ${diff.changed.length}件 / 変更なし ${diff.unchanged.length}件 / 削除 ${diff.removed.length}件`);
+        return result;
+      }
+
+      // deleteAllOthers の場合は変更のないキーも残すため、既存の値をそのまま含める
+      const values = deleteAllOthers ? { ...unchangedValues } : {};
+      for (const key of [...diff.added, ...diff.changed]) {
+        values[key] = encrypt ? await this.createEnvelope(properties[key]) : properties[key];
+      }
+
+      await this.executePropertiesOperation(scriptId, 'setProperties', {
+        properties: values,
+        deleteAllOthers: deleteAllOthers,
+        atomic: atomic,
+        scope: scope
+      });
+
+      result.written = written;
+      logger.success(`✅ ${written}件のプロパティを一括設定しました${diff.removed.length > 0 ? `（削除 ${diff.removed.length}件）` : ''}`);
+
+      return result;
+
+    } catch (error) {
+      logger.error(`❌ プロパティ一括設定エラー: ${error.message}`);
+      throw new Error(`プロパティ一括設定失敗: ${error.message}`);
+    }
   }
 
   /**
-   * プロパティ操作を実行
+   * プロパティヘルパー（__gasMcpProps）で操作を実行
    */
-  async executePropertiesOperation(scriptId, operation, gasCode) {
+  async executePropertiesOperation(scriptId, operation, request = {}) {
     try {
-      // 一時的なファイルを作成
-      const tempFileName = `temp_${operation}_${Date.now()}`;
-      
-      await this.gasApi.createFile(scriptId, tempFileName, 'SERVER_JS', gasCode);
-      
-      // 関数を実行
-      const result = await this.gasApi.executeFunction(scriptId, operation);
-      
-      // 一時的なファイルを削除
-      await this.gasApi.deleteFile(scriptId, tempFileName);
-      
-      return result;
-      
+      return await this.helper.call(scriptId, operation, request);
     } catch (error) {
       logger.error(`❌ プロパティ操作エラー: ${error.message}`);
       throw error;
     }
   }
 
+  /**
+   * 以前のバージョンが残した一時ファイルを削除し、プロパティヘルパーを最新にする
+   */
+  async repairPropertiesHelper(scriptId, options = {}) {
+    return await this.helper.repair(scriptId, options);
+  }
+
   /**
    * セキュリティ監査
    */
-  async auditProperties(scriptId) {
+  async auditProperties(scriptId, options = {}) {
     try {
       logger.info('🔍 プロパティセキュリティ監査開始');
       
-      const properties = await this.getAllProperties(scriptId, false);
+      const scope = normalizeScope(options.scope);
+      const properties = await this.getAllProperties(scriptId, false, { scope });
       const audit = {
+        scope: scope,
         totalProperties: Object.keys(properties).length,
         encryptedProperties: 0,
         plaintextProperties: 0,
+        keyUsage: {},
         suspiciousKeys: [],
         recommendations: []
       };
@@ -419,6 +477,8 @@ function getAllProperties() {
           const parsed = JSON.parse(value);
           if (parsed._encrypted) {
             audit.encryptedProperties++;
+            const keyId = parsed.keyId || LEGACY_KEY_LABEL;
+            audit.keyUsage[keyId] = (audit.keyUsage[keyId] || 0) + 1;
           } else {
             audit.plaintextProperties++;
           }
@@ -444,6 +504,13 @@ function getAllProperties() {
         );
       }
 
+      const staleKeys = Object.keys(audit.keyUsage).filter(keyId => keyId !== this.security.keyRing.activeKeyId);
+      if (staleKeys.length > 0) {
+        audit.recommendations.push(
+          `有効なキー以外（${staleKeys.join(', ')}）で暗号化されたプロパティがあります。rotate_encryption_key で再暗号化してください。`
+        );
+      }
+
       if (audit.plaintextProperties > audit.encryptedProperties) {
         audit.recommendations.push(
           '平文プロパティが暗号化プロパティより多いです。セキュリティ強化を検討してください。'
@@ -464,18 +531,92 @@ function getAllProperties() {
     }
   }
 
+  /**
+   * 暗号化キーのローテーション
+   *
+   * 新しいキーを生成して有効にし（generateKey: false の場合は現在の有効なキーを使用）、
+   * 他のキーで暗号化されているプロパティをすべて復号して再暗号化する。
+   * 古いキーは他のスクリプトの復号に必要な場合があるため、キーリングから削除しない
+   * options.scope で対象のプロパティを選択（既定: script）
+   */
+  async rotateEncryptionKey(scriptId, options = {}) {
+    try {
+      logger.info('🔑 暗号化キーのローテーション開始');
+
+      const scope = normalizeScope(options.scope);
+      const properties = await this.getAllProperties(scriptId, false, { scope });
+      const previousKeyId = this.security.keyRing.activeKeyId;
+      const encrypted = Object.entries(properties)
+        .map(([key, value]) => ({ key, envelope: this.parseEnvelope(value) }))
+        .filter(entry => entry.envelope);
+
+      // 再暗号化するプロパティがなければキーを作成しない
+      let keyId = previousKeyId;
+      if (encrypted.length > 0) {
+        keyId = options.generateKey === false
+          ? (await this.security.keyRing.activeKey()).id
+          : await this.security.keyRing.addKey(options.keyId);
+      } else {
+        logger.info('ℹ️ 暗号化されたプロパティがないため、キーは変更しません');
+      }
+      const targets = encrypted.filter(entry => entry.envelope.keyId !== keyId);
+
+      // 元のキーごとに再暗号化し、進捗を記録
+      const progress = [];
+      for (const [sourceKeyId, entries] of Object.entries(_.groupBy(targets, entry => entry.envelope.keyId || LEGACY_KEY_LABEL))) {
+        const result = { keyId: sourceKeyId, total: entries.length, rotated: 0, failed: [] };
+        progress.push(result);
+
+        for (const { key, envelope } of entries) {
+          try {
+            const value = await this.security.decrypt(envelope.data, envelope.keyId);
+            await this.setSecureProperty(scriptId, key, value, true, { scope });
+            result.rotated++;
+          } catch (error) {
+            result.failed.push({ key, error: error.message });
+          }
+          logger.info(`🔁 ${sourceKeyId}: ${result.rotated + result.failed.length}/${result.total}件処理`);
+        }
+      }
+
+      const rotated = _.sumBy(progress, 'rotated');
+      const failed = _.sumBy(progress, result => result.failed.length);
+      logger.success(`✅ ${rotated}件のプロパティをキー「${keyId}」で再暗号化しました${failed > 0 ? `（失敗 ${failed}件）` : ''}`);
+
+      return {
+        scriptId: scriptId,
+        scope: scope,
+        keyId: keyId,
+        previousKeyId: previousKeyId,
+        generated: keyId !== previousKeyId,
+        alreadyCurrent: encrypted.length - targets.length,
+        rotated: rotated,
+        failed: failed,
+        progress: progress,
+        keys: this.security.keyRing.list(),
+        timestamp: new Date().toISOString()
+      };
+
+    } catch (error) {
+      logger.error(`❌ キーローテーションエラー: ${error.message}`);
+      throw new Error(`キーローテーション失敗: ${error.message}`);
+    }
+  }
+
   /**
    * プロパティのバックアップ
    */
-  async backupProperties(scriptId, includeEncrypted = false) {
+  async backupProperties(scriptId, includeEncrypted = false, options = {}) {
     try {
       logger.info('💾 プロパティバックアップ開始');
       
-      const properties = await this.getAllProperties(scriptId, !includeEncrypted);
+      const scope = normalizeScope(options.scope);
+      const properties = await this.getAllProperties(scriptId, !includeEncrypted, { scope });
       
       const backup = {
         timestamp: new Date().toISOString(),
         scriptId: scriptId,
+        scope: scope,
         propertyCount: Object.keys(properties).length,
         includeEncrypted: includeEncrypted,
         properties: properties,
@@ -494,11 +635,17 @@ function getAllProperties() {
 
   /**
    * プロパティの復元
+   *
+   * バックアップのプロパティを1回の実行でまとめて設定する（setPropertiesBulk）
+   * 復元先のスコープは options.scope、省略時はバックアップ時のスコープ
+   * options.dryRun / atomic / deleteAllOthers は setPropertiesBulk と同じ
    */
-  async restoreProperties(scriptId, backup, verifyChecksum = true) {
+  async restoreProperties(scriptId, backup, verifyChecksum = true, options = {}) {
     try {
       logger.info('🔄 プロパティ復元開始');
       
+      const scope = normalizeScope(options.scope || backup.scope);
+      
       if (verifyChecksum) {
         const currentChecksum = this.security.createHash(JSON.stringify(backup.properties));
         if (currentChecksum !== backup.checksum) {
@@ -506,16 +653,25 @@ function getAllProperties() {
         }
       }
 
-      let restoredCount = 0;
-      for (const [key, value] of Object.entries(backup.properties)) {
-        await this.setSecureProperty(scriptId, key, value, !backup.includeEncrypted);
-        restoredCount++;
-      }
+      const result = await this.setPropertiesBulk(scriptId, backup.properties, {
+        scope: scope,
+        encrypt: !backup.includeEncrypted,
+        deleteAllOthers: options.deleteAllOthers,
+        dryRun: options.dryRun,
+        atomic: options.atomic
+      });
       
-      logger.success(`✅ ${restoredCount}件のプロパティを復元しました`);
+      if (!result.dryRun) {
+        logger.success(`✅ ${result.written}件のプロパティを復元しました`);
+      }
       
       return {
-        restored: restoredCount,
+        restored: result.written,
+        unchanged: result.diff.unchanged.length,
+        dryRun: result.dryRun,
+        atomic: result.atomic,
+        diff: result.diff,
+        scope: scope,
         timestamp: new Date().toISOString()
       };
       
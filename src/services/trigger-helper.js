@@ -0,0 +1,237 @@
+/**
+ * トリガー操作ヘルパー
+ *
+ * Apps Script API（script v1）にはトリガーを操作するエンドポイントがないため、
+ * プロジェクトに一度だけ追加する共通のヘルパーファイル（__gasMcpTriggers）の関数を
+ * Apps Script API で実行し、ScriptApp でトリガーの一覧・作成・削除を行う
+ * - ScriptApp からは時間主導トリガーのスケジュールを取得できないため、
+ *   作成時の設定をスクリプトプロパティ（__gasMcpTrigger_<トリガーID>）に保存して一覧に含める
+ * - 他の方法で作成されたトリガーはスケジュールが不明なため clock を含まない
+ * - ScriptApp.getProjectTriggers() は実行ユーザーのトリガーのみ返す
+ * - ヘルパーのソースにはバージョンを埋め込み、古い場合のみ更新する
+ *
+ * Author: Utakata
+ */
+
+import { logger } from '../utils/logger.js';
+
+export const TRIGGER_HELPER_FILE_NAME = '__gasMcpTriggers';
+export const TRIGGER_HELPER_FUNCTION_NAME = '__gasMcpTriggers';
+export const TRIGGER_HELPER_VERSION = 1;
+export const TRIGGER_CONFIG_PREFIX = '__gasMcpTrigger_';
+
+const VERSION_PATTERN = /var __GAS_MCP_TRIGGERS_VERSION = (\d+);/;
+
+/**
+ * ヘルパーファイルのソースを生成
+ */
+export function generateTriggerHelperSource() {
+  return `/**
+ * Google Apps Script MCP Server のトリガー操作ヘルパー
+ * MCPサーバーが自動で管理するファイルです。編集・削除しないでください。
+ */
+var __GAS_MCP_TRIGGERS_VERSION = ${TRIGGER_HELPER_VERSION};
+var __GAS_MCP_TRIGGER_PREFIX = '${TRIGGER_CONFIG_PREFIX}';
+
+function __gasMcpTriggersDescribe_(trigger, config) {
+  var result = {
+    triggerId: trigger.getUniqueId(),
+    handlerFunction: trigger.getHandlerFunction(),
+    eventType: String(trigger.getEventType()),
+    triggerSource: String(trigger.getTriggerSource())
+  };
+  var sourceId = trigger.getTriggerSourceId();
+  if (sourceId) {
+    result.triggerSourceId = sourceId;
+  }
+  if (config && config.clock) {
+    result.clock = config.clock;
+  }
+  return result;
+}
+
+function __gasMcpTriggersBuild_(config) {
+  var builder = ScriptApp.newTrigger(config.handlerFunction);
+  if (config.triggerSource === 'CLOCK') {
+    var clock = config.clock;
+    var timeBased = builder.timeBased();
+    if (clock.at) {
+      timeBased.at(new Date(clock.at));
+    } else if (clock.everyMinutes) {
+      timeBased.everyMinutes(clock.everyMinutes);
+    } else if (clock.everyHours) {
+      timeBased.everyHours(clock.everyHours);
+    } else if (clock.everyDays) {
+      timeBased.everyDays(clock.everyDays);
+    } else if (clock.everyWeeks) {
+      timeBased.everyWeeks(clock.everyWeeks).onWeekDay(ScriptApp.WeekDay[clock.onWeekDay]);
+    }
+    if (clock.atHour !== undefined) {
+      timeBased.atHour(clock.atHour);
+    }
+    if (clock.nearMinute !== undefined) {
+      timeBased.nearMinute(clock.nearMinute);
+    }
+    if (clock.timeZone) {
+      timeBased.inTimezone(clock.timeZone);
+    }
+    return timeBased.create();
+  }
+
+  var source;
+  switch (config.triggerSource) {
+    case 'SPREADSHEETS':
+      source = builder.forSpreadsheet(config.triggerSourceId);
+      break;
+    case 'FORMS':
+      source = builder.forForm(config.triggerSourceId);
+      break;
+    case 'CALENDAR':
+      source = builder.forUserCalendar(config.triggerSourceId);
+      break;
+    default:
+      throw new Error('未対応のトリガーソースです: ' + config.triggerSource);
+  }
+  var events = { ON_OPEN: 'onOpen', ON_EDIT: 'onEdit', ON_CHANGE: 'onChange', ON_FORM_SUBMIT: 'onFormSubmit', ON_EVENT_UPDATED: 'onEventUpdated' };
+  var method = events[config.eventType];
+  if (!method || typeof source[method] !== 'function') {
+    throw new Error('未対応のイベントです: ' + config.triggerSource + ' / ' + config.eventType);
+  }
+  return source[method]().create();
+}
+
+function ${TRIGGER_HELPER_FUNCTION_NAME}(request) {
+  if (request.operation === 'version') {
+    return __GAS_MCP_TRIGGERS_VERSION;
+  }
+
+  var properties = PropertiesService.getScriptProperties();
+  switch (request.operation) {
+    case 'list':
+      var stored = properties.getProperties();
+      var ids = {};
+      var triggers = ScriptApp.getProjectTriggers().map(function (trigger) {
+        var id = trigger.getUniqueId();
+        var config = stored[__GAS_MCP_TRIGGER_PREFIX + id];
+        ids[id] = true;
+        return __gasMcpTriggersDescribe_(trigger, config ? JSON.parse(config) : null);
+      });
+      // スクリプトエディタなどで削除されたトリガーの設定を片付ける
+      Object.keys(stored).forEach(function (key) {
+        if (key.indexOf(__GAS_MCP_TRIGGER_PREFIX) === 0 && !ids[key.slice(__GAS_MCP_TRIGGER_PREFIX.length)]) {
+          properties.deleteProperty(key);
+        }
+      });
+      return triggers;
+    case 'create':
+      var trigger = __gasMcpTriggersBuild_(request.config);
+      properties.setProperty(__GAS_MCP_TRIGGER_PREFIX + trigger.getUniqueId(), JSON.stringify(request.config));
+      return __gasMcpTriggersDescribe_(trigger, request.config);
+    case 'delete':
+      var target = ScriptApp.getProjectTriggers().filter(function (trigger) {
+        return trigger.getUniqueId() === request.triggerId;
+      })[0];
+      if (!target) {
+        throw new Error('トリガーが見つかりません: ' + request.triggerId);
+      }
+      ScriptApp.deleteTrigger(target);
+      properties.deleteProperty(__GAS_MCP_TRIGGER_PREFIX + request.triggerId);
+      return { deleted: request.triggerId };
+    default:
+      throw new Error('未知のトリガー操作です: ' + request.operation);
+  }
+}
+`;
+}
+
+/**
+ * ヘルパーファイルのソースからバージョンを取得（不明なら null）
+ */
+export function parseTriggerHelperVersion(source) {
+  const match = VERSION_PATTERN.exec(source || '');
+  return match ? Number(match[1]) : null;
+}
+
+export class TriggerHelper {
+  constructor(gasApi) {
+    this.gasApi = gasApi;
+    // 最新のヘルパーを確認済みのスクリプトID
+    this.installed = new Set();
+    // スクリプトIDごとの実行中のインストール（同時に呼ばれても更新は1回にする）
+    this.installing = new Map();
+  }
+
+  /**
+   * ヘルパーがなければ追加し、古ければ更新する
+   *
+   * options.install が false の場合はプロジェクトを変更せず、ヘルパーがなければ例外にする
+   */
+  async ensureInstalled(scriptId, options = {}) {
+    if (this.installed.has(scriptId)) {
+      return;
+    }
+    if (!this.installing.has(scriptId)) {
+      this.installing.set(scriptId, this.install(scriptId, options));
+    }
+
+    const pending = this.installing.get(scriptId);
+    try {
+      await pending;
+    } finally {
+      // 失敗した場合も次回の呼び出しで再試行できるようにする
+      if (this.installing.get(scriptId) === pending) {
+        this.installing.delete(scriptId);
+      }
+    }
+  }
+
+  async install(scriptId, options = {}) {
+    const project = await this.gasApi.getProject(scriptId, null, { cache: 'bypass' });
+    const helper = project.files.find(file => file.name === TRIGGER_HELPER_FILE_NAME);
+    const version = helper ? parseTriggerHelperVersion(helper.source) : null;
+
+    // 新しいバージョンのサーバーが更新したヘルパーは互換性があるものとしてそのまま使う
+    if (version === null || version < TRIGGER_HELPER_VERSION) {
+      if (options.install === false) {
+        throw new Error(`トリガーヘルパー（${TRIGGER_HELPER_FILE_NAME} v${TRIGGER_HELPER_VERSION}）がプロジェクトにありません`);
+      }
+      logger.info(`🧩 トリガーヘルパーを${version === null ? '追加' : '更新'}します: ${TRIGGER_HELPER_FILE_NAME} v${TRIGGER_HELPER_VERSION}`);
+
+      const files = project.files.filter(file => file.name !== TRIGGER_HELPER_FILE_NAME);
+      files.push({ name: TRIGGER_HELPER_FILE_NAME, type: 'SERVER_JS', source: generateTriggerHelperSource() });
+      const result = await this.gasApi.updateProject(
+        scriptId,
+        { scriptId: scriptId, files: files },
+        { baseSnapshot: project.files, skipLint: true }
+      );
+      if (result.conflict) {
+        throw new Error('プロジェクトが同時に変更されたため、トリガーヘルパーを追加できませんでした。再実行してください');
+      }
+    }
+
+    this.installed.add(scriptId);
+  }
+
+  /**
+   * ヘルパー関数でトリガー操作を実行し、結果を返す
+   */
+  async call(scriptId, operation, request = {}, options = {}) {
+    await this.ensureInstalled(scriptId, options);
+
+    // ヘルパーはデプロイ済みのバージョンにないことがあるため、最新のコード（devMode）で実行する
+    let result;
+    try {
+      result = await this.gasApi.executeFunction(scriptId, TRIGGER_HELPER_FUNCTION_NAME, [{ operation, ...request }], true);
+    } catch (error) {
+      // プロジェクト全体の更新などでヘルパーが削除されている可能性があるため、次回は状態を確認し直す
+      this.installed.delete(scriptId);
+      throw error;
+    }
+    if (result.error) {
+      this.installed.delete(scriptId);
+      const message = result.error.details?.[0]?.errorMessage || result.error.message || JSON.stringify(result.error);
+      throw new Error(`${operation} の実行に失敗しました: ${message}`);
+    }
+    return result.response?.result;
+  }
+}
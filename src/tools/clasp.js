@@ -0,0 +1,464 @@
+/**
+ * Clasp統合ツール
+ *
+ * - clasp環境のセットアップ
+ * - プロジェクトの作成・クローン・プル
+ * - プッシュとデプロイ（Lintゲート対応）
+ *
+ * Author: Utakata
+ */
+
+import { ClaspService } from '../services/clasp-service-es6.js';
+import { getToolConfig } from '../utils/config.js';
+import { formatLintReport } from '../utils/gas-linter.js';
+
+async function claspSetup(args, context) {
+  try {
+    const result = await context.claspService.setupClasp(args);
+    
+    let text = `🔧 clasp環境セットアップ完了\n\n`;
+    
+    // インストール結果
+    if (result.installation) {
+      if (result.installation.status === 'already_installed') {
+        text += `📦 clasp: すでにインストール済み\n`;
+      } else if (result.installation.status === 'installed') {
+        text += `📦 clasp: グローバルインストール完了\n`;
+      }
+    }
+    
+    // バージョン情報
+    if (result.version) {
+      text += `🏷️ バージョン: ${result.version}\n`;
+    }
+    
+    // ログイン結果
+    if (result.login) {
+      if (result.login.status === 'already_logged_in') {
+        text += `🔐 ログイン: すでにログイン済み\n`;
+        if (result.login.user) {
+          text += `👤 ユーザー: ${result.login.user}\n`;
+        }
+      } else if (result.login.status === 'logged_in') {
+        text += `🔐 ログイン: 完了\n`;
+      }
+    }
+    
+    text += `\n✅ clasp準備完了！これでGoogle Apps Scriptプロジェクトの管理ができます。`;
+
+    return {
+      content: [
+        {
+          type: 'text',
+          text: text
+        }
+      ]
+    };
+  } catch (error) {
+    return {
+      content: [
+        {
+          type: 'text',
+          text: `❌ clasp環境セットアップエラー: ${error.message}`
+        }
+      ]
+    };
+  }
+}
+
+async function claspCreate(args, context) {
+  try {
+    const result = await context.claspService.createProject(args.projectName, args);
+    
+    let text = `📁 GASプロジェクト作成完了\n\n`;
+    text += `🎯 プロジェクト名: ${result.projectName}\n`;
+    text += `🆔 スクリプトID: ${result.scriptId}\n`;
+    text += `📂 タイプ: ${result.type}\n`;
+    text += `📁 ディレクトリ: ${result.projectDir}\n`;
+    text += `🔗 編集URL: https://script.google.com/d/${result.scriptId}/edit\n\n`;
+    
+    if (args.createInitialFiles !== false) {
+      text += `✨ 初期ファイル構造を作成しました\n`;
+      text += `- Code.js (メインスクリプト)\n`;
+      text += `- appsscript.json (マニフェスト)\n`;
+      if (result.type === 'webapp') {
+        text += `- index.html (Webアプリ用HTML)\n`;
+      }
+    }
+
+    return {
+      content: [
+        {
+          type: 'text',
+          text: text
+        }
+      ]
+    };
+  } catch (error) {
+    return {
+      content: [
+        {
+          type: 'text',
+          text: `❌ GASプロジェクト作成エラー: ${error.message}`
+        }
+      ]
+    };
+  }
+}
+
+async function claspClone(args, context) {
+  try {
+    const result = await context.claspService.cloneProject(args.scriptId, args);
+    
+    let text = `🔄 GASプロジェクトクローン完了\n\n`;
+    text += `🆔 スクリプトID: ${result.scriptId}\n`;
+    text += `📁 クローン先: ${result.cloneDir}\n`;
+    
+    if (result.projectInfo) {
+      text += `\n📊 プロジェクト情報:\n`;
+      for (const [key, value] of Object.entries(result.projectInfo)) {
+        text += `  ${key}: ${value}\n`;
+      }
+    }
+    
+    text += `\n✅ ローカル開発環境の準備完了！`;
+
+    return {
+      content: [
+        {
+          type: 'text',
+          text: text
+        }
+      ]
+    };
+  } catch (error) {
+    return {
+      content: [
+        {
+          type: 'text',
+          text: `❌ GASプロジェクトクローンエラー: ${error.message}`
+        }
+      ]
+    };
+  }
+}
+
+async function claspPull(args, context) {
+  try {
+    const result = await context.claspService.pullChanges(args.projectDir, args);
+    
+    let text = `📥 リモート変更取得完了\n\n`;
+    text += `📁 プロジェクト: ${result.projectDir}\n`;
+    
+    if (result.environment) {
+      text += `🔄 環境: ${result.environment}\n`;
+    }
+    
+    text += `📄 更新ファイル数: ${result.changedFiles.length}\n`;
+    
+    if (result.changedFiles.length > 0) {
+      text += `\n📂 更新されたファイル:\n`;
+      result.changedFiles.forEach(file => {
+        text += `  - ${file}\n`;
+      });
+    }
+
+    return {
+      content: [
+        {
+          type: 'text',
+          text: text
+        }
+      ]
+    };
+  } catch (error) {
+    return {
+      content: [
+        {
+          type: 'text',
+          text: `❌ リモート変更取得エラー: ${error.message}`
+        }
+      ]
+    };
+  }
+}
+
+async function claspPushAndDeploy(args, context) {
+  try {
+    // プッシュ前のLintゲート（config の lint_gas_project.prePushGate が有効な場合のみ）
+    if (getToolConfig('lint_gas_project').prePushGate) {
+      const lint = await context.gasApi.lintProject(null, { projectDir: args.projectDir || '.' });
+      if (lint.errorCount > 0) {
+        return {
+          content: [
+            {
+              type: 'text',
+              text: `❌ Lintエラーのためプッシュを中止しました\n\n${formatLintReport(lint)}`
+            }
+          ]
+        };
+      }
+    }
+
+    const result = await context.claspService.pushAndDeploy(args.projectDir, args);
+    
+    let text = `📤 プッシュ・デプロイ完了\n\n`;
+    text += `📁 プロジェクト: ${result.projectDir}\n`;
+    
+    if (result.environment) {
+      text += `🔄 環境: ${result.environment}\n`;
+    }
+    
+    text += `✅ プッシュ: 完了\n`;
+    
+    if (result.deployOutput) {
+      text += `🚀 デプロイ: 完了\n`;
+      if (result.deployUrl) {
+        text += `🌐 デプロイURL: ${result.deployUrl}\n`;
+      }
+    }
+
+    return {
+      content: [
+        {
+          type: 'text',
+          text: text
+        }
+      ]
+    };
+  } catch (error) {
+    return {
+      content: [
+        {
+          type: 'text',
+          text: `❌ プッシュ・デプロイエラー: ${error.message}`
+        }
+      ]
+    };
+  }
+}
+
+async function claspList(args, context) {
+  try {
+    const result = await context.claspService.listProjects(args);
+    
+    let text = `📋 GASプロジェクト一覧 (${result.count}件)\n\n`;
+    
+    if (result.projects.length > 0) {
+      result.projects.forEach((project, index) => {
+        text += `${index + 1}. **${project.name}**\n`;
+        text += `   🆔 ID: ${project.scriptId}\n`;
+        text += `   🔗 URL: https://script.google.com/d/${project.scriptId}/edit\n\n`;
+      });
+    } else {
+      text += `プロジェクトが見つかりませんでした。\n`;
+      text += `新しいプロジェクトを作成するには \`clasp_create\` ツールを使用してください。`;
+    }
+
+    return {
+      content: [
+        {
+          type: 'text',
+          text: text
+        }
+      ]
+    };
+  } catch (error) {
+    return {
+      content: [
+        {
+          type: 'text',
+          text: `❌ GASプロジェクト一覧取得エラー: ${error.message}`
+        }
+      ]
+    };
+  }
+}
+
+export default {
+  name: 'clasp',
+  description: 'claspによるローカル開発（セットアップ・クローン・プッシュ・デプロイ）',
+  setup(context) {
+    context.claspService = new ClaspService();
+  },
+  tools: [
+    {
+      name: 'clasp_setup',
+      description: 'clasp環境のセットアップ（claspのインストール、ログイン）を行います',
+      inputSchema: {
+        type: 'object',
+        properties: {
+          autoInstall: {
+            type: 'boolean',
+            description: '自動インストールするかどうか',
+            default: true
+          },
+          autoLogin: {
+            type: 'boolean',
+            description: '自動ログインするかどうか',
+            default: true
+          },
+          loginOptions: {
+            type: 'object',
+            properties: {
+              noLocalhost: {
+                type: 'boolean',
+                description: 'ローカルホストを使用しないかどうか'
+              },
+              creds: {
+                type: 'string',
+                description: '認証情報ファイルのパス'
+              }
+            }
+          }
+        }
+      },
+      handler: claspSetup,
+      requiresAuth: false
+    },
+    {
+      name: 'clasp_create',
+      description: '新しいGoogle Apps Scriptプロジェクトを作成します',
+      inputSchema: {
+        type: 'object',
+        properties: {
+          projectName: {
+            type: 'string',
+            description: 'プロジェクト名'
+          },
+          type: {
+            type: 'string',
+            enum: ['standalone', 'webapp', 'api', 'sheets', 'docs', 'slides', 'forms'],
+            description: 'プロジェクトタイプ',
+            default: 'standalone'
+          },
+          title: {
+            type: 'string',
+            description: 'プロジェクトタイトル'
+          },
+          directory: {
+            type: 'string',
+            description: 'プロジェクトディレクトリ'
+          },
+          parentId: {
+            type: 'string',
+            description: 'Google Driveの親フォルダID'
+          },
+          createInitialFiles: {
+            type: 'boolean',
+            description: '初期ファイルを作成するかどうか',
+            default: true
+          }
+        },
+        required: ['projectName']
+      },
+      handler: claspCreate,
+      requiresAuth: false
+    },
+    {
+      name: 'clasp_clone',
+      description: '既存のGoogle Apps Scriptプロジェクトをクローンします',
+      inputSchema: {
+        type: 'object',
+        properties: {
+          scriptId: {
+            type: 'string',
+            description: 'スクリプトID'
+          },
+          directory: {
+            type: 'string',
+            description: 'クローン先ディレクトリ'
+          }
+        },
+        required: ['scriptId']
+      },
+      handler: claspClone,
+      requiresAuth: false
+    },
+    {
+      name: 'clasp_pull',
+      description: 'リモートの変更をローカルプロジェクトに取得します（環境切替対応）',
+      inputSchema: {
+        type: 'object',
+        properties: {
+          projectDir: {
+            type: 'string',
+            description: 'プロジェクトディレクトリ'
+          },
+          environment: {
+            type: 'string',
+            enum: ['development', 'staging', 'production'],
+            description: '対象環境'
+          },
+          versionNumber: {
+            type: 'number',
+            description: '取得するバージョン番号'
+          }
+        },
+        required: ['projectDir']
+      },
+      handler: claspPull,
+      requiresAuth: false
+    },
+    {
+      name: 'clasp_push_and_deploy',
+      description: 'ローカルの変更をプッシュし、必要に応じてデプロイします（環境切替対応）',
+      inputSchema: {
+        type: 'object',
+        properties: {
+          projectDir: {
+            type: 'string',
+            description: 'プロジェクトディレクトリ'
+          },
+          environment: {
+            type: 'string',
+            enum: ['development', 'staging', 'production'],
+            description: '対象環境'
+          },
+          deploy: {
+            type: 'boolean',
+            description: 'デプロイも実行するかどうか',
+            default: true
+          },
+          force: {
+            type: 'boolean',
+            description: '強制プッシュするかどうか',
+            default: false
+          },
+          watch: {
+            type: 'boolean',
+            description: 'ウォッチモードで実行するかどうか',
+            default: false
+          },
+          deployDescription: {
+            type: 'string',
+            description: 'デプロイの説明'
+          },
+          versionNumber: {
+            type: 'number',
+            description: 'デプロイするバージョン番号'
+          }
+        },
+        required: ['projectDir']
+      },
+      handler: claspPushAndDeploy,
+      requiresAuth: false
+    },
+    {
+      name: 'clasp_list',
+      description: 'アカウントに紐づくGoogle Apps Scriptプロジェクトの一覧を表示します',
+      inputSchema: {
+        type: 'object',
+        properties: {
+          includeDetails: {
+            type: 'boolean',
+            description: '詳細情報も取得するかどうか',
+            default: false
+          }
+        }
+      },
+      handler: claspList,
+      requiresAuth: false
+    }
+  ]
+};
@@ -0,0 +1,283 @@
+/**
+ * デプロイ管理ツール
+ *
+ * - Webアプリのデプロイ
+ * - デプロイの一覧・更新・昇格・削除
+ * - バージョンの作成・一覧・比較
+ *
+ * Author: Utakata
+ */
+
+async function deployGasWebApp(args, context) {
+  const result = await context.gasApi.deployWebApp(
+    args.scriptId,
+    args.versionNumber,
+    args.manifestFileName,
+    args.description
+  );
+  
+  return {
+    content: [
+      {
+        type: 'text',
+        text: `🚀 Webアプリをデプロイしました\n\n` +
+              `🆔 デプロイID: ${result.deploymentId}\n` +
+              `🌐 URL: ${result.entryPoints?.[0]?.webApp?.url || 'N/A'}\n` +
+              `📝 説明: ${args.description || 'なし'}`
+      }
+    ]
+  };
+}
+
+async function manageGasDeployments(args, context) {
+  const result = await context.gasApi.manageDeployments(
+    args.scriptId,
+    args.action,
+    args.deploymentId,
+    args.versionNumber,
+    args.description
+  );
+  
+  let text = `🚀 デプロイメント管理: ${args.action}\n\n`;
+  
+  switch (args.action) {
+    case 'list':
+      if (result.deployments && result.deployments.length > 0) {
+        result.deployments.forEach((deployment, index) => {
+          const version = deployment.deploymentConfig?.versionNumber;
+          text += `${index + 1}. ${deployment.deploymentId}\n`;
+          text += `   📊 バージョン: ${version ? `v${version}` : 'HEAD'}\n`;
+          text += `   📝 説明: ${deployment.deploymentConfig?.description || 'なし'}\n`;
+          text += `   📅 更新日時: ${deployment.updateTime}\n\n`;
+        });
+      } else {
+        text += 'デプロイメントはありません。';
+      }
+      break;
+    case 'get':
+      text += `🆔 ID: ${result.deploymentId}\n`;
+      text += `📊 バージョン: ${result.deploymentConfig?.versionNumber ? `v${result.deploymentConfig.versionNumber}` : 'HEAD'}\n`;
+      text += `📝 説明: ${result.deploymentConfig?.description || 'なし'}\n`;
+      text += `📅 更新日時: ${result.updateTime}\n`;
+      (result.entryPoints || []).forEach(entryPoint => {
+        text += `🔗 ${entryPoint.entryPointType}: ${entryPoint.webApp?.url || 'N/A'}\n`;
+      });
+      break;
+    case 'update':
+    case 'promote':
+      text += `✅ デプロイメントを更新しました（URLは変わりません）\n`;
+      text += `🆔 ID: ${result.deploymentId}\n`;
+      text += `📊 バージョン: v${result.previousVersion} → v${result.versionNumber}\n`;
+      text += `🌐 URL: ${result.entryPoints?.find(e => e.webApp)?.webApp?.url || 'N/A'}`;
+      break;
+    case 'delete':
+      text += `✅ デプロイメントを削除しました\n🆔 ID: ${result.deleted}\n📊 バージョン: v${result.versionNumber}`;
+      break;
+  }
+
+  return {
+    content: [
+      {
+        type: 'text',
+        text: text
+      }
+    ]
+  };
+}
+
+async function createGasVersion(args, context) {
+  const result = await context.gasApi.createVersion(args.scriptId, args.description);
+  
+  return {
+    content: [
+      {
+        type: 'text',
+        text: `🏷️ バージョンを作成しました\n\n` +
+              `📊 バージョン番号: ${result.versionNumber}\n` +
+              `📝 説明: ${result.description || 'なし'}\n` +
+              `📅 作成日時: ${result.createTime}`
+      }
+    ]
+  };
+}
+
+async function listGasVersions(args, context) {
+  const versions = args.versionNumber
+    ? [await context.gasApi.getVersion(args.scriptId, args.versionNumber)]
+    : (await context.gasApi.listVersions(args.scriptId)).versions;
+  
+  let text = `🏷️ バージョン一覧 (${versions.length}件)\n\n`;
+  
+  if (versions.length > 0) {
+    versions.forEach(version => {
+      text += `- **v${version.versionNumber}** ${version.description || ''}\n`;
+      text += `   📅 作成日時: ${version.createTime}\n`;
+    });
+  } else {
+    text += 'バージョンはまだ作成されていません。';
+  }
+
+  return {
+    content: [
+      {
+        type: 'text',
+        text: text
+      }
+    ]
+  };
+}
+
+async function diffGasVersions(args, context) {
+  const result = await context.gasApi.diffVersions(
+    args.scriptId,
+    args.fromVersion,
+    args.toVersion ?? null
+  );
+  
+  let text = `🔍 バージョン差分: ${result.from} → ${result.to}\n\n`;
+  text += `➕ 追加: ${result.summary.added} / ➖ 削除: ${result.summary.removed} / ✏️ 変更: ${result.summary.modified} / ＝ 変更なし: ${result.summary.unchanged}\n`;
+  
+  if (result.files.length === 0) {
+    text += '\n差分はありません。';
+  }
+  result.files.forEach(file => {
+    text += `\n### ${file.name} [${file.change}]\n\`\`\`diff\n${file.diff}\`\`\`\n`;
+  });
+
+  return {
+    content: [
+      {
+        type: 'text',
+        text: text
+      }
+    ]
+  };
+}
+
+export default {
+  name: 'deployments',
+  description: 'Webアプリのデプロイ、デプロイ・バージョン管理',
+  tools: [
+    {
+      name: 'deploy_gas_webapp',
+      description: 'Google Apps ScriptをWebアプリとしてデプロイします',
+      inputSchema: {
+        type: 'object',
+        properties: {
+          scriptId: {
+            type: 'string',
+            description: 'スクリプトID'
+          },
+          versionNumber: {
+            type: 'number',
+            description: 'デプロイするバージョン番号'
+          },
+          manifestFileName: {
+            type: 'string',
+            description: 'マニフェストファイル名',
+            default: 'appsscript'
+          },
+          description: {
+            type: 'string',
+            description: 'デプロイメントの説明'
+          }
+        },
+        required: ['scriptId']
+      },
+      handler: deployGasWebApp
+    },
+    {
+      name: 'manage_gas_deployments',
+      description: 'Google Apps Scriptのデプロイメントを管理します（一覧・取得・更新・削除・昇格）',
+      inputSchema: {
+        type: 'object',
+        properties: {
+          scriptId: {
+            type: 'string',
+            description: 'スクリプトID'
+          },
+          action: {
+            type: 'string',
+            enum: ['list', 'get', 'update', 'delete', 'promote'],
+            description: '実行するアクション（promote: 固定のデプロイメントIDを新しいバージョンに付け替え）'
+          },
+          deploymentId: {
+            type: 'string',
+            description: 'デプロイメントID（list以外）'
+          },
+          versionNumber: {
+            type: 'number',
+            description: 'バージョン番号（updateでは必須、promoteでは省略時に最新バージョン）'
+          },
+          description: {
+            type: 'string',
+            description: 'デプロイメントの説明（update/promote）'
+          }
+        },
+        required: ['scriptId', 'action']
+      },
+      handler: manageGasDeployments
+    },
+    {
+      name: 'create_gas_version',
+      description: 'Google Apps Scriptプロジェクトのイミュータブルなバージョンを作成します',
+      inputSchema: {
+        type: 'object',
+        properties: {
+          scriptId: {
+            type: 'string',
+            description: 'スクリプトID'
+          },
+          description: {
+            type: 'string',
+            description: 'バージョンの説明'
+          }
+        },
+        required: ['scriptId']
+      },
+      handler: createGasVersion
+    },
+    {
+      name: 'list_gas_versions',
+      description: 'Google Apps Scriptプロジェクトのバージョン一覧を取得します',
+      inputSchema: {
+        type: 'object',
+        properties: {
+          scriptId: {
+            type: 'string',
+            description: 'スクリプトID'
+          },
+          versionNumber: {
+            type: 'number',
+            description: '指定した場合はそのバージョンの詳細のみ取得'
+          }
+        },
+        required: ['scriptId']
+      },
+      handler: listGasVersions
+    },
+    {
+      name: 'diff_gas_versions',
+      description: '2つのバージョン間、またはバージョンとHEAD間のファイル差分を取得します',
+      inputSchema: {
+        type: 'object',
+        properties: {
+          scriptId: {
+            type: 'string',
+            description: 'スクリプトID'
+          },
+          fromVersion: {
+            type: 'number',
+            description: '比較元のバージョン番号'
+          },
+          toVersion: {
+            type: 'number',
+            description: '比較先のバージョン番号（省略時はHEAD）'
+          }
+        },
+        required: ['scriptId', 'fromVersion']
+      },
+      handler: diffGasVersions
+    }
+  ]
+};
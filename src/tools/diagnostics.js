@@ -0,0 +1,226 @@
+/**
+ * 診断ツール
+ *
+ * - 実行メトリクス
+ * - 静的解析（Lint）
+ * - 実行環境・設定のチェック
+ *
+ * Author: Utakata
+ */
+
+import fs from 'fs-extra';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { getConfigReport } from '../utils/config.js';
+import { formatLintReport } from '../utils/gas-linter.js';
+import { detectAuthMethod } from '../utils/validation.js';
+
+const ROOT_DIR = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '../..');
+
+async function getGasMetrics(args, context) {
+  const result = await context.gasApi.getMetrics(args.scriptId, args.granularity, args.deploymentId);
+  const signed = value => value === null ? '-' : `${value > 0 ? '+' : ''}${value}`;
+
+  let text = `📈 プロジェクトメトリクス（${result.granularity === 'DAILY' ? '日次' : '週次'}）\n\n`;
+  text += `🆔 ID: ${result.scriptId}\n`;
+  if (result.deploymentId) {
+    text += `🚀 デプロイメント: ${result.deploymentId}\n`;
+  }
+  text += '\n';
+
+  if (result.series.length === 0) {
+    text += 'メトリクスがありません。';
+  } else {
+    text += `| 期間開始 | アクティブユーザー | 実行数 | 失敗数 | 失敗率 |\n`;
+    text += `|---|---|---|---|---|\n`;
+    result.series.forEach(point => {
+      text += `| ${point.startTime} | ${point.activeUsers} | ${point.totalExecutions} | ${point.failedExecutions} | ${point.failureRate}% |\n`;
+    });
+
+    text += `\n📊 合計: 実行 ${result.totals.totalExecutions}件 / 失敗 ${result.totals.failedExecutions}件 / 失敗率 ${result.totals.failureRate}%\n`;
+    text += `👥 平均アクティブユーザー: ${result.totals.activeUsers}\n`;
+
+    const wow = result.weekOverWeek;
+    if (wow) {
+      text += `\n📅 前週比:\n`;
+      text += `   • アクティブユーザー: ${wow.activeUsers.previous} → ${wow.activeUsers.current} (${signed(wow.activeUsers.delta)}, ${signed(wow.activeUsers.deltaPercent)}%)\n`;
+      text += `   • 実行数: ${wow.totalExecutions.previous} → ${wow.totalExecutions.current} (${signed(wow.totalExecutions.delta)}, ${signed(wow.totalExecutions.deltaPercent)}%)\n`;
+      text += `   • 失敗数: ${wow.failedExecutions.previous} → ${wow.failedExecutions.current} (${signed(wow.failedExecutions.delta)}, ${signed(wow.failedExecutions.deltaPercent)}%)\n`;
+      text += `   • 失敗率: ${wow.failureRate.previous}% → ${wow.failureRate.current}% (${signed(wow.failureRate.delta)}pt)\n`;
+    } else {
+      text += `\n📅 前週比: データが不足しています`;
+    }
+  }
+
+  return {
+    content: [
+      {
+        type: 'text',
+        text: text
+      }
+    ]
+  };
+}
+
+async function lintGasProject(args, context) {
+  const result = await context.gasApi.lintProject(args.scriptId, {
+    projectDir: args.projectDir,
+    runtimeVersion: args.runtimeVersion
+  });
+
+  let text = `🔎 静的解析: ${result.projectDir || result.scriptId}\n\n`;
+  text += formatLintReport(result);
+
+  return {
+    content: [
+      {
+        type: 'text',
+        text: text
+      }
+    ]
+  };
+}
+
+async function dependencyCheck(args, context) {
+  const packageInfo = await fs.readJson(path.join(ROOT_DIR, 'package.json'));
+
+  // 読み込むと副作用のあるパッケージ（CLIなど）もあるため、インストール状況のみ確認する
+  const dependencies = await Promise.all(Object.keys(packageInfo.dependencies || {}).map(async name => {
+    const manifestPath = path.join(ROOT_DIR, 'node_modules', name, 'package.json');
+    const installed = await fs.pathExists(manifestPath);
+    return { name, version: installed ? (await fs.readJson(manifestPath)).version : null };
+  }));
+  const missing = dependencies.filter(dependency => !dependency.version);
+  const authMethod = detectAuthMethod();
+  const configReport = getConfigReport();
+
+  let text = `🩺 実行環境チェック\n\n`;
+  text += `📦 ${packageInfo.name} v${packageInfo.version}\n`;
+  text += `🟢 Node.js: ${process.version}（${process.platform}/${process.arch}）\n`;
+  text += `🔐 認証方法: ${authMethod.description}\n`;
+  text += `🧩 有効なモジュール: ${context.registry.moduleNames().join(', ')}\n`;
+  text += `⚙️ 設定の読み込み元: ${configReport.sources.join(' → ')}\n`;
+  text += `📚 依存パッケージ: ${dependencies.length - missing.length}/${dependencies.length}件インストール済み\n`;
+
+  (args.detailed ? dependencies : missing).forEach(dependency => {
+    text += `  ${dependency.version ? '✅' : '❌'} ${dependency.name}${dependency.version ? ` ${dependency.version}` : '（未インストール）'}\n`;
+  });
+
+  if (configReport.errors.length > 0 || configReport.warnings.length > 0) {
+    text += `\n⚙️ 設定の問題:\n`;
+    configReport.errors.forEach(error => {
+      text += `  ❌ ${error}\n`;
+    });
+    configReport.warnings.forEach(warning => {
+      text += `  ⚠️ ${warning}\n`;
+    });
+  }
+
+  if (missing.length > 0) {
+    text += `\n💡 npm install を実行して依存パッケージをインストールしてください`;
+  }
+
+  return {
+    content: [
+      {
+        type: 'text',
+        text: text
+      }
+    ]
+  };
+}
+
+export default {
+  name: 'diagnostics',
+  description: 'メトリクス、静的解析、実行環境のチェック',
+  tools: [
+    {
+      name: 'get_gas_metrics',
+      description: 'プロジェクトのメトリクス（アクティブユーザー・実行数・失敗数）を時系列で取得し、失敗率と前週比を算出します',
+      inputSchema: {
+        type: 'object',
+        properties: {
+          scriptId: {
+            type: 'string',
+            description: 'スクリプトID'
+          },
+          granularity: {
+            type: 'string',
+            enum: ['daily', 'weekly'],
+            description: '集計単位',
+            default: 'weekly'
+          },
+          deploymentId: {
+            type: 'string',
+            description: 'デプロイメントIDで絞り込み'
+          }
+        },
+        required: ['scriptId']
+      },
+      handler: getGasMetrics
+    },
+    {
+      name: 'lint_gas_project',
+      description: 'プロジェクトのソースを静的解析し、構文エラー・グローバル名の重複・ランタイム非対応の構文・未定義の関数呼び出し・ループ内のスプレッドシートアクセスを報告します',
+      inputSchema: {
+        type: 'object',
+        properties: {
+          scriptId: {
+            type: 'string',
+            description: 'スクリプトID（projectDir を指定しない場合は必須）'
+          },
+          projectDir: {
+            type: 'string',
+            description: 'claspプロジェクトのディレクトリ（指定時はローカルのファイルを解析）'
+          },
+          runtimeVersion: {
+            type: 'string',
+            enum: ['V8', 'STABLE', 'DEPRECATED_ES5'],
+            description: '解析に使うランタイム（省略時はマニフェストの runtimeVersion）'
+          }
+        }
+      },
+      handler: lintGasProject,
+      // claspディレクトリを指定した解析はローカルのファイルのみ参照
+      requiresAuth: args => !args.projectDir
+    },
+    {
+      name: 'dependency_check',
+      description: 'Node.js・依存パッケージ・認証情報・設定など実行環境の状態を確認します',
+      inputSchema: {
+        type: 'object',
+        properties: {
+          detailed: {
+            type: 'boolean',
+            description: 'インストール済みの依存パッケージもバージョン付きで表示する',
+            default: false
+          }
+        }
+      },
+      handler: dependencyCheck,
+      requiresAuth: false
+    },
+    {
+      // 従来の Smart Runtime 版（src/index-smart-runtime.js）のツール名との互換用
+      // 依存パッケージの自動インストールは行わない（未インストールのものは npm install を案内する）
+      name: 'smart_dependency_check',
+      description: 'dependency_check の旧名です。実行環境の状態を確認します（依存パッケージの自動インストールは行いません）',
+      inputSchema: {
+        type: 'object',
+        properties: {
+          detailed: {
+            type: 'boolean',
+            description: 'インストール済みの依存パッケージもバージョン付きで表示する',
+            default: false
+          },
+          force_reinstall: {
+            type: 'boolean',
+            description: '互換用（無視されます）。依存パッケージは npm install でインストールしてください'
+          }
+        }
+      },
+      handler: dependencyCheck,
+      requiresAuth: false
+    }
+  ]
+};
@@ -0,0 +1,322 @@
+/**
+ * 関数実行ツール
+ *
+ * - 関数の実行（Apps Script API・ローカルランタイム）
+ * - 関数カタログ
+ * - 実行ログの取得と集計
+ *
+ * Author: Utakata
+ */
+
+import _ from 'lodash';
+
+// get_gas_logs で一覧表示するプロセス数（集計は全件）
+const MAX_LISTED_PROCESSES = 50;
+
+async function executeGasFunction(args, context) {
+  const result = await context.gasApi.executeFunction(
+    args.scriptId,
+    args.function,
+    args.parameters || [],
+    args.devMode,
+    { runtime: args.runtime, projectDir: args.projectDir }
+  );
+  
+  let text = `🚀 関数実行: ${args.function}${args.runtime === 'local' ? '（ローカル）' : ''}\n\n`;
+  
+  if (result.error) {
+    text += `❌ エラーが発生しました:\n${JSON.stringify(result.error, null, 2)}`;
+  } else {
+    text += `✅ 実行成功\n`;
+    if (result.response && result.response.result !== undefined) {
+      text += `📊 戻り値:\n\`\`\`json\n${JSON.stringify(result.response.result, null, 2)}\n\`\`\``;
+    }
+  }
+
+  if (result.logs && result.logs.length > 0) {
+    text += `\n\n📝 ログ:\n`;
+    result.logs.forEach(entry => {
+      text += `  [${entry.level}] ${entry.message}\n`;
+    });
+  }
+
+  return {
+    content: [
+      {
+        type: 'text',
+        text: text
+      }
+    ]
+  };
+}
+
+async function listGasFunctions(args, context) {
+  const result = await context.gasApi.listFunctions(args.scriptId, {
+    projectDir: args.projectDir
+  });
+
+  let text = `📚 関数カタログ: ${result.projectDir || result.scriptId} (${result.functions.length}件)\n`;
+  text += `🔌 実行API: ${result.executionApi ? `有効（${result.executionApi.access}）` : '無効'}\n`;
+  if (!result.triggersChecked) {
+    text += `ℹ️ インストール済みトリガーは照合していません\n`;
+  }
+
+  Object.entries(_.groupBy(result.functions, 'file')).forEach(([file, functions]) => {
+    text += `\n### ${file}\n`;
+    functions.forEach(fn => {
+      const flags = [
+        fn.flags.private && 'プライベート',
+        fn.flags.simpleTrigger && 'シンプルトリガー',
+        fn.flags.installedTrigger && 'トリガー',
+        fn.flags.apiCallable && '実行API'
+      ].filter(Boolean);
+      text += `• ${fn.name}(${fn.paramNames.join(', ')}) - ${fn.line}行目${flags.length > 0 ? ` [${flags.join(' / ')}]` : ''}\n`;
+      if (fn.summary) {
+        text += `   ${fn.summary}\n`;
+      }
+    });
+  });
+
+  if (result.errors.length > 0) {
+    text += `\n❌ 解析できなかったファイル:\n${result.errors.map(e => `   • ${e.file}${e.line ? `:${e.line}` : ''} ${e.message}`).join('\n')}\n`;
+  }
+
+  return {
+    content: [
+      {
+        type: 'text',
+        text: text
+      }
+    ]
+  };
+}
+
+async function getGasLogs(args, context) {
+  const filter = _.pick(args, [
+    'functionName', 'statuses', 'types', 'userAccessLevels', 'deploymentId', 'since', 'startTime', 'endTime'
+  ]);
+  const result = args.follow
+    ? await context.gasApi.followLogs(args.scriptId, filter, {
+        duration: args.followSeconds,
+        interval: args.pollIntervalSeconds,
+        maxResults: args.maxResults
+      })
+    : await context.gasApi.getLogs(args.scriptId, filter, {
+        pageSize: args.pageSize,
+        pageToken: args.pageToken,
+        maxResults: args.maxResults
+      });
+  const { summary } = result;
+  
+  let text = args.follow
+    ? `👀 実行ログ（追跡: ${result.polls}回ポーリング${result.statusChanges > 0 ? ` / ステータス変化 ${result.statusChanges}件` : ''}）\n\n`
+    : `📊 実行ログ\n\n`;
+
+  text += `📈 集計: ${summary.total}件（失敗 ${summary.failed}件）\n`;
+  Object.entries(summary.byStatus).forEach(([status, count]) => {
+    text += `   • ${status}: ${count}\n`;
+  });
+
+  const functions = _.orderBy(Object.entries(summary.byFunction), [([, entry]) => entry.failed, ([, entry]) => entry.total], ['desc', 'desc']);
+  if (functions.length > 0) {
+    text += `\n🔧 関数別:\n`;
+    functions.forEach(([functionName, entry]) => {
+      const statuses = Object.entries(entry.byStatus).map(([status, count]) => `${status}: ${count}`).join(', ');
+      text += `   • ${functionName}: ${entry.total}件${entry.failed > 0 ? ` ❌ 失敗 ${entry.failed}件` : ''}（${statuses}）\n`;
+    });
+  }
+  text += '\n';
+  
+  if (result.executions && result.executions.length > 0) {
+    result.executions.slice(0, MAX_LISTED_PROCESSES).forEach((execution, index) => {
+      text += `${index + 1}. **${execution.functionName}**\n`;
+      text += `   📅 開始日時: ${execution.startTime}\n`;
+      text += `   ⏱️ 実行時間: ${execution.duration}\n`;
+      text += `   📊 ステータス: ${execution.processStatus}\n`;
+      text += `   🏷️ 種類: ${execution.processType}\n`;
+      if (execution.userAccessLevel) {
+        text += `   👤 アクセスレベル: ${execution.userAccessLevel}\n`;
+      }
+      text += '\n';
+    });
+    if (result.executions.length > MAX_LISTED_PROCESSES) {
+      text += `…ほか${result.executions.length - MAX_LISTED_PROCESSES}件（集計には含まれています）\n\n`;
+    }
+  } else {
+    text += 'ログがありません。\n\n';
+  }
+
+  if (result.truncated) {
+    text += `📄 続きがあります（pageToken: ${result.nextPageToken}）\n`;
+  }
+  if (result.lastStartTime) {
+    text += `🕒 最後に確認した開始日時: ${result.lastStartTime}（startTime に指定すると続きから取得できます）`;
+  }
+
+  return {
+    content: [
+      {
+        type: 'text',
+        text: text
+      }
+    ]
+  };
+}
+
+export default {
+  name: 'execution',
+  description: '関数の実行、関数カタログ、実行ログ',
+  tools: [
+    {
+      name: 'execute_gas_function',
+      description: 'Google Apps Script関数を実行します',
+      inputSchema: {
+        type: 'object',
+        properties: {
+          scriptId: {
+            type: 'string',
+            description: 'スクリプトID'
+          },
+          function: {
+            type: 'string',
+            description: '実行する関数名'
+          },
+          parameters: {
+            type: 'array',
+            description: '関数の引数',
+            items: {
+              type: 'any'
+            }
+          },
+          devMode: {
+            type: 'boolean',
+            description: '開発モードで実行するか',
+            default: false
+          },
+          runtime: {
+            type: 'string',
+            enum: ['remote', 'local'],
+            description: '実行環境（remote: scripts.run / local: ローカルエミュレーター。ローカル実行はサーバーのプロセスから分離されないため、信頼できるコードのみ実行してください）',
+            default: 'remote'
+          },
+          projectDir: {
+            type: 'string',
+            description: 'ローカル実行時に読み込むclaspプロジェクトディレクトリ（省略時はAPIから取得）'
+          }
+        },
+        required: ['scriptId', 'function']
+      },
+      handler: executeGasFunction,
+      // claspディレクトリを指定したローカル実行はGoogleに接続しない
+      requiresAuth: args => !(args.runtime === 'local' && Boolean(args.projectDir))
+    },
+    {
+      name: 'list_gas_functions',
+      description: 'プロジェクトのトップレベル関数を、ファイル・行番号・引数・JSDocの概要・フラグ（プライベート/シンプルトリガー/インストール済みトリガー/実行APIで呼び出し可能）付きで一覧表示します',
+      inputSchema: {
+        type: 'object',
+        properties: {
+          scriptId: {
+            type: 'string',
+            description: 'スクリプトID（projectDir を指定しない場合は必須）'
+          },
+          projectDir: {
+            type: 'string',
+            description: 'claspプロジェクトのディレクトリ（指定時はローカルのファイルを解析）'
+          }
+        }
+      },
+      handler: listGasFunctions,
+      // claspディレクトリを指定した解析はローカルのファイルのみ参照
+      requiresAuth: args => !args.projectDir
+    },
+    {
+      name: 'get_gas_logs',
+      description: 'Google Apps Scriptの実行ログ（プロセス）を関数名・ステータス・種類・期間で絞り込んで取得し、ステータス別・関数別に集計します',
+      inputSchema: {
+        type: 'object',
+        properties: {
+          scriptId: {
+            type: 'string',
+            description: 'スクリプトID'
+          },
+          functionName: {
+            type: 'string',
+            description: '関数名'
+          },
+          statuses: {
+            type: 'array',
+            items: {
+              type: 'string',
+              enum: ['RUNNING', 'PAUSED', 'COMPLETED', 'CANCELED', 'FAILED', 'TIMED_OUT', 'UNKNOWN', 'DELAYED', 'EXECUTION_DISABLED']
+            },
+            description: 'プロセスステータス'
+          },
+          types: {
+            type: 'array',
+            items: {
+              type: 'string',
+              enum: ['ADD_ON', 'EXECUTION_API', 'TIME_DRIVEN', 'TRIGGER', 'WEBAPP', 'EDITOR', 'SIMPLE_TRIGGER', 'MENU', 'BATCH_TASK']
+            },
+            description: 'プロセスの種類'
+          },
+          userAccessLevels: {
+            type: 'array',
+            items: {
+              type: 'string',
+              enum: ['NONE', 'READ', 'WRITE', 'OWNER']
+            },
+            description: '実行ユーザーのプロジェクトに対するアクセスレベル'
+          },
+          deploymentId: {
+            type: 'string',
+            description: 'デプロイメントID'
+          },
+          since: {
+            type: 'string',
+            description: '直近の期間（例: 30m, 24h, 7d, 2w）。startTimeより優先'
+          },
+          startTime: {
+            type: 'string',
+            description: '開始日時（ISO 8601）'
+          },
+          endTime: {
+            type: 'string',
+            description: '終了日時（ISO 8601）'
+          },
+          pageSize: {
+            type: 'number',
+            description: '1ページの取得件数',
+            default: 100
+          },
+          pageToken: {
+            type: 'string',
+            description: 'ページネーション用トークン'
+          },
+          maxResults: {
+            type: 'number',
+            description: '自動ページネーションで取得する最大件数（上限1000）',
+            default: 500
+          },
+          follow: {
+            type: 'boolean',
+            description: '新しいプロセスをポーリングして追跡',
+            default: false
+          },
+          followSeconds: {
+            type: 'number',
+            description: '追跡する時間（秒、上限300）',
+            default: 60
+          },
+          pollIntervalSeconds: {
+            type: 'number',
+            description: 'ポーリング間隔（秒）',
+            default: 10
+          }
+        },
+        required: ['scriptId']
+      },
+      handler: getGasLogs
+    }
+  ]
+};
@@ -0,0 +1,167 @@
+/**
+ * ファイル操作ツール
+ *
+ * - スクリプトファイルの作成・取得・更新
+ *
+ * Author: Utakata
+ */
+
+import { formatConflictReport } from '../utils/diff.js';
+
+async function createGasFile(args, context) {
+  const result = await context.gasApi.createFile(
+    args.scriptId, 
+    args.name, 
+    args.type, 
+    args.source
+  );
+  
+  return {
+    content: [
+      {
+        type: 'text',
+        text: `✅ ファイル「${args.name}」を作成しました\n\n` +
+              `📄 タイプ: ${args.type}\n` +
+              `📏 サイズ: ${args.source.length} 文字`
+      }
+    ]
+  };
+}
+
+async function getGasFile(args, context) {
+  const result = await context.gasApi.getFile(args.scriptId, args.fileName, { cache: args.cache });
+  
+  return {
+    content: [
+      {
+        type: 'text',
+        text: `📄 ファイル: ${args.fileName}\n\n` +
+              `タイプ: ${result.type}\n` +
+              `🔐 ハッシュ: ${result.hash}\n\n` +
+              `\`\`\`javascript\n${result.source}\n\`\`\``
+      }
+    ]
+  };
+}
+
+async function updateGasFile(args, context) {
+  const result = await context.gasApi.updateFile(
+    args.scriptId, 
+    args.fileName, 
+    args.source,
+    { baseSource: args.baseSource, baseHash: args.baseHash }
+  );
+
+  if (result.conflict) {
+    return {
+      content: [
+        {
+          type: 'text',
+          text: formatConflictReport(result)
+        }
+      ]
+    };
+  }
+  
+  return {
+    content: [
+      {
+        type: 'text',
+        text: `✅ ファイル「${args.fileName}」を更新しました\n\n` +
+              `📏 新サイズ: ${args.source.length} 文字\n` +
+              `🔐 ハッシュ: ${result.hash}`
+      }
+    ]
+  };
+}
+
+export default {
+  name: 'files',
+  description: 'スクリプトファイルの作成・取得・更新',
+  tools: [
+    {
+      name: 'create_gas_file',
+      description: 'Google Apps Scriptファイルを作成します',
+      inputSchema: {
+        type: 'object',
+        properties: {
+          scriptId: {
+            type: 'string',
+            description: 'スクリプトID'
+          },
+          name: {
+            type: 'string',
+            description: 'ファイル名'
+          },
+          type: {
+            type: 'string',
+            enum: ['SERVER_JS', 'HTML'],
+            description: 'ファイルタイプ'
+          },
+          source: {
+            type: 'string',
+            description: 'ソースコード'
+          }
+        },
+        required: ['scriptId', 'name', 'type', 'source']
+      },
+      handler: createGasFile
+    },
+    {
+      name: 'get_gas_file',
+      description: 'Google Apps Scriptファイルの内容を取得します',
+      inputSchema: {
+        type: 'object',
+        properties: {
+          scriptId: {
+            type: 'string',
+            description: 'スクリプトID'
+          },
+          fileName: {
+            type: 'string',
+            description: 'ファイル名'
+          },
+          cache: {
+            type: 'string',
+            enum: ['default', 'bypass'],
+            description: 'bypass を指定するとキャッシュを使わずに再取得する',
+            default: 'default'
+          }
+        },
+        required: ['scriptId', 'fileName']
+      },
+      handler: getGasFile
+    },
+    {
+      name: 'update_gas_file',
+      description: 'Google Apps Scriptファイルを更新します',
+      inputSchema: {
+        type: 'object',
+        properties: {
+          scriptId: {
+            type: 'string',
+            description: 'スクリプトID'
+          },
+          fileName: {
+            type: 'string',
+            description: 'ファイル名'
+          },
+          source: {
+            type: 'string',
+            description: '新しいソースコード'
+          },
+          baseSource: {
+            type: 'string',
+            description: '編集の基準にしたソースコード。リモートが変更されていれば書き込まず競合レポートを返す'
+          },
+          baseHash: {
+            type: 'string',
+            description: '編集の基準にしたファイルハッシュ（get_gas_fileで表示）'
+          }
+        },
+        required: ['scriptId', 'fileName', 'source']
+      },
+      handler: updateGasFile
+    }
+  ]
+};
@@ -0,0 +1,53 @@
+/**
+ * ツールモジュール一覧
+ *
+ * Author: Utakata
+ */
+
+import clasp from './clasp.js';
+import deployments from './deployments.js';
+import diagnostics from './diagnostics.js';
+import execution from './execution.js';
+import files from './files.js';
+import libraries from './libraries.js';
+import project from './project.js';
+import properties from './properties.js';
+import triggers from './triggers.js';
+
+// ListTools の表示順
+export const TOOL_MODULES = [
+  clasp,
+  project,
+  files,
+  execution,
+  deployments,
+  triggers,
+  libraries,
+  properties,
+  diagnostics
+];
+
+export const MODULE_NAMES = TOOL_MODULES.map(module => module.name);
+
+const API_MODULES = ['project', 'files', 'execution', 'deployments', 'triggers', 'libraries', 'diagnostics'];
+
+// 従来のエントリーポイント（src/index*.js）のモジュール構成
+export const MODULE_PRESETS = {
+  api: API_MODULES,
+  security: [...API_MODULES, 'properties'],
+  clasp: ['clasp', ...API_MODULES],
+  stable: ['clasp', 'diagnostics']
+};
+
+/**
+ * モジュール名の一覧からモジュールを取得（表示順に並べ替え、未知の名前は例外）
+ */
+export function resolveModules(names) {
+  const unknown = names.filter(name => !MODULE_NAMES.includes(name));
+  if (unknown.length > 0) {
+    throw new Error(`未知のツールモジュールです: ${unknown.join(', ')}（利用可能: ${MODULE_NAMES.join(', ')}）`);
+  }
+  return TOOL_MODULES.filter(module => names.includes(module.name));
+}
+
+export { ToolRegistry } from './registry.js';
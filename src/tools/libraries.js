@@ -0,0 +1,369 @@
+/**
+ * ライブラリ・マニフェスト管理ツール
+ *
+ * - ライブラリの追加・更新・固定
+ * - マニフェストの編集
+ * - OAuthスコープの推定
+ *
+ * Author: Utakata
+ */
+
+import { formatConflictReport } from '../utils/diff.js';
+
+async function manageGasLibraries(args, context) {
+  const result = await context.gasApi.manageLibraries(
+    args.scriptId,
+    args.action,
+    args.libraryId,
+    args.version,
+    args.identifier,
+    { projectDir: args.projectDir }
+  );
+  
+  let text = `📚 ライブラリ管理: ${args.action}\n\n`;
+  
+  switch (args.action) {
+    case 'list':
+      if (result.libraries && result.libraries.length > 0) {
+        result.libraries.forEach((library, index) => {
+          text += `${index + 1}. **${library.userSymbol}**\n`;
+          text += `   🆔 ID: ${library.libraryId}\n`;
+          text += `   📊 バージョン: ${library.version}\n\n`;
+        });
+      } else {
+        text += 'ライブラリは設定されていません。';
+      }
+      if (result.duplicates.length > 0) {
+        text += `\n⚠️ 重複しているエントリ:\n`;
+        result.duplicates.forEach(duplicate => {
+          const [key, value] = Object.entries(duplicate)[0];
+          text += `   • ${key}: ${value}（${duplicate.count}件）\n`;
+        });
+      }
+      break;
+    case 'outdated':
+      if (result.outdated.length === 0) {
+        text += '✅ すべてのライブラリが最新です。\n';
+      }
+      result.libraries.filter(library => library.outdated || library.error).forEach(library => {
+        if (library.error) {
+          text += `❌ **${library.userSymbol}**: ${library.error}\n\n`;
+          return;
+        }
+        text += `⬆️ **${library.userSymbol}**: v${library.version} → v${library.latestVersion}${library.developmentMode ? '（開発モード）' : ''}\n`;
+        library.newerVersions.slice(0, 5).forEach(version => {
+          text += `   • v${version.versionNumber}${version.description ? `: ${version.description}` : ''}\n`;
+        });
+        text += '\n';
+      });
+      break;
+    case 'lock':
+      text += `🔒 ロックファイルを書き出しました\n`;
+      text += `📄 ${result.path}\n`;
+      Object.entries(result.lockfile.libraries).forEach(([userSymbol, entry]) => {
+        text += `   • ${userSymbol}: v${entry.version} (${entry.libraryId})\n`;
+      });
+      if (!result.lockfile.verified) {
+        text += `\n⚠️ verifyLibraries が無効のため公開バージョンは検証していません`;
+      }
+      break;
+    case 'add':
+      text += `✅ ライブラリを追加しました\n`;
+      text += `🆔 ID: ${args.libraryId}\n`;
+      text += `📊 バージョン: ${result.version}`;
+      if (result.latestVersion && result.latestVersion !== result.version) {
+        text += `（最新: ${result.latestVersion}）`;
+      }
+      break;
+    case 'remove':
+      text += `✅ ライブラリを削除しました\n🆔 ID: ${args.libraryId}`;
+      break;
+    case 'update':
+      text += `✅ ライブラリを更新しました\n`;
+      text += `🆔 ID: ${args.libraryId}\n`;
+      text += `📊 バージョン: ${result.oldVersion} → ${result.newVersion}`;
+      break;
+  }
+  if (result.lockfile) {
+    text += `\n🔒 ロックファイルを更新しました: ${result.lockfile}`;
+  }
+
+  return {
+    content: [
+      {
+        type: 'text',
+        text: text
+      }
+    ]
+  };
+}
+
+async function manageGasManifest(args, context) {
+  const result = await context.gasApi.manageManifest(
+    args.scriptId,
+    args.action || 'get',
+    args.operations,
+    { dryRun: args.dryRun }
+  );
+
+  if (result.conflict) {
+    return {
+      content: [
+        {
+          type: 'text',
+          text: formatConflictReport(result)
+        }
+      ]
+    };
+  }
+
+  const { validation } = result;
+  let text;
+
+  if ((args.action || 'get') === 'get') {
+    text = `🧾 マニフェスト\n\n\`\`\`json\n${JSON.stringify(result.manifest, null, 2)}\n\`\`\`\n`;
+  } else {
+    text = result.dryRun ? `🧪 マニフェスト変更（dry-run）\n\n` : `✅ マニフェストを更新しました\n\n`;
+    text += `📝 変更内容:\n${result.changes.map(change => `   • ${change}`).join('\n')}\n\n`;
+    text += `\`\`\`diff\n${result.diff}\`\`\`\n`;
+  }
+
+  text += validation.valid ? `\n✅ スキーマ検証: OK` : `\n❌ スキーマ検証エラー:\n${validation.errors.map(e => `   • ${e}`).join('\n')}`;
+  if (validation.warnings.length > 0) {
+    text += `\n⚠️ 警告:\n${validation.warnings.map(w => `   • ${w}`).join('\n')}`;
+  }
+
+  return {
+    content: [
+      {
+        type: 'text',
+        text: text
+      }
+    ]
+  };
+}
+
+async function analyzeGasScopes(args, context) {
+  const result = await context.gasApi.analyzeScopes(args.scriptId, {
+    projectDir: args.projectDir,
+    apply: args.apply,
+    pruneUnused: args.pruneUnused
+  });
+
+  if (result.conflict) {
+    return {
+      content: [
+        {
+          type: 'text',
+          text: formatConflictReport(result)
+        }
+      ]
+    };
+  }
+
+  let text = `🔐 OAuthスコープ解析: ${result.projectDir || result.scriptId}\n\n`;
+
+  if (!result.explicit) {
+    text += `ℹ️ マニフェストに oauthScopes が指定されていないため、現在はスコープが自動検出されています\n\n`;
+  }
+
+  text += `📋 必要なスコープ (${result.required.length}件):\n`;
+  text += result.required.map(r => `   • ${r.scope}\n     ${r.reasons.slice(0, 3).join(', ')}${r.reasons.length > 3 ? ` ほか${r.reasons.length - 3}件` : ''}`).join('\n') || '   なし';
+  text += '\n';
+
+  if (result.missing.length > 0) {
+    text += `\n❌ 不足しているスコープ:\n${result.missing.map(m => `   • ${m.scope}`).join('\n')}\n`;
+  }
+  if (result.overBroad.length > 0) {
+    text += `\n⚠️ 必要以上に広いスコープ:\n${result.overBroad.map(o => `   • ${o.scope} → ${o.suggested.join(', ')}`).join('\n')}\n`;
+  }
+  if (result.unused.length > 0) {
+    text += `\n❔ 使用箇所が見つからないスコープ（HTMLやライブラリで必要な場合があります）:\n${result.unused.map(scope => `   • ${scope}`).join('\n')}\n`;
+  }
+  if (result.unknownAdvancedServices.length > 0) {
+    text += `\n❔ スコープを推定できない高度なサービス:\n${result.unknownAdvancedServices.map(s => `   • ${s.userSymbol} (${s.serviceId})`).join('\n')}\n`;
+  }
+  if (result.errors.length > 0) {
+    text += `\n❌ 解析できなかったファイル:\n${result.errors.map(e => `   • ${e.file}${e.line ? `:${e.line}` : ''} ${e.message}`).join('\n')}\n`;
+  }
+  if (result.missing.length === 0 && result.overBroad.length === 0) {
+    text += `\n✅ マニフェストのスコープは過不足ありません\n`;
+  }
+
+  if (result.applied) {
+    text += `\n✅ マニフェストを更新しました:\n${result.changes.map(change => `   • ${change}`).join('\n')}`;
+  }
+
+  return {
+    content: [
+      {
+        type: 'text',
+        text: text
+      }
+    ]
+  };
+}
+
+export default {
+  name: 'libraries',
+  description: 'ライブラリ・マニフェスト管理とOAuthスコープの推定',
+  tools: [
+    {
+      name: 'manage_gas_libraries',
+      description: 'Google Apps Scriptのライブラリを管理します',
+      inputSchema: {
+        type: 'object',
+        properties: {
+          scriptId: {
+            type: 'string',
+            description: 'スクリプトID'
+          },
+          action: {
+            type: 'string',
+            enum: ['list', 'add', 'remove', 'update', 'outdated', 'lock'],
+            description: '実行するアクション（outdated: 新しいバージョンの確認、lock: gas-libraries.lock.json の生成）'
+          },
+          libraryId: {
+            type: 'string',
+            description: 'ライブラリID（add/remove/updateの場合）'
+          },
+          version: {
+            type: 'string',
+            description: 'ライブラリバージョン（公開済みのバージョン番号、または "latest"）'
+          },
+          identifier: {
+            type: 'string',
+            description: 'ライブラリ識別子（userSymbol、addの場合）'
+          },
+          projectDir: {
+            type: 'string',
+            description: 'gas-libraries.lock.json を置くディレクトリ（lockでは必須、add/remove/updateでは指定時にロックファイルを更新）'
+          }
+        },
+        required: ['scriptId', 'action']
+      },
+      handler: manageGasLibraries
+    },
+    {
+      name: 'manage_gas_manifest',
+      description: 'マニフェスト（appsscript.json）を型付きの操作で編集します。書き込み前にスキーマ検証を行います',
+      inputSchema: {
+        type: 'object',
+        properties: {
+          scriptId: {
+            type: 'string',
+            description: 'スクリプトID'
+          },
+          action: {
+            type: 'string',
+            enum: ['get', 'update'],
+            description: '実行するアクション',
+            default: 'get'
+          },
+          operations: {
+            type: 'array',
+            description: '適用する操作（updateの場合、順に適用）',
+            items: {
+              type: 'object',
+              properties: {
+                op: {
+                  type: 'string',
+                  enum: [
+                    'setTimeZone', 'setRuntimeVersion', 'setExceptionLogging',
+                    'addOAuthScopes', 'removeOAuthScopes', 'setWebapp', 'setExecutionApi',
+                    'addUrlFetchWhitelist', 'removeUrlFetchWhitelist', 'addAdvancedService', 'removeAdvancedService'
+                  ],
+                  description: '操作の種類'
+                },
+                timeZone: {
+                  type: 'string',
+                  description: 'タイムゾーン（setTimeZone、例: Asia/Tokyo）'
+                },
+                runtimeVersion: {
+                  type: 'string',
+                  enum: ['V8', 'STABLE', 'DEPRECATED_ES5'],
+                  description: 'ランタイム（setRuntimeVersion）'
+                },
+                exceptionLogging: {
+                  type: 'string',
+                  enum: ['NONE', 'STACKDRIVER', 'CLOUD'],
+                  description: '例外ログの出力先（setExceptionLogging）'
+                },
+                scopes: {
+                  type: 'array',
+                  items: { type: 'string' },
+                  description: 'OAuthスコープ（addOAuthScopes / removeOAuthScopes）'
+                },
+                access: {
+                  type: 'string',
+                  enum: ['MYSELF', 'DOMAIN', 'ANYONE', 'ANYONE_ANONYMOUS'],
+                  description: 'アクセス権（setWebapp / setExecutionApi）'
+                },
+                executeAs: {
+                  type: 'string',
+                  enum: ['USER_ACCESSING', 'USER_DEPLOYING'],
+                  description: '実行ユーザー（setWebapp）'
+                },
+                urls: {
+                  type: 'array',
+                  items: { type: 'string' },
+                  description: 'HTTPSのURLプレフィックス（addUrlFetchWhitelist / removeUrlFetchWhitelist）'
+                },
+                userSymbol: {
+                  type: 'string',
+                  description: '高度なサービスの識別子（addAdvancedService / removeAdvancedService、例: Drive）'
+                },
+                serviceId: {
+                  type: 'string',
+                  description: '高度なサービスのID（addAdvancedService、例: drive）'
+                },
+                version: {
+                  type: 'string',
+                  description: '高度なサービスのバージョン（addAdvancedService、例: v3）'
+                }
+              },
+              required: ['op']
+            }
+          },
+          dryRun: {
+            type: 'boolean',
+            description: '書き込まずに差分と検証結果のみ表示',
+            default: false
+          }
+        },
+        required: ['scriptId']
+      },
+      handler: manageGasManifest
+    },
+    {
+      name: 'analyze_gas_scopes',
+      description: 'ソースで使用しているサービスから必要なOAuthスコープを推定し、マニフェストの不足・過剰なスコープを報告します。apply で修正します',
+      inputSchema: {
+        type: 'object',
+        properties: {
+          scriptId: {
+            type: 'string',
+            description: 'スクリプトID（projectDir を指定しない場合は必須）'
+          },
+          projectDir: {
+            type: 'string',
+            description: 'claspプロジェクトのディレクトリ（指定時はローカルのファイルを解析）'
+          },
+          apply: {
+            type: 'boolean',
+            description: '不足スコープの追加と広すぎるスコープの置き換えをマニフェストに適用する',
+            default: false
+          },
+          pruneUnused: {
+            type: 'boolean',
+            description: 'apply 時に使用箇所のないスコープも削除する',
+            default: false
+          }
+        }
+      },
+      handler: analyzeGasScopes,
+      // claspディレクトリを指定した解析はローカルのファイルのみ参照
+      requiresAuth: args => !args.projectDir
+    }
+  ]
+};
@@ -0,0 +1,511 @@
+/**
+ * プロジェクト管理ツール
+ *
+ * - プロジェクトの作成・一覧・取得・更新
+ * - ローカルバックアップ・世代管理と復元
+ * - プロジェクト横断のコード検索
+ *
+ * Author: Utakata
+ */
+
+import { formatConflictReport } from '../utils/diff.js';
+
+async function createGasProject(args, context) {
+  const result = await context.gasApi.createProject(args.title, args.parentId);
+  return {
+    content: [
+      {
+        type: 'text',
+        text: `✅ Google Apps Scriptプロジェクト「${args.title}」を作成しました\n\n` +
+              `🆔 プロジェクトID: ${result.scriptId}\n` +
+              `📁 Drive URL: https://script.google.com/d/${result.scriptId}/edit`
+      }
+    ]
+  };
+}
+
+async function listGasProjects(args, context) {
+  const result = await context.gasApi.listProjects(args.pageSize, args.pageToken);
+  const projects = result.files || [];
+  
+  let text = `📋 Google Apps Scriptプロジェクト一覧 (${projects.length}件)\n\n`;
+  
+  projects.forEach((project, index) => {
+    text += `${index + 1}. **${project.title}**\n`;
+    text += `   🆔 ID: ${project.scriptId}\n`;
+    text += `   📅 更新日: ${project.updateTime}\n`;
+    text += `   🔗 URL: https://script.google.com/d/${project.scriptId}/edit\n\n`;
+  });
+
+  return {
+    content: [
+      {
+        type: 'text',
+        text: text
+      }
+    ]
+  };
+}
+
+async function getGasProject(args, context) {
+  const result = await context.gasApi.getProject(args.scriptId, args.versionNumber, { cache: args.cache });
+  
+  let text = `📄 プロジェクト詳細: ${result.title}\n\n`;
+  text += `🆔 ID: ${result.scriptId}\n`;
+  text += `📅 作成日: ${result.createTime}\n`;
+  text += `📅 更新日: ${result.updateTime}\n`;
+  text += `🔐 コンテンツハッシュ: ${result.contentHash}\n\n`;
+  
+  if (result.files) {
+    text += `📂 ファイル一覧:\n`;
+    result.files.forEach(file => {
+      text += `  - ${file.name} (${file.type})\n`;
+    });
+  }
+
+  return {
+    content: [
+      {
+        type: 'text',
+        text: text
+      }
+    ]
+  };
+}
+
+async function updateGasProject(args, context) {
+  const result = await context.gasApi.updateProject(args.scriptId, args.content, {
+    baseSnapshot: args.baseSnapshot,
+    baseHash: args.baseHash
+  });
+
+  if (result.conflict) {
+    return {
+      content: [
+        {
+          type: 'text',
+          text: formatConflictReport(result)
+        }
+      ]
+    };
+  }
+  
+  return {
+    content: [
+      {
+        type: 'text',
+        text: `✅ プロジェクト「${result.title}」を更新しました\n\n` +
+              `📅 更新日時: ${result.updateTime}`
+      }
+    ]
+  };
+}
+
+async function searchGasCode(args, context) {
+  const result = await context.codeSearch.search(args.query, {
+    regex: args.regex,
+    caseSensitive: args.caseSensitive,
+    scriptIds: args.scriptIds,
+    fileTypes: args.fileTypes,
+    maxProjects: args.maxProjects,
+    maxMatches: args.maxMatches,
+    refresh: args.refresh
+  });
+
+  let text = `🔍 コード検索: ${result.regex ? `/${result.query}/` : `"${result.query}"`}\n\n`;
+  text += `📊 検索したプロジェクト: ${result.projectsScanned}件（キャッシュ: ${result.cacheHits}件）\n`;
+  text += `✅ 一致: ${result.results.length}件のプロジェクトで${result.matchCount}箇所\n`;
+
+  if (result.projectsTruncated) {
+    text += `⚠️ プロジェクト数が上限に達したため、一部のプロジェクトは検索していません\n`;
+  }
+  if (result.matchesTruncated) {
+    text += `⚠️ 一致箇所が上限に達したため、結果を切り詰めました\n`;
+  }
+
+  result.results.forEach(project => {
+    text += `\n### ${project.title} (${project.scriptId})\n`;
+    project.matches.forEach(match => {
+      text += `   ${match.file}:${match.line}  ${match.text}\n`;
+    });
+  });
+
+  if (result.errors.length > 0) {
+    text += `\n❌ 取得できなかったプロジェクト:\n${result.errors.map(e => `   • ${e.title || e.scriptId}: ${e.error}`).join('\n')}\n`;
+  }
+
+  return {
+    content: [
+      {
+        type: 'text',
+        text: text
+      }
+    ]
+  };
+}
+
+async function restoreGasProject(args, context) {
+  const result = await context.gasApi.restoreProject(args.backup, {
+    backupPath: args.backupPath,
+    scriptId: args.scriptId,
+    title: args.title,
+    dryRun: args.dryRun,
+    triggers: args.triggers
+  });
+
+  const describe = (items, format) => items.length > 0
+    ? items.map(item => `    - ${format(item)}\n`).join('')
+    : '    （なし）\n';
+  const section = (label, plan, format, formatChange) =>
+    `${label}\n` +
+    `  ➕ 作成:\n${describe(plan.create, format)}` +
+    `  ✏️ 変更:\n${describe(plan.change, formatChange)}` +
+    `  ➖ 削除:\n${describe(plan.remove, format)}`;
+  
+  let text = result.dryRun ? `🧪 復元計画（dry-run）\n\n` : `♻️ プロジェクトを復元しました\n\n`;
+  text += `📦 バックアップ: ${result.source.title} (${result.source.scriptId}) @ ${result.source.timestamp}\n`;
+  text += `🎯 復元先: ${result.scriptId || '新規プロジェクト'}${result.created ? '（新規作成）' : ''}\n\n`;
+  text += section('📂 ファイル', result.plan.files, name => name, name => name);
+  text += section('📚 ライブラリ', result.plan.libraries,
+    lib => `${lib.userSymbol} (${lib.libraryId}) v${lib.version}`,
+    change => `${change.to.userSymbol}: v${change.from.version} → v${change.to.version}`);
+  text += section('⚡ トリガー', result.plan.triggers,
+    trigger => `${trigger.handlerFunction} (${trigger.eventType})`,
+    change => `${change.to.handlerFunction} (${change.to.eventType})`);
+  text += `\n⏭️ 対象外: ${result.skipped.join(', ')}`;
+  if (result.triggerErrors.length > 0) {
+    text += `\n⚠️ トリガー:\n${result.triggerErrors.map(error => `  • ${error}`).join('\n')}`;
+  }
+
+  return {
+    content: [
+      {
+        type: 'text',
+        text: text
+      }
+    ]
+  };
+}
+
+async function backupGasProjects(args, context) {
+  const result = await context.backupService.backupProjects(args.scriptIds);
+  const pruned = args.prune ? await context.backupService.pruneBackups() : null;
+
+  let text = `💾 バックアップ結果\n\n`;
+  text += `📁 保存先: ${result.backupDir}\n\n`;
+  result.results.forEach(item => {
+    text += item.error
+      ? `❌ ${item.scriptId}: ${item.error}\n`
+      : `✅ ${item.title} (${item.scriptId})\n   ${item.path} (${item.size} bytes)\n`;
+    if (item.triggersUnavailable) {
+      text += `   ⚠️ トリガーは取得できないため含まれていません: ${item.triggersUnavailable}\n`;
+    }
+  });
+  if (pruned) {
+    text += `\n🧹 古いバックアップを${pruned.removed.length}件削除しました`;
+  }
+
+  return {
+    content: [
+      {
+        type: 'text',
+        text: text
+      }
+    ]
+  };
+}
+
+async function listGasBackups(args, context) {
+  const result = await context.backupService.listBackups(args.scriptId);
+
+  let text = `🗂️ バックアップ一覧 (${result.backups.length}件)\n\n`;
+  text += `📁 保存先: ${result.backupDir}\n\n`;
+  text += result.backups.length > 0
+    ? result.backups.map(backup =>
+        `• ${backup.scriptId} @ ${backup.timestamp} (${backup.size} bytes)\n  ${backup.path}`
+      ).join('\n')
+    : 'バックアップはありません';
+
+  return {
+    content: [
+      {
+        type: 'text',
+        text: text
+      }
+    ]
+  };
+}
+
+async function pruneGasBackups(args, context) {
+  const result = await context.backupService.pruneBackups(args.scriptId, {
+    keepDaily: args.keepDaily,
+    keepWeekly: args.keepWeekly,
+    dryRun: args.dryRun
+  });
+
+  let text = result.dryRun ? `🧪 削除対象（dry-run）\n\n` : `🧹 古いバックアップを削除しました\n\n`;
+  text += `📏 保持ルール: 日次${result.keepDaily}日 / 週次${result.keepWeekly}週\n`;
+  text += `📦 保持: ${result.kept.length}件\n`;
+  text += `🗑️ ${result.dryRun ? '削除予定' : '削除'}: ${result.removed.length}件\n`;
+  result.removed.forEach(backup => {
+    text += `  - ${backup.scriptId} @ ${backup.timestamp}\n`;
+  });
+
+  return {
+    content: [
+      {
+        type: 'text',
+        text: text
+      }
+    ]
+  };
+}
+
+export default {
+  name: 'project',
+  description: 'プロジェクトの作成・取得・更新、バックアップと復元、コード検索',
+  tools: [
+    {
+      name: 'create_gas_project',
+      description: '新しいGoogle Apps Scriptプロジェクトを作成します',
+      inputSchema: {
+        type: 'object',
+        properties: {
+          title: {
+            type: 'string',
+            description: 'プロジェクトのタイトル'
+          },
+          parentId: {
+            type: 'string',
+            description: 'Google Driveの親フォルダID（省略可）'
+          }
+        },
+        required: ['title']
+      },
+      handler: createGasProject
+    },
+    {
+      name: 'list_gas_projects',
+      description: 'Google Apps Scriptプロジェクトの一覧を取得します',
+      inputSchema: {
+        type: 'object',
+        properties: {
+          pageSize: {
+            type: 'number',
+            description: '取得件数（デフォルト: 10）',
+            default: 10
+          },
+          pageToken: {
+            type: 'string',
+            description: 'ページネーション用トークン'
+          }
+        }
+      },
+      handler: listGasProjects
+    },
+    {
+      name: 'get_gas_project',
+      description: 'Google Apps Scriptプロジェクトの詳細を取得します',
+      inputSchema: {
+        type: 'object',
+        properties: {
+          scriptId: {
+            type: 'string',
+            description: 'スクリプトID'
+          },
+          versionNumber: {
+            type: 'number',
+            description: 'バージョン番号（省略時は最新）'
+          },
+          cache: {
+            type: 'string',
+            enum: ['default', 'bypass'],
+            description: 'bypass を指定するとキャッシュを使わずに再取得する',
+            default: 'default'
+          }
+        },
+        required: ['scriptId']
+      },
+      handler: getGasProject
+    },
+    {
+      name: 'update_gas_project',
+      description: 'Google Apps Scriptプロジェクトを更新します',
+      inputSchema: {
+        type: 'object',
+        properties: {
+          scriptId: {
+            type: 'string',
+            description: 'スクリプトID'
+          },
+          content: {
+            type: 'object',
+            description: 'プロジェクトの内容'
+          },
+          baseSnapshot: {
+            type: 'object',
+            description: '編集の基準にしたプロジェクト（get_gas_projectの結果またはファイル配列）。リモートが変更されていれば書き込まず競合レポートを返す'
+          },
+          baseHash: {
+            type: 'string',
+            description: '編集の基準にしたコンテンツハッシュ（get_gas_projectで表示）'
+          }
+        },
+        required: ['scriptId', 'content']
+      },
+      handler: updateGasProject
+    },
+    {
+      name: 'search_gas_code',
+      description: 'アクセス可能なすべてのGASプロジェクトを横断してソースを検索します（正規表現・リテラル）。非推奨APIやハードコードされたIDの洗い出しに使用します',
+      inputSchema: {
+        type: 'object',
+        properties: {
+          query: {
+            type: 'string',
+            description: '検索文字列（regex が true の場合は正規表現）'
+          },
+          regex: {
+            type: 'boolean',
+            description: '正規表現として検索する',
+            default: false
+          },
+          caseSensitive: {
+            type: 'boolean',
+            description: '大文字・小文字を区別する',
+            default: false
+          },
+          scriptIds: {
+            type: 'array',
+            items: { type: 'string' },
+            description: '検索対象のスクリプトID（省略時はアクセス可能なすべてのプロジェクト）'
+          },
+          fileTypes: {
+            type: 'array',
+            items: {
+              type: 'string',
+              enum: ['SERVER_JS', 'HTML', 'JSON']
+            },
+            description: '検索対象のファイル種別（省略時はすべて）'
+          },
+          maxProjects: {
+            type: 'number',
+            description: '検索するプロジェクト数の上限'
+          },
+          maxMatches: {
+            type: 'number',
+            description: '一致箇所の上限'
+          },
+          refresh: {
+            type: 'boolean',
+            description: 'キャッシュを使わずにすべて再取得する',
+            default: false
+          }
+        },
+        required: ['query']
+      },
+      handler: searchGasCode
+    },
+    {
+      name: 'restore_gas_project',
+      description: 'プロジェクトのバックアップ（backupProjectの出力）から同じまたは新しいプロジェクトに復元します',
+      inputSchema: {
+        type: 'object',
+        properties: {
+          backup: {
+            type: 'object',
+            description: 'バックアップデータ（JSON）'
+          },
+          backupPath: {
+            type: 'string',
+            description: 'バックアップファイルのローカルパス（.json または .json.gz、backup省略時）'
+          },
+          scriptId: {
+            type: 'string',
+            description: '復元先のスクリプトID（省略時は新しいプロジェクトを作成）'
+          },
+          title: {
+            type: 'string',
+            description: '新しいプロジェクトのタイトル（scriptId省略時）'
+          },
+          dryRun: {
+            type: 'boolean',
+            description: '変更を加えず、作成・変更・削除されるファイル／ライブラリ／トリガーを一覧表示する',
+            default: false
+          },
+          triggers: {
+            type: 'boolean',
+            description: 'トリガーも復元する（falseの場合はファイルとマニフェストのみ）',
+            default: true
+          }
+        }
+      },
+      handler: restoreGasProject
+    },
+    {
+      name: 'backup_gas_projects',
+      description: '1つまたは複数のプロジェクトをgzip圧縮したスナップショットとしてローカルに保存します',
+      inputSchema: {
+        type: 'object',
+        properties: {
+          scriptIds: {
+            type: 'array',
+            items: { type: 'string' },
+            description: 'バックアップするスクリプトID（省略時は GAS_MCP_BACKUP_SCRIPT_IDS）'
+          },
+          prune: {
+            type: 'boolean',
+            description: 'バックアップ後に保持ルールで古いスナップショットを削除',
+            default: false
+          }
+        }
+      },
+      handler: backupGasProjects
+    },
+    {
+      name: 'list_gas_backups',
+      description: 'ローカルに保存されたバックアップスナップショットの一覧を取得します',
+      inputSchema: {
+        type: 'object',
+        properties: {
+          scriptId: {
+            type: 'string',
+            description: 'スクリプトID（省略時は全プロジェクト）'
+          }
+        }
+      },
+      handler: listGasBackups,
+      // ローカルバックアップの一覧・削除はファイル操作のみ
+      requiresAuth: false
+    },
+    {
+      name: 'prune_gas_backups',
+      description: '保持ルール（直近N日分の日次・N週分の週次）に該当しない古いバックアップを削除します',
+      inputSchema: {
+        type: 'object',
+        properties: {
+          scriptId: {
+            type: 'string',
+            description: 'スクリプトID（省略時は全プロジェクト）'
+          },
+          keepDaily: {
+            type: 'number',
+            description: '日次スナップショットの保持日数（省略時は GAS_MCP_BACKUP_KEEP_DAILY または7）'
+          },
+          keepWeekly: {
+            type: 'number',
+            description: '週次スナップショットの保持週数（省略時は GAS_MCP_BACKUP_KEEP_WEEKLY または4）'
+          },
+          dryRun: {
+            type: 'boolean',
+            description: '削除せずに対象のみ表示',
+            default: false
+          }
+        }
+      },
+      handler: pruneGasBackups,
+      // ローカルバックアップの一覧・削除はファイル操作のみ
+      requiresAuth: false
+    }
+  ]
+};
@@ -0,0 +1,637 @@
+/**
+ * スクリプトプロパティ管理ツール
+ *
+ * - 暗号化対応のプロパティ保存・取得・削除
+ * - プロパティの一括設定
+ * - セキュリティ監査
+ * - プロパティのバックアップ・復元
+ * - 暗号化キーのローテーション
+ * - プロパティヘルパー（__gasMcpProps）の修復
+ *
+ * Author: Utakata
+ */
+
+import { PropertiesManager } from '../services/security.js';
+import { DEFAULT_PROPERTY_SCOPE, PROPERTY_SCOPES } from '../services/properties-helper.js';
+
+const SCOPE_LABELS = {
+  script: 'スクリプト',
+  user: 'ユーザー',
+  document: 'ドキュメント'
+};
+
+const scopeLabel = scope => SCOPE_LABELS[scope || DEFAULT_PROPERTY_SCOPE] || scope;
+
+// 各ツール共通の scope 引数
+const SCOPE_SCHEMA = {
+  type: 'string',
+  enum: PROPERTY_SCOPES,
+  description: 'プロパティのスコープ（script: スクリプト、user: 実行ユーザー、document: バインド先のドキュメント。デフォルト: script）',
+  default: DEFAULT_PROPERTY_SCOPE
+};
+
+async function setSecureProperty(args, context) {
+  const result = await context.propertiesManager.setSecureProperty(
+    args.scriptId,
+    args.key,
+    args.value,
+    args.encrypt !== false,
+    { scope: args.scope }
+  );
+  
+  return {
+    content: [
+      {
+        type: 'text',
+        text: `🔒 ${scopeLabel(result.scope)}プロパティを安全に保存しました\n\n` +
+              `🔑 キー: ${args.key}\n` +
+              `🛡️ 暗号化: ${result.encrypted ? '有効' : '無効'}\n` +
+              `📅 保存日時: ${result.timestamp}`
+      }
+    ]
+  };
+}
+
+async function getSecureProperty(args, context) {
+  const value = await context.propertiesManager.getSecureProperty(
+    args.scriptId,
+    args.key,
+    args.decrypt !== false,
+    { scope: args.scope }
+  );
+  
+  if (value === null) {
+    return {
+      content: [
+        {
+          type: 'text',
+          text: `❌ ${scopeLabel(args.scope)}プロパティ「${args.key}」が見つかりません`
+        }
+      ]
+    };
+  }
+  
+  return {
+    content: [
+      {
+        type: 'text',
+        text: `🔓 ${scopeLabel(args.scope)}プロパティを取得しました\n\n` +
+              `🔑 キー: ${args.key}\n` +
+              `📄 値: ${value}\n` +
+              `🔍 復号化: ${args.decrypt !== false ? '実行済み' : 'スキップ'}`
+      }
+    ]
+  };
+}
+
+async function deleteProperty(args, context) {
+  const result = await context.propertiesManager.deleteProperty(
+    args.scriptId,
+    args.key,
+    { scope: args.scope }
+  );
+  
+  return {
+    content: [
+      {
+        type: 'text',
+        text: `🗑️ ${scopeLabel(result.scope)}プロパティを削除しました\n\n` +
+              `🔑 削除されたキー: ${result.deleted}\n` +
+              `📅 削除日時: ${result.timestamp}`
+      }
+    ]
+  };
+}
+
+async function listProperties(args, context) {
+  const properties = await context.propertiesManager.getAllProperties(
+    args.scriptId,
+    args.decrypt !== false,
+    { scope: args.scope }
+  );
+  
+  let text = `📋 ${scopeLabel(args.scope)}プロパティ一覧 (${Object.keys(properties).length}件)\n\n`;
+  
+  if (Object.keys(properties).length === 0) {
+    text += '設定されているプロパティはありません。';
+  } else {
+    Object.entries(properties).forEach(([key, value], index) => {
+      const displayValue = args.maskValues ? 
+        context.propertiesManager.security.maskApiKey(String(value)) : 
+        String(value);
+      
+      text += `${index + 1}. **${key}**\n`;
+      text += `   📄 値: ${displayValue}\n`;
+      text += `   📏 長さ: ${String(value).length} 文字\n\n`;
+    });
+  }
+
+  return {
+    content: [
+      {
+        type: 'text',
+        text: text
+      }
+    ]
+  };
+}
+
+async function auditProperties(args, context) {
+  const audit = await context.propertiesManager.auditProperties(args.scriptId, { scope: args.scope });
+  
+  let text = `🔍 セキュリティ監査レポート（${scopeLabel(audit.scope)}プロパティ）\n\n`;
+  text += `📊 **統計情報**\n`;
+  text += `   - 総プロパティ数: ${audit.totalProperties}\n`;
+  text += `   - 暗号化済み: ${audit.encryptedProperties}\n`;
+  text += `   - 平文: ${audit.plaintextProperties}\n`;
+  text += `   - 機密情報の疑い: ${audit.suspiciousKeys.length}\n\n`;
+  
+  if (Object.keys(audit.keyUsage).length > 0) {
+    text += `🔑 **暗号化キーの使用状況**\n`;
+    Object.entries(audit.keyUsage).forEach(([keyId, count]) => {
+      text += `   - ${keyId}: ${count}件\n`;
+    });
+    text += '\n';
+  }
+  
+  if (audit.suspiciousKeys.length > 0) {
+    text += `⚠️ **機密情報の可能性があるキー**\n`;
+    audit.suspiciousKeys.forEach(key => {
+      text += `   - ${key}\n`;
+    });
+    text += '\n';
+  }
+  
+  if (audit.recommendations.length > 0) {
+    text += `💡 **推奨事項**\n`;
+    audit.recommendations.forEach(rec => {
+      text += `   - ${rec}\n`;
+    });
+  }
+
+  return {
+    content: [
+      {
+        type: 'text',
+        text: text
+      }
+    ]
+  };
+}
+
+async function backupProperties(args, context) {
+  const backup = await context.propertiesManager.backupProperties(
+    args.scriptId,
+    args.includeEncrypted,
+    { scope: args.scope }
+  );
+  
+  return {
+    content: [
+      {
+        type: 'text',
+        text: `💾 プロパティバックアップ完了\n\n` +
+              `🗂️ スコープ: ${scopeLabel(backup.scope)}\n` +
+              `📊 バックアップ件数: ${backup.propertyCount}\n` +
+              `🔒 暗号化形式: ${backup.includeEncrypted ? '保持' : '復号化'}\n` +
+              `📅 作成日時: ${backup.timestamp}\n` +
+              `🔍 チェックサム: ${backup.checksum}\n\n` +
+              `💡 このバックアップデータをrestore_propertiesツールで復元できます`
+      }
+    ]
+  };
+}
+
+/**
+ * 一括設定・復元の差分をテキストに整形
+ */
+function formatDiff(diff) {
+  const sections = [
+    ['➕ 追加', diff.added],
+    ['✏️ 変更', diff.changed],
+    ['🗑️ 削除', diff.removed],
+    ['⏭️ 変更なし', diff.unchanged]
+  ];
+
+  let text = '';
+  sections.forEach(([label, keys]) => {
+    text += `${label}: ${keys.length}件${keys.length > 0 ? `（${keys.join(', ')}）` : ''}\n`;
+  });
+  return text;
+}
+
+async function setPropertiesBulk(args, context) {
+  const result = await context.propertiesManager.setPropertiesBulk(args.scriptId, args.properties, {
+    scope: args.scope,
+    encrypt: args.encrypt,
+    deleteAllOthers: args.deleteAllOthers,
+    dryRun: args.dryRun,
+    atomic: args.atomic
+  });
+
+  let text = result.dryRun
+    ? `🔍 プロパティ一括設定のドライラン（書き込みは行っていません）\n\n`
+    : `📦 プロパティ一括設定完了\n\n`;
+  text += `🗂️ スコープ: ${scopeLabel(result.scope)}\n`;
+  text += `🛡️ 暗号化: ${result.encrypted ? '有効' : '無効'}\n`;
+  text += `⚛️ 失敗時のロールバック: ${result.atomic ? '有効' : '無効'}\n\n`;
+  text += formatDiff(result.diff);
+  if (!result.dryRun) {
+    text += `\n✅ 書き込み: ${result.written}件（1回の実行）\n📅 設定日時: ${result.timestamp}`;
+  }
+
+  return {
+    content: [
+      {
+        type: 'text',
+        text: text
+      }
+    ]
+  };
+}
+
+async function restoreProperties(args, context) {
+  const result = await context.propertiesManager.restoreProperties(
+    args.scriptId,
+    args.backup,
+    args.verifyChecksum !== false,
+    {
+      scope: args.scope,
+      dryRun: args.dryRun,
+      atomic: args.atomic,
+      deleteAllOthers: args.deleteAllOthers
+    }
+  );
+  
+  return {
+    content: [
+      {
+        type: 'text',
+        text: `${result.dryRun ? '🔍 プロパティ復元のドライラン（書き込みは行っていません）' : '🔄 プロパティ復元完了'}\n\n` +
+              `🗂️ スコープ: ${scopeLabel(result.scope)}\n` +
+              `📊 復元件数: ${result.restored}（変更なし: ${result.unchanged}）\n` +
+              `⚛️ 失敗時のロールバック: ${result.atomic ? '有効' : '無効'}\n` +
+              `📅 復元日時: ${result.timestamp}\n` +
+              `🔍 チェックサム検証: ${args.verifyChecksum !== false ? '実行済み' : 'スキップ'}\n\n` +
+              formatDiff(result.diff)
+      }
+    ]
+  };
+}
+
+async function rotateEncryptionKey(args, context) {
+  const result = await context.propertiesManager.rotateEncryptionKey(args.scriptId, {
+    generateKey: args.generateKey,
+    keyId: args.keyId,
+    scope: args.scope
+  });
+
+  let text = `🔑 暗号化キーのローテーション\n\n`;
+  text += `🆔 スクリプトID: ${result.scriptId}\n`;
+  text += `🗂️ スコープ: ${scopeLabel(result.scope)}\n`;
+  text += `🔐 有効なキー: ${result.keyId || '（未作成）'}${result.generated ? `（新規作成、以前: ${result.previousKeyId}）` : ''}\n`;
+  if (result.alreadyCurrent + result.rotated + result.failed === 0) {
+    text += `ℹ️ 暗号化されたプロパティがないため、キーは変更していません\n`;
+  }
+  text += `✅ 再暗号化: ${result.rotated}件 / ❌ 失敗: ${result.failed}件 / ⏭️ 対象外（有効なキーで暗号化済み）: ${result.alreadyCurrent}件\n\n`;
+
+  if (result.progress.length > 0) {
+    text += `📊 **元のキーごとの進捗**\n`;
+    result.progress.forEach(entry => {
+      text += `   - ${entry.keyId}: ${entry.rotated}/${entry.total}件\n`;
+      entry.failed.forEach(failure => {
+        text += `     ❌ ${failure.key}: ${failure.error}\n`;
+      });
+    });
+    text += '\n';
+  }
+
+  text += `🗝️ **キーリング**\n`;
+  result.keys.forEach(key => {
+    text += `   - ${key.id}${key.active ? '（有効）' : ''} [${key.source}]${key.createdAt ? ` 作成: ${key.createdAt}` : ''}\n`;
+  });
+  text += `\n💡 古いキーは他のスクリプトの復号に使われている可能性があるため、キーリングに残しています`;
+
+  return {
+    content: [
+      {
+        type: 'text',
+        text: text
+      }
+    ]
+  };
+}
+
+async function repairPropertiesHelper(args, context) {
+  const result = await context.propertiesManager.repairPropertiesHelper(args.scriptId, {
+    dryRun: args.dryRun === true
+  });
+
+  let text = `🔧 プロパティヘルパーの修復${result.dryRun ? '（ドライラン）' : ''}\n\n`;
+  text += `🆔 スクリプトID: ${result.scriptId}\n`;
+
+  if (result.orphanedFiles.length > 0) {
+    text += `🗑️ 残っていた一時ファイル: ${result.orphanedFiles.length}件${result.dryRun ? '（削除対象）' : '（削除済み）'}\n`;
+    result.orphanedFiles.forEach(name => {
+      text += `   - ${name}\n`;
+    });
+  } else {
+    text += `✅ 残っている一時ファイルはありません\n`;
+  }
+
+  const helper = result.helper;
+  const helperStatus = {
+    none: `最新です（v${helper.previousVersion}）`,
+    'would-install': `v${helper.version} に${helper.previousVersion === null ? '追加' : '更新'}します`,
+    installed: `v${helper.version} に${helper.previousVersion === null ? '追加' : '更新'}しました`
+  }[helper.action];
+  text += `🧩 ヘルパー（${helper.file}）: ${helperStatus}`;
+
+  return {
+    content: [
+      {
+        type: 'text',
+        text: text
+      }
+    ]
+  };
+}
+
+export default {
+  name: 'properties',
+  description: '暗号化対応のスクリプト・ユーザー・ドキュメントプロパティ管理と監査',
+  setup(context) {
+    context.propertiesManager = new PropertiesManager(context.gasApi);
+  },
+  tools: [
+    {
+      name: 'set_secure_property',
+      description: '🔒 スクリプトプロパティに暗号化してデータを安全に保存します',
+      inputSchema: {
+        type: 'object',
+        properties: {
+          scriptId: {
+            type: 'string',
+            description: 'スクリプトID'
+          },
+          scope: SCOPE_SCHEMA,
+          key: {
+            type: 'string',
+            description: 'プロパティキー'
+          },
+          value: {
+            type: 'string',
+            description: '保存する値'
+          },
+          encrypt: {
+            type: 'boolean',
+            description: '暗号化するか（デフォルト: true）',
+            default: true
+          }
+        },
+        required: ['scriptId', 'key', 'value']
+      },
+      handler: setSecureProperty
+    },
+    {
+      name: 'get_secure_property',
+      description: '🔓 スクリプトプロパティから暗号化されたデータを安全に取得します',
+      inputSchema: {
+        type: 'object',
+        properties: {
+          scriptId: {
+            type: 'string',
+            description: 'スクリプトID'
+          },
+          scope: SCOPE_SCHEMA,
+          key: {
+            type: 'string',
+            description: 'プロパティキー'
+          },
+          decrypt: {
+            type: 'boolean',
+            description: '復号化するか（デフォルト: true）',
+            default: true
+          }
+        },
+        required: ['scriptId', 'key']
+      },
+      handler: getSecureProperty
+    },
+    {
+      name: 'delete_property',
+      description: '🗑️ スクリプトプロパティを削除します',
+      inputSchema: {
+        type: 'object',
+        properties: {
+          scriptId: {
+            type: 'string',
+            description: 'スクリプトID'
+          },
+          scope: SCOPE_SCHEMA,
+          key: {
+            type: 'string',
+            description: '削除するプロパティキー'
+          }
+        },
+        required: ['scriptId', 'key']
+      },
+      handler: deleteProperty
+    },
+    {
+      name: 'list_properties',
+      description: '📋 すべてのスクリプトプロパティを一覧表示します',
+      inputSchema: {
+        type: 'object',
+        properties: {
+          scriptId: {
+            type: 'string',
+            description: 'スクリプトID'
+          },
+          scope: SCOPE_SCHEMA,
+          decrypt: {
+            type: 'boolean',
+            description: '暗号化されたプロパティを復号化するか（デフォルト: true）',
+            default: true
+          },
+          maskValues: {
+            type: 'boolean',
+            description: '値をマスキング表示するか（デフォルト: false）',
+            default: false
+          }
+        },
+        required: ['scriptId']
+      },
+      handler: listProperties
+    },
+    {
+      name: 'audit_properties',
+      description: '🔍 スクリプトプロパティのセキュリティ監査を実行します',
+      inputSchema: {
+        type: 'object',
+        properties: {
+          scriptId: {
+            type: 'string',
+            description: 'スクリプトID'
+          },
+          scope: SCOPE_SCHEMA
+        },
+        required: ['scriptId']
+      },
+      handler: auditProperties
+    },
+    {
+      name: 'backup_properties',
+      description: '💾 スクリプトプロパティをバックアップします',
+      inputSchema: {
+        type: 'object',
+        properties: {
+          scriptId: {
+            type: 'string',
+            description: 'スクリプトID'
+          },
+          scope: SCOPE_SCHEMA,
+          includeEncrypted: {
+            type: 'boolean',
+            description: '暗号化されたままバックアップするか（デフォルト: false）',
+            default: false
+          }
+        },
+        required: ['scriptId']
+      },
+      handler: backupProperties
+    },
+    {
+      name: 'restore_properties',
+      description: '🔄 バックアップからスクリプトプロパティを復元します',
+      inputSchema: {
+        type: 'object',
+        properties: {
+          scriptId: {
+            type: 'string',
+            description: 'スクリプトID'
+          },
+          scope: {
+            type: 'string',
+            enum: PROPERTY_SCOPES,
+            description: '復元先のスコープ（省略時はバックアップ時のスコープ）'
+          },
+          backup: {
+            type: 'object',
+            description: 'バックアップデータ'
+          },
+          verifyChecksum: {
+            type: 'boolean',
+            description: 'チェックサムを検証するか（デフォルト: true）',
+            default: true
+          },
+          dryRun: {
+            type: 'boolean',
+            description: '書き込まずに現在の値との差分のみ表示するか（デフォルト: false）',
+            default: false
+          },
+          atomic: {
+            type: 'boolean',
+            description: '書き込み前の状態を保存し、失敗した場合は元に戻すか（デフォルト: true）',
+            default: true
+          },
+          deleteAllOthers: {
+            type: 'boolean',
+            description: 'バックアップにないプロパティを削除するか（デフォルト: false）',
+            default: false
+          }
+        },
+        required: ['scriptId', 'backup']
+      },
+      handler: restoreProperties
+    },
+    {
+      name: 'set_properties_bulk',
+      description: '📦 複数のプロパティを1回の実行でまとめて設定します（差分のドライラン、失敗時のロールバックに対応）',
+      inputSchema: {
+        type: 'object',
+        properties: {
+          scriptId: {
+            type: 'string',
+            description: 'スクリプトID'
+          },
+          scope: SCOPE_SCHEMA,
+          properties: {
+            type: 'object',
+            description: '設定するプロパティ（キーと文字列の値）',
+            additionalProperties: {
+              type: 'string'
+            }
+          },
+          encrypt: {
+            type: 'boolean',
+            description: '暗号化するか（デフォルト: true）',
+            default: true
+          },
+          deleteAllOthers: {
+            type: 'boolean',
+            description: '指定していないプロパティを削除するか（デフォルト: false）',
+            default: false
+          },
+          dryRun: {
+            type: 'boolean',
+            description: '書き込まずに現在の値との差分のみ表示するか（デフォルト: false）',
+            default: false
+          },
+          atomic: {
+            type: 'boolean',
+            description: '書き込み前の状態を保存し、失敗した場合は元に戻すか（デフォルト: true）',
+            default: true
+          }
+        },
+        required: ['scriptId', 'properties']
+      },
+      handler: setPropertiesBulk
+    },
+    {
+      name: 'rotate_encryption_key',
+      description: '🔑 新しい暗号化キーを作成し、スクリプトの暗号化済みプロパティをすべて新しいキーで再暗号化します',
+      inputSchema: {
+        type: 'object',
+        properties: {
+          scriptId: {
+            type: 'string',
+            description: 'スクリプトID'
+          },
+          scope: SCOPE_SCHEMA,
+          generateKey: {
+            type: 'boolean',
+            description: '新しいキーを作成するか（false の場合は現在の有効なキーで再暗号化。複数スクリプトを同じキーに移行する場合に使用）',
+            default: true
+          },
+          keyId: {
+            type: 'string',
+            description: '新しいキーのID（省略時は作成日時から生成）'
+          }
+        },
+        required: ['scriptId']
+      },
+      handler: rotateEncryptionKey
+    },
+    {
+      name: 'repair_properties_helper',
+      description: '🔧 以前のバージョンが残したプロパティ操作用の一時ファイル（temp_*）を削除し、プロパティヘルパー（__gasMcpProps）を最新にします',
+      inputSchema: {
+        type: 'object',
+        properties: {
+          scriptId: {
+            type: 'string',
+            description: 'スクリプトID'
+          },
+          dryRun: {
+            type: 'boolean',
+            description: '変更せずに削除対象のみ表示するか（デフォルト: false）',
+            default: false
+          }
+        },
+        required: ['scriptId']
+      },
+      handler: repairPropertiesHelper
+    }
+  ]
+};
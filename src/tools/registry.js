@@ -0,0 +1,87 @@
+/**
+ * ツールレジストリ
+ *
+ * ツールモジュールを登録し、ListTools の一覧生成とツール呼び出しの振り分けを行う
+ *
+ * ツールモジュールは以下の形式のオブジェクト
+ * - name: モジュール名
+ * - description: モジュールの説明
+ * - setup(context): モジュール固有のサービスを context に追加（任意）
+ * - tools: { name, description, inputSchema, handler(args, context), requiresAuth } の配列
+ *   requiresAuth は真偽値または args を受け取る関数（省略時は認証が必要）
+ *
+ * Author: Utakata
+ */
+
+export class ToolRegistry {
+  constructor(context = {}) {
+    this.context = { ...context, registry: this };
+    this.modules = new Map();
+    this.tools = new Map();
+  }
+
+  /**
+   * モジュールを登録（ツール名の重複は例外）
+   */
+  register(module) {
+    if (this.modules.has(module.name)) {
+      throw new Error(`ツールモジュール「${module.name}」はすでに登録されています`);
+    }
+
+    const duplicated = module.tools.filter(tool => this.tools.has(tool.name)).map(tool => tool.name);
+    if (duplicated.length > 0) {
+      throw new Error(`ツール名が重複しています: ${duplicated.join(', ')}（モジュール: ${module.name}）`);
+    }
+
+    if (module.setup) {
+      module.setup(this.context);
+    }
+
+    this.modules.set(module.name, module);
+    module.tools.forEach(tool => this.tools.set(tool.name, { ...tool, module: module.name }));
+    return this;
+  }
+
+  /**
+   * 登録済みのモジュール名
+   */
+  moduleNames() {
+    return [...this.modules.keys()];
+  }
+
+  /**
+   * ListTools 用のツール一覧（filter で絞り込み）
+   */
+  listTools(filter = () => true) {
+    return [...this.tools.values()]
+      .filter(filter)
+      .map(tool => ({
+        name: tool.name,
+        description: tool.description,
+        inputSchema: tool.inputSchema
+      }));
+  }
+
+  has(name) {
+    return this.tools.has(name);
+  }
+
+  /**
+   * ツール実行にGoogle認証が必要か判定
+   */
+  requiresAuthentication(name, args = {}) {
+    const requiresAuth = this.tools.get(name)?.requiresAuth ?? true;
+    return typeof requiresAuth === 'function' ? requiresAuth(args) : requiresAuth;
+  }
+
+  /**
+   * ツールを実行
+   */
+  async call(name, args = {}) {
+    const tool = this.tools.get(name);
+    if (!tool) {
+      throw new Error(`未知のツールです: ${name}`);
+    }
+    return await tool.handler(args, this.context);
+  }
+}
@@ -0,0 +1,226 @@
+/**
+ * トリガー管理ツール
+ *
+ * - トリガーの一覧・作成・削除
+ * - 宣言的なトリガー同期
+ *
+ * Author: Utakata
+ */
+
+async function manageGasTriggers(args, context) {
+  const result = await context.gasApi.manageTriggers(
+    args.scriptId,
+    args.action,
+    args.triggerConfig,
+    args.triggerId
+  );
+  
+  let text = `⚡ トリガー管理: ${args.action}\n\n`;
+  
+  switch (args.action) {
+    case 'list':
+      if (result.triggers && result.triggers.length > 0) {
+        result.triggers.forEach((trigger, index) => {
+          text += `${index + 1}. ${trigger.handlerFunction}\n`;
+          text += `   タイプ: ${trigger.eventType}\n`;
+          if (trigger.triggerSource) {
+            text += `   ソース: ${trigger.triggerSource}${trigger.triggerSourceId ? ` (${trigger.triggerSourceId})` : ''}\n`;
+          }
+          text += `   ID: ${trigger.triggerId}\n\n`;
+        });
+      } else {
+        text += '設定されているトリガーはありません。';
+      }
+      break;
+    case 'create':
+      text += `✅ トリガーを作成しました\n`;
+      text += `🆔 ID: ${result.triggerId}\n`;
+      text += `⚙️ 関数: ${result.config.handlerFunction}\n`;
+      text += `📡 イベント: ${result.config.eventType} (${result.config.triggerSource})`;
+      if (result.config.clock) {
+        text += `\n⏰ スケジュール: ${JSON.stringify(result.config.clock)}`;
+      }
+      break;
+    case 'delete':
+      text += `✅ トリガーを削除しました\n🆔 ID: ${args.triggerId}`;
+      break;
+  }
+
+  return {
+    content: [
+      {
+        type: 'text',
+        text: text
+      }
+    ]
+  };
+}
+
+async function syncGasTriggers(args, context) {
+  const result = await context.gasApi.syncTriggers({
+    scriptId: args.scriptId,
+    projectDir: args.projectDir,
+    manifestPath: args.manifestPath,
+    apply: args.apply,
+    prune: args.prune
+  });
+  const { plan } = result;
+  const describe = trigger => {
+    const source = trigger.triggerSourceId ? ` ${trigger.triggerSourceId}` : '';
+    const clock = trigger.clock ? ` ${JSON.stringify(trigger.clock)}` : '';
+    return `${trigger.handlerFunction} (${trigger.eventType}${source})${clock}`;
+  };
+
+  let text = result.applied ? `🔄 トリガーを同期しました\n\n` : `🧪 トリガー同期計画\n\n`;
+  text += `🆔 ID: ${result.scriptId}\n`;
+  if (result.manifestPath) {
+    text += `📄 定義ファイル: ${result.manifestPath}\n`;
+  }
+  text += '\n';
+
+  if (result.inSync) {
+    text += `✅ トリガーは定義どおりです（${plan.unchanged.length}件）\n`;
+  } else {
+    plan.create.forEach(trigger => { text += `  + ${describe(trigger)}\n`; });
+    plan.change.forEach(change => { text += `  ~ ${describe(change.from)} → ${describe(change.to)}\n`; });
+    plan.remove.forEach(trigger => { text += `  - ${describe(trigger)} [${trigger.triggerId}]\n`; });
+    text += `\n作成 ${plan.create.length}件 / 置き換え ${plan.change.length}件 / 削除 ${plan.remove.length}件 / 変更なし ${plan.unchanged.length}件\n`;
+  }
+  if (plan.unmanaged.length > 0) {
+    text += `\n⏭️ 定義にないトリガー（prune: false のため保持）:\n`;
+    plan.unmanaged.forEach(trigger => { text += `  • ${describe(trigger)} [${trigger.triggerId}]\n`; });
+  }
+  if (result.errors.length > 0) {
+    text += `\n❌ 問題:\n${result.errors.map(error => `  • ${error}`).join('\n')}\n`;
+  }
+  if (!result.applied && !result.inSync) {
+    text += `\n💡 apply: true で適用します`;
+  }
+
+  return {
+    content: [
+      {
+        type: 'text',
+        text: text
+      }
+    ]
+  };
+}
+
+export default {
+  name: 'triggers',
+  description: 'トリガーの管理と宣言的な同期',
+  tools: [
+    {
+      name: 'manage_gas_triggers',
+      description: 'Google Apps Scriptのトリガーを管理します',
+      inputSchema: {
+        type: 'object',
+        properties: {
+          scriptId: {
+            type: 'string',
+            description: 'スクリプトID'
+          },
+          action: {
+            type: 'string',
+            enum: ['list', 'create', 'delete'],
+            description: '実行するアクション'
+          },
+          triggerConfig: {
+            type: 'object',
+            description: 'トリガー設定（createの場合）。関数の存在とトリガー数の上限を確認してから作成します',
+            properties: {
+              handlerFunction: {
+                type: 'string',
+                description: '実行する関数名（プロジェクトに存在するトップレベル関数）'
+              },
+              type: {
+                type: 'string',
+                enum: ['time', 'spreadsheet', 'calendar', 'form'],
+                description: 'トリガーの種類'
+              },
+              schedule: {
+                type: 'string',
+                enum: ['everyMinutes', 'everyHours', 'daily', 'weekly', 'at'],
+                description: '実行スケジュール（timeの場合）'
+              },
+              interval: {
+                type: 'number',
+                description: '間隔（everyMinutes: 1/5/10/15/30、everyHours: 1/2/4/6/8/12、daily: 日数、weekly: 週数）'
+              },
+              atHour: {
+                type: 'number',
+                description: '実行時刻の時（0〜23、daily/weeklyの場合）'
+              },
+              nearMinute: {
+                type: 'number',
+                description: '実行時刻の分の目安（0〜59、atHourと併用）'
+              },
+              weekDay: {
+                type: 'string',
+                enum: ['MONDAY', 'TUESDAY', 'WEDNESDAY', 'THURSDAY', 'FRIDAY', 'SATURDAY', 'SUNDAY'],
+                description: '曜日（weeklyの場合）'
+              },
+              at: {
+                type: 'string',
+                description: '実行日時（ISO 8601、atの場合）'
+              },
+              timeZone: {
+                type: 'string',
+                description: 'タイムゾーン（timeの場合、省略時はプロジェクトのタイムゾーン）'
+              },
+              sourceId: {
+                type: 'string',
+                description: 'スプレッドシートID / カレンダーID / フォームID（spreadsheet・calendar・formの場合）'
+              },
+              event: {
+                type: 'string',
+                enum: ['onOpen', 'onEdit', 'onChange', 'onFormSubmit', 'onEventUpdated'],
+                description: 'イベント（spreadsheet: onOpen/onEdit/onChange/onFormSubmit、calendar: onEventUpdated、form: onOpen/onFormSubmit）'
+              }
+            },
+            required: ['handlerFunction', 'type']
+          },
+          triggerId: {
+            type: 'string',
+            description: 'トリガーID（deleteの場合）'
+          }
+        },
+        required: ['scriptId', 'action']
+      },
+      handler: manageGasTriggers
+    },
+    {
+      name: 'sync_gas_triggers',
+      description: 'トリガー定義ファイル（triggers.json）と現在のトリガーを比較し、作成・削除・置き換えで定義どおりに同期します（既定は計画のみ）',
+      inputSchema: {
+        type: 'object',
+        properties: {
+          scriptId: {
+            type: 'string',
+            description: 'スクリプトID（省略時は projectDir の .clasp.json）'
+          },
+          projectDir: {
+            type: 'string',
+            description: 'triggers.json を含むclaspプロジェクトディレクトリ'
+          },
+          manifestPath: {
+            type: 'string',
+            description: 'トリガー定義ファイルのパス（triggers.json 以外を使う場合）'
+          },
+          apply: {
+            type: 'boolean',
+            description: '計画を適用する（falseの場合は計画のみ表示）',
+            default: false
+          },
+          prune: {
+            type: 'boolean',
+            description: '定義にないトリガーを削除する',
+            default: true
+          }
+        }
+      },
+      handler: syncGasTriggers
+    }
+  ]
+};
@@ -0,0 +1,301 @@
+/**
+ * 設定ユーティリティ
+ *
+ * 以下の順に設定を重ね合わせ、スキーマ検証した結果を提供する（後のものが優先）
+ * 1. config/default.json
+ * 2. config/local.json（存在する場合）
+ * 3. config/<NODE_ENV>.json（存在する場合）
+ * 4. GAS_MCP_* 環境変数（例: GAS_MCP_LOGGING_LEVEL=debug、GAS_MCP_TOOLS_CREATE_GAS_PROJECT_ENABLED=false）
+ *
+ * Author: Utakata
+ */
+
+import fs from 'fs-extra';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import _ from 'lodash';
+
+const CONFIG_DIR = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '../../config');
+const ENV_PREFIX = 'GAS_MCP_';
+
+export const LOG_LEVELS = ['debug', 'info', 'warn', 'error'];
+export const DEFAULT_LOG_LEVEL = 'info';
+export const AUTH_METHODS = ['service_account', 'oauth', 'default'];
+
+// 暗号化キーの保存方法（src/services/key-providers.js）
+export const KEY_PROVIDERS = ['file', 'passphrase', 'encrypted-file', 'kms'];
+
+// GAS_MCP_* より前に適用する従来の環境変数
+const LEGACY_ENV = {
+  LOG_LEVEL: ['logging', 'level']
+};
+
+const KNOWN_SECTIONS = ['server', 'google', 'mcp', 'logging', 'cache', 'limits', 'security', 'backup', 'tools'];
+
+const RATE_PERIODS = {
+  second: 1000,
+  minute: 60 * 1000,
+  hour: 60 * 60 * 1000,
+  day: 24 * 60 * 60 * 1000
+};
+
+let cachedConfig = null;
+let cachedReport = null;
+
+/**
+ * "10/minute" 形式のレート制限をパース
+ */
+export function parseRateLimit(value) {
+  const match = /^\s*(\d+)\s*\/\s*(second|minute|hour|day)s?\s*$/.exec(String(value));
+  if (!match || Number(match[1]) <= 0) {
+    throw new Error(`rateLimit の形式が不正です: ${value}（例: "10/minute"）`);
+  }
+  return { limit: Number(match[1]), periodMs: RATE_PERIODS[match[2]] };
+}
+
+// 配列は要素ごとにマージせず置き換える
+const mergeLayer = (target, layer) => _.mergeWith(target, layer, (_current, value) => (Array.isArray(value) ? value : undefined));
+
+const normalizeKey = key => key.toLowerCase().replace(/_/g, '');
+
+/**
+ * 環境変数名（アンダースコア区切り）を既存の設定キーに対応付ける
+ *
+ * 既存のキーに最長一致で合わせるため、tools 配下のスネークケースも camelCase のキーも指定できる。
+ * 一致するキーがない場合は残りを camelCase にしたキーとして扱う
+ */
+function resolveEnvPath(config, tokens) {
+  const keys = [];
+  let node = config;
+  let rest = tokens;
+
+  while (rest.length > 0) {
+    let matched = null;
+    if (_.isPlainObject(node)) {
+      for (let length = rest.length; length >= 1 && !matched; length--) {
+        const candidate = normalizeKey(rest.slice(0, length).join('_'));
+        const key = Object.keys(node).find(k => normalizeKey(k) === candidate);
+        if (key) matched = { key, length };
+      }
+    }
+
+    if (!matched) {
+      keys.push(_.camelCase(rest.join('_')));
+      break;
+    }
+    keys.push(matched.key);
+    node = node[matched.key];
+    rest = rest.slice(matched.length);
+  }
+
+  return keys;
+}
+
+/**
+ * 環境変数の値を解釈（JSONとして読めれば数値・真偽値・配列など、それ以外は文字列）
+ */
+function parseEnvValue(value) {
+  try {
+    return JSON.parse(value);
+  } catch {
+    return value;
+  }
+}
+
+/**
+ * 設定ファイルを読み込む（存在しない任意ファイルは null）
+ */
+function readLayer(fileName, required, sources, errors) {
+  const filePath = path.join(CONFIG_DIR, fileName);
+  if (!required && !fs.pathExistsSync(filePath)) {
+    return null;
+  }
+
+  try {
+    const layer = fs.readJsonSync(filePath);
+    sources.push(`config/${fileName}`);
+    return layer;
+  } catch (error) {
+    errors.push(`config/${fileName} を読み込めません: ${error.message}`);
+    return null;
+  }
+}
+
+/**
+ * 設定を検証
+ */
+export function validateConfig(config) {
+  const errors = [];
+  const warnings = [];
+
+  const isNonNegativeInteger = value => Number.isInteger(value) && value >= 0;
+  const checkType = (field, value, check, expected) => {
+    if (value !== undefined && !check(value)) {
+      errors.push(`${field} は${expected}である必要があります（指定値: ${JSON.stringify(value)}）`);
+    }
+  };
+
+  Object.keys(config)
+    .filter(key => !KNOWN_SECTIONS.includes(key))
+    .forEach(key => warnings.push(`未知の設定セクションです: ${key}`));
+
+  // モジュール名自体はサーバー起動時に検証する（tools/index.js）
+  checkType('server.modules', config.server?.modules, value => Array.isArray(value) && value.every(_.isString), '文字列の配列');
+
+  const logging = config.logging || {};
+  // ログレベルの誤りでは起動を止めず、loadConfig で既定値に戻す
+  if (logging.level !== undefined && !LOG_LEVELS.includes(logging.level)) {
+    warnings.push(`logging.level は ${LOG_LEVELS.join(' / ')} のいずれかです（指定値: ${logging.level}）。${DEFAULT_LOG_LEVEL} を使います`);
+  }
+  checkType('logging.timestamp', logging.timestamp, _.isBoolean, '真偽値');
+  checkType('logging.colorize', logging.colorize, _.isBoolean, '真偽値');
+
+  const auth = config.google?.auth || {};
+  if (auth.methods !== undefined) {
+    if (!Array.isArray(auth.methods) || auth.methods.length === 0) {
+      errors.push('google.auth.methods は1つ以上の認証方法の配列である必要があります');
+    } else {
+      auth.methods
+        .filter(method => !AUTH_METHODS.includes(method))
+        .forEach(method => errors.push(`google.auth.methods に未知の認証方法があります: ${method}（${AUTH_METHODS.join(' / ')}）`));
+    }
+  }
+  if (auth.preferred !== undefined && !(auth.methods || AUTH_METHODS).includes(auth.preferred)) {
+    errors.push(`google.auth.preferred は google.auth.methods のいずれかです（指定値: ${auth.preferred}）`);
+  }
+
+  Object.entries(config.google?.apis || {}).forEach(([api, settings]) => {
+    const scopes = settings?.scopes;
+    if (scopes === undefined) return;
+    if (!Array.isArray(scopes)) {
+      errors.push(`google.apis.${api}.scopes は配列である必要があります`);
+      return;
+    }
+    scopes
+      .filter(scope => typeof scope !== 'string' || !scope.startsWith('https://'))
+      .forEach(scope => errors.push(`google.apis.${api}.scopes のスコープが不正です: ${scope}`));
+  });
+
+  const limits = config.limits || {};
+  ['requestTimeout', 'retries', 'maxProjects', 'maxFilesPerProject'].forEach(key => {
+    checkType(`limits.${key}`, limits[key], isNonNegativeInteger, '0以上の整数');
+  });
+
+  const cache = config.cache || {};
+  checkType('cache.maxEntries', cache.maxEntries, isNonNegativeInteger, '0以上の整数');
+  checkType('cache.disk', cache.disk, _.isBoolean, '真偽値');
+  checkType('cache.dir', cache.dir, value => value === null || _.isString(value), '文字列');
+
+  const security = config.security || {};
+  checkType('security.keyring', security.keyring, value => value === null || _.isString(value), '文字列');
+  if (security.provider !== undefined && !KEY_PROVIDERS.includes(security.provider)) {
+    errors.push(`security.provider は ${KEY_PROVIDERS.join(' / ')} のいずれかです（指定値: ${security.provider}）`);
+  }
+  const kdf = security.kdf || {};
+  checkType('security.kdf.N', kdf.N, value => Number.isInteger(value) && value > 1 && (value & (value - 1)) === 0, '2の累乗');
+  checkType('security.kdf.r', kdf.r, value => Number.isInteger(value) && value > 0, '正の整数');
+  checkType('security.kdf.p', kdf.p, value => Number.isInteger(value) && value > 0, '正の整数');
+  const kms = security.kms || {};
+  checkType('security.kms.endpoint', kms.endpoint, value => _.isString(value) && /^https?:\/\//.test(value), 'http(s)のURL');
+  checkType('security.kms.keyName', kms.keyName, value => value === null || _.isString(value), '文字列');
+  checkType('security.kms.timeout', kms.timeout, isNonNegativeInteger, '0以上の整数');
+  if (security.provider === 'kms' && !kms.keyName) {
+    errors.push('security.provider が kms の場合は security.kms.keyName が必要です');
+  }
+
+  const backup = config.backup || {};
+  checkType('backup.dir', backup.dir, value => value === null || _.isString(value), '文字列');
+  checkType('backup.scriptIds', backup.scriptIds, value => _.isString(value) || (Array.isArray(value) && value.every(_.isString)), '文字列またはその配列');
+  checkType('backup.intervalHours', backup.intervalHours, value => _.isNumber(value) && value > 0, '正の数');
+  checkType('backup.keepDaily', backup.keepDaily, isNonNegativeInteger, '0以上の整数');
+  checkType('backup.keepWeekly', backup.keepWeekly, isNonNegativeInteger, '0以上の整数');
+
+  Object.entries(config.tools || {}).forEach(([name, tool]) => {
+    if (!_.isPlainObject(tool)) {
+      errors.push(`tools.${name} はオブジェクトである必要があります`);
+      return;
+    }
+    checkType(`tools.${name}.enabled`, tool.enabled, _.isBoolean, '真偽値');
+    checkType(`tools.${name}.timeout`, tool.timeout, isNonNegativeInteger, '0以上の整数');
+    checkType(`tools.${name}.retries`, tool.retries, isNonNegativeInteger, '0以上の整数');
+    if (tool.rateLimit !== undefined) {
+      try {
+        parseRateLimit(tool.rateLimit);
+      } catch (error) {
+        errors.push(`tools.${name}.${error.message}`);
+      }
+    }
+  });
+
+  return {
+    valid: errors.length === 0,
+    errors,
+    warnings
+  };
+}
+
+/**
+ * 設定全体を取得（初回のみ読み込み・検証する）
+ */
+export function loadConfig() {
+  if (cachedConfig) {
+    return cachedConfig;
+  }
+
+  const sources = [];
+  const errors = [];
+  const config = readLayer('default.json', true, sources, errors) || {};
+
+  const layers = [
+    'local.json',
+    process.env.NODE_ENV ? `${process.env.NODE_ENV}.json` : null
+  ].filter(Boolean);
+  layers.forEach(fileName => {
+    const layer = readLayer(fileName, false, sources, errors);
+    if (layer) mergeLayer(config, layer);
+  });
+
+  Object.entries(LEGACY_ENV)
+    .filter(([name]) => process.env[name] !== undefined)
+    .forEach(([name, keys]) => {
+      _.set(config, keys, process.env[name]);
+      sources.push(name);
+    });
+
+  Object.keys(process.env)
+    .filter(name => name.startsWith(ENV_PREFIX) && name.length > ENV_PREFIX.length)
+    .sort()
+    .forEach(name => {
+      const keys = resolveEnvPath(config, name.slice(ENV_PREFIX.length).split('_').filter(Boolean));
+      _.set(config, keys, parseEnvValue(process.env[name]));
+      sources.push(name);
+    });
+
+  const validation = validateConfig(config);
+  if (!LOG_LEVELS.includes(config.logging?.level)) {
+    _.set(config, ['logging', 'level'], DEFAULT_LOG_LEVEL);
+  }
+  cachedConfig = config;
+  cachedReport = {
+    sources: sources,
+    errors: [...errors, ...validation.errors],
+    warnings: validation.warnings
+  };
+
+  return cachedConfig;
+}
+
+/**
+ * 読み込んだ設定の出どころと検証結果
+ */
+export function getConfigReport() {
+  loadConfig();
+  return cachedReport;
+}
+
+/**
+ * ツール単位の設定を取得
+ */
+export function getToolConfig(toolName) {
+  return loadConfig().tools?.[toolName] || {};
+}
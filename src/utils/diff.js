@@ -0,0 +1,158 @@
+/**
+ * 差分・競合検出ユーティリティ
+ *
+ * プロジェクトファイルのハッシュ計算、unified diff生成、
+ * ベーススナップショットを基準にした3-way競合検出を提供
+ *
+ * Author: Utakata
+ */
+
+import crypto from 'crypto';
+import { createTwoFilesPatch } from 'diff';
+
+/**
+ * ファイルソースのハッシュ（sha256）
+ */
+export function hashSource(source) {
+  return crypto.createHash('sha256').update(source ?? '').digest('hex');
+}
+
+/**
+ * プロジェクト全体のコンテンツハッシュ（ファイル順序に依存しない）
+ */
+export function hashProjectFiles(files = []) {
+  const normalized = [...files]
+    .map(f => ({ name: f.name, type: f.type, source: f.source ?? '' }))
+    .sort((a, b) => a.name.localeCompare(b.name));
+  return crypto.createHash('sha256').update(JSON.stringify(normalized)).digest('hex');
+}
+
+/**
+ * 2つのソースのunified diffを生成
+ */
+export function unifiedDiff(fileName, oldSource, newSource, oldLabel = 'base', newLabel = 'remote') {
+  return createTwoFilesPatch(
+    `${oldLabel}/${fileName}`,
+    `${newLabel}/${fileName}`,
+    oldSource ?? '',
+    newSource ?? '',
+    undefined,
+    undefined,
+    { context: 3 }
+  );
+}
+
+/**
+ * ファイル配列を名前をキーにしたMapに変換
+ */
+function toFileMap(files = []) {
+  return new Map(files.map(f => [f.name, f.source ?? null]));
+}
+
+/**
+ * ベース・リモート・ローカルの3-way比較で競合を検出
+ *
+ * リモートがベースから変化しているファイルがあれば drifted: true を返す。
+ * 各ファイルには base→remote / base→local のunified diffを含める
+ */
+export function detectConflicts({ base, remote, local }) {
+  const baseMap = toFileMap(base);
+  const remoteMap = toFileMap(remote);
+  const localMap = toFileMap(local);
+
+  const names = [...new Set([...baseMap.keys(), ...remoteMap.keys(), ...localMap.keys()])].sort();
+  const files = [];
+
+  for (const name of names) {
+    const baseSource = baseMap.has(name) ? baseMap.get(name) : null;
+    const remoteSource = remoteMap.has(name) ? remoteMap.get(name) : null;
+    const localSource = localMap.has(name) ? localMap.get(name) : null;
+
+    const remoteChanged = remoteSource !== baseSource;
+    const localChanged = localSource !== baseSource;
+
+    if (!remoteChanged) continue;
+
+    let status;
+    if (!localChanged) {
+      // ローカルは未変更だが書き込むとリモートの変更を巻き戻してしまう
+      status = 'remote-modified';
+    } else if (localSource === remoteSource) {
+      status = 'identical';
+    } else {
+      status = 'conflict';
+    }
+
+    files.push({
+      name: name,
+      status: status,
+      change: baseSource === null ? 'added-remotely' : remoteSource === null ? 'deleted-remotely' : 'modified',
+      remoteDiff: unifiedDiff(name, baseSource, remoteSource, 'base', 'remote'),
+      localDiff: localChanged ? unifiedDiff(name, baseSource, localSource, 'base', 'local') : null
+    });
+  }
+
+  return {
+    drifted: files.some(f => f.status !== 'identical'),
+    files: files
+  };
+}
+
+/**
+ * 競合レポートをMCP応答用のテキストに整形
+ */
+export function formatConflictReport(report) {
+  let text = `⚠️ リモートが変更されているため書き込みを中止しました\n\n`;
+  text += `🆔 ID: ${report.scriptId}\n`;
+  text += `📅 リモート更新日時: ${report.remoteUpdateTime}\n`;
+  text += `🔐 リモートハッシュ: ${report.remoteHash}\n`;
+  if (report.baseHash) {
+    text += `🔐 ベースハッシュ: ${report.baseHash}\n`;
+  }
+  text += `\n📂 変更されたファイル (${report.files.length}件):\n`;
+
+  report.files.forEach(file => {
+    text += `\n### ${file.name} [${file.status} / ${file.change}]\n`;
+    if (file.remoteDiff) {
+      text += `リモートでの変更:\n\`\`\`diff\n${file.remoteDiff}\`\`\`\n`;
+    }
+    if (file.localDiff) {
+      text += `今回の変更:\n\`\`\`diff\n${file.localDiff}\`\`\`\n`;
+    }
+  });
+
+  text += `\n💡 最新の内容を取得して変更を取り込んでから再実行してください`;
+  return text;
+}
+
+/**
+ * 2つのファイル配列をファイル単位で比較
+ */
+export function diffProjectFiles(fromFiles = [], toFiles = [], fromLabel = 'from', toLabel = 'to') {
+  const fromMap = toFileMap(fromFiles);
+  const toMap = toFileMap(toFiles);
+  const names = [...new Set([...fromMap.keys(), ...toMap.keys()])].sort();
+
+  const files = [];
+  for (const name of names) {
+    const fromSource = fromMap.has(name) ? fromMap.get(name) : null;
+    const toSource = toMap.has(name) ? toMap.get(name) : null;
+    if (fromSource === toSource) continue;
+
+    files.push({
+      name: name,
+      change: fromSource === null ? 'added' : toSource === null ? 'removed' : 'modified',
+      diff: unifiedDiff(name, fromSource, toSource, fromLabel, toLabel)
+    });
+  }
+
+  return {
+    summary: {
+      added: files.filter(f => f.change === 'added').length,
+      removed: files.filter(f => f.change === 'removed').length,
+      modified: files.filter(f => f.change === 'modified').length,
+      unchanged: names.length - files.length
+    },
+    files: files
+  };
+}
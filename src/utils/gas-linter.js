@@ -0,0 +1,250 @@
+/**
+ * GASソース静的解析（Lint）ユーティリティ
+ *
+ * プッシュ前に SERVER_JS ファイルを解析して問題を検出する
+ * - 構文エラー
+ * - ファイルをまたいだグローバル名の重複
+ * - ランタイム（runtimeVersion）で使えない構文
+ * - 未定義の関数呼び出し
+ * - ループ内での getValue / setValue など（クォータを消費するパターン）
+ *
+ * Author: Utakata
+ */
+
+import _ from 'lodash';
+import { GAS_GLOBAL_SERVICES, listTopLevelNames, parseSource, walkAst } from './gas-source.js';
+
+export const LINT_RULES = [
+  'syntax-error',
+  'duplicate-global',
+  'unsupported-syntax',
+  'undefined-function',
+  'quota-in-loop'
+];
+
+// ECMAScript 標準のグローバル関数・コンストラクタ
+const BUILTIN_GLOBALS = [
+  'Array', 'ArrayBuffer', 'BigInt', 'Boolean', 'DataView', 'Date', 'Error', 'EvalError',
+  'Float32Array', 'Float64Array', 'Function', 'Int8Array', 'Int16Array', 'Int32Array', 'Intl',
+  'JSON', 'Map', 'Math', 'Number', 'Object', 'Promise', 'Proxy', 'RangeError', 'ReferenceError',
+  'Reflect', 'RegExp', 'Set', 'String', 'Symbol', 'SyntaxError', 'TypeError', 'URIError',
+  'Uint8Array', 'Uint8ClampedArray', 'Uint16Array', 'Uint32Array', 'WeakMap', 'WeakSet',
+  'decodeURI', 'decodeURIComponent', 'encodeURI', 'encodeURIComponent', 'escape', 'eval',
+  'isFinite', 'isNaN', 'parseFloat', 'parseInt', 'unescape'
+];
+
+// 1回ごとにスプレッドシートへアクセスするメソッド
+const QUOTA_METHODS = [
+  'getValue', 'getValues', 'setValue', 'setValues', 'getDisplayValue', 'getDisplayValues',
+  'getFormula', 'getFormulas', 'setFormula', 'setFormulas', 'getBackground', 'getBackgrounds',
+  'setBackground', 'setBackgrounds', 'appendRow'
+];
+
+const LOOP_STATEMENTS = ['ForStatement', 'ForInStatement', 'ForOfStatement', 'WhileStatement', 'DoWhileStatement'];
+const ITERATION_METHODS = ['forEach', 'map', 'filter', 'reduce', 'some', 'every', 'find', 'findIndex', 'flatMap'];
+const FUNCTION_NODES = ['FunctionDeclaration', 'FunctionExpression', 'ArrowFunctionExpression'];
+
+// Rhino ランタイム（ES5）で使えない構文
+const ES5_UNSUPPORTED = [
+  { feature: 'アロー関数', test: node => node.type === 'ArrowFunctionExpression' },
+  { feature: 'class', test: node => node.type === 'ClassDeclaration' || node.type === 'ClassExpression' },
+  { feature: 'テンプレートリテラル', test: node => node.type === 'TemplateLiteral' },
+  { feature: 'let / const', test: node => node.type === 'VariableDeclaration' && node.kind !== 'var' },
+  { feature: 'スプレッド構文', test: node => node.type === 'SpreadElement' },
+  { feature: '分割代入', test: node => node.type === 'ObjectPattern' || node.type === 'ArrayPattern' },
+  { feature: 'デフォルト引数', test: node => node.type === 'AssignmentPattern' },
+  { feature: 'for...of', test: node => node.type === 'ForOfStatement' },
+  { feature: 'async / await', test: node => node.async === true || node.type === 'AwaitExpression' },
+  { feature: 'ジェネレーター', test: node => node.generator === true },
+  { feature: 'オプショナルチェーン', test: node => node.type === 'ChainExpression' },
+  { feature: 'Null合体演算子', test: node => node.type === 'LogicalExpression' && node.operator === '??' },
+  { feature: 'べき乗演算子', test: node => node.operator === '**' || node.operator === '**=' },
+  { feature: 'メソッド・プロパティの省略記法', test: node => node.type === 'Property' && (node.shorthand || node.method || node.computed) },
+  { feature: 'BigInt', test: node => node.type === 'Literal' && node.bigint !== undefined }
+];
+
+// V8 ランタイムでもサポートされない構文
+const V8_UNSUPPORTED = [
+  { feature: '動的 import()', test: node => node.type === 'ImportExpression' },
+  { feature: 'import.meta', test: node => node.type === 'MetaProperty' && node.meta.name === 'import' }
+];
+
+/**
+ * 分割代入などのパターンから束縛される名前を列挙
+ */
+function collectPatternNames(pattern, names) {
+  if (!pattern) return;
+  switch (pattern.type) {
+    case 'Identifier':
+      names.add(pattern.name);
+      break;
+    case 'ObjectPattern':
+      pattern.properties.forEach(property => collectPatternNames(property.type === 'RestElement' ? property.argument : property.value, names));
+      break;
+    case 'ArrayPattern':
+      pattern.elements.forEach(element => collectPatternNames(element, names));
+      break;
+    case 'AssignmentPattern':
+      collectPatternNames(pattern.left, names);
+      break;
+    case 'RestElement':
+      collectPatternNames(pattern.argument, names);
+      break;
+  }
+}
+
+/**
+ * ファイル内で宣言されている名前（スコープを問わない）を列挙
+ */
+function collectDeclaredNames(ast) {
+  const names = new Set();
+
+  walkAst(ast, node => {
+    if (FUNCTION_NODES.includes(node.type)) {
+      if (node.id) names.add(node.id.name);
+      node.params.forEach(param => collectPatternNames(param, names));
+    } else if ((node.type === 'ClassDeclaration' || node.type === 'ClassExpression') && node.id) {
+      names.add(node.id.name);
+    } else if (node.type === 'VariableDeclarator') {
+      collectPatternNames(node.id, names);
+    } else if (node.type === 'CatchClause') {
+      collectPatternNames(node.param, names);
+    }
+  });
+
+  return names;
+}
+
+/**
+ * ループ内（ループ文の中、または forEach などのコールバック内）か
+ */
+function isInsideLoop(ancestors) {
+  for (let i = ancestors.length - 1; i >= 0; i--) {
+    const node = ancestors[i];
+    if (LOOP_STATEMENTS.includes(node.type)) return true;
+    if (FUNCTION_NODES.includes(node.type)) {
+      const parent = ancestors[i - 1];
+      return Boolean(
+        parent?.type === 'CallExpression' &&
+        parent.arguments.includes(node) &&
+        parent.callee.type === 'MemberExpression' &&
+        ITERATION_METHODS.includes(parent.callee.property.name)
+      );
+    }
+  }
+  return false;
+}
+
+/**
+ * プロジェクトのファイルを解析して問題を列挙
+ *
+ * runtimeVersion はマニフェスト（appsscript）から取得する。
+ * マニフェストに指定がなければ Rhino（DEPRECATED_ES5）、マニフェスト自体がなければ V8 とみなす
+ */
+export function lintProject(files = [], options = {}) {
+  const manifestFile = files.find(file => file.name === 'appsscript');
+  let manifest = {};
+  try {
+    manifest = manifestFile ? JSON.parse(manifestFile.source) : {};
+  } catch {
+    manifest = {};
+  }
+  const runtimeVersion = options.runtimeVersion || manifest.runtimeVersion || (manifestFile ? 'DEPRECATED_ES5' : 'V8');
+  const unsupported = runtimeVersion === 'V8' ? V8_UNSUPPORTED : [...ES5_UNSUPPORTED, ...V8_UNSUPPORTED];
+
+  const findings = [];
+  const report = (severity, rule, file, line, message) => findings.push({ severity, rule, file, line, message });
+
+  const sourceFiles = files.filter(file => file.type === 'SERVER_JS');
+  const { names: topLevelNames } = listTopLevelNames(sourceFiles);
+
+  // ライブラリ・高度なサービスの識別子もグローバルとして扱う
+  const dependencySymbols = [
+    ...(manifest.dependencies?.libraries || []),
+    ...(manifest.dependencies?.enabledAdvancedServices || [])
+  ].map(dependency => dependency.userSymbol);
+  const globals = new Set([...BUILTIN_GLOBALS, ...GAS_GLOBAL_SERVICES, ...dependencySymbols, ...topLevelNames.map(n => n.name)]);
+
+  Object.entries(_.groupBy(topLevelNames, 'name'))
+    .filter(([, declarations]) => declarations.length > 1)
+    .forEach(([name, declarations]) => {
+      const locations = declarations.map(d => `${d.file}:${d.line}`).join(', ');
+      const [, second] = declarations;
+      report('error', 'duplicate-global', second.file, second.line,
+        `グローバル名「${name}」が重複しています（${locations}）。後に読み込まれたファイルの定義で上書きされます`);
+    });
+
+  sourceFiles.forEach(file => {
+    let ast;
+    try {
+      ast = parseSource(file.source);
+    } catch (error) {
+      report('error', 'syntax-error', file.name, error.loc?.line ?? null, `構文エラー: ${error.message}`);
+      return;
+    }
+
+    const declared = collectDeclaredNames(ast);
+    const usedFeatures = new Set();
+
+    walkAst(ast, (node, ancestors) => {
+      const line = node.loc.start.line;
+
+      unsupported
+        .filter(({ feature, test }) => !usedFeatures.has(feature) && test(node))
+        .forEach(({ feature }) => {
+          // 同じ構文はファイルごとに最初の1箇所のみ報告
+          usedFeatures.add(feature);
+          report('error', 'unsupported-syntax', file.name, line, `${feature} は ${runtimeVersion} ランタイムでは使用できません`);
+        });
+
+      if (node.type !== 'CallExpression') return;
+
+      if (node.callee.type === 'Identifier' && !declared.has(node.callee.name) && !globals.has(node.callee.name)) {
+        report('error', 'undefined-function', file.name, line, `未定義の関数「${node.callee.name}」を呼び出しています`);
+      }
+
+      if (node.callee.type === 'MemberExpression' &&
+        !node.callee.computed &&
+        QUOTA_METHODS.includes(node.callee.property.name) &&
+        isInsideLoop(ancestors)) {
+        const method = node.callee.property.name;
+        report('warning', 'quota-in-loop', file.name, line,
+          `ループ内で ${method}() を呼び出しています。getValues / setValues でまとめて読み書きしてください`);
+      }
+    });
+  });
+
+  const sorted = _.sortBy(
+    _.uniqWith(findings, _.isEqual),
+    [f => f.severity === 'error' ? 0 : 1, 'file', 'line']
+  );
+
+  return {
+    runtimeVersion: runtimeVersion,
+    fileCount: sourceFiles.length,
+    errorCount: sorted.filter(f => f.severity === 'error').length,
+    warningCount: sorted.filter(f => f.severity === 'warning').length,
+    findings: sorted
+  };
+}
+
+/**
+ * Lint結果を表示用テキストに整形
+ */
+export function formatLintReport(result) {
+  let text = `🔎 ファイル数: ${result.fileCount} / ランタイム: ${result.runtimeVersion}\n`;
+  text += `❌ エラー: ${result.errorCount}件 / ⚠️ 警告: ${result.warningCount}件\n`;
+
+  if (result.findings.length === 0) {
+    return text + `\n✅ 問題は見つかりませんでした`;
+  }
+
+  Object.entries(_.groupBy(result.findings, 'file')).forEach(([file, findings]) => {
+    text += `\n### ${file}\n`;
+    findings.forEach(f => {
+      text += `${f.severity === 'error' ? '❌' : '⚠️'} ${f.line ?? '-'}行目 [${f.rule}] ${f.message}\n`;
+    });
+  });
+
+  return text;
+}
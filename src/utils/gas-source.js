@@ -0,0 +1,186 @@
+/**
+ * GASソース解析ユーティリティ
+ *
+ * SERVER_JS ファイルをパースしてトップレベル関数・宣言を抽出する
+ *
+ * Author: Utakata
+ */
+
+import * as acorn from 'acorn';
+
+/**
+ * ソースをパース（Apps Script V8 ランタイムはスクリプト形式）
+ */
+export function parseSource(source, options = {}) {
+  return acorn.parse(source ?? '', {
+    ecmaVersion: 'latest',
+    sourceType: 'script',
+    locations: true,
+    allowHashBang: true,
+    ...options
+  });
+}
+
+/**
+ * 宣言の直前にあるJSDocコメントから概要（タグより前の最初の段落）を取り出す
+ */
+function findJsDocSummary(source, comments, start) {
+  const comment = comments.filter(c => c.type === 'Block' && c.end <= start).pop();
+  if (!comment || !comment.value.startsWith('*') || source.slice(comment.end, start).trim() !== '') {
+    return null;
+  }
+
+  const lines = comment.value
+    .split('\n')
+    .map(line => line.replace(/^\s*\*+\s?/, '').trim());
+  const tagIndex = lines.findIndex(line => line.startsWith('@'));
+  const description = tagIndex === -1 ? lines : lines.slice(0, tagIndex);
+  const summary = description.join('\n').trim().split(/\n\s*\n/)[0].replace(/\s*\n\s*/g, ' ');
+  return summary || null;
+}
+
+/**
+ * ASTを深さ優先で走査（visitor には node と親ノードの配列を渡す）
+ */
+export function walkAst(node, visitor, ancestors = []) {
+  if (!node || typeof node.type !== 'string') return;
+
+  visitor(node, ancestors);
+
+  const path = [...ancestors, node];
+  for (const key of Object.keys(node)) {
+    if (key === 'loc') continue;
+    const child = node[key];
+    if (Array.isArray(child)) {
+      child.forEach(item => walkAst(item, visitor, path));
+    } else if (child && typeof child.type === 'string') {
+      walkAst(child, visitor, path);
+    }
+  }
+}
+
+/**
+ * プロジェクトのトップレベル関数を列挙
+ *
+ * function 宣言と、関数式・アロー関数を代入した変数宣言が対象。
+ * パースできなかったファイルは errors に含める
+ */
+export function listTopLevelFunctions(files = []) {
+  const functions = [];
+  const errors = [];
+
+  files.filter(file => file.type === 'SERVER_JS').forEach(file => {
+    const source = file.source ?? '';
+    const comments = [];
+    let ast;
+    try {
+      ast = parseSource(source, { onComment: comments });
+    } catch (error) {
+      errors.push({ file: file.name, message: error.message, line: error.loc?.line ?? null });
+      return;
+    }
+
+    const describe = (name, fn, declaration, commentTarget) => ({
+      name: name,
+      file: file.name,
+      line: declaration.loc.start.line,
+      params: fn.params.length,
+      paramNames: fn.params.map(param => source.slice(param.start, param.end)),
+      summary: findJsDocSummary(source, comments, commentTarget.start)
+    });
+
+    ast.body.forEach(node => {
+      if (node.type === 'FunctionDeclaration' && node.id) {
+        functions.push(describe(node.id.name, node, node, node));
+        return;
+      }
+
+      if (node.type === 'VariableDeclaration') {
+        node.declarations.forEach((declaration, index) => {
+          const init = declaration.init;
+          if (declaration.id.type !== 'Identifier' || !init) return;
+          if (init.type !== 'FunctionExpression' && init.type !== 'ArrowFunctionExpression') return;
+          // JSDocは宣言文（const など）の直前に書かれる
+          functions.push(describe(declaration.id.name, init, declaration, index === 0 ? node : declaration));
+        });
+      }
+    });
+  });
+
+  return { functions, errors };
+}
+
+// インストール不要で呼ばれる関数（シンプルトリガー・Webアプリのエントリーポイント）
+export const SIMPLE_TRIGGER_FUNCTIONS = ['onOpen', 'onEdit', 'onInstall', 'onSelectionChange', 'doGet', 'doPost'];
+
+/**
+ * トップレベル関数のカタログを作成
+ *
+ * options.triggerHandlers: インストール済みトリガーのハンドラー名（不明な場合は null）
+ * options.manifest: マニフェスト（executionApi の有無で実行API経由の呼び出し可否を判定）
+ */
+export function buildFunctionCatalog(files = [], options = {}) {
+  const { functions, errors } = listTopLevelFunctions(files);
+  const triggerHandlers = options.triggerHandlers ? new Set(options.triggerHandlers) : null;
+  const executionApiEnabled = Boolean(options.manifest?.executionApi);
+
+  return {
+    functions: functions.map(fn => {
+      const isPrivate = fn.name.endsWith('_');
+      return {
+        ...fn,
+        flags: {
+          private: isPrivate,
+          simpleTrigger: SIMPLE_TRIGGER_FUNCTIONS.includes(fn.name),
+          installedTrigger: triggerHandlers ? triggerHandlers.has(fn.name) : null,
+          // プライベート関数は実行APIから呼び出せない
+          apiCallable: executionApiEnabled && !isPrivate
+        }
+      };
+    }),
+    errors
+  };
+}
+
+// Apps Script が提供するグローバルサービス（ライブラリ識別子などと衝突させない）
+export const GAS_GLOBAL_SERVICES = [
+  'AdminDirectory', 'Browser', 'CacheService', 'CalendarApp', 'CardService', 'Charts',
+  'ContentService', 'DataStudioApp', 'DocumentApp', 'Drive', 'DriveApp', 'FormApp',
+  'GmailApp', 'GroupsApp', 'HtmlService', 'Jdbc', 'LanguageApp', 'LinearOptimizationService',
+  'LockService', 'Logger', 'MailApp', 'Maps', 'PropertiesService', 'ScriptApp', 'Session',
+  'SitesApp', 'SlidesApp', 'SpreadsheetApp', 'UrlFetchApp', 'Utilities', 'XmlService', 'console'
+];
+
+/**
+ * プロジェクトのトップレベルで宣言されている名前を列挙
+ *
+ * function / class / var / let / const が対象（分割代入は除く）
+ */
+export function listTopLevelNames(files = []) {
+  const names = [];
+  const errors = [];
+
+  files.filter(file => file.type === 'SERVER_JS').forEach(file => {
+    let ast;
+    try {
+      ast = parseSource(file.source);
+    } catch (error) {
+      errors.push({ file: file.name, message: error.message, line: error.loc?.line ?? null });
+      return;
+    }
+
+    ast.body.forEach(node => {
+      if ((node.type === 'FunctionDeclaration' || node.type === 'ClassDeclaration') && node.id) {
+        names.push({ name: node.id.name, kind: node.type === 'ClassDeclaration' ? 'class' : 'function', file: file.name, line: node.loc.start.line });
+      } else if (node.type === 'VariableDeclaration') {
+        node.declarations
+          .filter(declaration => declaration.id.type === 'Identifier')
+          .forEach(declaration => {
+            names.push({ name: declaration.id.name, kind: node.kind, file: file.name, line: declaration.loc.start.line });
+          });
+      }
+    });
+  });
+
+  return { names, errors };
+}
@@ -2,20 +2,25 @@
  * ロガーユーティリティ
  * 
  * カラー出力とログレベル管理
+ * ログレベル・タイムスタンプ・カラー出力は設定（logging セクション）に従う
  * 
  * Author: Utakata
  */
 
 import chalk from 'chalk';
 import dayjs from 'dayjs';
+import { DEFAULT_LOG_LEVEL, LOG_LEVELS, loadConfig } from './config.js';
 
 // Chalkインスタンスをエクスポート
 export { chalk };
 
 export class Logger {
   constructor(prefix = 'GAS-MCP') {
+    const config = loadConfig().logging || {};
     this.prefix = prefix;
-    this.logLevel = process.env.LOG_LEVEL || 'info';
+    this.logLevel = LOG_LEVELS.includes(config.level) ? config.level : DEFAULT_LOG_LEVEL;
+    this.timestamp = config.timestamp !== false;
+    this.colorize = config.colorize !== false;
   }
 
   /**
@@ -29,8 +34,15 @@ export class Logger {
    * タイムスタンプ付きメッセージの生成
    */
   formatMessage(level, message) {
-    const timestamp = dayjs().format('YYYY-MM-DD HH:mm:ss');
-    return `[${timestamp}] [${this.prefix}] [${level.toUpperCase()}] ${message}`;
+    const text = `[${this.prefix}] [${level.toUpperCase()}] ${message}`;
+    return this.timestamp ? `[${dayjs().format('YYYY-MM-DD HH:mm:ss')}] ${text}` : text;
+  }
+
+  /**
+   * 色付け（colorize が false の場合はそのまま）
+   */
+  paint(style, text) {
+    return this.colorize ? style(text) : text;
   }
 
   /**
@@ -38,7 +50,7 @@ export class Logger {
    */
   debug(message) {
     if (['debug'].includes(this.logLevel)) {
-      console.log(chalk.gray(this.formatMessage('debug', message)));
+      console.log(this.paint(chalk.gray, this.formatMessage('debug', message)));
     }
   }
 
@@ -47,7 +59,7 @@ export class Logger {
    */
   info(message) {
     if (['debug', 'info'].includes(this.logLevel)) {
-      console.log(chalk.blue(this.formatMessage('info', message)));
+      console.log(this.paint(chalk.blue, this.formatMessage('info', message)));
     }
   }
 
@@ -56,7 +68,7 @@ export class Logger {
    */
   success(message) {
     if (['debug', 'info', 'warn'].includes(this.logLevel)) {
-      console.log(chalk.green(this.formatMessage('success', message)));
+      console.log(this.paint(chalk.green, this.formatMessage('success', message)));
     }
   }
 
@@ -65,7 +77,7 @@ export class Logger {
    */
   warn(message) {
     if (['debug', 'info', 'warn'].includes(this.logLevel)) {
-      console.warn(chalk.yellow(this.formatMessage('warn', message)));
+      console.warn(this.paint(chalk.yellow, this.formatMessage('warn', message)));
     }
   }
 
@@ -73,14 +85,14 @@ export class Logger {
    * エラーログ
    */
   error(message) {
-    console.error(chalk.red(this.formatMessage('error', message)));
+    console.error(this.paint(chalk.red, this.formatMessage('error', message)));
   }
 
   /**
    * 重要なメッセージ
    */
   important(message) {
-    console.log(chalk.magenta.bold(this.formatMessage('important', message)));
+    console.log(this.paint(chalk.magenta.bold, this.formatMessage('important', message)));
   }
 }
 
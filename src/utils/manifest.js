@@ -0,0 +1,263 @@
+/**
+ * マニフェスト（appsscript.json）ユーティリティ
+ *
+ * 型付きの操作でマニフェストを編集し、書き込み前にスキーマ検証する
+ *
+ * Author: Utakata
+ */
+
+import _ from 'lodash';
+
+export const RUNTIME_VERSIONS = ['V8', 'STABLE', 'DEPRECATED_ES5'];
+export const EXCEPTION_LOGGING = ['NONE', 'STACKDRIVER', 'CLOUD'];
+export const WEBAPP_ACCESS = ['MYSELF', 'DOMAIN', 'ANYONE', 'ANYONE_ANONYMOUS'];
+export const WEBAPP_EXECUTE_AS = ['USER_ACCESSING', 'USER_DEPLOYING'];
+export const EXECUTION_API_ACCESS = ['MYSELF', 'DOMAIN', 'ANYONE', 'ANYONE_ANONYMOUS'];
+
+export const MANIFEST_OPERATIONS = [
+  'setTimeZone',
+  'setRuntimeVersion',
+  'setExceptionLogging',
+  'addOAuthScopes',
+  'removeOAuthScopes',
+  'setWebapp',
+  'setExecutionApi',
+  'addUrlFetchWhitelist',
+  'removeUrlFetchWhitelist',
+  'addAdvancedService',
+  'removeAdvancedService'
+];
+
+// 既知のトップレベルキー（それ以外は警告のみ）
+const KNOWN_KEYS = [
+  'timeZone', 'dependencies', 'exceptionLogging', 'executionApi', 'oauthScopes', 'runtimeVersion',
+  'sheets', 'urlFetchWhitelist', 'webapp', 'addOns', 'gmail', 'dataStudio', 'chat'
+];
+
+const IDENTIFIER = /^[A-Za-z_$][\w$]*$/;
+
+const isValidTimeZone = timeZone => {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch {
+    return false;
+  }
+};
+
+const isHttpsUrl = value => {
+  try {
+    // ワイルドカードのサブドメイン（https://*.example.com/）を許可
+    return new URL(String(value).replace('://*.', '://wildcard.')).protocol === 'https:';
+  } catch {
+    return false;
+  }
+};
+
+const checkEnum = (errors, field, value, values) => {
+  if (!values.includes(value)) {
+    errors.push(`${field} は ${values.join(' / ')} のいずれかです（指定値: ${value}）`);
+  }
+};
+
+const checkUnique = (errors, field, values) => {
+  const duplicates = _.uniq(values.filter((value, index) => values.indexOf(value) !== index));
+  if (duplicates.length > 0) {
+    errors.push(`${field} に重複があります: ${duplicates.join(', ')}`);
+  }
+};
+
+/**
+ * マニフェストを検証
+ */
+export function validateManifest(manifest) {
+  const errors = [];
+  const warnings = [];
+
+  if (!_.isPlainObject(manifest)) {
+    return { valid: false, errors: ['マニフェストはJSONオブジェクトである必要があります'], warnings };
+  }
+
+  Object.keys(manifest)
+    .filter(key => !KNOWN_KEYS.includes(key))
+    .forEach(key => warnings.push(`未知のキーです: ${key}`));
+
+  if (manifest.timeZone !== undefined && !isValidTimeZone(manifest.timeZone)) {
+    errors.push(`timeZone が不正です: ${manifest.timeZone}`);
+  }
+  if (manifest.runtimeVersion !== undefined) {
+    checkEnum(errors, 'runtimeVersion', manifest.runtimeVersion, RUNTIME_VERSIONS);
+  }
+  if (manifest.exceptionLogging !== undefined) {
+    checkEnum(errors, 'exceptionLogging', manifest.exceptionLogging, EXCEPTION_LOGGING);
+  }
+
+  if (manifest.oauthScopes !== undefined) {
+    if (!Array.isArray(manifest.oauthScopes)) {
+      errors.push('oauthScopes は配列である必要があります');
+    } else {
+      manifest.oauthScopes
+        .filter(scope => !isHttpsUrl(scope))
+        .forEach(scope => errors.push(`oauthScopes のスコープが不正です: ${scope}`));
+      checkUnique(errors, 'oauthScopes', manifest.oauthScopes);
+    }
+  }
+
+  if (manifest.webapp !== undefined) {
+    const { access, executeAs } = manifest.webapp || {};
+    checkEnum(errors, 'webapp.access', access, WEBAPP_ACCESS);
+    checkEnum(errors, 'webapp.executeAs', executeAs, WEBAPP_EXECUTE_AS);
+    if (access === 'ANYONE_ANONYMOUS' && executeAs === 'USER_ACCESSING') {
+      errors.push('webapp.access が ANYONE_ANONYMOUS の場合、executeAs は USER_DEPLOYING である必要があります');
+    }
+  }
+
+  if (manifest.executionApi !== undefined) {
+    checkEnum(errors, 'executionApi.access', manifest.executionApi?.access, EXECUTION_API_ACCESS);
+  }
+
+  if (manifest.urlFetchWhitelist !== undefined) {
+    if (!Array.isArray(manifest.urlFetchWhitelist)) {
+      errors.push('urlFetchWhitelist は配列である必要があります');
+    } else {
+      manifest.urlFetchWhitelist
+        .filter(url => !isHttpsUrl(url))
+        .forEach(url => errors.push(`urlFetchWhitelist のURLはHTTPSである必要があります: ${url}`));
+      checkUnique(errors, 'urlFetchWhitelist', manifest.urlFetchWhitelist);
+    }
+  }
+
+  const dependencies = manifest.dependencies;
+  if (dependencies !== undefined) {
+    const services = dependencies.enabledAdvancedServices || [];
+    const libraries = dependencies.libraries || [];
+
+    if (!Array.isArray(services)) {
+      errors.push('dependencies.enabledAdvancedServices は配列である必要があります');
+    } else {
+      services.forEach((service, index) => {
+        ['userSymbol', 'serviceId', 'version'].forEach(key => {
+          if (!service?.[key] || typeof service[key] !== 'string') {
+            errors.push(`enabledAdvancedServices[${index}].${key} は必須の文字列です`);
+          }
+        });
+        if (service?.userSymbol && !IDENTIFIER.test(service.userSymbol)) {
+          errors.push(`enabledAdvancedServices[${index}].userSymbol が識別子として不正です: ${service.userSymbol}`);
+        }
+      });
+      checkUnique(errors, 'enabledAdvancedServices.userSymbol', services.map(s => s?.userSymbol));
+    }
+
+    if (!Array.isArray(libraries)) {
+      errors.push('dependencies.libraries は配列である必要があります');
+    } else {
+      libraries.forEach((library, index) => {
+        ['userSymbol', 'libraryId', 'version'].forEach(key => {
+          if (library?.[key] === undefined || library[key] === '') {
+            errors.push(`libraries[${index}].${key} は必須です`);
+          }
+        });
+      });
+      checkUnique(errors, 'libraries.libraryId', libraries.map(l => l?.libraryId));
+      // ライブラリと高度なサービスは同じ名前空間を共有する
+      if (Array.isArray(services)) {
+        checkUnique(errors, 'userSymbol', [...libraries, ...services].map(d => d?.userSymbol));
+      }
+    }
+  }
+
+  return {
+    valid: errors.length === 0,
+    errors,
+    warnings
+  };
+}
+
+/**
+ * 型付きの操作をマニフェストに適用（元のオブジェクトは変更しない）
+ */
+export function applyManifestOperations(manifest, operations = []) {
+  const next = _.cloneDeep(manifest);
+  const changes = [];
+  const toList = value => _.castArray(value ?? []);
+
+  operations.forEach((operation, index) => {
+    const { op } = operation;
+
+    switch (op) {
+      case 'setTimeZone':
+        next.timeZone = operation.timeZone;
+        changes.push(`timeZone = ${operation.timeZone}`);
+        break;
+      case 'setRuntimeVersion':
+        next.runtimeVersion = operation.runtimeVersion;
+        changes.push(`runtimeVersion = ${operation.runtimeVersion}`);
+        break;
+      case 'setExceptionLogging':
+        next.exceptionLogging = operation.exceptionLogging;
+        changes.push(`exceptionLogging = ${operation.exceptionLogging}`);
+        break;
+      case 'addOAuthScopes': {
+        const added = _.uniq(toList(operation.scopes)).filter(scope => !(next.oauthScopes || []).includes(scope));
+        next.oauthScopes = [...(next.oauthScopes || []), ...added];
+        added.forEach(scope => changes.push(`+ oauthScopes ${scope}`));
+        break;
+      }
+      case 'removeOAuthScopes': {
+        const removed = toList(operation.scopes);
+        next.oauthScopes = (next.oauthScopes || []).filter(scope => !removed.includes(scope));
+        removed.forEach(scope => changes.push(`- oauthScopes ${scope}`));
+        break;
+      }
+      case 'setWebapp':
+        next.webapp = {
+          ...next.webapp,
+          ..._.pickBy(_.pick(operation, ['access', 'executeAs']), value => value !== undefined)
+        };
+        changes.push(`webapp = ${JSON.stringify(next.webapp)}`);
+        break;
+      case 'setExecutionApi':
+        next.executionApi = { ...next.executionApi, access: operation.access };
+        changes.push(`executionApi.access = ${operation.access}`);
+        break;
+      case 'addUrlFetchWhitelist': {
+        const added = _.uniq(toList(operation.urls)).filter(url => !(next.urlFetchWhitelist || []).includes(url));
+        next.urlFetchWhitelist = [...(next.urlFetchWhitelist || []), ...added];
+        added.forEach(url => changes.push(`+ urlFetchWhitelist ${url}`));
+        break;
+      }
+      case 'removeUrlFetchWhitelist': {
+        const removed = toList(operation.urls);
+        next.urlFetchWhitelist = (next.urlFetchWhitelist || []).filter(url => !removed.includes(url));
+        removed.forEach(url => changes.push(`- urlFetchWhitelist ${url}`));
+        break;
+      }
+      case 'addAdvancedService': {
+        if (!next.dependencies) next.dependencies = {};
+        const services = (next.dependencies.enabledAdvancedServices || [])
+          .filter(service => service.userSymbol !== operation.userSymbol);
+        services.push({
+          userSymbol: operation.userSymbol,
+          serviceId: operation.serviceId,
+          version: operation.version
+        });
+        next.dependencies.enabledAdvancedServices = services;
+        changes.push(`+ enabledAdvancedServices ${operation.userSymbol} (${operation.serviceId} ${operation.version})`);
+        break;
+      }
+      case 'removeAdvancedService': {
+        const services = next.dependencies?.enabledAdvancedServices || [];
+        if (!services.some(service => service.userSymbol === operation.userSymbol)) {
+          throw new Error(`operations[${index}]: 高度なサービス「${operation.userSymbol}」は有効になっていません`);
+        }
+        next.dependencies.enabledAdvancedServices = services.filter(service => service.userSymbol !== operation.userSymbol);
+        changes.push(`- enabledAdvancedServices ${operation.userSymbol}`);
+        break;
+      }
+      default:
+        throw new Error(`operations[${index}]: 未知の操作です: ${op}（${MANIFEST_OPERATIONS.join(', ')}）`);
+    }
+  });
+
+  return { manifest: next, changes };
+}
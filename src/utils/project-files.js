@@ -0,0 +1,126 @@
+/**
+ * ローカルプロジェクトファイルユーティリティ
+ *
+ * claspプロジェクトディレクトリをApps Script APIと同じ
+ * ファイル形式（{ name, type, source }）で読み込む
+ *
+ * Author: Utakata
+ */
+
+import fs from 'fs-extra';
+import path from 'path';
+
+const SCRIPT_EXTENSIONS = ['.gs', '.js'];
+const HTML_EXTENSIONS = ['.html'];
+const IGNORED_DIRS = ['node_modules', '.git'];
+
+/**
+ * .clasp.json を読み込む（存在しない場合はnull）
+ */
+export async function readClaspConfig(projectDir) {
+  const configPath = path.join(projectDir, '.clasp.json');
+  if (!(await fs.pathExists(configPath))) {
+    return null;
+  }
+  return fs.readJson(configPath);
+}
+
+/**
+ * ファイルパスからAPI形式のファイルタイプを判定
+ */
+export function detectFileType(fileName) {
+  const ext = path.extname(fileName).toLowerCase();
+  if (SCRIPT_EXTENSIONS.includes(ext)) return 'SERVER_JS';
+  if (HTML_EXTENSIONS.includes(ext)) return 'HTML';
+  if (path.basename(fileName) === 'appsscript.json') return 'JSON';
+  return null;
+}
+
+/**
+ * ディレクトリ配下のファイルを再帰的に列挙
+ */
+async function walk(dir) {
+  const entries = await fs.readdir(dir, { withFileTypes: true });
+  const files = [];
+
+  for (const entry of entries) {
+    if (IGNORED_DIRS.includes(entry.name)) continue;
+
+    const fullPath = path.join(dir, entry.name);
+    if (entry.isDirectory()) {
+      files.push(...(await walk(fullPath)));
+    } else {
+      files.push(fullPath);
+    }
+  }
+
+  return files;
+}
+
+/**
+ * claspプロジェクトディレクトリのファイルをAPI形式で読み込む
+ */
+export async function readProjectFiles(projectDir) {
+  if (!(await fs.pathExists(projectDir))) {
+    throw new Error(`プロジェクトディレクトリが見つかりません: ${projectDir}`);
+  }
+
+  const claspConfig = await readClaspConfig(projectDir);
+  const rootDir = path.resolve(projectDir, claspConfig?.rootDir || '.');
+  const pushOrder = (claspConfig?.filePushOrder || []).map(p => path.resolve(projectDir, p));
+
+  const paths = (await walk(rootDir))
+    .filter(p => detectFileType(p) !== null)
+    .sort((a, b) => {
+      // filePushOrder に記載されたファイルを先頭に並べる
+      const ia = pushOrder.indexOf(a);
+      const ib = pushOrder.indexOf(b);
+      if (ia !== -1 || ib !== -1) {
+        return (ia === -1 ? Infinity : ia) - (ib === -1 ? Infinity : ib);
+      }
+      return a.localeCompare(b);
+    });
+
+  const files = [];
+  for (const filePath of paths) {
+    const relative = path.relative(rootDir, filePath).split(path.sep).join('/');
+    files.push({
+      name: relative.slice(0, -path.extname(relative).length),
+      type: detectFileType(filePath),
+      source: await fs.readFile(filePath, 'utf8')
+    });
+  }
+
+  return {
+    scriptId: claspConfig?.scriptId || null,
+    rootDir: rootDir,
+    files: files
+  };
+}
+
+/**
+ * トリガーの宣言ファイル（triggers.json）を読み込む
+ *
+ * { "triggers": [...] } または配列そのものを受け付ける
+ */
+export async function readTriggerManifest(projectDir = null, manifestPath = null) {
+  const filePath = manifestPath || (projectDir ? path.join(projectDir, 'triggers.json') : null);
+  if (!filePath) {
+    throw new Error('projectDir または manifestPath を指定してください');
+  }
+  if (!(await fs.pathExists(filePath))) {
+    throw new Error(`トリガー定義ファイルが見つかりません: ${filePath}`);
+  }
+
+  const manifest = await fs.readJson(filePath);
+  const triggers = Array.isArray(manifest) ? manifest : manifest.triggers;
+  if (!Array.isArray(triggers)) {
+    throw new Error(`トリガー定義ファイルの形式が不正です（triggers 配列がありません）: ${filePath}`);
+  }
+
+  return {
+    path: filePath,
+    scriptId: projectDir ? (await readClaspConfig(projectDir))?.scriptId || null : null,
+    triggers: triggers
+  };
+}
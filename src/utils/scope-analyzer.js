@@ -0,0 +1,186 @@
+/**
+ * OAuthスコープ解析ユーティリティ
+ *
+ * SERVER_JS ファイルで使用しているサービスから必要最小限のスコープを推定し、
+ * マニフェストの oauthScopes と比較する
+ *
+ * Author: Utakata
+ */
+
+import _ from 'lodash';
+import { parseSource, walkAst } from './gas-source.js';
+
+const AUTH = 'https://www.googleapis.com/auth/';
+
+// ドキュメント系サービス: open / create を使わなければ現在のドキュメントのみのスコープで足りる
+const CONTAINER_SERVICES = {
+  SpreadsheetApp: { full: `${AUTH}spreadsheets`, currentOnly: `${AUTH}spreadsheets.currentonly` },
+  DocumentApp: { full: `${AUTH}documents`, currentOnly: `${AUTH}documents.currentonly` },
+  SlidesApp: { full: `${AUTH}presentations`, currentOnly: `${AUTH}presentations.currentonly` },
+  FormApp: { full: `${AUTH}forms`, currentOnly: `${AUTH}forms.currentonly` }
+};
+const OPEN_METHODS = ['open', 'openById', 'openByUrl', 'create'];
+
+// サービス全体で1つのスコープが必要なもの
+const SERVICE_SCOPES = {
+  DriveApp: `${AUTH}drive`,
+  CalendarApp: `${AUTH}calendar`,
+  GmailApp: 'https://mail.google.com/',
+  MailApp: `${AUTH}script.send_mail`,
+  UrlFetchApp: `${AUTH}script.external_request`,
+  GroupsApp: `${AUTH}groups`,
+  ContactsApp: 'https://www.google.com/m8/feeds',
+  Browser: `${AUTH}script.container.ui`
+};
+
+// 特定のメソッドだけがスコープを必要とするもの
+const METHOD_SCOPES = {
+  ScriptApp: {
+    methods: ['newTrigger', 'getProjectTriggers', 'getUserTriggers', 'getScriptTriggers', 'deleteTrigger'],
+    scope: `${AUTH}script.scriptapp`
+  },
+  Session: {
+    methods: ['getActiveUser', 'getEffectiveUser'],
+    scope: `${AUTH}userinfo.email`
+  }
+};
+
+// ダイアログ・サイドバーの表示（どのコンテナでも同じスコープ）
+const UI_METHODS = ['showSidebar', 'showModalDialog', 'showModelessDialog'];
+const UI_SCOPE = `${AUTH}script.container.ui`;
+
+// 高度なサービス（serviceId）が必要とするスコープ
+const ADVANCED_SERVICE_SCOPES = {
+  drive: `${AUTH}drive`,
+  sheets: `${AUTH}spreadsheets`,
+  docs: `${AUTH}documents`,
+  slides: `${AUTH}presentations`,
+  calendar: `${AUTH}calendar`,
+  gmail: 'https://mail.google.com/',
+  tasks: `${AUTH}tasks`,
+  people: `${AUTH}contacts`,
+  bigquery: `${AUTH}bigquery`,
+  youtube: `${AUTH}youtube`,
+  analytics: `${AUTH}analytics`
+};
+
+// 広いスコープがカバーする狭いスコープ
+const SCOPE_COVERAGE = {
+  [`${AUTH}spreadsheets`]: [`${AUTH}spreadsheets.currentonly`, `${AUTH}spreadsheets.readonly`],
+  [`${AUTH}documents`]: [`${AUTH}documents.currentonly`, `${AUTH}documents.readonly`],
+  [`${AUTH}presentations`]: [`${AUTH}presentations.currentonly`, `${AUTH}presentations.readonly`],
+  [`${AUTH}forms`]: [`${AUTH}forms.currentonly`],
+  [`${AUTH}drive`]: [`${AUTH}drive.readonly`, `${AUTH}drive.file`],
+  [`${AUTH}calendar`]: [`${AUTH}calendar.readonly`],
+  'https://mail.google.com/': [`${AUTH}gmail.readonly`, `${AUTH}gmail.modify`, `${AUTH}gmail.send`]
+};
+
+/**
+ * scope が required を満たすか
+ */
+export function scopeCovers(scope, required) {
+  return scope === required || (SCOPE_COVERAGE[scope] || []).includes(required);
+}
+
+/**
+ * ソースで使われているサービスから必要なスコープを推定
+ *
+ * 戻り値の required は { scope, reasons: ["SpreadsheetApp.openById (Code:3)"] } の配列
+ */
+export function inferScopes(files = [], manifest = {}) {
+  const usages = [];
+  const errors = [];
+  const advancedServices = new Map(
+    (manifest.dependencies?.enabledAdvancedServices || []).map(s => [s.userSymbol, s.serviceId])
+  );
+
+  files.filter(file => file.type === 'SERVER_JS').forEach(file => {
+    let ast;
+    try {
+      ast = parseSource(file.source);
+    } catch (error) {
+      errors.push({ file: file.name, message: error.message, line: error.loc?.line ?? null });
+      return;
+    }
+
+    walkAst(ast, node => {
+      if (node.type !== 'MemberExpression' || node.computed || node.property.type !== 'Identifier') return;
+
+      const method = node.property.name;
+      const location = `${file.name}:${node.loc.start.line}`;
+
+      if (UI_METHODS.includes(method)) {
+        usages.push({ service: 'UI', method, location });
+      }
+      if (node.object.type === 'Identifier') {
+        usages.push({ service: node.object.name, method, location });
+      }
+    });
+  });
+
+  const required = new Map();
+  const requireScope = (scope, reason) => {
+    if (!required.has(scope)) required.set(scope, []);
+    required.get(scope).push(reason);
+  };
+
+  const byService = _.groupBy(usages, 'service');
+  Object.entries(byService).forEach(([service, calls]) => {
+    const reasons = calls.map(call => `${service === 'UI' ? '' : `${service}.`}${call.method} (${call.location})`);
+
+    if (CONTAINER_SERVICES[service]) {
+      const opening = calls.filter(call => OPEN_METHODS.includes(call.method));
+      const { full, currentOnly } = CONTAINER_SERVICES[service];
+      if (opening.length > 0) {
+        requireScope(full, reasons.filter((reason, i) => OPEN_METHODS.includes(calls[i].method)));
+      } else {
+        requireScope(currentOnly, reasons);
+      }
+    } else if (SERVICE_SCOPES[service]) {
+      requireScope(SERVICE_SCOPES[service], reasons);
+    } else if (METHOD_SCOPES[service]) {
+      const { methods, scope } = METHOD_SCOPES[service];
+      const matched = reasons.filter((reason, i) => methods.includes(calls[i].method));
+      if (matched.length > 0) requireScope(scope, matched);
+    } else if (service === 'UI') {
+      requireScope(UI_SCOPE, reasons);
+    } else if (advancedServices.has(service)) {
+      const scope = ADVANCED_SERVICE_SCOPES[advancedServices.get(service)];
+      if (scope) requireScope(scope, reasons);
+    }
+  });
+
+  return {
+    required: [...required.entries()]
+      .map(([scope, reasons]) => ({ scope, reasons: _.uniq(_.flatten(reasons)) }))
+      .sort((a, b) => a.scope.localeCompare(b.scope)),
+    unknownAdvancedServices: [...advancedServices.entries()]
+      .filter(([userSymbol, serviceId]) => byService[userSymbol] && !ADVANCED_SERVICE_SCOPES[serviceId])
+      .map(([userSymbol, serviceId]) => ({ userSymbol, serviceId })),
+    errors
+  };
+}
+
+/**
+ * 推定したスコープとマニフェストの oauthScopes を比較
+ *
+ * - missing: 必要だがマニフェストに（より広いスコープも含めて）ないもの
+ * - overBroad: 必要なスコープより広いもの（suggested に置き換え候補）
+ * - unused: どの使用箇所にも対応しないもの（HTML側の処理などで必要な場合がある）
+ */
+export function compareScopes(required = [], manifestScopes = []) {
+  const missing = required.filter(r => !manifestScopes.some(scope => scopeCovers(scope, r.scope)));
+  const overBroad = [];
+  const unused = [];
+
+  manifestScopes.forEach(scope => {
+    const covered = required.filter(r => scopeCovers(scope, r.scope));
+    if (covered.length === 0) {
+      unused.push(scope);
+    } else if (!required.some(r => r.scope === scope)) {
+      overBroad.push({ scope, suggested: covered.map(r => r.scope) });
+    }
+  });
+
+  return { missing, overBroad, unused };
+}
@@ -0,0 +1,164 @@
+/**
+ * トリガービルダー
+ *
+ * 型付きのトリガー指定を検証し、トリガー作成APIのリクエストボディに変換する
+ * - 時間主導: everyMinutes / everyHours / daily / weekly / at
+ * - スプレッドシート: onOpen / onEdit / onChange / onFormSubmit
+ * - カレンダー: onEventUpdated
+ * - フォーム: onOpen / onFormSubmit
+ *
+ * Author: Utakata
+ */
+
+import dayjs from 'dayjs';
+
+export const TRIGGER_TYPES = ['time', 'spreadsheet', 'calendar', 'form'];
+export const TIME_SCHEDULES = ['everyMinutes', 'everyHours', 'daily', 'weekly', 'at'];
+export const WEEK_DAYS = ['MONDAY', 'TUESDAY', 'WEDNESDAY', 'THURSDAY', 'FRIDAY', 'SATURDAY', 'SUNDAY'];
+
+// ClockTriggerBuilder で指定可能な間隔
+const MINUTE_INTERVALS = [1, 5, 10, 15, 30];
+const HOUR_INTERVALS = [1, 2, 4, 6, 8, 12];
+
+const SOURCE_EVENTS = {
+  spreadsheet: { triggerSource: 'SPREADSHEETS', events: ['onOpen', 'onEdit', 'onChange', 'onFormSubmit'] },
+  calendar: { triggerSource: 'CALENDAR', events: ['onEventUpdated'] },
+  form: { triggerSource: 'FORMS', events: ['onOpen', 'onFormSubmit'] }
+};
+
+const EVENT_TYPES = {
+  onOpen: 'ON_OPEN',
+  onEdit: 'ON_EDIT',
+  onChange: 'ON_CHANGE',
+  onFormSubmit: 'ON_FORM_SUBMIT',
+  onEventUpdated: 'ON_EVENT_UPDATED'
+};
+
+const isInteger = (value, min, max) => Number.isInteger(value) && value >= min && value <= max;
+
+/**
+ * 時間主導トリガーの clock 設定を作成
+ */
+function buildClock(spec, errors) {
+  const { schedule, interval, atHour, nearMinute, weekDay } = spec;
+
+  if (!TIME_SCHEDULES.includes(schedule)) {
+    errors.push(`schedule は ${TIME_SCHEDULES.join(' / ')} のいずれかを指定してください`);
+    return null;
+  }
+
+  if (atHour !== undefined && !isInteger(atHour, 0, 23)) {
+    errors.push('atHour は0〜23の整数で指定してください');
+  }
+  if (nearMinute !== undefined && !isInteger(nearMinute, 0, 59)) {
+    errors.push('nearMinute は0〜59の整数で指定してください');
+  }
+  if (nearMinute !== undefined && atHour === undefined) {
+    errors.push('nearMinute を指定する場合は atHour も指定してください');
+  }
+  if (['everyMinutes', 'everyHours', 'at'].includes(schedule) && (atHour !== undefined || weekDay !== undefined)) {
+    errors.push(`${schedule} では atHour / weekDay は指定できません`);
+  }
+
+  let clock = null;
+  switch (schedule) {
+    case 'everyMinutes':
+      if (!MINUTE_INTERVALS.includes(interval)) {
+        errors.push(`everyMinutes の interval は ${MINUTE_INTERVALS.join(', ')} のいずれかです`);
+      }
+      clock = { everyMinutes: interval };
+      break;
+    case 'everyHours':
+      if (!HOUR_INTERVALS.includes(interval)) {
+        errors.push(`everyHours の interval は ${HOUR_INTERVALS.join(', ')} のいずれかです`);
+      }
+      clock = { everyHours: interval };
+      break;
+    case 'daily':
+      if (interval !== undefined && !isInteger(interval, 1, 365)) {
+        errors.push('daily の interval（日数）は1以上の整数で指定してください');
+      }
+      if (weekDay !== undefined) {
+        errors.push('daily では weekDay は指定できません（weekly を使用してください）');
+      }
+      clock = { everyDays: interval ?? 1 };
+      break;
+    case 'weekly':
+      if (interval !== undefined && !isInteger(interval, 1, 52)) {
+        errors.push('weekly の interval（週数）は1以上の整数で指定してください');
+      }
+      if (!WEEK_DAYS.includes(weekDay)) {
+        errors.push(`weekly では weekDay に ${WEEK_DAYS.join(' / ')} のいずれかを指定してください`);
+      }
+      clock = { everyWeeks: interval ?? 1, onWeekDay: weekDay };
+      break;
+    case 'at': {
+      const at = dayjs(spec.at);
+      if (!spec.at || !at.isValid()) {
+        errors.push('at では実行日時（ISO 8601）を at に指定してください');
+      } else if (!at.isAfter(dayjs())) {
+        errors.push(`at の日時が過去です: ${spec.at}`);
+      }
+      clock = { at: at.isValid() ? at.toISOString() : spec.at };
+      break;
+    }
+  }
+
+  if (clock && atHour !== undefined) clock.atHour = atHour;
+  if (clock && nearMinute !== undefined) clock.nearMinute = nearMinute;
+  if (clock && spec.timeZone) clock.timeZone = spec.timeZone;
+
+  return clock;
+}
+
+/**
+ * 型付きのトリガー指定をAPIリクエストボディに変換（不正な場合はすべての問題をまとめて例外）
+ */
+export function buildTriggerConfig(spec = {}) {
+  const errors = [];
+  const { handlerFunction, type } = spec;
+
+  if (!handlerFunction || !/^[A-Za-z_$][\w$]*$/.test(handlerFunction)) {
+    errors.push('handlerFunction に有効な関数名を指定してください');
+  } else if (handlerFunction.endsWith('_')) {
+    errors.push(`プライベート関数（末尾が _）はトリガーに設定できません: ${handlerFunction}`);
+  }
+
+  let config = null;
+
+  if (!TRIGGER_TYPES.includes(type)) {
+    errors.push(`type は ${TRIGGER_TYPES.join(' / ')} のいずれかを指定してください`);
+  } else if (type === 'time') {
+    if (spec.sourceId || spec.event) {
+      errors.push('時間主導トリガーでは sourceId / event は指定できません');
+    }
+    const clock = buildClock(spec, errors);
+    config = { handlerFunction, eventType: 'CLOCK', triggerSource: 'CLOCK', clock };
+  } else {
+    const { triggerSource, events } = SOURCE_EVENTS[type];
+    // カレンダーはイベントが1種類のみ
+    const event = spec.event || (events.length === 1 ? events[0] : undefined);
+
+    if (!spec.sourceId) {
+      errors.push(`${type} トリガーでは sourceId（${type === 'calendar' ? 'カレンダーID' : `${type === 'form' ? 'フォーム' : 'スプレッドシート'}ID`}）を指定してください`);
+    }
+    if (!events.includes(event)) {
+      errors.push(`${type} トリガーの event は ${events.join(' / ')} のいずれかです`);
+    }
+    if (spec.schedule || spec.interval !== undefined || spec.atHour !== undefined) {
+      errors.push(`${type} トリガーでは schedule / interval / atHour は指定できません`);
+    }
+    config = {
+      handlerFunction,
+      eventType: EVENT_TYPES[event],
+      triggerSource,
+      triggerSourceId: spec.sourceId
+    };
+  }
+
+  if (errors.length > 0) {
+    throw new Error(`トリガー設定が不正です:\n${errors.map(error => `- ${error}`).join('\n')}`);
+  }
+
+  return config;
+}
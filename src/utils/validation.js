@@ -6,6 +6,7 @@
  * Author: Utakata
  */
 
+import { getConfigReport, loadConfig } from './config.js';
 import { logger } from './logger.js';
 
 /**
@@ -47,6 +48,15 @@ export function validateEnvironment() {
       name: 'MCP_SERVER_NAME',
       description: 'MCPサーバー名',
       default: 'google-apps-script-mcp'
+    },
+    {
+      name: 'GAS_MCP_BACKUP_DIR',
+      description: 'ローカルバックアップの保存先',
+      default: '~/.gas-mcp/backups'
+    },
+    {
+      name: 'GAS_MCP_BACKUP_SCRIPT_IDS',
+      description: '定期バックアップ対象のスクリプトID（カンマ区切り）'
     }
   ];
 
@@ -71,10 +81,15 @@ export function validateEnvironment() {
     logger.info('✅ Google認証情報が設定されています');
   }
 
-  // ログレベル検証
-  const logLevel = process.env.LOG_LEVEL;
-  if (logLevel && !['debug', 'info', 'warn', 'error'].includes(logLevel)) {
-    warnings.push(`⚠️ 無効なログレベル: ${logLevel}. 有効な値: debug, info, warn, error`);
+  // 設定ファイル・環境変数（LOG_LEVEL、GAS_MCP_*）を重ねた設定の検証
+  const configReport = getConfigReport();
+  configReport.errors.forEach(error => errors.push(`❌ 設定エラー: ${error}`));
+  configReport.warnings.forEach(warning => warnings.push(`⚠️ 設定: ${warning}`));
+
+  // パスフレーズを使うキープロバイダーは暗号化・復号時に ENCRYPTION_PASSPHRASE が必要
+  const keyProvider = loadConfig().security?.provider;
+  if (['passphrase', 'encrypted-file'].includes(keyProvider) && !process.env.ENCRYPTION_PASSPHRASE) {
+    warnings.push(`⚠️ security.provider が ${keyProvider} ですが ENCRYPTION_PASSPHRASE が設定されていません（暗号化プロパティを扱えません）`);
   }
 
   // エラーがある場合は終了
@@ -87,6 +102,7 @@ export function validateEnvironment() {
     logger.error('2. Google Apps Script API を有効化');
     logger.error('3. 認証情報を作成 (Service Account または OAuth2.0)');
     logger.error('4. 環境変数を設定');
+    logger.error('5. 設定エラーは config/*.json または GAS_MCP_* 環境変数を確認');
     
     process.exit(1);
   }
@@ -96,6 +112,8 @@ export function validateEnvironment() {
     warnings.forEach(warning => logger.warn(warning));
   }
 
+  logger.info(`⚙️ 設定の読み込み元: ${configReport.sources.join(' → ')}`);
+
   // オプション環境変数の表示
   logger.info('📋 環境変数の状況:');
   
@@ -0,0 +1,211 @@
+/**
+ * ローカルバックアップサービスのテスト
+ *
+ * Author: Utakata
+ */
+
+import assert from 'assert';
+import fs from 'fs-extra';
+import os from 'os';
+import path from 'path';
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import { BackupService, readBackupArchive } from '../src/services/backup-service.js';
+import { GASApiService } from '../src/services/gas-api.js';
+
+const HOUR = 60 * 60 * 1000;
+
+const snapshot = (scriptId, timestamp) => ({
+    timestamp,
+    project: { scriptId, title: `${scriptId} のプロジェクト`, files: [] }
+});
+
+/**
+ * backupProject の呼び出しを記録する GASApiService の代わり
+ */
+function createGasApi(options = {}) {
+    const gasApi = {
+        calls: [],
+        googleAuth: { isAuthenticated: () => true },
+        async backupProject(scriptId) {
+            gasApi.calls.push(scriptId);
+            if (options.failing?.includes(scriptId)) {
+                throw new Error('権限がありません');
+            }
+            return snapshot(scriptId, new Date().toISOString());
+        }
+    };
+    return gasApi;
+}
+
+describe('backupProject', () => {
+
+    it('トリガーを取得できなくても理由を記録してバックアップすること', async t => {
+        // 非同期のテストから標準出力に書き込むと Node.js 20 のテストランナーが結果を読み損なうことがあるため抑制する
+        t.mock.method(console, 'log', () => {});
+        t.mock.method(console, 'warn', () => {});
+        const backupDir = await fs.mkdtemp(path.join(os.tmpdir(), 'gas-mcp-backup-'));
+        try {
+            const gasApi = new GASApiService({ getScriptApi: () => { throw new Error('Google APIを呼び出してはいけません'); } });
+            gasApi.getProject = async scriptId => ({ scriptId, title: 'テスト', files: [] });
+            gasApi.listDeployments = async () => ({ deployments: [] });
+            gasApi.listLibraries = async () => ({ libraries: [] });
+            gasApi.listTriggers = async () => { throw new Error('トリガー一覧取得失敗: 権限がありません'); };
+
+            const backup = await gasApi.backupProject('script-a');
+            assert.strictEqual(backup.triggers, null);
+            assert.strictEqual(backup.triggersUnavailable, 'トリガー一覧取得失敗: 権限がありません');
+
+            const { results } = await new BackupService(gasApi, { backupDir }).backupProjects(['script-a']);
+            assert.strictEqual(results[0].triggersUnavailable, 'トリガー一覧取得失敗: 権限がありません');
+        } finally {
+            await fs.remove(backupDir);
+        }
+    });
+});
+
+describe('BackupService', () => {
+    let backupDir;
+
+    beforeEach(async () => {
+        backupDir = await fs.mkdtemp(path.join(os.tmpdir(), 'gas-mcp-backup-'));
+    });
+
+    afterEach(async () => {
+        await fs.remove(backupDir);
+    });
+
+    it('gzipアーカイブに保存して読み戻せること', async () => {
+        const service = new BackupService(null, { backupDir });
+        const filePath = await service.writeArchive(snapshot('script-a', '2026-01-02T03:04:05Z'));
+
+        assert.match(path.basename(filePath), /^script-a-\d{8}-\d{6}-\d{3}\.json\.gz$/);
+        assert.deepStrictEqual(await readBackupArchive(filePath), snapshot('script-a', '2026-01-02T03:04:05Z'));
+    });
+
+    it('同じ秒のバックアップは別のアーカイブに保存し、同じ時刻のものは上書きしないこと', async () => {
+        const service = new BackupService(null, { backupDir });
+        const first = await service.writeArchive(snapshot('script-a', '2026-01-02T03:04:05.100Z'));
+        const second = await service.writeArchive(snapshot('script-a', '2026-01-02T03:04:05.200Z'));
+
+        assert.notStrictEqual(first, second);
+        await assert.rejects(service.writeArchive(snapshot('script-a', '2026-01-02T03:04:05.100Z')), /同じ時刻のバックアップが既に存在します/);
+        assert.strictEqual((await readBackupArchive(first)).timestamp, '2026-01-02T03:04:05.100Z');
+        assert.deepStrictEqual((await service.listBackups('script-a')).backups.map(b => b.timestamp), [
+            new Date('2026-01-02T03:04:05.200Z').toISOString(),
+            new Date('2026-01-02T03:04:05.100Z').toISOString()
+        ]);
+    });
+
+    it('ミリ秒のない以前の形式のアーカイブも一覧に含めること', async () => {
+        const service = new BackupService(null, { backupDir });
+        await fs.ensureDir(path.join(backupDir, 'script-a'));
+        await fs.writeFile(path.join(backupDir, 'script-a', 'script-a-20260102-030405.json.gz'), '');
+
+        const { backups } = await service.listBackups();
+        assert.deepStrictEqual(backups.map(b => [b.scriptId, b.timestamp]), [['script-a', new Date(2026, 0, 2, 3, 4, 5).toISOString()]]);
+    });
+
+    it('保存先の外を指すスクリプトIDは拒否すること', async () => {
+        const service = new BackupService(null, { backupDir: path.join(backupDir, 'backups') });
+        await fs.ensureDir(path.join(backupDir, 'outside'));
+        await fs.writeFile(path.join(backupDir, 'outside', 'outside-20260102-030405-000.json.gz'), '');
+
+        await assert.rejects(service.listBackups('../outside'), /スクリプトIDが不正です: \.\.\/outside/);
+        await assert.rejects(service.pruneBackups('../outside', { keepDaily: 0, keepWeekly: 0 }), /スクリプトIDが不正です/);
+        await assert.rejects(service.writeArchive(snapshot('../outside', '2026-01-02T03:04:05Z')), /スクリプトIDが不正です/);
+        assert.deepStrictEqual(await fs.readdir(path.join(backupDir, 'outside')), ['outside-20260102-030405-000.json.gz']);
+    });
+
+    it('失敗したプロジェクトがあっても残りをバックアップすること', async () => {
+        const gasApi = createGasApi({ failing: ['script-b'] });
+        const service = new BackupService(gasApi, { backupDir });
+        const { results } = await service.backupProjects(['script-a', 'script-b', 'script-c']);
+
+        assert.deepStrictEqual(gasApi.calls, ['script-a', 'script-b', 'script-c']);
+        assert.deepStrictEqual(results.map(r => r.error || 'ok'), ['ok', '権限がありません', 'ok']);
+        assert.strictEqual((await service.listBackups()).backups.length, 2);
+    });
+
+    it('保持ルールに従い各日・各週の最新のみ残すこと', async () => {
+        const service = new BackupService(null, { backupDir, keepDaily: 2, keepWeekly: 1 });
+        const timestamps = [
+            '2026-03-10T09:00:00', '2026-03-10T18:00:00',
+            '2026-03-09T12:00:00',
+            '2026-03-08T12:00:00',
+            '2026-02-01T12:00:00'
+        ];
+        for (const timestamp of timestamps) {
+            await service.writeArchive(snapshot('script-a', timestamp));
+        }
+
+        const dryRun = await service.pruneBackups(null, { dryRun: true });
+        const kept = dryRun.kept.map(b => b.timestamp.slice(0, 10));
+        assert.strictEqual(dryRun.removed.length, 3);
+        assert.deepStrictEqual(kept.sort(), ['2026-03-09', '2026-03-10']);
+        assert.strictEqual((await service.listBackups()).backups.length, 5);
+
+        await service.pruneBackups();
+        assert.strictEqual((await service.listBackups()).backups.length, 2);
+    });
+
+    describe('定期バックアップ', () => {
+
+        it('バックアップのないプロジェクトがあればすぐに実行すること', async () => {
+            const service = new BackupService(null, { backupDir, scriptIds: ['script-a'], intervalHours: 24 });
+            assert.strictEqual(await service.nextBackupDelay(), 0);
+        });
+
+        it('最新のバックアップが最も古いプロジェクトを基準に次回を決めること', async () => {
+            const now = Date.now();
+            const service = new BackupService(null, { backupDir, scriptIds: ['script-a', 'script-b'], intervalHours: 24 });
+            await service.writeArchive(snapshot('script-a', new Date(now - 2 * HOUR).toISOString()));
+            await service.writeArchive(snapshot('script-b', new Date(now - 10 * HOUR).toISOString()));
+
+            assert.strictEqual(await service.nextBackupDelay(now), 14 * HOUR);
+
+            await service.writeArchive(snapshot('script-b', new Date(now - 30 * HOUR).toISOString()));
+            assert.strictEqual(await service.nextBackupDelay(now), 14 * HOUR, '古いアーカイブは基準にしないこと');
+        });
+
+        it('間隔を過ぎていれば起動直後にバックアップし、次回を間隔後に予約すること', async () => {
+            const gasApi = createGasApi();
+            const service = new BackupService(gasApi, { backupDir, scriptIds: ['script-a'], intervalHours: 1000 });
+            await service.writeArchive(snapshot('script-a', new Date(Date.now() - 1001 * HOUR).toISOString()));
+
+            // 予約された待機時間を記録する（2回目の予約でバックアップの完了を検知）
+            const delays = [];
+            let resolveRescheduled;
+            const rescheduled = new Promise(resolve => {
+                resolveRescheduled = resolve;
+            });
+            const scheduleBackup = service.scheduleBackup.bind(service);
+            service.scheduleBackup = delay => {
+                delays.push(delay);
+                scheduleBackup(delay);
+                if (delays.length === 2) resolveRescheduled();
+            };
+
+            // 定期バックアップのタイマーは unref されるため、完了までイベントループを維持する
+            const keepAlive = setInterval(() => {}, 1000);
+            try {
+                assert.strictEqual(service.startSchedule(), true);
+                assert.strictEqual(service.startSchedule(), false, '二重に開始しないこと');
+                await rescheduled;
+
+                assert.deepStrictEqual(gasApi.calls, ['script-a']);
+                assert.deepStrictEqual(delays, [0, 1000 * HOUR]);
+                // setTimeout の上限（約24.8日）を超える待機は分割する
+                assert.strictEqual(service.timer._idleTimeout, 2 ** 31 - 1);
+            } finally {
+                clearInterval(keepAlive);
+                service.stopSchedule();
+            }
+            assert.strictEqual(service.timer, null);
+        });
+
+        it('対象のプロジェクトがなければ開始しないこと', () => {
+            const service = new BackupService(createGasApi(), { backupDir, scriptIds: [] });
+            assert.strictEqual(service.startSchedule(), false);
+        });
+    });
+});
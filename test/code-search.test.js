@@ -0,0 +1,112 @@
+/**
+ * プロジェクト横断コード検索のテスト
+ *
+ * Author: Utakata
+ */
+
+import assert from 'assert';
+import { describe, it } from 'node:test';
+import { CodeSearchService } from '../src/services/code-search.js';
+import { GASApiService } from '../src/services/gas-api.js';
+import { ProjectCache } from '../src/services/project-cache.js';
+
+const PROJECTS = {
+    'script-a': { title: 'A', updateTime: 't1', files: [{ name: 'Code', type: 'SERVER_JS', source: 'function main() {\n  UrlFetchApp.fetch(URL);\n}' }] },
+    'script-b': { title: 'B', updateTime: 't1', files: [{ name: 'index', type: 'HTML', source: '<script>fetch("/api")</script>' }] },
+    'script-c': { title: 'C', updateTime: 't1', files: [{ name: 'Code', type: 'SERVER_JS', source: 'function c() {}' }] }
+};
+
+/**
+ * Drive API（2件ずつのページ）と Apps Script API の代わりを使う GASApiService
+ *
+ * 一覧の更新日時でキャッシュを検証するため、projects.get（メタデータ）は呼ばれない
+ */
+function createGasApi(options = {}) {
+    const fetched = [];
+    const driveApi = {
+        files: {
+            async list({ pageToken }) {
+                const ids = Object.keys(PROJECTS);
+                const offset = pageToken ? Number(pageToken) : 0;
+                return {
+                    data: {
+                        files: ids.slice(offset, offset + 2).map(id => ({ id, name: PROJECTS[id].title, modifiedTime: PROJECTS[id].updateTime })),
+                        nextPageToken: offset + 2 < ids.length ? String(offset + 2) : undefined
+                    }
+                };
+            }
+        }
+    };
+    const scriptApi = {
+        projects: {
+            async get() {
+                throw new Error('一覧の更新日時があるためメタデータは取得しないこと');
+            },
+            async getContent({ scriptId }) {
+                fetched.push(scriptId);
+                if (options.failing?.includes(scriptId)) {
+                    throw new Error('権限がありません');
+                }
+                return { data: { scriptId, files: PROJECTS[scriptId].files } };
+            }
+        }
+    };
+    const gasApi = new GASApiService({ getScriptApi: () => scriptApi, getDriveApi: () => driveApi });
+    gasApi.projectCache = new ProjectCache({ diskDir: null });
+    return { gasApi, fetched };
+}
+
+describe('CodeSearchService', () => {
+
+    it('全ページのプロジェクトをリテラルで検索し、一致箇所を返すこと', async () => {
+        const { gasApi } = createGasApi();
+        const service = new CodeSearchService(gasApi);
+        const result = await service.search('fetch(');
+
+        assert.strictEqual(result.projectsScanned, 3);
+        assert.deepStrictEqual(result.results.map(r => [r.scriptId, r.matches[0].file, r.matches[0].line, r.matches[0].column]), [
+            ['script-a', 'Code', 2, 15],
+            ['script-b', 'index', 1, 9]
+        ]);
+        assert.strictEqual(result.matchCount, 2);
+    });
+
+    it('正規表現・大文字小文字・ファイル種別で絞り込めること', async () => {
+        const service = new CodeSearchService(createGasApi().gasApi);
+
+        const regex = await service.search('^function \\w+\\(\\)', { regex: true, caseSensitive: true });
+        assert.deepStrictEqual(regex.results.map(r => r.scriptId), ['script-a', 'script-c']);
+
+        const serverOnly = await service.search('FETCH', { fileTypes: ['SERVER_JS'] });
+        assert.deepStrictEqual(serverOnly.results.map(r => r.scriptId), ['script-a']);
+
+        assert.throws(() => service.buildPattern('(', { regex: true }), /正規表現が不正です/);
+    });
+
+    it('更新日時が変わっていないプロジェクトはキャッシュから読み込むこと', async () => {
+        const { gasApi, fetched } = createGasApi();
+        const service = new CodeSearchService(gasApi);
+
+        await service.search('main');
+        const second = await service.search('main');
+        assert.strictEqual(second.cacheHits, 3);
+        assert.strictEqual(fetched.length, 3);
+        // 他のツールと同じプロジェクトキャッシュを使う
+        assert.deepStrictEqual([...gasApi.projectCache.entries.keys()].sort(), ['script-a', 'script-b', 'script-c']);
+
+        const refreshed = await service.search('main', { refresh: true });
+        assert.strictEqual(refreshed.cacheHits, 0);
+        assert.strictEqual(fetched.length, 6);
+    });
+
+    it('取得できないプロジェクトはエラーに含めて検索を続け、一致件数の上限で切り詰めること', async () => {
+        const service = new CodeSearchService(createGasApi({ failing: ['script-b'] }).gasApi, { concurrency: 2 });
+        const result = await service.search('function', { maxMatches: 1 });
+
+        assert.deepStrictEqual(result.errors, [{ scriptId: 'script-b', title: 'B', error: 'プロジェクト詳細取得失敗: 権限がありません' }]);
+        assert.strictEqual(result.projectsScanned, 2);
+        assert.strictEqual(result.matchCount, 1);
+        assert.strictEqual(result.matchesTruncated, true);
+        assert.deepStrictEqual(result.results.map(r => r.scriptId), ['script-a']);
+    });
+});
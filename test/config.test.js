@@ -0,0 +1,107 @@
+/**
+ * 設定の読み込み・重ね合わせ・検証のテスト
+ *
+ * Author: Utakata
+ */
+
+import assert from 'assert';
+import { describe, it } from 'node:test';
+import { parseRateLimit, validateConfig } from '../src/utils/config.js';
+
+/**
+ * 環境変数を設定して設定モジュールを新たに読み込む（loadConfig は初回の結果を保持するため）
+ */
+async function loadWithEnv(env) {
+    const saved = Object.fromEntries(Object.keys(env).map(name => [name, process.env[name]]));
+    Object.assign(process.env, env);
+    try {
+        const config = await import(`../src/utils/config.js?env=${encodeURIComponent(JSON.stringify(env))}`);
+        return { config: config.loadConfig(), report: config.getConfigReport(), getToolConfig: config.getToolConfig };
+    } finally {
+        Object.entries(saved).forEach(([name, value]) => {
+            if (value === undefined) {
+                delete process.env[name];
+            } else {
+                process.env[name] = value;
+            }
+        });
+    }
+}
+
+describe('loadConfig', () => {
+
+    it('GAS_MCP_* 環境変数を既存のキーに対応付けて既定値に重ねること', async () => {
+        const { config, report, getToolConfig } = await loadWithEnv({
+            LOG_LEVEL: 'warn',
+            GAS_MCP_LOGGING_LEVEL: 'debug',
+            GAS_MCP_LIMITS_RETRIES: '5',
+            GAS_MCP_TOOLS_CREATE_GAS_PROJECT_ENABLED: 'false',
+            GAS_MCP_TOOLS_MANAGE_GAS_TRIGGERS_MAX_TRIGGERS: '5',
+            GAS_MCP_SERVER_MODULES: '["project","files"]'
+        });
+
+        assert.strictEqual(config.logging.level, 'debug', 'GAS_MCP_* は従来の LOG_LEVEL より優先すること');
+        assert.strictEqual(config.limits.retries, 5);
+        assert.notStrictEqual(config.limits.requestTimeout, undefined, '指定していないキーは既定値のままであること');
+        assert.strictEqual(getToolConfig('create_gas_project').enabled, false);
+        assert.strictEqual(getToolConfig('manage_gas_triggers').maxTriggers, 5);
+        assert.deepStrictEqual(config.server.modules, ['project', 'files'], '配列はマージせず置き換えること');
+        assert.strictEqual(report.sources[0], 'config/default.json');
+        assert(report.sources.includes('LOG_LEVEL') && report.sources.includes('GAS_MCP_LOGGING_LEVEL'));
+        assert.deepStrictEqual(report.errors, []);
+    });
+
+    it('不正な値は検証エラーとして報告すること', async () => {
+        const { report } = await loadWithEnv({ GAS_MCP_LIMITS_RETRIES: '-1' });
+
+        assert.deepStrictEqual(report.errors, [
+            'limits.retries は0以上の整数である必要があります（指定値: -1）'
+        ]);
+    });
+
+    it('不正なログレベルは警告して既定値を使うこと', async () => {
+        const { config, report } = await loadWithEnv({ LOG_LEVEL: 'verbose' });
+
+        assert.strictEqual(config.logging.level, 'info');
+        assert.deepStrictEqual(report.errors, []);
+        assert.deepStrictEqual(report.warnings, [
+            'logging.level は debug / info / warn / error のいずれかです（指定値: verbose）。info を使います'
+        ]);
+    });
+
+    it('config/default.json はそのままで検証を通ること', async () => {
+        const { report } = await loadWithEnv({});
+        assert.deepStrictEqual(report.errors, []);
+        assert.deepStrictEqual(report.warnings, []);
+    });
+});
+
+describe('validateConfig', () => {
+
+    it('認証方法・暗号化キー・ツール設定の問題をすべて報告すること', () => {
+        const { valid, errors, warnings } = validateConfig({
+            google: { auth: { methods: ['oauth', 'magic'], preferred: 'service_account' } },
+            security: { provider: 'kms', kdf: { N: 1000 } },
+            tools: { list_gas_projects: { enabled: 'yes', rateLimit: '10/fortnight' }, broken: true },
+            extra: {}
+        });
+
+        assert.strictEqual(valid, false);
+        assert.deepStrictEqual(errors, [
+            'google.auth.methods に未知の認証方法があります: magic（service_account / oauth / default）',
+            'google.auth.preferred は google.auth.methods のいずれかです（指定値: service_account）',
+            'security.kdf.N は2の累乗である必要があります（指定値: 1000）',
+            'security.provider が kms の場合は security.kms.keyName が必要です',
+            'tools.list_gas_projects.enabled は真偽値である必要があります（指定値: "yes"）',
+            'tools.list_gas_projects.rateLimit の形式が不正です: 10/fortnight（例: "10/minute"）',
+            'tools.broken はオブジェクトである必要があります'
+        ]);
+        assert.deepStrictEqual(warnings, ['未知の設定セクションです: extra']);
+    });
+
+    it('レート制限を件数と期間（ミリ秒）に変換すること', () => {
+        assert.deepStrictEqual(parseRateLimit('10/minute'), { limit: 10, periodMs: 60000 });
+        assert.deepStrictEqual(parseRateLimit(' 2 / hours '), { limit: 2, periodMs: 3600000 });
+        assert.throws(() => parseRateLimit('0/second'), /rateLimit の形式が不正です/);
+    });
+});
@@ -0,0 +1,97 @@
+/**
+ * デプロイメント管理のテスト
+ *
+ * Author: Utakata
+ */
+
+import assert from 'assert';
+import { describe, it } from 'node:test';
+import { GASApiService } from '../src/services/gas-api.js';
+
+/**
+ * デプロイメントとバージョンを持つ Apps Script API の代わり
+ */
+function createFakeGasApi() {
+    const state = {
+        deployments: {
+            HEAD: { deploymentId: 'HEAD', deploymentConfig: { manifestFileName: 'appsscript' } },
+            prod: { deploymentId: 'prod', deploymentConfig: { versionNumber: 2, manifestFileName: 'appsscript', description: '本番' } }
+        },
+        versions: [1, 2, 3, 4],
+        deleted: []
+    };
+    const scriptApi = {
+        projects: {
+            deployments: {
+                get: async ({ deploymentId }) => {
+                    if (!state.deployments[deploymentId]) {
+                        throw new Error(`Requested entity was not found: ${deploymentId}`);
+                    }
+                    return { data: structuredClone(state.deployments[deploymentId]) };
+                },
+                update: async ({ deploymentId, requestBody }) => {
+                    state.deployments[deploymentId].deploymentConfig = requestBody.deploymentConfig;
+                    return { data: { ...structuredClone(state.deployments[deploymentId]), updateTime: '2026-01-01T00:00:00Z' } };
+                },
+                delete: async ({ deploymentId }) => {
+                    state.deleted.push(deploymentId);
+                    delete state.deployments[deploymentId];
+                    return { data: {} };
+                }
+            },
+            versions: {
+                list: async () => ({ data: { versions: state.versions.map(versionNumber => ({ versionNumber })) } })
+            }
+        }
+    };
+    return { gasApi: new GASApiService({ getScriptApi: () => scriptApi }), state };
+}
+
+describe('デプロイメント管理', () => {
+
+    it('update は既存のデプロイメントを指定のバージョンに変更し、説明を引き継ぐこと', async () => {
+        const { gasApi, state } = createFakeGasApi();
+        const result = await gasApi.manageDeployments('script-1', 'update', 'prod', 1);
+
+        assert.strictEqual(result.previousVersion, 2);
+        assert.strictEqual(result.versionNumber, 1);
+        assert.strictEqual(state.deployments.prod.deploymentConfig.description, '本番');
+    });
+
+    it('HEADデプロイメントは更新・削除できないこと', async () => {
+        const { gasApi, state } = createFakeGasApi();
+
+        await assert.rejects(gasApi.manageDeployments('script-1', 'update', 'HEAD', 3), /HEADデプロイメントはバージョンを変更できません/);
+        await assert.rejects(gasApi.manageDeployments('script-1', 'delete', 'HEAD'), /HEADデプロイメントは削除できません/);
+        assert.deepStrictEqual(state.deleted, []);
+    });
+
+    it('delete はバージョン指定のデプロイメントを削除すること', async () => {
+        const { gasApi, state } = createFakeGasApi();
+        const result = await gasApi.manageDeployments('script-1', 'delete', 'prod');
+
+        assert.strictEqual(result.deleted, 'prod');
+        assert.strictEqual(result.versionNumber, 2);
+        assert.deepStrictEqual(state.deleted, ['prod']);
+    });
+
+    it('promote はバージョン省略時に最新バージョンへ昇格すること', async () => {
+        const { gasApi, state } = createFakeGasApi();
+        const result = await gasApi.manageDeployments('script-1', 'promote', 'prod');
+
+        assert.strictEqual(result.versionNumber, 4);
+        assert.strictEqual(state.deployments.prod.deploymentConfig.versionNumber, 4);
+    });
+
+    it('promote は現在以前のバージョンへの変更を拒否すること', async () => {
+        const { gasApi, state } = createFakeGasApi();
+
+        await assert.rejects(gasApi.manageDeployments('script-1', 'promote', 'prod', 2), /ロールバックはupdateアクションを使用してください/);
+        assert.strictEqual(state.deployments.prod.deploymentConfig.versionNumber, 2);
+    });
+
+    it('未知のアクションはエラーにすること', async () => {
+        const { gasApi } = createFakeGasApi();
+        await assert.rejects(gasApi.manageDeployments('script-1', 'rename', 'prod'), /未知のアクション: rename/);
+    });
+});
@@ -0,0 +1,125 @@
+/**
+ * 差分・競合検出のテスト
+ *
+ * Author: Utakata
+ */
+
+import assert from 'assert';
+import { describe, it } from 'node:test';
+import { detectConflicts, diffProjectFiles, hashProjectFiles, hashSource } from '../src/utils/diff.js';
+import { GASApiService } from '../src/services/gas-api.js';
+
+const file = (name, source) => ({ name, type: 'SERVER_JS', source });
+
+/**
+ * projects.get / getContent / updateContent だけを持つ Apps Script API の代わり
+ */
+function createFakeGasApi(files) {
+    const state = { files: structuredClone(files), updateTime: '2026-01-01T00:00:00Z', writes: 0 };
+    const scriptApi = {
+        projects: {
+            get: async ({ scriptId }) => ({ data: { scriptId, title: 'テスト', updateTime: state.updateTime } }),
+            getContent: async ({ scriptId }) => ({ data: { scriptId, files: structuredClone(state.files) } }),
+            updateContent: async ({ scriptId, requestBody }) => {
+                state.files = structuredClone(requestBody.files);
+                state.updateTime = new Date(Date.parse(state.updateTime) + 1000).toISOString();
+                state.writes++;
+                return { data: { scriptId, title: 'テスト', updateTime: state.updateTime } };
+            }
+        }
+    };
+    const gasApi = new GASApiService({ getScriptApi: () => scriptApi });
+    return { gasApi, state };
+}
+
+describe('detectConflicts', () => {
+    const base = [file('A', 'a'), file('B', 'b'), file('C', 'c')];
+
+    it('リモートが変更されていなければ drifted にならないこと', () => {
+        const result = detectConflicts({ base, remote: base, local: [file('A', 'a2'), file('B', 'b'), file('C', 'c')] });
+
+        assert.strictEqual(result.drifted, false);
+        assert.deepStrictEqual(result.files, []);
+    });
+
+    it('ファイルごとに競合の種類を判定すること', () => {
+        const remote = [file('A', 'a-remote'), file('B', 'b-both'), file('C', 'c-remote'), file('D', 'd')];
+        const local = [file('A', 'a-local'), file('B', 'b-both'), file('C', 'c')];
+        const result = detectConflicts({ base, remote, local });
+        const byName = Object.fromEntries(result.files.map(f => [f.name, f]));
+
+        assert.strictEqual(result.drifted, true);
+        assert.strictEqual(byName.A.status, 'conflict');
+        assert.strictEqual(byName.B.status, 'identical');
+        assert.strictEqual(byName.C.status, 'remote-modified');
+        assert.strictEqual(byName.C.localDiff, null);
+        assert.strictEqual(byName.D.change, 'added-remotely');
+        assert.match(byName.A.remoteDiff, /\+a-remote/);
+        assert.match(byName.A.localDiff, /\+a-local/);
+    });
+
+    it('両方で同じ変更をしただけなら drifted にならないこと', () => {
+        const changed = [file('A', 'same'), file('B', 'b'), file('C', 'c')];
+        assert.strictEqual(detectConflicts({ base, remote: changed, local: changed }).drifted, false);
+    });
+
+    it('リモートで削除されたファイルを検出すること', () => {
+        const result = detectConflicts({ base, remote: [file('A', 'a'), file('B', 'b')], local: base });
+        assert.deepStrictEqual(result.files.map(f => [f.name, f.change]), [['C', 'deleted-remotely']]);
+    });
+});
+
+describe('ハッシュと差分', () => {
+
+    it('プロジェクトのハッシュはファイルの順序に依存しないこと', () => {
+        const files = [file('A', 'a'), file('B', 'b')];
+        assert.strictEqual(hashProjectFiles(files), hashProjectFiles([...files].reverse()));
+        assert.notStrictEqual(hashProjectFiles(files), hashProjectFiles([file('A', 'a'), file('B', 'b2')]));
+        assert.strictEqual(hashSource(null), hashSource(''));
+    });
+
+    it('diffProjectFiles で追加・削除・変更を集計すること', () => {
+        const result = diffProjectFiles(
+            [file('A', 'a'), file('B', 'b'), file('C', 'c')],
+            [file('A', 'a'), file('B', 'b2'), file('D', 'd')]
+        );
+
+        assert.deepStrictEqual(result.summary, { added: 1, removed: 1, modified: 1, unchanged: 1 });
+        assert.deepStrictEqual(result.files.map(f => `${f.name}:${f.change}`), ['B:modified', 'C:removed', 'D:added']);
+    });
+});
+
+describe('GASApiService の競合検出つき書き込み', () => {
+
+    it('updateFile は取得時からリモートが変更されていれば書き込まないこと', async () => {
+        const { gasApi, state } = createFakeGasApi([file('Code', 'remote')]);
+        const result = await gasApi.updateFile('script-1', 'Code', 'local', { baseSource: 'base' });
+
+        assert.strictEqual(result.conflict, true);
+        assert.strictEqual(result.files[0].status, 'conflict');
+        assert.strictEqual(state.writes, 0);
+    });
+
+    it('updateFile は baseHash が一致すれば書き込むこと', async () => {
+        const { gasApi, state } = createFakeGasApi([file('Code', 'base')]);
+        const result = await gasApi.updateFile('script-1', 'Code', 'local', { baseHash: hashSource('base'), skipLint: true });
+
+        assert.strictEqual(result.conflict, undefined);
+        assert.strictEqual(result.hash, hashSource('local'));
+        assert.strictEqual(state.files[0].source, 'local');
+    });
+
+    it('updateProject は baseSnapshot からリモートが変更されていれば競合レポートを返すこと', async () => {
+        const baseSnapshot = [file('A', 'a'), file('B', 'b')];
+        const { gasApi, state } = createFakeGasApi([file('A', 'a-remote'), file('B', 'b')]);
+        const result = await gasApi.updateProject('script-1', {
+            scriptId: 'script-1',
+            files: [file('A', 'a-local'), file('B', 'b')]
+        }, { baseSnapshot, skipLint: true });
+
+        assert.strictEqual(result.conflict, true);
+        assert.strictEqual(result.remoteHash, hashProjectFiles(state.files));
+        assert.deepStrictEqual(result.files.map(f => `${f.name}:${f.status}`), ['A:conflict']);
+        assert.strictEqual(state.writes, 0);
+    });
+});
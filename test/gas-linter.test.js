@@ -0,0 +1,79 @@
+/**
+ * GASソース静的解析（Lint）のテスト
+ *
+ * Author: Utakata
+ */
+
+import assert from 'assert';
+import { describe, it } from 'node:test';
+import { formatLintReport, lintProject } from '../src/utils/gas-linter.js';
+
+const file = (name, source) => ({ name, type: 'SERVER_JS', source });
+const manifest = content => ({ name: 'appsscript', type: 'JSON', source: JSON.stringify(content) });
+const rules = result => result.findings.map(f => `${f.rule} ${f.file}:${f.line}`);
+
+describe('lintProject', () => {
+
+    it('問題のないプロジェクトでは何も報告しないこと', () => {
+        const result = lintProject([
+            manifest({ runtimeVersion: 'V8', dependencies: { libraries: [{ userSymbol: 'Lib', libraryId: 'lib-1', version: '1' }] } }),
+            file('Code', 'function main() {\n  const values = SpreadsheetApp.getActiveRange().getValues();\n  values.forEach(row => Logger.log(parseInt(row[0])));\n  helper();\n  Lib.run();\n}'),
+            file('Util', 'function helper() {}')
+        ]);
+
+        assert.strictEqual(result.runtimeVersion, 'V8');
+        assert.strictEqual(result.fileCount, 2);
+        assert.deepStrictEqual(result.findings, []);
+        assert.match(formatLintReport(result), /✅ 問題は見つかりませんでした/);
+    });
+
+    it('重複したグローバル名・未定義の関数・構文エラーをエラーとして報告すること', () => {
+        const result = lintProject([
+            file('Code', 'function main() {\n  undefinedHelper();\n}'),
+            file('Other', 'var x = 1;\nfunction main() {}'),
+            file('Broken', 'function (')
+        ]);
+
+        assert.deepStrictEqual(rules(result), [
+            'syntax-error Broken:1',
+            'undefined-function Code:2',
+            'duplicate-global Other:2'
+        ]);
+        assert.match(result.findings[2].message, /グローバル名「main」が重複しています（Code:1, Other:2）/);
+        assert.strictEqual(result.errorCount, 3);
+    });
+
+    it('Rhino ランタイムで使えない構文はファイルごとに1回だけ報告すること', () => {
+        const result = lintProject([
+            manifest({ timeZone: 'Asia/Tokyo' }),
+            file('Code', 'var a = () => 1;\nvar b = () => 2;\nconst c = `${a()}`;')
+        ]);
+
+        assert.strictEqual(result.runtimeVersion, 'DEPRECATED_ES5');
+        assert.deepStrictEqual(result.findings.map(f => f.message), [
+            'アロー関数 は DEPRECATED_ES5 ランタイムでは使用できません',
+            'let / const は DEPRECATED_ES5 ランタイムでは使用できません',
+            'テンプレートリテラル は DEPRECATED_ES5 ランタイムでは使用できません'
+        ]);
+        assert.strictEqual(lintProject([file('Code', 'var a = () => 1;')], { runtimeVersion: 'V8' }).errorCount, 0);
+    });
+
+    it('ループ内の getValue / setValue を警告すること', () => {
+        const result = lintProject([file('Code', [
+            'function main(sheet) {',
+            '  for (var i = 1; i < 10; i++) {',
+            '    sheet.getRange(i, 1).setValue(i);',
+            '  }',
+            '  [1, 2].forEach(function (row) { sheet.getRange(row, 2).getValue(); });',
+            '  sheet.getRange(1, 3).setValue(0);',
+            '}'
+        ].join('\n'))]);
+
+        assert.deepStrictEqual(rules(result), ['quota-in-loop Code:3', 'quota-in-loop Code:5']);
+        assert.strictEqual(result.warningCount, 2);
+
+        const report = formatLintReport(result);
+        assert.match(report, /❌ エラー: 0件 \/ ⚠️ 警告: 2件/);
+        assert.match(report, /### Code\n⚠️ 3行目 \[quota-in-loop\] ループ内で setValue\(\) を呼び出しています/);
+    });
+});
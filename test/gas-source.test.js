@@ -0,0 +1,86 @@
+/**
+ * GASソース解析と関数カタログのテスト
+ *
+ * Author: Utakata
+ */
+
+import assert from 'assert';
+import { describe, it } from 'node:test';
+import { buildFunctionCatalog, listTopLevelFunctions, listTopLevelNames } from '../src/utils/gas-source.js';
+import { GASApiService } from '../src/services/gas-api.js';
+
+const file = (name, source) => ({ name, type: 'SERVER_JS', source });
+
+const FILES = [
+    file('Code', [
+        '/**',
+        ' * レポートを作成する',
+        ' * 集計結果をシートに書き込む',
+        ' *',
+        ' * 2段落目は含めない',
+        ' * @param {string} sheetName',
+        ' */',
+        'function report(sheetName, options = {}) {}',
+        '',
+        '/** 内部用 */',
+        'const format_ = value => String(value);',
+        'function onOpen() {}',
+        'if (true) { function nested() {} }'
+    ].join('\n')),
+    file('Broken', 'function ('),
+    { name: 'index', type: 'HTML', source: '<script>function client() {}</script>' }
+];
+
+describe('listTopLevelFunctions', () => {
+
+    it('トップレベルの関数宣言と関数を代入した変数を JSDoc の概要とともに列挙すること', () => {
+        const { functions, errors } = listTopLevelFunctions(FILES);
+
+        assert.deepStrictEqual(functions.map(fn => [fn.name, fn.line, fn.params]), [
+            ['report', 8, 2],
+            ['format_', 11, 1],
+            ['onOpen', 12, 0]
+        ]);
+        assert.deepStrictEqual(functions[0].paramNames, ['sheetName', 'options = {}']);
+        assert.strictEqual(functions[0].summary, 'レポートを作成する 集計結果をシートに書き込む');
+        assert.strictEqual(functions[1].summary, '内部用');
+        assert.strictEqual(functions[2].summary, null);
+        assert.deepStrictEqual(errors.map(e => [e.file, e.line]), [['Broken', 1]]);
+    });
+
+    it('クラス・変数を含むトップレベルの名前を種類とともに列挙すること', () => {
+        const { names } = listTopLevelNames([file('Code', 'class Store {}\nlet count = 0, { a } = {};\nvar total;')]);
+        assert.deepStrictEqual(names.map(n => `${n.kind} ${n.name}`), ['class Store', 'let count', 'var total']);
+    });
+});
+
+describe('buildFunctionCatalog', () => {
+
+    it('プライベート・シンプルトリガー・インストール済みトリガー・実行API可否を判定すること', () => {
+        const { functions } = buildFunctionCatalog(FILES, {
+            triggerHandlers: ['report'],
+            manifest: { executionApi: { access: 'MYSELF' } }
+        });
+        const flags = Object.fromEntries(functions.map(fn => [fn.name, fn.flags]));
+
+        assert.deepStrictEqual(flags.report, { private: false, simpleTrigger: false, installedTrigger: true, apiCallable: true });
+        assert.deepStrictEqual(flags.format_, { private: true, simpleTrigger: false, installedTrigger: false, apiCallable: false });
+        assert.deepStrictEqual(flags.onOpen, { private: false, simpleTrigger: true, installedTrigger: false, apiCallable: true });
+
+        const unknown = buildFunctionCatalog(FILES).functions[0].flags;
+        assert.strictEqual(unknown.installedTrigger, null, 'トリガー情報がなければ不明とすること');
+        assert.strictEqual(unknown.apiCallable, false, 'executionApi がなければ呼び出せないこと');
+    });
+
+    it('findProjectFunction は見つからない関数に候補と構文エラーのファイルを添えること', () => {
+        const gasApi = new GASApiService({ getScriptApi: () => { throw new Error('Google APIを呼び出してはいけません'); } });
+
+        assert.strictEqual(gasApi.findProjectFunction(FILES, 'report').line, 8);
+        assert.throws(() => gasApi.findProjectFunction(FILES, 'format_', { rejectPrivate: true }), /プライベート関数（末尾が _）は実行APIから呼び出せません/);
+        assert.throws(() => gasApi.findProjectFunction(FILES, 'nested'), error => {
+            assert.match(error.message, /関数「nested」がプロジェクトに見つかりません（利用可能な関数: report, onOpen）/);
+            assert.match(error.message, /構文エラーのため解析できなかったファイル: Broken（/);
+            return true;
+        });
+    });
+});
@@ -0,0 +1,144 @@
+/**
+ * テスト用の Apps Script API クライアント（googleapis の script v1 の代わり）
+ *
+ * - projects.get / getContent / updateContent はメモリ上のプロジェクトを読み書きする（デプロイメントは常に空）
+ * - scripts.run はプロジェクトのソースを ScriptApp / PropertiesService の代わりとともに vm で実行する
+ *
+ * Author: Utakata
+ */
+
+import vm from 'vm';
+
+const SOURCE_EVENTS = {
+    forSpreadsheet: { triggerSource: 'SPREADSHEETS', events: { onOpen: 'ON_OPEN', onEdit: 'ON_EDIT', onChange: 'ON_CHANGE', onFormSubmit: 'ON_FORM_SUBMIT' } },
+    forForm: { triggerSource: 'FORMS', events: { onOpen: 'ON_OPEN', onFormSubmit: 'ON_FORM_SUBMIT' } },
+    forUserCalendar: { triggerSource: 'CALENDAR', events: { onEventUpdated: 'ON_EVENT_UPDATED' } }
+};
+const CLOCK_METHODS = ['at', 'everyMinutes', 'everyHours', 'everyDays', 'everyWeeks', 'onWeekDay', 'atHour', 'nearMinute', 'inTimezone'];
+
+/**
+ * ScriptApp の代わり（作成したトリガーは state.triggers に記録する）
+ */
+function createScriptApp(state) {
+    const toTrigger = record => ({
+        getUniqueId: () => record.triggerId,
+        getHandlerFunction: () => record.handlerFunction,
+        getEventType: () => record.eventType,
+        getTriggerSource: () => record.triggerSource,
+        getTriggerSourceId: () => record.triggerSourceId ?? null
+    });
+    const create = record => () => {
+        record.triggerId = `trigger-${state.nextTriggerId++}`;
+        state.triggers.push(record);
+        return toTrigger(record);
+    };
+
+    return {
+        WeekDay: Object.fromEntries(['MONDAY', 'TUESDAY', 'WEDNESDAY', 'THURSDAY', 'FRIDAY', 'SATURDAY', 'SUNDAY'].map(day => [day, day])),
+        newTrigger(handlerFunction) {
+            const record = { handlerFunction };
+            const builder = {
+                timeBased() {
+                    Object.assign(record, { eventType: 'CLOCK', triggerSource: 'CLOCK', schedule: [] });
+                    const clock = { create: create(record) };
+                    for (const method of CLOCK_METHODS) {
+                        clock[method] = value => {
+                            record.schedule.push([method, value instanceof Date ? value.toISOString() : value]);
+                            return clock;
+                        };
+                    }
+                    return clock;
+                }
+            };
+            for (const [method, { triggerSource, events }] of Object.entries(SOURCE_EVENTS)) {
+                builder[method] = triggerSourceId => {
+                    Object.assign(record, { triggerSource, triggerSourceId });
+                    return Object.fromEntries(Object.entries(events).map(([event, eventType]) => [
+                        event,
+                        () => { record.eventType = eventType; return { create: create(record) }; }
+                    ]));
+                };
+            }
+            return builder;
+        },
+        getProjectTriggers: () => state.triggers.map(toTrigger),
+        deleteTrigger(trigger) {
+            state.triggers = state.triggers.filter(record => record.triggerId !== trigger.getUniqueId());
+        }
+    };
+}
+
+/**
+ * PropertiesService の代わり（スクリプトプロパティのみ）
+ */
+function createPropertiesService(state) {
+    const values = state.properties;
+    return {
+        getScriptProperties: () => ({
+            getProperty: key => values[key] ?? null,
+            setProperty: (key, value) => { values[key] = value; },
+            deleteProperty: key => { delete values[key]; },
+            getProperties: () => ({ ...values })
+        })
+    };
+}
+
+/**
+ * @param {Array} files プロジェクトのファイル
+ * @param {Object} options triggers（ScriptApp に登録済みのトリガー）・properties（スクリプトプロパティ）
+ */
+export function createFakeScriptApi(files, options = {}) {
+    const state = {
+        files: structuredClone(files),
+        revision: 1,
+        triggers: structuredClone(options.triggers || []),
+        properties: { ...options.properties },
+        nextTriggerId: 1,
+        calls: []
+    };
+    const metadata = scriptId => ({ scriptId, title: 'テストプロジェクト', updateTime: `2026-01-01T00:00:0${state.revision}Z` });
+
+    const client = {
+        state,
+        projects: {
+            async get({ scriptId }) {
+                state.calls.push('projects.get');
+                return { data: metadata(scriptId) };
+            },
+            async getContent({ scriptId }) {
+                state.calls.push('projects.getContent');
+                return { data: { scriptId, files: structuredClone(state.files) } };
+            },
+            async updateContent({ scriptId, requestBody }) {
+                state.calls.push('projects.updateContent');
+                state.files = structuredClone(requestBody.files);
+                state.revision++;
+                return { data: metadata(scriptId) };
+            },
+            deployments: {
+                async list() {
+                    state.calls.push('projects.deployments.list');
+                    return { data: { deployments: [] } };
+                }
+            }
+        },
+        scripts: {
+            async run({ requestBody }) {
+                state.calls.push(`scripts.run:${requestBody.parameters[0]?.operation ?? requestBody.function}`);
+                const source = state.files.filter(file => file.type === 'SERVER_JS').map(file => file.source).join('\n');
+                const context = {
+                    ScriptApp: createScriptApp(state),
+                    PropertiesService: createPropertiesService(state),
+                    parameters: requestBody.parameters
+                };
+                try {
+                    const result = vm.runInNewContext(`${source}\nJSON.stringify(${requestBody.function}.apply(null, parameters));`, context);
+                    return { data: { response: { result: result === undefined ? undefined : JSON.parse(result) } } };
+                } catch (error) {
+                    return { data: { error: { message: 'ScriptError', details: [{ errorMessage: error.message }] } } };
+                }
+            }
+        }
+    };
+    return client;
+}
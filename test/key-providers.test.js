@@ -0,0 +1,134 @@
+/**
+ * 暗号化キープロバイダーのテスト
+ *
+ * Author: Utakata
+ */
+
+import assert from 'assert';
+import http from 'http';
+import { describe, it, before, after, afterEach } from 'node:test';
+import { EncryptedFileKeyProvider, KEY_LENGTH, KmsKeyProvider, PassphraseKeyProvider, createKeyProvider, parseKey } from '../src/services/key-providers.js';
+
+// テストを速くするため scrypt のコストを下げる
+const KDF = { N: 1024, r: 8, p: 1 };
+
+afterEach(() => {
+    delete process.env.ENCRYPTION_PASSPHRASE;
+    delete process.env.ENCRYPTION_KMS_TOKEN;
+});
+
+describe('parseKey', () => {
+
+    it('32バイトの hex 文字列のみを受け付けること', () => {
+        assert.strictEqual(parseKey('ab'.repeat(32), 'キー').length, KEY_LENGTH);
+        assert.throws(() => parseKey('ab'.repeat(16), 'ENCRYPTION_KEY'), /ENCRYPTION_KEY は32バイト（hex 64文字）である必要があります/);
+        assert.throws(() => parseKey('zz'.repeat(32), 'キー'), /32バイト/);
+    });
+});
+
+describe('パスフレーズのプロバイダー', () => {
+
+    for (const Provider of [PassphraseKeyProvider, EncryptedFileKeyProvider]) {
+        it(`${new Provider().name}: 同じパスフレーズでキーを復元し、誤ったパスフレーズは拒否すること`, async () => {
+            process.env.ENCRYPTION_PASSPHRASE = 'correct horse battery staple';
+            const provider = new Provider({ kdf: KDF });
+            const { key, stored } = await provider.createKey();
+
+            assert.strictEqual(stored.kdf.N, KDF.N);
+            assert.strictEqual(JSON.stringify(stored).includes(key.toString('hex')), false, 'キー自体は保存しないこと');
+            assert(key.equals(await provider.loadKey({ id: 'key-1', ...stored })));
+
+            process.env.ENCRYPTION_PASSPHRASE = 'wrong passphrase';
+            await assert.rejects(provider.loadKey({ id: 'key-1', ...stored }), /キー「key-1」を.+ENCRYPTION_PASSPHRASE が正しいか確認してください/);
+
+            delete process.env.ENCRYPTION_PASSPHRASE;
+            await assert.rejects(provider.loadKey({ id: 'key-1', ...stored }), /ENCRYPTION_PASSPHRASE が設定されていません/);
+        });
+    }
+});
+
+describe('KmsKeyProvider', () => {
+    let server;
+    let endpoint;
+    const requests = [];
+
+    /**
+     * Cloud KMS の encrypt / decrypt 形式に応答するローカルの互換サーバー
+     *
+     * 暗号文は「KMSキー名|平文」を base64 にしたもので、復号時にキー名が一致することを確認する
+     */
+    before(async () => {
+        server = http.createServer((req, res) => {
+            let body = '';
+            req.on('data', chunk => { body += chunk; });
+            req.on('end', () => {
+                const [, keyName, method] = /^\/v1\/(.+):(encrypt|decrypt)$/.exec(req.url) || [];
+                const data = JSON.parse(body || '{}');
+                requests.push({ keyName, method, authorization: req.headers.authorization || null });
+
+                let response = null;
+                if (method === 'encrypt') {
+                    response = { name: keyName, ciphertext: Buffer.from(`${keyName}|${data.plaintext}`).toString('base64') };
+                } else if (method === 'decrypt') {
+                    const [encryptedWith, plaintext] = Buffer.from(data.ciphertext, 'base64').toString().split('|');
+                    if (encryptedWith === keyName) response = { plaintext };
+                }
+
+                res.writeHead(response ? 200 : 400, { 'Content-Type': 'application/json' });
+                res.end(JSON.stringify(response || { error: { message: 'Decryption failed' } }));
+            });
+        });
+        await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+        endpoint = `http://127.0.0.1:${server.address().port}/`;
+    });
+
+    after(async () => {
+        await new Promise(resolve => server.close(resolve));
+    });
+
+    it('KMSで暗号化したキーを作成時のKMSキーで復号すること', async () => {
+        requests.length = 0;
+        process.env.ENCRYPTION_KMS_TOKEN = 'static-token';
+        const provider = createKeyProvider('kms', { kms: { endpoint, keyName: 'projects/p/locations/l/keyRings/r/cryptoKeys/a' } });
+        const { key, stored } = await provider.createKey();
+
+        assert.strictEqual(stored.kmsKeyName, 'projects/p/locations/l/keyRings/r/cryptoKeys/a');
+
+        // 設定のキー名を変更しても既存のキーは元のKMSキーで復号する
+        provider.keyName = 'projects/p/locations/l/keyRings/r/cryptoKeys/b';
+        assert(key.equals(await provider.loadKey({ id: 'key-1', ...stored })));
+        assert.deepStrictEqual(requests.map(r => [r.method, r.keyName.split('/').pop(), r.authorization]), [
+            ['encrypt', 'a', 'Bearer static-token'],
+            ['decrypt', 'a', 'Bearer static-token']
+        ]);
+
+        await assert.rejects(provider.loadKey({ id: 'key-1', kmsKeyName: 'projects/p/locations/l/keyRings/r/cryptoKeys/b', ciphertext: stored.ciphertext }),
+            /KMSのdecryptに失敗しました: 400/);
+    });
+
+    it('getAccessToken を指定した場合は呼び出しごとにトークンを取得すること', async () => {
+        requests.length = 0;
+        let issued = 0;
+        const provider = new KmsKeyProvider({ endpoint, keyName: 'keys/a', getAccessToken: async () => `token-${++issued}` });
+        const { stored } = await provider.createKey();
+        await provider.loadKey({ id: 'key-1', ...stored });
+
+        assert.deepStrictEqual(requests.map(r => r.authorization), ['Bearer token-1', 'Bearer token-2']);
+    });
+
+    it('ENCRYPTION_KMS_TOKEN はカスタムエンドポイントでのみ使うこと', async () => {
+        process.env.ENCRYPTION_KMS_TOKEN = 'static-token';
+        assert.strictEqual(await new KmsKeyProvider({ endpoint, keyName: 'keys/a' }).accessToken(), 'static-token');
+
+        // Cloud KMS ではGoogleの認証情報を使う（取得方法を差し替えて確認）
+        const cloudKms = new KmsKeyProvider({ keyName: 'keys/a' });
+        assert.strictEqual(cloudKms.endpoint, 'https://cloudkms.googleapis.com');
+        cloudKms.auth = { getAccessToken: async () => 'google-token' };
+        assert.strictEqual(await cloudKms.accessToken(), 'google-token');
+    });
+
+    it('keyName がなければリクエストせずにエラーにすること', async () => {
+        await assert.rejects(new KmsKeyProvider({ endpoint }).createKey(), /security.kms.keyName が設定されていません/);
+        assert.throws(() => createKeyProvider('vault', {}), /未知のキープロバイダーです: vault/);
+    });
+});
@@ -0,0 +1,149 @@
+/**
+ * 暗号化キーリングとキーローテーションのテスト
+ *
+ * Author: Utakata
+ */
+
+import assert from 'assert';
+import fs from 'fs-extra';
+import os from 'os';
+import path from 'path';
+import { describe, it, before, beforeEach, afterEach } from 'node:test';
+import { KeyRing } from '../src/services/keyring.js';
+import { PropertiesManager, SecurityManager } from '../src/services/security.js';
+
+const ENV_KEY = 'ab'.repeat(32);
+
+/**
+ * スクリプトプロパティをメモリ上に保持するプロパティヘルパーの代わり
+ */
+function createHelper(initial = {}) {
+    const store = { ...initial };
+    return {
+        store,
+        async call(scriptId, operation, request) {
+            switch (operation) {
+                case 'getProperty':
+                    return { response: { result: store[request.key] ?? null } };
+                case 'setProperty':
+                    store[request.key] = request.value;
+                    return { response: { result: { success: true, key: request.key } } };
+                case 'getAllProperties':
+                    return { response: { result: { ...store } } };
+                default:
+                    throw new Error(`未対応の操作です: ${operation}`);
+            }
+        }
+    };
+}
+
+describe('KeyRing', () => {
+    let dir;
+    let keyringPath;
+
+    before(() => {
+        delete process.env.ENCRYPTION_KEY;
+    });
+
+    beforeEach(async () => {
+        dir = await fs.mkdtemp(path.join(os.tmpdir(), 'gas-mcp-keyring-'));
+        keyringPath = path.join(dir, 'keyring.json');
+    });
+
+    afterEach(async () => {
+        delete process.env.ENCRYPTION_KEY;
+        await fs.remove(dir);
+    });
+
+    it('キーがなければ最初の使用時に生成し、再読み込み後も同じキーを使うこと', async () => {
+        const keyRing = new KeyRing({ path: keyringPath, provider: 'file' });
+        assert.strictEqual(keyRing.activeKeyId, null);
+
+        const { id, key } = await keyRing.activeKey();
+        assert.strictEqual((await fs.stat(keyringPath)).mode & 0o777, 0o600);
+
+        const reloaded = new KeyRing({ path: keyringPath });
+        assert.strictEqual(reloaded.activeKeyId, id);
+        assert(key.equals((await reloaded.getKey(id)).key));
+        await assert.rejects(reloaded.addKey(id), /キー「.+」はすでに存在します/);
+    });
+
+    it('ENCRYPTION_KEY のキーは指紋つきのIDで読み込み、ファイルには保存しないこと', async () => {
+        process.env.ENCRYPTION_KEY = ENV_KEY;
+        const keyRing = new KeyRing({ path: keyringPath, provider: 'file' });
+        const envKeyId = keyRing.activeKeyId;
+        assert.match(envKeyId, /^env-[0-9a-f]{8}$/);
+
+        await keyRing.addKey('key-2');
+        assert.deepStrictEqual(keyRing.list().map(k => [k.id, k.source, k.active]), [[envKeyId, 'env', false], ['key-2', 'keyring', true]]);
+        assert.deepStrictEqual((await fs.readJson(keyringPath)).keys.map(k => k.id), ['key-2']);
+    });
+
+    it('有効なキーがキーリングにない場合は読み込みを中止すること', async () => {
+        await fs.writeJson(keyringPath, { activeKeyId: 'lost', keys: [] });
+        assert.throws(() => new KeyRing({ path: keyringPath }), /有効なキー「lost」がキーリングにありません/);
+    });
+});
+
+describe('rotateEncryptionKey', () => {
+    let dir;
+
+    beforeEach(async () => {
+        delete process.env.ENCRYPTION_KEY;
+        dir = await fs.mkdtemp(path.join(os.tmpdir(), 'gas-mcp-rotate-'));
+    });
+
+    afterEach(async () => {
+        await fs.remove(dir);
+    });
+
+    const createManager = (initial = {}) => {
+        const keyRing = new KeyRing({ path: path.join(dir, 'keyring.json'), provider: 'file' });
+        const helper = createHelper(initial);
+        const manager = new PropertiesManager(null, { security: new SecurityManager({ keyRing }), helper });
+        return { manager, keyRing, helper };
+    };
+
+    it('暗号化されたプロパティを新しいキーで再暗号化し、平文はそのままにすること', async () => {
+        const { manager, keyRing, helper } = createManager({ PLAIN: 'visible' });
+        await keyRing.addKey('key-1');
+        await manager.setSecureProperty('script-1', 'TOKEN', 'secret-1');
+        await manager.setSecureProperty('script-1', 'PASSWORD', 'secret-2');
+
+        const result = await manager.rotateEncryptionKey('script-1', { keyId: 'key-2' });
+
+        assert.strictEqual(result.previousKeyId, 'key-1');
+        assert.strictEqual(result.keyId, 'key-2');
+        assert.strictEqual(result.generated, true);
+        assert.deepStrictEqual(result.progress, [{ keyId: 'key-1', total: 2, rotated: 2, failed: [] }]);
+        assert.strictEqual(JSON.parse(helper.store.TOKEN).keyId, 'key-2');
+        assert.strictEqual(helper.store.PLAIN, 'visible');
+        assert.deepStrictEqual(await manager.getAllProperties('script-1'), { PLAIN: 'visible', TOKEN: 'secret-1', PASSWORD: 'secret-2' });
+    });
+
+    it('generateKey: false では有効なキーで暗号化されていないものだけを再暗号化すること', async () => {
+        const { manager, keyRing } = createManager();
+        await keyRing.addKey('key-1');
+        await manager.setSecureProperty('script-1', 'OLD', 'old');
+        await keyRing.addKey('key-2');
+        await manager.setSecureProperty('script-1', 'NEW', 'new');
+
+        const result = await manager.rotateEncryptionKey('script-1', { generateKey: false });
+
+        assert.strictEqual(result.keyId, 'key-2');
+        assert.strictEqual(result.generated, false);
+        assert.strictEqual(result.alreadyCurrent, 1);
+        assert.strictEqual(result.rotated, 1);
+    });
+
+    it('暗号化されたプロパティがなければキーを作成しないこと', async () => {
+        const { manager, keyRing } = createManager({ PLAIN: 'visible' });
+        const result = await manager.rotateEncryptionKey('script-1');
+
+        assert.strictEqual(result.keyId, null);
+        assert.strictEqual(result.generated, false);
+        assert.strictEqual(result.rotated, 0);
+        assert.deepStrictEqual(keyRing.list(), []);
+        assert.strictEqual(await fs.pathExists(keyRing.path), false);
+    });
+});
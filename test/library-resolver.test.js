@@ -0,0 +1,111 @@
+/**
+ * ライブラリ依存関係リゾルバーのテスト
+ *
+ * Author: Utakata
+ */
+
+import assert from 'assert';
+import fs from 'fs-extra';
+import os from 'os';
+import path from 'path';
+import { describe, it } from 'node:test';
+import { LibraryResolver, LOCKFILE_NAME } from '../src/services/library-resolver.js';
+
+const FILES = [{ name: 'Code', type: 'SERVER_JS', source: 'const Helpers = {};\nfunction main() {}' }];
+
+/**
+ * listVersions だけを持つ GASApiService の代わり（新しい順に返す）
+ */
+function createResolver(versionsByLibrary) {
+    return new LibraryResolver({
+        async listVersions(libraryId) {
+            if (!versionsByLibrary[libraryId]) {
+                throw new Error('Requested entity was not found.');
+            }
+            return {
+                versions: versionsByLibrary[libraryId]
+                    .map(versionNumber => ({ versionNumber, description: `v${versionNumber}`, createTime: `2026-01-0${versionNumber}T00:00:00Z` }))
+                    .reverse()
+            };
+        }
+    });
+}
+
+describe('LibraryResolver', () => {
+
+    it('"latest" と番号指定のバージョンを解決すること', async () => {
+        const resolver = createResolver({ 'lib-1': [1, 2, 3] });
+
+        assert.deepStrictEqual(await resolver.resolveVersion('lib-1', 'latest'), {
+            version: '3', description: 'v3', createTime: '2026-01-03T00:00:00Z', latestVersion: '3'
+        });
+        assert.strictEqual((await resolver.resolveVersion('lib-1', 2)).version, '2');
+        await assert.rejects(resolver.resolveVersion('lib-1', '9'), /バージョン 9 は存在しません（最新: 3、公開済み: 3, 2, 1）/);
+        await assert.rejects(resolver.resolveVersion('missing', '1'), /ライブラリ「missing」が見つからないか、アクセス権がありません/);
+    });
+
+    it('userSymbol の衝突を組み込みサービス・他ライブラリ・プロジェクトの宣言から検出すること', () => {
+        const resolver = createResolver({});
+        const libraries = [{ libraryId: 'lib-1', userSymbol: 'Lib' }];
+
+        assert.deepStrictEqual(resolver.checkUserSymbol('NewLib', FILES, libraries), []);
+        assert.match(resolver.checkUserSymbol('my-lib', FILES, libraries)[0], /識別子として使用できません/);
+        assert.match(resolver.checkUserSymbol('SpreadsheetApp', FILES, libraries)[0], /組み込みサービスと衝突します/);
+        assert.match(resolver.checkUserSymbol('Lib', FILES, libraries, 'lib-2')[0], /既にライブラリ lib-1 で使用されています/);
+        assert.deepStrictEqual(resolver.checkUserSymbol('Lib', FILES, libraries, 'lib-1'), [], '同じライブラリの更新は衝突としないこと');
+        assert.match(resolver.checkUserSymbol('Helpers', FILES, libraries)[0], /宣言（Code:1）と衝突します/);
+    });
+
+    it('追加時の問題をまとめて報告すること', async () => {
+        const resolver = createResolver({ 'lib-1': [1], 'lib-2': [1, 2] });
+        const libraries = [{ libraryId: 'lib-1', userSymbol: 'Lib' }];
+
+        assert.deepStrictEqual(await resolver.validateNewLibrary(FILES, libraries, 'lib-2', 'latest', 'Other'), {
+            version: '2', description: 'v2', createTime: '2026-01-02T00:00:00Z', latestVersion: '2'
+        });
+        await assert.rejects(resolver.validateNewLibrary(FILES, libraries, 'lib-1', '5', 'Lib'), error => {
+            assert.match(error.message, /^ライブラリを追加できません:/);
+            assert.match(error.message, /既に追加されています/);
+            assert.match(error.message, /バージョン 5 は存在しません/);
+            return true;
+        });
+    });
+
+    it('重複エントリと新しいバージョンのあるライブラリを検出すること', async () => {
+        const resolver = createResolver({ 'lib-1': [1, 2, 3] });
+        const libraries = [
+            { libraryId: 'lib-1', version: '1', userSymbol: 'Lib' },
+            { libraryId: 'lib-1', version: '3', userSymbol: 'Lib2' },
+            { libraryId: 'gone', version: '1', userSymbol: 'Lib2' }
+        ];
+
+        assert.deepStrictEqual(resolver.findDuplicates(libraries), [{ libraryId: 'lib-1', count: 2 }, { userSymbol: 'Lib2', count: 2 }]);
+
+        const outdated = await resolver.findOutdated(libraries);
+        assert.deepStrictEqual(outdated[0].newerVersions.map(v => v.versionNumber), [3, 2]);
+        assert.strictEqual(outdated[0].outdated, true);
+        assert.strictEqual(outdated[1].outdated, false);
+        assert.match(outdated[2].error, /見つからないか/);
+    });
+
+    it('userSymbol 順のロックファイルを書き出すこと', async () => {
+        const projectDir = await fs.mkdtemp(path.join(os.tmpdir(), 'gas-mcp-lock-'));
+        try {
+            const resolver = createResolver({ 'lib-1': [1, 2], 'lib-2': [1] });
+            const { path: lockPath, lockfile } = await resolver.writeLockfile(projectDir, 'script-1', [
+                { libraryId: 'lib-1', version: 2, userSymbol: 'Zeta', developmentMode: true },
+                { libraryId: 'lib-2', version: '1', userSymbol: 'Alpha' }
+            ]);
+
+            assert.strictEqual(lockPath, path.join(projectDir, LOCKFILE_NAME));
+            assert.deepStrictEqual(await fs.readJson(lockPath), lockfile);
+            assert.deepStrictEqual(Object.keys(lockfile.libraries), ['Alpha', 'Zeta']);
+            assert.deepStrictEqual(lockfile.libraries.Zeta, {
+                libraryId: 'lib-1', version: '2', developmentMode: true, description: 'v2', createTime: '2026-01-02T00:00:00Z'
+            });
+            assert.strictEqual(lockfile.verified, true);
+        } finally {
+            await fs.remove(projectDir);
+        }
+    });
+});
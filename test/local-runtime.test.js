@@ -0,0 +1,145 @@
+/**
+ * ローカルApps Scriptエミュレーターのテスト
+ *
+ * Author: Utakata
+ */
+
+import assert from 'assert';
+import fs from 'fs-extra';
+import os from 'os';
+import path from 'path';
+import { describe, it, before, after } from 'node:test';
+import { LocalRuntimeService } from '../src/services/local-runtime.js';
+import { GASApiService } from '../src/services/gas-api.js';
+
+const SOURCE = `
+function add(a, b) {
+    Logger.log('add %s %s', a, b);
+    return a + b;
+}
+
+function counter() {
+    var properties = PropertiesService.getScriptProperties();
+    var count = Number(properties.getProperty('count') || 0) + 1;
+    properties.setProperty('count', String(count));
+    return count;
+}
+
+function wait() {
+    Utilities.sleep(120000);
+    return 'done';
+}
+
+function waitTooLong() {
+    Utilities.sleep(300001);
+}
+
+function returnsFunction() {
+    return function () {};
+}
+
+function fail() {
+    throw new Error('boom');
+}
+
+function helper_() {
+    return 'private';
+}
+`;
+
+const FILES = [{ name: 'Code', type: 'SERVER_JS', source: SOURCE }];
+
+describe('LocalRuntimeService', () => {
+
+    it('scripts.run と同じ形式で戻り値とログを返すこと', async () => {
+        const runtime = new LocalRuntimeService();
+        const result = await runtime.execute('script-1', FILES, 'add', [1, 2]);
+
+        assert.strictEqual(result.response.result, 3);
+        assert.strictEqual(result.function, 'add');
+        assert.deepStrictEqual(result.parameters, [1, 2]);
+        assert.deepStrictEqual(result.logs.map(log => log.message), ['add 1 2']);
+    });
+
+    it('プロパティをスクリプトIDごとに実行間で保持すること', async () => {
+        const runtime = new LocalRuntimeService();
+        await runtime.execute('script-1', FILES, 'counter');
+        const second = await runtime.execute('script-1', FILES, 'counter');
+        const other = await runtime.execute('script-2', FILES, 'counter');
+
+        assert.strictEqual(second.response.result, 2);
+        assert.strictEqual(other.response.result, 1);
+
+        runtime.reset('script-1');
+        assert.strictEqual((await runtime.execute('script-1', FILES, 'counter')).response.result, 1);
+    });
+
+    it('Utilities.sleep で待機せずに続行し、ログに記録すること', async () => {
+        const runtime = new LocalRuntimeService();
+        const startTime = Date.now();
+        const result = await runtime.execute('script-1', FILES, 'wait');
+
+        assert.strictEqual(result.response.result, 'done');
+        assert(Date.now() - startTime < 5000, '待機せずに終了すること');
+        assert.match(result.logs[0].message, /Utilities\.sleep\(120000\)/);
+    });
+
+    it('Utilities.sleep の上限を超える待機時間はエラーにすること', async () => {
+        const runtime = new LocalRuntimeService();
+        const result = await runtime.execute('script-1', FILES, 'waitTooLong');
+
+        assert.match(result.error.details[0].errorMessage, /300000/);
+    });
+
+    it('JSONにできない戻り値は undefined として返すこと', async () => {
+        const runtime = new LocalRuntimeService();
+        const result = await runtime.execute('script-1', FILES, 'returnsFunction');
+
+        assert.strictEqual(result.error, undefined);
+        assert.strictEqual(result.response.result, undefined);
+    });
+
+    it('例外をスタックトレース付きの ExecutionError として返すこと', async () => {
+        const runtime = new LocalRuntimeService();
+        const result = await runtime.execute('script-1', FILES, 'fail');
+        const [detail] = result.error.details;
+
+        assert.strictEqual(detail.errorMessage, 'boom');
+        assert.strictEqual(detail.scriptStackTraceElements[0].function, 'fail');
+    });
+
+    it('存在しない関数とプライベート関数は実行しないこと', async () => {
+        const runtime = new LocalRuntimeService();
+
+        for (const functionName of ['missing', 'helper_']) {
+            const result = await runtime.execute('script-1', FILES, functionName);
+            assert.strictEqual(result.error.details[0].errorMessage, `Script function not found: ${functionName}`);
+        }
+    });
+});
+
+describe('GASApiService.executeFunction（runtime: local）', () => {
+    let projectDir;
+
+    before(async () => {
+        projectDir = await fs.mkdtemp(path.join(os.tmpdir(), 'gas-mcp-local-'));
+        await fs.writeJson(path.join(projectDir, '.clasp.json'), { scriptId: 'local-script' });
+        await fs.writeFile(path.join(projectDir, 'Code.js'), SOURCE);
+    });
+
+    after(async () => {
+        await fs.remove(projectDir);
+    });
+
+    it('claspディレクトリのファイルをGoogleに接続せずに実行すること', async () => {
+        const googleAuth = {
+            getScriptApi() {
+                throw new Error('Google APIを呼び出してはいけません');
+            }
+        };
+        const gasApi = new GASApiService(googleAuth);
+        const result = await gasApi.executeFunction(null, 'add', [2, 3], false, { runtime: 'local', projectDir });
+
+        assert.strictEqual(result.response.result, 5);
+    });
+});
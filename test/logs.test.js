@@ -0,0 +1,99 @@
+/**
+ * 実行ログの取得・追跡のテスト
+ *
+ * Author: Utakata
+ */
+
+import assert from 'assert';
+import { describe, it } from 'node:test';
+import { GASApiService } from '../src/services/gas-api.js';
+
+const scriptProcess = (functionName, startTime, processStatus, processType = 'TIME_DRIVEN') => ({
+    functionName, startTime, processStatus, processType
+});
+
+/**
+ * processes.listScriptProcesses の代わり
+ *
+ * respond(params, callIndex) の戻り値（プロセスの配列）を開始日時で絞り込み、pageSize ごとに返す
+ */
+function createGasApi(respond) {
+    const requests = [];
+    const scriptApi = {
+        processes: {
+            listScriptProcesses: async params => {
+                requests.push(params);
+                const startTime = params['scriptProcessFilter.startTime'];
+                const processes = respond(params, requests.length - 1)
+                    .filter(p => !startTime || p.startTime >= startTime);
+                const offset = params.pageToken ? Number(params.pageToken) : 0;
+                const next = offset + params.pageSize;
+                return {
+                    data: {
+                        processes: processes.slice(offset, next),
+                        nextPageToken: next < processes.length ? String(next) : undefined
+                    }
+                };
+            }
+        }
+    };
+    return { gasApi: new GASApiService({ getScriptApi: () => scriptApi }), requests };
+}
+
+describe('getLogs', () => {
+
+    it('構造化フィルターを scriptProcessFilter のパラメータに変換すること', () => {
+        const { gasApi } = createGasApi(() => []);
+        const params = gasApi.buildProcessFilterParams({
+            functionName: 'main',
+            statuses: ['failed', 'timed_out'],
+            types: 'trigger',
+            startTime: '2026-01-01T00:00:00Z'
+        });
+
+        assert.deepStrictEqual(params, {
+            'scriptProcessFilter.functionName': 'main',
+            'scriptProcessFilter.statuses': ['FAILED', 'TIMED_OUT'],
+            'scriptProcessFilter.types': ['TRIGGER'],
+            'scriptProcessFilter.startTime': '2026-01-01T00:00:00.000Z'
+        });
+        assert.throws(() => gasApi.buildProcessFilterParams({ since: 'yesterday' }), /不正な期間指定です/);
+    });
+
+    it('maxResults まで自動でページを辿り、ステータス別・関数別に集計すること', async () => {
+        const processes = Array.from({ length: 7 }, (_, i) =>
+            scriptProcess(i % 2 ? 'sync' : 'report', `2026-01-01T00:00:0${i}Z`, i === 3 ? 'FAILED' : 'COMPLETED'));
+        const { gasApi, requests } = createGasApi(() => processes);
+        const result = await gasApi.getLogs('script-1', {}, { pageSize: 2, maxResults: 5 });
+
+        assert.strictEqual(result.executions.length, 5);
+        assert.deepStrictEqual(requests.map(r => r.pageSize), [2, 2, 1]);
+        assert.strictEqual(result.truncated, true);
+        assert.strictEqual(result.summary.failed, 1);
+        assert.deepStrictEqual(result.summary.byStatus, { COMPLETED: 4, FAILED: 1 });
+        assert.deepStrictEqual(result.summary.byFunction.sync, { total: 2, failed: 1, byStatus: { COMPLETED: 1, FAILED: 1 } });
+        assert.strictEqual(result.lastStartTime, '2026-01-01T00:00:04Z');
+    });
+});
+
+describe('followLogs', () => {
+
+    it('実行中に見つけたプロセスの終了時のステータスを報告すること', async () => {
+        const { gasApi, requests } = createGasApi((params, callIndex) => [
+            scriptProcess('longTask', '2026-01-01T00:00:01Z', callIndex === 0 ? 'RUNNING' : 'FAILED'),
+            scriptProcess('quickTask', '2026-01-01T00:00:05Z', 'COMPLETED')
+        ]);
+        const result = await gasApi.followLogs('script-1', { startTime: '2026-01-01T00:00:00Z' }, { duration: 2, interval: 1 });
+
+        assert.strictEqual(result.polls, 2);
+        assert.strictEqual(result.statusChanges, 1);
+        assert.deepStrictEqual(result.executions.map(e => `${e.functionName}:${e.processStatus}`), [
+            'quickTask:COMPLETED',
+            'longTask:FAILED'
+        ]);
+        assert.strictEqual(result.summary.failed, 1);
+        // 実行中のプロセスがある間は、その開始日時より先にカーソルを進めない
+        assert.strictEqual(requests[1]['scriptProcessFilter.startTime'], '2026-01-01T00:00:01.000Z');
+        assert.strictEqual(result.lastStartTime, '2026-01-01T00:00:05Z');
+    });
+});
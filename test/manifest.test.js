@@ -0,0 +1,93 @@
+/**
+ * マニフェスト（appsscript.json）の検証・編集のテスト
+ *
+ * Author: Utakata
+ */
+
+import assert from 'assert';
+import { describe, it } from 'node:test';
+import { applyManifestOperations, validateManifest } from '../src/utils/manifest.js';
+
+const MANIFEST = {
+    timeZone: 'Asia/Tokyo',
+    runtimeVersion: 'V8',
+    exceptionLogging: 'STACKDRIVER',
+    oauthScopes: ['https://www.googleapis.com/auth/spreadsheets']
+};
+
+describe('validateManifest', () => {
+
+    it('正しいマニフェストを受け入れ、未知のキーは警告に留めること', () => {
+        const result = validateManifest({
+            ...MANIFEST,
+            urlFetchWhitelist: ['https://*.example.com/'],
+            webapp: { access: 'ANYONE_ANONYMOUS', executeAs: 'USER_DEPLOYING' },
+            customKey: true
+        });
+
+        assert.deepStrictEqual(result, { valid: true, errors: [], warnings: ['未知のキーです: customKey'] });
+    });
+
+    it('列挙値・URL・重複の問題をすべて報告すること', () => {
+        const { valid, errors } = validateManifest({
+            timeZone: 'Mars/Olympus',
+            runtimeVersion: 'V9',
+            oauthScopes: ['spreadsheets', 'https://www.googleapis.com/auth/drive', 'https://www.googleapis.com/auth/drive'],
+            webapp: { access: 'ANYONE_ANONYMOUS', executeAs: 'USER_ACCESSING' },
+            urlFetchWhitelist: ['http://example.com/']
+        });
+
+        assert.strictEqual(valid, false);
+        assert.deepStrictEqual(errors, [
+            'timeZone が不正です: Mars/Olympus',
+            'runtimeVersion は V8 / STABLE / DEPRECATED_ES5 のいずれかです（指定値: V9）',
+            'oauthScopes のスコープが不正です: spreadsheets',
+            'oauthScopes に重複があります: https://www.googleapis.com/auth/drive',
+            'webapp.access が ANYONE_ANONYMOUS の場合、executeAs は USER_DEPLOYING である必要があります',
+            'urlFetchWhitelist のURLはHTTPSである必要があります: http://example.com/'
+        ]);
+    });
+
+    it('ライブラリと高度なサービスの userSymbol の衝突を検出すること', () => {
+        const { errors } = validateManifest({
+            dependencies: {
+                enabledAdvancedServices: [{ userSymbol: 'Drive', serviceId: 'drive', version: 'v3' }],
+                libraries: [{ userSymbol: 'Drive', libraryId: 'lib-1', version: '1' }, { userSymbol: 'Lib', libraryId: 'lib-2' }]
+            }
+        });
+
+        assert.deepStrictEqual(errors, ['libraries[1].version は必須です', 'userSymbol に重複があります: Drive']);
+        assert.deepStrictEqual(validateManifest([]).errors, ['マニフェストはJSONオブジェクトである必要があります']);
+    });
+});
+
+describe('applyManifestOperations', () => {
+
+    it('操作を順に適用して変更内容を返し、元のマニフェストは変更しないこと', () => {
+        const { manifest, changes } = applyManifestOperations(MANIFEST, [
+            { op: 'setTimeZone', timeZone: 'UTC' },
+            { op: 'addOAuthScopes', scopes: ['https://www.googleapis.com/auth/spreadsheets', 'https://www.googleapis.com/auth/drive'] },
+            { op: 'setWebapp', access: 'DOMAIN' },
+            { op: 'addAdvancedService', userSymbol: 'Drive', serviceId: 'drive', version: 'v2' },
+            { op: 'addAdvancedService', userSymbol: 'Drive', serviceId: 'drive', version: 'v3' }
+        ]);
+
+        assert.strictEqual(MANIFEST.timeZone, 'Asia/Tokyo');
+        assert.strictEqual(MANIFEST.oauthScopes.length, 1);
+        assert.strictEqual(manifest.timeZone, 'UTC');
+        assert.deepStrictEqual(manifest.oauthScopes, [
+            'https://www.googleapis.com/auth/spreadsheets',
+            'https://www.googleapis.com/auth/drive'
+        ]);
+        assert.deepStrictEqual(manifest.webapp, { access: 'DOMAIN' });
+        assert.deepStrictEqual(manifest.dependencies.enabledAdvancedServices, [{ userSymbol: 'Drive', serviceId: 'drive', version: 'v3' }]);
+        assert.deepStrictEqual(changes.slice(0, 2), ['timeZone = UTC', '+ oauthScopes https://www.googleapis.com/auth/drive']);
+    });
+
+    it('有効でないサービスの削除と未知の操作はエラーにすること', () => {
+        assert.throws(() => applyManifestOperations(MANIFEST, [{ op: 'removeAdvancedService', userSymbol: 'Gmail' }]),
+            /operations\[0\]: 高度なサービス「Gmail」は有効になっていません/);
+        assert.throws(() => applyManifestOperations(MANIFEST, [{ op: 'setTimeZone', timeZone: 'UTC' }, { op: 'rename' }]),
+            /operations\[1\]: 未知の操作です: rename/);
+    });
+});
@@ -0,0 +1,70 @@
+/**
+ * プロジェクトメトリクスの集計のテスト
+ *
+ * Author: Utakata
+ */
+
+import assert from 'assert';
+import { describe, it } from 'node:test';
+import { GASApiService } from '../src/services/gas-api.js';
+
+const value = (startTime, count) => ({ startTime, endTime: `${startTime}-end`, value: String(count) });
+
+function createGasApi(metrics) {
+    const requests = [];
+    const scriptApi = {
+        projects: {
+            getMetrics: async params => {
+                requests.push(params);
+                return { data: metrics };
+            }
+        }
+    };
+    return { gasApi: new GASApiService({ getScriptApi: () => scriptApi }), requests };
+}
+
+describe('getMetrics', () => {
+
+    it('週次のメトリクスを期間ごとに結合し、失敗率と前週比を算出すること', async () => {
+        const { gasApi, requests } = createGasApi({
+            // API は新しい順に返すことがあるため、古い順に並べ替えられること
+            activeUsers: [value('2026-01-08', 6), value('2026-01-01', 4)],
+            totalExecutions: [value('2026-01-08', 300), value('2026-01-01', 200)],
+            failedExecutions: [value('2026-01-08', 3)]
+        });
+        const result = await gasApi.getMetrics('script-1', 'weekly', 'deployment-1');
+
+        assert.deepStrictEqual(requests[0], {
+            scriptId: 'script-1',
+            metricsGranularity: 'WEEKLY',
+            'metricsFilter.deploymentId': 'deployment-1'
+        });
+        assert.deepStrictEqual(result.series.map(p => [p.startTime, p.activeUsers, p.totalExecutions, p.failedExecutions, p.failureRate]), [
+            ['2026-01-01', 4, 200, 0, 0],
+            ['2026-01-08', 6, 300, 3, 1]
+        ]);
+        assert.deepStrictEqual(result.totals, { activeUsers: 5, totalExecutions: 500, failedExecutions: 3, failureRate: 0.6 });
+        assert.deepStrictEqual(result.weekOverWeek.totalExecutions, { current: 300, previous: 200, delta: 100, deltaPercent: 50 });
+        assert.strictEqual(result.weekOverWeek.failedExecutions.deltaPercent, null, '前週が0件なら増加率は算出しないこと');
+        assert.deepStrictEqual(result.weekOverWeek.failureRate, { current: 1, previous: 0, delta: 1 });
+    });
+
+    it('日次の場合は直近7日と前の7日を比較し、データが足りなければ前週比を返さないこと', async () => {
+        const days = Array.from({ length: 14 }, (_, i) => `2026-01-${String(i + 1).padStart(2, '0')}`);
+        const { gasApi } = createGasApi({
+            totalExecutions: days.map((day, i) => value(day, i < 7 ? 10 : 20))
+        });
+        const result = await gasApi.getMetrics('script-1', 'daily');
+
+        assert.deepStrictEqual(result.weekOverWeek.totalExecutions, { current: 140, previous: 70, delta: 70, deltaPercent: 100 });
+
+        const short = createGasApi({ totalExecutions: days.slice(0, 10).map(day => value(day, 1)) });
+        assert.strictEqual((await short.gasApi.getMetrics('script-1', 'daily')).weekOverWeek, null);
+    });
+
+    it('未対応の集計単位はエラーにすること', async () => {
+        const { gasApi, requests } = createGasApi({});
+        await assert.rejects(gasApi.getMetrics('script-1', 'monthly'), /未対応の集計単位です: monthly/);
+        assert.strictEqual(requests.length, 0);
+    });
+});
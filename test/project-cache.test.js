@@ -0,0 +1,130 @@
+/**
+ * プロジェクト内容キャッシュのテスト
+ *
+ * Author: Utakata
+ */
+
+import assert from 'assert';
+import fs from 'fs-extra';
+import os from 'os';
+import path from 'path';
+import { describe, it } from 'node:test';
+import { ProjectCache } from '../src/services/project-cache.js';
+import { GASApiService } from '../src/services/gas-api.js';
+
+describe('ProjectCache', () => {
+
+    it('上限を超えると最も長く使われていないエントリから削除すること', async () => {
+        const cache = new ProjectCache({ maxEntries: 2, diskDir: null });
+        await cache.set('a', { title: 'A' });
+        await cache.set('b', { title: 'B' });
+        await cache.get('a');
+        await cache.set('c', { title: 'C' });
+
+        assert.deepStrictEqual([...cache.entries.keys()], ['a', 'c']);
+        assert.strictEqual(await cache.get('b'), null);
+    });
+
+    it('取得したエントリを変更してもキャッシュに影響しないこと', async () => {
+        const cache = new ProjectCache({ diskDir: null });
+        await cache.set('a', { files: [] });
+        (await cache.get('a')).files.push('changed');
+
+        assert.deepStrictEqual(await cache.get('a'), { files: [] });
+        assert.strictEqual(cache.key('a', 3), 'a@3');
+        assert.strictEqual(cache.key('a'), 'a');
+    });
+
+    it('ディスクキャッシュから読み込み、invalidate で HEAD のみ破棄すること', async () => {
+        const diskDir = await fs.mkdtemp(path.join(os.tmpdir(), 'gas-mcp-cache-'));
+        try {
+            const writer = new ProjectCache({ diskDir });
+            await writer.set('script-1', { title: 'HEAD' });
+            await writer.set('script-1@2', { title: 'v2' });
+
+            const reader = new ProjectCache({ diskDir });
+            assert.deepStrictEqual(await reader.get('script-1'), { title: 'HEAD' });
+
+            await reader.invalidate('script-1');
+            assert.strictEqual(await new ProjectCache({ diskDir }).get('script-1'), null);
+            assert.deepStrictEqual(await new ProjectCache({ diskDir }).get('script-1@2'), { title: 'v2' });
+        } finally {
+            await fs.remove(diskDir);
+        }
+    });
+});
+
+describe('getProject のキャッシュ', () => {
+
+    /**
+     * projects.get（メタデータ）と projects.getContent の呼び出しを数える Apps Script API の代わり
+     */
+    function createGasApi() {
+        const state = { updateTime: 't1', metadataRequests: 0, contentRequests: [] };
+        const scriptApi = {
+            projects: {
+                get: async ({ scriptId }) => {
+                    state.metadataRequests++;
+                    return { data: { scriptId, title: 'プロジェクト', updateTime: state.updateTime } };
+                },
+                getContent: async params => {
+                    state.contentRequests.push(params);
+                    return { data: { scriptId: params.scriptId, files: [{ name: 'Code', type: 'SERVER_JS', source: state.updateTime }] } };
+                },
+                updateContent: async ({ scriptId }) => ({ data: { scriptId, title: 'プロジェクト', files: [] } })
+            }
+        };
+        const gasApi = new GASApiService({ getScriptApi: () => scriptApi });
+        gasApi.projectCache = new ProjectCache({ diskDir: null });
+        return { gasApi, state };
+    }
+
+    it('更新日時が変わらなければ内容を再取得しないこと', async () => {
+        const { gasApi, state } = createGasApi();
+        await gasApi.getProject('script-1');
+        const cached = await gasApi.getProject('script-1');
+
+        assert.strictEqual(state.contentRequests.length, 1);
+        assert.strictEqual(cached.files[0].source, 't1');
+
+        state.updateTime = 't2';
+        assert.strictEqual((await gasApi.getProject('script-1')).files[0].source, 't2');
+        assert.strictEqual(state.contentRequests.length, 2);
+    });
+
+    it('バージョン指定の内容は検証せずに再利用し、cache: bypass では常に取得すること', async () => {
+        const { gasApi, state } = createGasApi();
+        await gasApi.getProject('script-1', 3);
+        await gasApi.getProject('script-1', 3);
+        assert.deepStrictEqual(state.contentRequests, [{ scriptId: 'script-1', versionNumber: 3 }]);
+
+        await gasApi.getProject('script-1');
+        await gasApi.getProject('script-1', null, { cache: 'bypass' });
+        assert.strictEqual(state.contentRequests.length, 3);
+    });
+
+    it('updateTime を指定するとメタデータを取得せずにキャッシュを検証すること', async () => {
+        const { gasApi, state } = createGasApi();
+        await gasApi.getProject('script-1');
+        const cached = await gasApi.getProject('script-1', null, { updateTime: 't1' });
+
+        assert.strictEqual(state.metadataRequests, 1);
+        assert.strictEqual(state.contentRequests.length, 1);
+        assert.strictEqual(cached.title, 'プロジェクト');
+
+        state.updateTime = 't2';
+        const fetched = await gasApi.getProject('script-1', null, { updateTime: 't2' });
+        assert.strictEqual(state.metadataRequests, 1);
+        assert.strictEqual(state.contentRequests.length, 2);
+        assert.strictEqual(fetched.updateTime, 't2');
+    });
+
+    it('更新時に HEAD のキャッシュを破棄すること', async () => {
+        const { gasApi, state } = createGasApi();
+        await gasApi.getProject('script-1');
+        await gasApi.updateProject('script-1', { files: [] });
+        await gasApi.getProject('script-1');
+
+        assert.strictEqual(state.contentRequests.length, 2);
+    });
+});
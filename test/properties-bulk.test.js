@@ -0,0 +1,164 @@
+/**
+ * プロパティの一括設定・一括復元のテスト
+ *
+ * Author: Utakata
+ */
+
+import assert from 'assert';
+import fs from 'fs-extra';
+import os from 'os';
+import path from 'path';
+import vm from 'vm';
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import { KeyRing } from '../src/services/keyring.js';
+import { PropertiesManager, SecurityManager } from '../src/services/security.js';
+import { HELPER_FILE_NAME } from '../src/services/properties-helper.js';
+
+/**
+ * スクリプトプロパティを保持し、プロジェクト内のヘルパーを実行する GASApiService の代わり
+ *
+ * setProperties は書き込んだ後に、値が "FAIL" のキーがあれば途中で失敗したものとして例外にする
+ */
+function createGasApi(initial = {}) {
+    const gasApi = {
+        values: { ...initial },
+        files: [],
+        executions: [],
+        async getProject() {
+            return { files: structuredClone(gasApi.files) };
+        },
+        async updateProject(scriptId, content) {
+            gasApi.files = content.files;
+            return { scriptId };
+        },
+        async executeFunction(scriptId, functionName, parameters) {
+            gasApi.executions.push(parameters[0].operation);
+            const values = gasApi.values;
+            const PropertiesService = {
+                getScriptProperties: () => ({
+                    getProperties: () => ({ ...values }),
+                    setProperties: (properties, deleteAllOthers) => {
+                        if (deleteAllOthers) Object.keys(values).forEach(key => delete values[key]);
+                        Object.assign(values, properties);
+                        if (Object.values(properties).includes('FAIL')) {
+                            throw new Error('Exceeded maximum property storage');
+                        }
+                    }
+                })
+            };
+            const helper = gasApi.files.find(f => f.name === HELPER_FILE_NAME);
+            try {
+                const result = vm.runInNewContext(`${helper.source}\n${functionName}(request);`, { PropertiesService, request: parameters[0] });
+                return { response: { result } };
+            } catch (error) {
+                return { error: { message: 'ScriptError', details: [{ errorMessage: error.message }] } };
+            }
+        }
+    };
+    return gasApi;
+}
+
+describe('setPropertiesBulk', () => {
+    let dir;
+    let security;
+
+    beforeEach(async () => {
+        delete process.env.ENCRYPTION_KEY;
+        dir = await fs.mkdtemp(path.join(os.tmpdir(), 'gas-mcp-bulk-'));
+        security = new SecurityManager({ keyRing: new KeyRing({ path: path.join(dir, 'keyring.json'), provider: 'file' }) });
+    });
+
+    afterEach(async () => {
+        await fs.remove(dir);
+    });
+
+    it('dryRun では書き込まずに現在の値との差分を返すこと', async () => {
+        const gasApi = createGasApi({ SAME: 'a', CHANGED: 'old', OTHER: 'x' });
+        const manager = new PropertiesManager(gasApi, { security });
+        const result = await manager.setPropertiesBulk('script-1', { SAME: 'a', CHANGED: 'new', ADDED: 'b' }, {
+            encrypt: false, deleteAllOthers: true, dryRun: true
+        });
+
+        assert.deepStrictEqual(result.diff, { added: ['ADDED'], changed: ['CHANGED'], unchanged: ['SAME'], removed: ['OTHER'] });
+        assert.strictEqual(result.written, 0);
+        assert.deepStrictEqual(gasApi.executions, ['getAllProperties']);
+        assert.deepStrictEqual(gasApi.values, { SAME: 'a', CHANGED: 'old', OTHER: 'x' });
+    });
+
+    it('変更のあるキーだけを1回の setProperties で書き込むこと', async () => {
+        const gasApi = createGasApi({ SAME: 'a', OTHER: 'x' });
+        const manager = new PropertiesManager(gasApi, { security });
+        const result = await manager.setPropertiesBulk('script-1', { SAME: 'a', ADDED: 'b' }, { encrypt: false, deleteAllOthers: true });
+
+        assert.strictEqual(result.written, 1);
+        assert.deepStrictEqual(gasApi.values, { SAME: 'a', ADDED: 'b' });
+        assert.deepStrictEqual(gasApi.executions.filter(op => op === 'setProperties'), ['setProperties']);
+    });
+
+    it('暗号化して書き込み、同じ値の暗号化済みプロパティは書き換えないこと', async () => {
+        const gasApi = createGasApi();
+        const manager = new PropertiesManager(gasApi, { security });
+        await manager.setPropertiesBulk('script-1', { TOKEN: 'secret' });
+        const stored = gasApi.values.TOKEN;
+        assert.strictEqual(JSON.parse(stored)._encrypted, true);
+
+        const again = await manager.setPropertiesBulk('script-1', { TOKEN: 'secret' });
+        assert.deepStrictEqual(again.diff.unchanged, ['TOKEN']);
+        assert.strictEqual(gasApi.values.TOKEN, stored);
+        assert.deepStrictEqual(await manager.getAllProperties('script-1'), { TOKEN: 'secret' });
+    });
+
+    it('atomic では途中で失敗した場合に元の状態に戻すこと', async () => {
+        const gasApi = createGasApi({ KEEP: 'original' });
+        const manager = new PropertiesManager(gasApi, { security });
+
+        await assert.rejects(manager.setPropertiesBulk('script-1', { KEEP: 'changed', BAD: 'FAIL' }, { encrypt: false }),
+            /一括設定に失敗したため、元の状態に戻しました: Exceeded maximum property storage/);
+        assert.deepStrictEqual(gasApi.values, { KEEP: 'original' });
+
+        await assert.rejects(manager.setPropertiesBulk('script-1', { KEEP: 'changed', BAD: 'FAIL' }, { encrypt: false, atomic: false }),
+            /Exceeded maximum property storage/);
+        assert.deepStrictEqual(gasApi.values, { KEEP: 'changed', BAD: 'FAIL' }, 'atomic: false では途中までの変更が残ること');
+    });
+
+    it('文字列以外の値は書き込む前に拒否すること', async () => {
+        const gasApi = createGasApi();
+        const manager = new PropertiesManager(gasApi, { security });
+        await assert.rejects(manager.setPropertiesBulk('script-1', { COUNT: 1 }), /文字列以外: COUNT/);
+        assert.deepStrictEqual(gasApi.executions, []);
+    });
+});
+
+describe('restoreProperties', () => {
+    let dir;
+    let security;
+
+    beforeEach(async () => {
+        delete process.env.ENCRYPTION_KEY;
+        dir = await fs.mkdtemp(path.join(os.tmpdir(), 'gas-mcp-bulk-'));
+        security = new SecurityManager({ keyRing: new KeyRing({ path: path.join(dir, 'keyring.json'), provider: 'file' }) });
+    });
+
+    afterEach(async () => {
+        await fs.remove(dir);
+    });
+
+    it('バックアップを1回の実行で復元し、チェックサムが一致しなければ中止すること', async () => {
+        const source = createGasApi({ A: '1', B: '2', C: '3' });
+        const backup = await new PropertiesManager(source, { security }).backupProperties('script-1', true);
+
+        const target = createGasApi({ A: '1', D: '4' });
+        const manager = new PropertiesManager(target, { security });
+        const dryRun = await manager.restoreProperties('script-1', backup, true, { dryRun: true, deleteAllOthers: true });
+        assert.deepStrictEqual(dryRun.diff, { added: ['B', 'C'], changed: [], unchanged: ['A'], removed: ['D'] });
+        assert.deepStrictEqual(target.values, { A: '1', D: '4' });
+
+        const result = await manager.restoreProperties('script-1', backup, true, { deleteAllOthers: true });
+        assert.strictEqual(result.restored, 2);
+        assert.deepStrictEqual(target.values, { A: '1', B: '2', C: '3' });
+        assert.strictEqual(target.executions.filter(op => op === 'setProperties').length, 1);
+
+        await assert.rejects(manager.restoreProperties('script-1', { ...backup, properties: { A: 'tampered' } }),
+            /チェックサムが一致しません/);
+    });
+});
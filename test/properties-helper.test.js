@@ -0,0 +1,160 @@
+/**
+ * プロパティ操作ヘルパーのテスト
+ *
+ * Author: Utakata
+ */
+
+import assert from 'assert';
+import vm from 'vm';
+import { describe, it } from 'node:test';
+import {
+    HELPER_FILE_NAME,
+    HELPER_VERSION,
+    PropertiesHelper,
+    generateHelperSource,
+    parseHelperVersion
+} from '../src/services/properties-helper.js';
+
+const file = (name, source) => ({ name, type: 'SERVER_JS', source });
+
+/**
+ * プロジェクトのファイルとプロパティを保持する GASApiService の代わり
+ *
+ * executeFunction はプロジェクト内のヘルパーのソースを PropertiesService の代わりとともに実行する
+ */
+function createGasApi(files = [file('Code', 'function main() {}')]) {
+    const stores = { script: {}, user: {} };
+    const store = values => ({
+        getProperty: key => values[key] ?? null,
+        setProperty: (key, value) => { values[key] = value; },
+        deleteProperty: key => { delete values[key]; },
+        getProperties: () => ({ ...values }),
+        setProperties: (properties, deleteAllOthers) => {
+            if (deleteAllOthers) Object.keys(values).forEach(key => delete values[key]);
+            Object.assign(values, properties);
+        }
+    });
+    const PropertiesService = {
+        getScriptProperties: () => store(stores.script),
+        getUserProperties: () => store(stores.user),
+        getDocumentProperties: () => null
+    };
+
+    const gasApi = {
+        files,
+        stores,
+        updates: 0,
+        executions: 0,
+        async getProject() {
+            return { files: structuredClone(gasApi.files) };
+        },
+        async updateProject(scriptId, content, options) {
+            if (JSON.stringify(options.baseSnapshot) !== JSON.stringify(gasApi.files)) {
+                return { conflict: true };
+            }
+            gasApi.updates++;
+            gasApi.files = content.files;
+            return { scriptId };
+        },
+        async executeFunction(scriptId, functionName, parameters) {
+            gasApi.executions++;
+            const helper = gasApi.files.find(f => f.name === HELPER_FILE_NAME);
+            if (!helper) {
+                throw new Error(`Script function not found: ${functionName}`);
+            }
+            try {
+                const result = vm.runInNewContext(`${helper.source}\n${functionName}(request);`, { PropertiesService, request: parameters[0] });
+                return { response: { result } };
+            } catch (error) {
+                return { error: { message: 'ScriptError', details: [{ errorMessage: error.message }] } };
+            }
+        }
+    };
+    return gasApi;
+}
+
+describe('PropertiesHelper', () => {
+
+    it('初回の操作でヘルパーを追加し、以降はプロジェクトを更新せずに実行すること', async () => {
+        const gasApi = createGasApi();
+        const helper = new PropertiesHelper(gasApi);
+
+        await helper.call('script-1', 'setProperty', { key: 'A', value: '1' });
+        await helper.call('script-1', 'setProperty', { key: 'B', value: '2', scope: 'user' });
+        const result = await helper.call('script-1', 'getAllProperties');
+
+        assert.deepStrictEqual(result.response.result, { A: '1' });
+        assert.deepStrictEqual(gasApi.stores.user, { B: '2' });
+        assert.strictEqual(gasApi.updates, 1);
+        assert.strictEqual(parseHelperVersion(gasApi.files.find(f => f.name === HELPER_FILE_NAME).source), HELPER_VERSION);
+    });
+
+    it('同時に呼ばれてもヘルパーの追加は1回だけ行うこと', async () => {
+        const gasApi = createGasApi();
+        const helper = new PropertiesHelper(gasApi);
+
+        await Promise.all(['A', 'B', 'C'].map(key => helper.call('script-1', 'setProperty', { key, value: key })));
+
+        assert.strictEqual(gasApi.updates, 1);
+        assert.deepStrictEqual(gasApi.stores.script, { A: 'A', B: 'B', C: 'C' });
+    });
+
+    it('古いヘルパーは更新し、新しいバージョンのヘルパーはそのまま使うこと', async () => {
+        const outdated = createGasApi([file(HELPER_FILE_NAME, generateHelperSource().replace(`= ${HELPER_VERSION};`, '= 1;'))]);
+        await new PropertiesHelper(outdated).call('script-1', 'getProperty', { key: 'A' });
+        assert.strictEqual(outdated.updates, 1);
+
+        const newer = createGasApi([file(HELPER_FILE_NAME, generateHelperSource().replace(`= ${HELPER_VERSION};`, `= ${HELPER_VERSION + 1};`))]);
+        await new PropertiesHelper(newer).call('script-1', 'getProperty', { key: 'A' });
+        assert.strictEqual(newer.updates, 0);
+    });
+
+    it('確認済みのヘルパーが削除されていた場合は入れ直して1回だけ再実行すること', async () => {
+        const gasApi = createGasApi();
+        const helper = new PropertiesHelper(gasApi);
+        await helper.call('script-1', 'setProperty', { key: 'A', value: '1' });
+
+        // プロジェクト全体の更新などでヘルパーが消えた
+        gasApi.files = gasApi.files.filter(f => f.name !== HELPER_FILE_NAME);
+        await helper.call('script-1', 'setProperty', { key: 'A', value: '2' });
+
+        assert.strictEqual(gasApi.stores.script.A, '2');
+        assert.strictEqual(gasApi.updates, 2);
+        assert.strictEqual(gasApi.executions, 3);
+    });
+
+    it('初回の確認直後の失敗は再実行せず、次回は状態を確認し直すこと', async () => {
+        const gasApi = createGasApi();
+        const helper = new PropertiesHelper(gasApi);
+        gasApi.updateProject = async () => ({ scriptId: 'script-1' });
+
+        await assert.rejects(helper.call('script-1', 'getProperty', { key: 'A' }), /Script function not found/);
+        assert.strictEqual(gasApi.executions, 1);
+        assert.strictEqual(helper.installed.has('script-1'), false);
+    });
+
+    it('ヘルパー内のエラーは操作名を添えて報告し、不正なスコープではプロジェクトを変更しないこと', async () => {
+        const gasApi = createGasApi();
+        const helper = new PropertiesHelper(gasApi);
+
+        await assert.rejects(helper.call('script-1', 'getProperty', { key: 'A', scope: 'document' }),
+            /getProperty の実行に失敗しました: ドキュメントのプロパティはコンテナバインドスクリプトでのみ使用できます/);
+        await assert.rejects(helper.call('script-2', 'getProperty', { key: 'A', scope: 'global' }), /未知のプロパティスコープです: global/);
+        assert.strictEqual(gasApi.updates, 1);
+    });
+
+    it('repair は以前の一時ファイルを削除し、dryRun では変更しないこと', async () => {
+        const gasApi = createGasApi([file('Code', ''), file('temp_setProperty_1700000000000', ''), file('temp_other', '')]);
+        const helper = new PropertiesHelper(gasApi);
+
+        const dryRun = await helper.repair('script-1', { dryRun: true });
+        assert.deepStrictEqual(dryRun.orphanedFiles, ['temp_setProperty_1700000000000']);
+        assert.strictEqual(dryRun.helper.action, 'would-install');
+        assert.strictEqual(gasApi.updates, 0);
+
+        const result = await helper.repair('script-1');
+        assert.deepStrictEqual(result.removed, ['temp_setProperty_1700000000000']);
+        assert.deepStrictEqual(gasApi.files.map(f => f.name), ['Code', 'temp_other', HELPER_FILE_NAME]);
+        assert.strictEqual(gasApi.updates, 1);
+    });
+});
@@ -0,0 +1,123 @@
+/**
+ * スクリプト・ユーザー・ドキュメントのプロパティスコープのテスト
+ *
+ * Author: Utakata
+ */
+
+import assert from 'assert';
+import fs from 'fs-extra';
+import os from 'os';
+import path from 'path';
+import vm from 'vm';
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import { KeyRing } from '../src/services/keyring.js';
+import { PropertiesManager, SecurityManager } from '../src/services/security.js';
+import { HELPER_FILE_NAME, PROPERTY_SCOPES, normalizeScope } from '../src/services/properties-helper.js';
+
+/**
+ * スコープごとのプロパティを保持し、プロジェクト内のヘルパーを実行する GASApiService の代わり
+ *
+ * containerBound が false の場合、getDocumentProperties は null を返す（スタンドアロンのスクリプトと同じ）
+ */
+function createGasApi(options = {}) {
+    const stores = { script: {}, user: {}, document: {} };
+    const store = values => ({
+        getProperty: key => values[key] ?? null,
+        setProperty: (key, value) => { values[key] = value; },
+        deleteProperty: key => { delete values[key]; },
+        getProperties: () => ({ ...values }),
+        setProperties: properties => { Object.assign(values, properties); }
+    });
+    const PropertiesService = {
+        getScriptProperties: () => store(stores.script),
+        getUserProperties: () => store(stores.user),
+        getDocumentProperties: () => (options.containerBound ? store(stores.document) : null)
+    };
+
+    const gasApi = {
+        stores,
+        files: [],
+        async getProject() {
+            return { files: structuredClone(gasApi.files) };
+        },
+        async updateProject(scriptId, content) {
+            gasApi.files = content.files;
+            return { scriptId };
+        },
+        async executeFunction(scriptId, functionName, parameters) {
+            const helper = gasApi.files.find(f => f.name === HELPER_FILE_NAME);
+            try {
+                const result = vm.runInNewContext(`${helper.source}\n${functionName}(request);`, { PropertiesService, request: parameters[0] });
+                return { response: { result } };
+            } catch (error) {
+                return { error: { message: 'ScriptError', details: [{ errorMessage: error.message }] } };
+            }
+        }
+    };
+    return gasApi;
+}
+
+describe('プロパティスコープ', () => {
+    let dir;
+    let security;
+
+    beforeEach(async () => {
+        delete process.env.ENCRYPTION_KEY;
+        dir = await fs.mkdtemp(path.join(os.tmpdir(), 'gas-mcp-scopes-'));
+        security = new SecurityManager({ keyRing: new KeyRing({ path: path.join(dir, 'keyring.json'), provider: 'file' }) });
+    });
+
+    afterEach(async () => {
+        await fs.remove(dir);
+    });
+
+    it('スコープを検証し、省略時は script とすること', () => {
+        assert.deepStrictEqual(PROPERTY_SCOPES, ['script', 'user', 'document']);
+        assert.strictEqual(normalizeScope(undefined), 'script');
+        assert.strictEqual(normalizeScope('user'), 'user');
+        assert.throws(() => normalizeScope('global'), /未知のプロパティスコープです: global（script \/ user \/ document）/);
+    });
+
+    it('指定したスコープのプロパティだけを読み書きすること', async () => {
+        const gasApi = createGasApi({ containerBound: true });
+        const manager = new PropertiesManager(gasApi, { security });
+
+        await manager.setSecureProperty('script-1', 'SHARED', 'script-value', false);
+        await manager.setSecureProperty('script-1', 'SHARED', 'user-value', false, { scope: 'user' });
+        await manager.setSecureProperty('script-1', 'TOKEN', 'document-secret', true, { scope: 'document' });
+
+        assert.deepStrictEqual(gasApi.stores.script, { SHARED: 'script-value' });
+        assert.deepStrictEqual(gasApi.stores.user, { SHARED: 'user-value' });
+        assert.strictEqual(await manager.getSecureProperty('script-1', 'SHARED', true, { scope: 'user' }), 'user-value');
+        assert.deepStrictEqual(await manager.getAllProperties('script-1', true, { scope: 'document' }), { TOKEN: 'document-secret' });
+
+        await manager.deleteProperty('script-1', 'SHARED', { scope: 'user' });
+        assert.deepStrictEqual(gasApi.stores.user, {});
+        assert.deepStrictEqual(gasApi.stores.script, { SHARED: 'script-value' });
+    });
+
+    it('監査・バックアップはスコープを記録し、復元はバックアップ時のスコープに戻すこと', async () => {
+        const gasApi = createGasApi();
+        const manager = new PropertiesManager(gasApi, { security });
+        await manager.setSecureProperty('script-1', 'api_key', 'plain', false, { scope: 'user' });
+
+        const audit = await manager.auditProperties('script-1', { scope: 'user' });
+        assert.strictEqual(audit.scope, 'user');
+        assert.deepStrictEqual(audit.suspiciousKeys, ['api_key']);
+
+        const backup = await manager.backupProperties('script-1', true, { scope: 'user' });
+        assert.strictEqual(backup.scope, 'user');
+        gasApi.stores.user = {};
+        const restored = await manager.restoreProperties('script-1', backup);
+
+        assert.strictEqual(restored.scope, 'user');
+        assert.deepStrictEqual(gasApi.stores.user, { api_key: 'plain' });
+        assert.deepStrictEqual(gasApi.stores.script, {});
+    });
+
+    it('スタンドアロンのスクリプトでドキュメントのプロパティを使うとエラーにすること', async () => {
+        const manager = new PropertiesManager(createGasApi(), { security });
+        await assert.rejects(manager.getAllProperties('script-1', true, { scope: 'document' }),
+            /ドキュメントのプロパティはコンテナバインドスクリプトでのみ使用できます/);
+    });
+});
@@ -0,0 +1,118 @@
+/**
+ * クォータガバナーのテスト
+ *
+ * Author: Utakata
+ */
+
+import assert from 'assert';
+import { describe, it } from 'node:test';
+import { QuotaGovernor, getRetryableStatus, isReadMethod } from '../src/services/quota-governor.js';
+
+const apiError = status => Object.assign(new Error(`HTTP ${status}`), { response: { status } });
+
+/**
+ * 指定のステータスで順に失敗し、その後成功する関数
+ */
+function failing(...statuses) {
+    const fn = async () => {
+        fn.calls++;
+        if (fn.calls <= statuses.length) {
+            throw apiError(statuses[fn.calls - 1]);
+        }
+        return 'ok';
+    };
+    fn.calls = 0;
+    return fn;
+}
+
+describe('再試行の判定', () => {
+
+    it('429 は常に、5xx は読み取りのみ再試行対象とすること', () => {
+        assert.strictEqual(getRetryableStatus(apiError(429), false), 429);
+        assert.strictEqual(getRetryableStatus(apiError(503)), 503);
+        assert.strictEqual(getRetryableStatus(apiError(503), false), null);
+        assert.strictEqual(getRetryableStatus(apiError(404)), null);
+        assert.strictEqual(getRetryableStatus({ code: '500' }), 500);
+    });
+
+    it('get / list で始まるメソッドを読み取りとみなすこと', () => {
+        assert.deepStrictEqual(['get', 'getContent', 'list', 'updateContent', 'run', 'create'].map(isReadMethod),
+            [true, true, true, false, false, false]);
+    });
+});
+
+describe('QuotaGovernor', () => {
+
+    it('読み取りは 5xx を再試行し、更新系は再試行しないこと', async () => {
+        const governor = new QuotaGovernor({ tools: {}, limits: { retries: 2 } });
+        const api = { projects: { get: failing(500), updateContent: failing(500) } };
+        const client = governor.wrapClient(api, 'script');
+
+        assert.strictEqual(await client.projects.get(), 'ok');
+        assert.strictEqual(api.projects.get.calls, 2);
+
+        await assert.rejects(client.projects.updateContent(), /HTTP 500/);
+        assert.strictEqual(api.projects.updateContent.calls, 1);
+    });
+
+    it('更新系でも 429 は再試行し、retries 回で諦めること', async () => {
+        const governor = new QuotaGovernor({ tools: {}, limits: { retries: 1 } });
+        const api = { run: failing(429), create: failing(429, 429) };
+        const client = governor.wrapClient(api, 'script');
+
+        assert.strictEqual(await client.run(), 'ok');
+        await assert.rejects(client.create(), /HTTP 429/);
+        assert.strictEqual(api.create.calls, 2);
+    });
+
+    it('同時に実行されたツールの再試行設定が混ざらないこと', async () => {
+        const governor = new QuotaGovernor({
+            tools: { retrying_tool: { retries: 1 }, strict_tool: { retries: 0 } },
+            limits: {}
+        });
+        const retrying = failing(503);
+        const strict = failing(503);
+
+        const results = await Promise.allSettled([
+            governor.runTool('retrying_tool', async () => {
+                await new Promise(resolve => setTimeout(resolve, 10));
+                return governor.call(retrying);
+            }),
+            governor.runTool('strict_tool', () => governor.call(strict))
+        ]);
+
+        assert.strictEqual(results[0].value, 'ok');
+        assert.match(results[1].reason.message, /HTTP 503/);
+        assert.deepStrictEqual([retrying.calls, strict.calls], [2, 1]);
+    });
+
+    it('無効なツールは実行を拒否すること', async () => {
+        const governor = new QuotaGovernor({ tools: { disabled_tool: { enabled: false } }, limits: {} });
+        let called = false;
+
+        await assert.rejects(governor.runTool('disabled_tool', async () => { called = true; }), /ツール「disabled_tool」は無効化されています/);
+        assert.strictEqual(called, false);
+        assert.strictEqual(governor.isEnabled('unknown_tool'), true);
+    });
+
+    it('レート制限の待機が上限を超える場合はエラーにすること', async () => {
+        const governor = new QuotaGovernor({ tools: { limited_tool: { rateLimit: '1/hour' } }, limits: { requestTimeout: 1000 } });
+
+        assert.strictEqual(await governor.runTool('limited_tool', async () => 'first'), 'first');
+        await assert.rejects(governor.runTool('limited_tool', async () => 'second'), /レート制限（1\/hour）を超えました/);
+    });
+
+    it('タイムアウトを超えた呼び出しを打ち切ること', async () => {
+        const governor = new QuotaGovernor({ tools: { slow_tool: { timeout: 20 } }, limits: {} });
+        let timer;
+        const slow = () => new Promise(resolve => {
+            timer = setTimeout(() => resolve('late'), 500);
+        });
+
+        try {
+            await assert.rejects(governor.runTool('slow_tool', () => governor.call(slow, 'slowCall')), /slowCall がタイムアウトしました（20ms）/);
+        } finally {
+            clearTimeout(timer);
+        }
+    });
+});
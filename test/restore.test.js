@@ -0,0 +1,144 @@
+/**
+ * バックアップからの復元のテスト
+ *
+ * Author: Utakata
+ */
+
+import assert from 'assert';
+import fs from 'fs-extra';
+import os from 'os';
+import path from 'path';
+import { describe, it } from 'node:test';
+import { GASApiService } from '../src/services/gas-api.js';
+import { BackupService } from '../src/services/backup-service.js';
+
+const file = (name, source) => ({ name, type: 'SERVER_JS', source });
+const timeTrigger = (handlerFunction, hours, triggerId) => ({
+    triggerId, handlerFunction, eventType: 'CLOCK', timeBased: { everyHours: hours }
+});
+
+const SNAPSHOT = {
+    timestamp: '2026-01-01T00:00:00.000Z',
+    project: {
+        scriptId: 'source-script',
+        title: '元のプロジェクト',
+        files: [file('Code', 'function main() {}'), file('Util', 'function util() {}')]
+    },
+    triggers: [timeTrigger('main', 1, 'old-1'), timeTrigger('report', 24, 'old-2')],
+    deployments: [],
+    libraries: [{ libraryId: 'lib-1', version: '3', userSymbol: 'Lib' }]
+};
+
+/**
+ * 現在の状態を返し、書き込みを記録する GASApiService
+ */
+function createGasApi() {
+    const gasApi = new GASApiService({ getScriptApi: () => { throw new Error('Google APIを呼び出してはいけません'); } });
+    const calls = [];
+    gasApi.getProject = async () => ({ files: [file('Code', 'function main() { changed(); }'), file('Extra', '')] });
+    gasApi.listLibraries = async () => ({ libraries: [{ libraryId: 'lib-1', version: '2', userSymbol: 'Lib' }] });
+    gasApi.listTriggers = async () => ({
+        triggers: [timeTrigger('main', 1, 'current-1'), timeTrigger('report', 6, 'current-2'), timeTrigger('cleanup', 12, 'current-3')]
+    });
+    gasApi.updateProject = async (scriptId, content) => { calls.push(['updateProject', scriptId, content.files.map(f => f.name)]); return {}; };
+    gasApi.deleteTrigger = async (scriptId, triggerId) => { calls.push(['deleteTrigger', triggerId]); return {}; };
+    gasApi.createTrigger = async (scriptId, trigger) => { calls.push(['createTrigger', trigger.handlerFunction, trigger.triggerId]); return {}; };
+    gasApi.createProject = async () => { calls.push(['createProject']); return { scriptId: 'new-script' }; };
+    return { gasApi, calls };
+}
+
+describe('restoreProject', () => {
+
+    it('dryRun では変更せずにファイル・ライブラリ・トリガーの復元計画を返すこと', async () => {
+        const { gasApi, calls } = createGasApi();
+        const result = await gasApi.restoreProject(SNAPSHOT, { scriptId: 'target', dryRun: true });
+
+        assert.deepStrictEqual(result.plan.files, { create: ['Util'], change: ['Code'], remove: ['Extra'] });
+        assert.deepStrictEqual(result.plan.libraries.change.map(c => [c.from.version, c.to.version]), [['2', '3']]);
+        assert.strictEqual(result.plan.triggers.create.length, 0);
+        assert.deepStrictEqual(result.plan.triggers.change.map(c => [c.from.triggerId, c.to.triggerId]), [['current-2', 'old-2']]);
+        assert.deepStrictEqual(result.plan.triggers.remove.map(t => t.triggerId), ['current-3']);
+        assert.deepStrictEqual(result.skipped, ['deployments']);
+        assert.deepStrictEqual(result.triggerErrors, []);
+        assert.deepStrictEqual(calls, []);
+    });
+
+    it('既存のプロジェクトにファイルとトリガーを復元すること', async () => {
+        const { gasApi, calls } = createGasApi();
+        await gasApi.restoreProject(SNAPSHOT, { scriptId: 'target' });
+
+        assert.deepStrictEqual(calls, [
+            ['updateProject', 'target', ['Code', 'Util']],
+            ['deleteTrigger', 'current-3'],
+            ['deleteTrigger', 'current-2'],
+            // IDはプロジェクトごとに異なるため引き継がない
+            ['createTrigger', 'report', undefined]
+        ]);
+    });
+
+    it('復元先のトリガーを取得できなくてもファイルを復元し、トリガーは対象外として報告すること', async () => {
+        const { gasApi, calls } = createGasApi();
+        gasApi.listTriggers = async () => { throw new Error('トリガー一覧取得失敗: 権限がありません'); };
+        const result = await gasApi.restoreProject(SNAPSHOT, { scriptId: 'target' });
+
+        assert.deepStrictEqual(calls, [['updateProject', 'target', ['Code', 'Util']]]);
+        assert.deepStrictEqual(result.skipped, ['deployments', 'triggers']);
+        assert.deepStrictEqual(result.triggerErrors, ['トリガー一覧取得失敗: 権限がありません']);
+        assert.deepStrictEqual(result.plan.triggers, { create: [], change: [], remove: [] });
+    });
+
+    it('triggers: false やトリガーのないバックアップではトリガーを取得・変更しないこと', async () => {
+        const { gasApi, calls } = createGasApi();
+        gasApi.listTriggers = async () => { throw new Error('呼び出してはいけません'); };
+
+        const disabled = await gasApi.restoreProject(SNAPSHOT, { scriptId: 'target', triggers: false });
+        assert.deepStrictEqual(disabled.skipped, ['deployments', 'triggers']);
+
+        const unavailable = await gasApi.restoreProject({ ...SNAPSHOT, triggers: null, triggersUnavailable: '権限がありません' }, { scriptId: 'target' });
+        assert.deepStrictEqual(unavailable.triggerErrors, ['バックアップにトリガーが含まれていません（権限がありません）']);
+        assert.deepStrictEqual(calls.map(call => call[0]), ['updateProject', 'updateProject']);
+    });
+
+    it('トリガーの作成に失敗しても残りのトリガーを続行して報告すること', async () => {
+        const { gasApi, calls } = createGasApi();
+        const createTrigger = gasApi.createTrigger;
+        gasApi.createTrigger = async (scriptId, trigger) => {
+            if (trigger.handlerFunction === 'main') throw new Error('トリガー作成失敗: 上限です');
+            return createTrigger(scriptId, trigger);
+        };
+        const result = await gasApi.restoreProject(SNAPSHOT);
+
+        assert.deepStrictEqual(result.triggerErrors, ['main: トリガー作成失敗: 上限です']);
+        assert.deepStrictEqual(calls.filter(call => call[0] === 'createTrigger').map(call => call[1]), ['report']);
+    });
+
+    it('scriptId を省略すると新しいプロジェクトに復元すること', async () => {
+        const { gasApi, calls } = createGasApi();
+        const result = await gasApi.restoreProject(JSON.stringify(SNAPSHOT));
+
+        assert.strictEqual(result.scriptId, 'new-script');
+        assert.strictEqual(result.created, true);
+        assert.deepStrictEqual(calls[0], ['createProject']);
+        assert.deepStrictEqual(calls.filter(call => call[0] === 'createTrigger').map(call => call[1]), ['main', 'report']);
+    });
+
+    it('ローカルバックアップのアーカイブ（.json.gz）から読み込めること', async () => {
+        const backupDir = await fs.mkdtemp(path.join(os.tmpdir(), 'gas-mcp-restore-'));
+        try {
+            const backupService = new BackupService(null, { backupDir });
+            const archivePath = await backupService.writeArchive(SNAPSHOT);
+            const { gasApi } = createGasApi();
+            const result = await gasApi.restoreProject(null, { scriptId: 'target', backupPath: archivePath, dryRun: true });
+
+            assert.strictEqual(result.source.title, '元のプロジェクト');
+            assert.deepStrictEqual(result.plan.files.create, ['Util']);
+        } finally {
+            await fs.remove(backupDir);
+        }
+    });
+
+    it('project.files のないバックアップは拒否すること', async () => {
+        const { gasApi } = createGasApi();
+        await assert.rejects(gasApi.restoreProject({ project: {} }, { dryRun: true }), /バックアップの形式が不正です/);
+    });
+});
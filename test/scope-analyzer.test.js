@@ -0,0 +1,88 @@
+/**
+ * OAuthスコープ解析のテスト
+ *
+ * Author: Utakata
+ */
+
+import assert from 'assert';
+import { describe, it } from 'node:test';
+import { compareScopes, inferScopes, scopeCovers } from '../src/utils/scope-analyzer.js';
+
+const AUTH = 'https://www.googleapis.com/auth/';
+const file = (name, source) => ({ name, type: 'SERVER_JS', source });
+
+describe('inferScopes', () => {
+
+    it('コンテナのみを使う場合は currentonly のスコープを推定すること', () => {
+        const { required } = inferScopes([
+            file('Code', 'function main() {\n  SpreadsheetApp.getActiveSheet().getRange("A1");\n}')
+        ]);
+
+        assert.deepStrictEqual(required, [
+            { scope: `${AUTH}spreadsheets.currentonly`, reasons: ['SpreadsheetApp.getActiveSheet (Code:2)'] }
+        ]);
+    });
+
+    it('open 系のメソッドやサービス・特定メソッドの使用から必要なスコープを推定すること', () => {
+        const { required } = inferScopes([
+            file('Code', [
+                'function main() {',
+                '  const ss = SpreadsheetApp.openById("id");',
+                '  UrlFetchApp.fetch("https://example.com");',
+                '  ScriptApp.getScriptId();',
+                '  ScriptApp.newTrigger("main");',
+                '  SpreadsheetApp.getUi().showSidebar(html);',
+                '}'
+            ].join('\n')),
+            file('index', '<html></html>')
+        ]);
+
+        assert.deepStrictEqual(required.map(r => r.scope), [
+            `${AUTH}script.container.ui`,
+            `${AUTH}script.external_request`,
+            `${AUTH}script.scriptapp`,
+            `${AUTH}spreadsheets`
+        ]);
+        assert.deepStrictEqual(required.find(r => r.scope === `${AUTH}script.scriptapp`).reasons, ['ScriptApp.newTrigger (Code:5)']);
+        assert.deepStrictEqual(required.find(r => r.scope === `${AUTH}spreadsheets`).reasons, ['SpreadsheetApp.openById (Code:2)']);
+    });
+
+    it('マニフェストで有効な高度なサービスのスコープを推定し、未知のサービスと構文エラーを報告すること', () => {
+        const manifest = {
+            dependencies: {
+                enabledAdvancedServices: [
+                    { userSymbol: 'Drive', serviceId: 'drive', version: 'v3' },
+                    { userSymbol: 'AdminDirectory', serviceId: 'admin', version: 'directory_v1' }
+                ]
+            }
+        };
+        const result = inferScopes([
+            file('Code', 'Drive.Files.list();\nAdminDirectory.Users.list();'),
+            file('Broken', 'function (')
+        ], manifest);
+
+        assert.deepStrictEqual(result.required.map(r => r.scope), [`${AUTH}drive`]);
+        assert.deepStrictEqual(result.unknownAdvancedServices, [{ userSymbol: 'AdminDirectory', serviceId: 'admin' }]);
+        assert.deepStrictEqual(result.errors.map(e => e.file), ['Broken']);
+    });
+});
+
+describe('compareScopes', () => {
+
+    it('広いスコープは狭いスコープをカバーすること', () => {
+        assert.strictEqual(scopeCovers(`${AUTH}spreadsheets`, `${AUTH}spreadsheets.currentonly`), true);
+        assert.strictEqual(scopeCovers(`${AUTH}spreadsheets.currentonly`, `${AUTH}spreadsheets`), false);
+    });
+
+    it('不足・広すぎる・未使用のスコープに分類すること', () => {
+        const required = [
+            { scope: `${AUTH}spreadsheets.currentonly`, reasons: [] },
+            { scope: `${AUTH}script.external_request`, reasons: [] }
+        ];
+        const result = compareScopes(required, [`${AUTH}spreadsheets`, `${AUTH}drive`]);
+
+        assert.deepStrictEqual(result.missing.map(r => r.scope), [`${AUTH}script.external_request`]);
+        assert.deepStrictEqual(result.overBroad, [{ scope: `${AUTH}spreadsheets`, suggested: [`${AUTH}spreadsheets.currentonly`] }]);
+        assert.deepStrictEqual(result.unused, [`${AUTH}drive`]);
+    });
+});
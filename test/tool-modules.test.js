@@ -0,0 +1,82 @@
+/**
+ * ツールモジュールの登録・選択のテスト
+ *
+ * Author: Utakata
+ */
+
+import assert from 'assert';
+import { describe, it } from 'node:test';
+import { MODULE_NAMES, MODULE_PRESETS, TOOL_MODULES, ToolRegistry, resolveModules } from '../src/tools/index.js';
+import { parseServerArgs } from '../src/server.js';
+
+const module = (name, tools) => ({ name, description: name, tools });
+const tool = (name, requiresAuth) => ({
+    name,
+    description: name,
+    inputSchema: { type: 'object' },
+    handler: async (args, context) => ({ name, args, hasRegistry: context.registry instanceof ToolRegistry }),
+    requiresAuth
+});
+
+describe('ToolRegistry', () => {
+
+    it('ツールを登録して呼び出しを振り分け、認証の要否を判定すること', async () => {
+        const registry = new ToolRegistry({ gasApi: null });
+        registry.register(module('sample', [
+            tool('local_tool', false),
+            tool('conditional_tool', args => !args.projectDir),
+            tool('api_tool')
+        ]));
+
+        assert.deepStrictEqual(registry.listTools().map(t => t.name), ['local_tool', 'conditional_tool', 'api_tool']);
+        assert.deepStrictEqual(await registry.call('local_tool', { a: 1 }), { name: 'local_tool', args: { a: 1 }, hasRegistry: true });
+        assert.strictEqual(registry.requiresAuthentication('local_tool'), false);
+        assert.strictEqual(registry.requiresAuthentication('conditional_tool', { projectDir: '.' }), false);
+        assert.strictEqual(registry.requiresAuthentication('conditional_tool', {}), true);
+        assert.strictEqual(registry.requiresAuthentication('api_tool'), true, '省略時は認証が必要なこと');
+        await assert.rejects(registry.call('missing'), /未知のツールです: missing/);
+    });
+
+    it('モジュール名・ツール名の重複を拒否すること', () => {
+        const registry = new ToolRegistry().register(module('sample', [tool('a')]));
+
+        assert.throws(() => registry.register(module('sample', [])), /ツールモジュール「sample」はすでに登録されています/);
+        assert.throws(() => registry.register(module('other', [tool('a')])), /ツール名が重複しています: a（モジュール: other）/);
+    });
+
+    it('すべての組み込みモジュールを同時に登録できること', () => {
+        const registry = new ToolRegistry();
+        TOOL_MODULES.forEach(toolModule => registry.register(toolModule));
+        assert.deepStrictEqual(registry.moduleNames(), MODULE_NAMES);
+    });
+
+    it('従来の smart_dependency_check は dependency_check と同じく認証なしで実行できること', async () => {
+        const registry = new ToolRegistry();
+        resolveModules(MODULE_PRESETS.stable).forEach(toolModule => registry.register(toolModule));
+
+        assert.strictEqual(registry.requiresAuthentication('smart_dependency_check'), false);
+        const result = await registry.call('smart_dependency_check', { force_reinstall: true });
+        assert.match(result.content[0].text, /🩺 実行環境チェック/);
+        assert.match(result.content[0].text, /🧩 有効なモジュール: clasp, diagnostics/);
+    });
+});
+
+describe('モジュールの選択', () => {
+
+    it('プリセットのモジュール名はすべて存在すること', () => {
+        Object.values(MODULE_PRESETS).forEach(names => resolveModules(names));
+        assert.deepStrictEqual(resolveModules(['diagnostics', 'project']).map(m => m.name), ['project', 'diagnostics'], '表示順に並べること');
+        assert.throws(() => resolveModules(['project', 'unknown']), /未知のツールモジュールです: unknown/);
+    });
+
+    it('--modules で置き換え、--enable / --disable で既定値に追加・削除すること', () => {
+        assert.deepStrictEqual(parseServerArgs(['--modules', 'project, files']).modules, ['project', 'files']);
+        assert.deepStrictEqual(
+            parseServerArgs(['--enable', 'properties', '--disable', 'clasp,execution'], MODULE_PRESETS.clasp).modules,
+            ['project', 'files', 'deployments', 'triggers', 'libraries', 'diagnostics', 'properties']
+        );
+        assert.strictEqual(parseServerArgs(['--list-modules']).listModules, true);
+        assert.deepStrictEqual(parseServerArgs([], MODULE_PRESETS.stable).modules, ['clasp', 'diagnostics']);
+        assert.throws(() => parseServerArgs(['--enable', 'unknown']), /未知のツールモジュールです: unknown/);
+    });
+});
@@ -0,0 +1,132 @@
+/**
+ * トリガービルダーと検証付きトリガー作成のテスト
+ *
+ * Author: Utakata
+ */
+
+import _ from 'lodash';
+import assert from 'assert';
+import { describe, it } from 'node:test';
+import { buildTriggerConfig } from '../src/utils/trigger-builder.js';
+import { GASApiService } from '../src/services/gas-api.js';
+import { TRIGGER_HELPER_FILE_NAME } from '../src/services/trigger-helper.js';
+import { createFakeScriptApi } from './helpers/fake-script-api.js';
+
+describe('buildTriggerConfig', () => {
+
+    it('時間主導トリガーを clock 設定に変換すること', () => {
+        assert.deepStrictEqual(buildTriggerConfig({ handlerFunction: 'report', type: 'time', schedule: 'everyMinutes', interval: 15 }), {
+            handlerFunction: 'report', eventType: 'CLOCK', triggerSource: 'CLOCK', clock: { everyMinutes: 15 }
+        });
+        assert.deepStrictEqual(
+            buildTriggerConfig({ handlerFunction: 'report', type: 'time', schedule: 'weekly', weekDay: 'MONDAY', atHour: 9, nearMinute: 30, timeZone: 'Asia/Tokyo' }).clock,
+            { everyWeeks: 1, onWeekDay: 'MONDAY', atHour: 9, nearMinute: 30, timeZone: 'Asia/Tokyo' }
+        );
+        assert.deepStrictEqual(buildTriggerConfig({ handlerFunction: 'report', type: 'time', schedule: 'daily' }).clock, { everyDays: 1 });
+    });
+
+    it('イベントトリガーを triggerSource と eventType に変換すること', () => {
+        assert.deepStrictEqual(buildTriggerConfig({ handlerFunction: 'onEditHandler', type: 'spreadsheet', event: 'onEdit', sourceId: 'sheet-1' }), {
+            handlerFunction: 'onEditHandler', eventType: 'ON_EDIT', triggerSource: 'SPREADSHEETS', triggerSourceId: 'sheet-1'
+        });
+        // カレンダーはイベントが1種類のため省略できる
+        assert.strictEqual(buildTriggerConfig({ handlerFunction: 'sync', type: 'calendar', sourceId: 'cal@example.com' }).eventType, 'ON_EVENT_UPDATED');
+    });
+
+    it('不正な指定はすべての問題をまとめて報告すること', () => {
+        assert.throws(
+            () => buildTriggerConfig({ handlerFunction: 'helper_', type: 'time', schedule: 'everyMinutes', interval: 7, weekDay: 'MONDAY' }),
+            error => {
+                assert.match(error.message, /^トリガー設定が不正です:/);
+                assert.match(error.message, /プライベート関数（末尾が _）はトリガーに設定できません: helper_/);
+                assert.match(error.message, /everyMinutes の interval は 1, 5, 10, 15, 30 のいずれかです/);
+                assert.match(error.message, /everyMinutes では atHour \/ weekDay は指定できません/);
+                return true;
+            }
+        );
+        assert.throws(() => buildTriggerConfig({ handlerFunction: 'main', type: 'form', event: 'onEdit' }), /sourceId（フォームID）を指定してください[\s\S]*event は onOpen \/ onFormSubmit/);
+        assert.throws(() => buildTriggerConfig({ handlerFunction: 'main', type: 'time', schedule: 'at', at: '2000-01-01T00:00:00Z' }), /at の日時が過去です/);
+        assert.throws(() => buildTriggerConfig({ handlerFunction: 'main', type: 'webhook' }), /type は time \/ spreadsheet \/ calendar \/ form/);
+    });
+});
+
+describe('createValidatedTrigger', () => {
+
+    const CODE = { name: 'Code', type: 'SERVER_JS', source: 'function report() {}\nfunction helper_() {}' };
+
+    function createGasApi(triggerCount) {
+        const triggers = Array.from({ length: triggerCount }, (_, i) => ({
+            triggerId: `existing-${i}`, handlerFunction: 'report', eventType: 'ON_OPEN', triggerSource: 'SPREADSHEETS', triggerSourceId: 'sheet-1'
+        }));
+        const scriptApi = createFakeScriptApi([CODE], { triggers });
+        return { gasApi: new GASApiService({ getScriptApi: () => scriptApi }), state: scriptApi.state };
+    }
+
+    const spec = handlerFunction => ({ handlerFunction, type: 'time', schedule: 'everyHours', interval: 6 });
+
+    it('ハンドラー関数が存在すればヘルパー経由で ScriptApp のトリガーを作成すること', async () => {
+        const { gasApi, state } = createGasApi(0);
+        const result = await gasApi.createValidatedTrigger('script-1', spec('report'));
+
+        assert.strictEqual(result.triggerId, 'trigger-1');
+        assert.deepStrictEqual(result.config.clock, { everyHours: 6 });
+        assert.deepStrictEqual(state.triggers.map(t => [t.handlerFunction, t.schedule]), [['report', [['everyHours', 6]]]]);
+        // ヘルパーの追加はプロジェクトの更新1回のみ
+        assert.deepStrictEqual(state.files.map(f => f.name), ['Code', TRIGGER_HELPER_FILE_NAME]);
+        assert.strictEqual(state.calls.filter(call => call === 'projects.updateContent').length, 1);
+        // スケジュールは ScriptApp から取得できないため設定を保存し、一覧に含める
+        assert.deepStrictEqual(JSON.parse(state.properties['__gasMcpTrigger_trigger-1']), result.config);
+        const { triggers } = await gasApi.listTriggers('script-1');
+        assert.deepStrictEqual(triggers, [{ triggerId: 'trigger-1', ...result.config }]);
+    });
+
+    it('イベントトリガーを作成し、削除すると保存した設定も消すこと', async () => {
+        const { gasApi, state } = createGasApi(0);
+        const { triggerId } = await gasApi.createValidatedTrigger('script-1', { handlerFunction: 'report', type: 'form', sourceId: 'form-1', event: 'onFormSubmit' });
+
+        assert.deepStrictEqual(_.pick(state.triggers[0], ['eventType', 'triggerSource', 'triggerSourceId']), {
+            eventType: 'ON_FORM_SUBMIT', triggerSource: 'FORMS', triggerSourceId: 'form-1'
+        });
+
+        await gasApi.deleteTrigger('script-1', triggerId);
+        assert.deepStrictEqual(state.triggers, []);
+        assert.deepStrictEqual(state.properties, {});
+        await assert.rejects(gasApi.deleteTrigger('script-1', triggerId), /トリガーが見つかりません: trigger-1/);
+    });
+
+    it('他の方法で作成されたトリガーはスケジュールなしで一覧に含めること', async () => {
+        const scriptApi = createFakeScriptApi([CODE], {
+            triggers: [{ triggerId: 'editor-1', handlerFunction: 'report', eventType: 'CLOCK', triggerSource: 'CLOCK' }]
+        });
+        const { triggers } = await new GASApiService({ getScriptApi: () => scriptApi }).manageTriggers('script-1', 'list');
+
+        assert.deepStrictEqual(triggers, [{ triggerId: 'editor-1', handlerFunction: 'report', eventType: 'CLOCK', triggerSource: 'CLOCK' }]);
+    });
+
+    it('バックアップではヘルパーを追加せず、トリガーなしで保存すること', async t => {
+        // 非同期のテストから標準出力に書き込むと Node.js 20 のテストランナーが結果を読み損なうことがあるため抑制する
+        t.mock.method(console, 'log', () => {});
+        t.mock.method(console, 'warn', () => {});
+        const { gasApi, state } = createGasApi(0);
+        const backup = await gasApi.backupProject('script-1');
+
+        assert.strictEqual(backup.triggers, null);
+        assert.match(backup.triggersUnavailable, /トリガーヘルパー（__gasMcpTriggers v1）がプロジェクトにありません/);
+        assert(!state.calls.includes('projects.updateContent'));
+
+        await gasApi.createValidatedTrigger('script-1', spec('report'));
+        assert.deepStrictEqual((await gasApi.backupProject('script-1')).triggers.map(t => t.triggerId), ['trigger-1']);
+    });
+
+    it('存在しない関数は利用可能な関数名を添えて拒否すること', async () => {
+        const { gasApi, state } = createGasApi(0);
+        await assert.rejects(gasApi.createValidatedTrigger('script-1', spec('missing')), /関数「missing」がプロジェクトに見つかりません（利用可能な関数: report, __gasMcpTriggers）/);
+        assert.deepStrictEqual(state.triggers, []);
+    });
+
+    it('トリガー数が上限に達していれば作成しないこと', async () => {
+        const { gasApi, state } = createGasApi(20);
+        await assert.rejects(gasApi.createValidatedTrigger('script-1', spec('report')), /トリガー数が上限（20件）に達しています/);
+        assert.strictEqual(state.triggers.length, 20);
+    });
+});
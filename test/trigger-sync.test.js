@@ -0,0 +1,123 @@
+/**
+ * トリガー定義ファイルとの同期のテスト
+ *
+ * Author: Utakata
+ */
+
+import assert from 'assert';
+import fs from 'fs-extra';
+import os from 'os';
+import path from 'path';
+import { describe, it } from 'node:test';
+import { GASApiService } from '../src/services/gas-api.js';
+import { createFakeScriptApi } from './helpers/fake-script-api.js';
+
+const hourly = (handlerFunction, hours) => ({ handlerFunction, type: 'time', schedule: 'everyHours', interval: hours });
+const CODE = { name: 'Code', type: 'SERVER_JS', source: 'function report() {}\nfunction sync() {}\nfunction cleanup() {}' };
+
+/**
+ * このサーバーで作成済みのトリガー（ScriptApp の登録と、ヘルパーが保存した設定）
+ */
+function existing(triggers) {
+    return {
+        triggers: triggers.map(([triggerId, handlerFunction]) => ({ triggerId, handlerFunction, eventType: 'CLOCK', triggerSource: 'CLOCK' })),
+        properties: Object.fromEntries(triggers.map(([triggerId, handlerFunction, hours]) => [
+            `__gasMcpTrigger_${triggerId}`,
+            JSON.stringify({ handlerFunction, eventType: 'CLOCK', triggerSource: 'CLOCK', clock: { everyHours: hours } })
+        ]))
+    };
+}
+
+/**
+ * 現在のトリガーを持つ Apps Script API クライアントで GASApiService を作成
+ */
+function createGasApi(triggers, options = {}) {
+    const scriptApi = createFakeScriptApi([CODE], { ...existing(triggers), ...options });
+    const gasApi = new GASApiService({ getScriptApi: () => scriptApi });
+    const { state } = scriptApi;
+    const writes = () => state.calls.filter(call => /scripts\.run:(create|delete)/.test(call));
+    return { gasApi, state, writes };
+}
+
+describe('syncTriggers', () => {
+
+    const TRIGGERS = [hourly('report', 1), hourly('sync', 6)];
+    const CURRENT = [['t-report', 'report', 1], ['t-sync', 'sync', 12], ['t-cleanup', 'cleanup', 24]];
+
+    it('既定では変更せずに作成・置き換え・削除の計画を返すこと', async () => {
+        const { gasApi, writes } = createGasApi(CURRENT);
+        const result = await gasApi.syncTriggers({ scriptId: 'script-1', triggers: TRIGGERS });
+
+        assert.strictEqual(result.applied, false);
+        assert.strictEqual(result.inSync, false);
+        assert.deepStrictEqual(result.plan.unchanged.map(t => t.triggerId), ['t-report']);
+        assert.deepStrictEqual(result.plan.change.map(c => [c.from.triggerId, c.to.clock]), [['t-sync', { everyHours: 6 }]]);
+        assert.deepStrictEqual(result.plan.remove.map(t => t.triggerId), ['t-cleanup']);
+        assert.deepStrictEqual(result.errors, []);
+        assert.deepStrictEqual(writes(), []);
+    });
+
+    it('apply では削除を先に行ってから作成すること', async () => {
+        const { gasApi, state, writes } = createGasApi(CURRENT);
+        const result = await gasApi.syncTriggers({ scriptId: 'script-1', triggers: TRIGGERS, apply: true });
+
+        assert.strictEqual(result.applied, true);
+        assert.deepStrictEqual(writes(), ['scripts.run:delete', 'scripts.run:delete', 'scripts.run:create']);
+        assert.deepStrictEqual(state.triggers.map(t => [t.triggerId, t.handlerFunction]), [['t-report', 'report'], ['trigger-1', 'sync']]);
+        assert.deepStrictEqual(state.triggers[1].schedule, [['everyHours', 6]]);
+        assert.deepStrictEqual(Object.keys(state.properties).sort(), ['__gasMcpTrigger_t-report', '__gasMcpTrigger_trigger-1']);
+
+        const again = await gasApi.syncTriggers({ scriptId: 'script-1', triggers: TRIGGERS });
+        assert.strictEqual(again.inSync, true);
+    });
+
+    it('スケジュールが不明なトリガーは置き換えの対象にすること', async () => {
+        // スクリプトエディタで作成され、設定が保存されていないトリガー
+        const { gasApi } = createGasApi([], {
+            triggers: [{ triggerId: 'editor-1', handlerFunction: 'report', eventType: 'CLOCK', triggerSource: 'CLOCK' }]
+        });
+        const { plan } = await gasApi.syncTriggers({ scriptId: 'script-1', triggers: [hourly('report', 1)] });
+
+        assert.deepStrictEqual(plan.change.map(c => [c.from.triggerId, c.to.clock]), [['editor-1', { everyHours: 1 }]]);
+    });
+
+    it('prune: false では定義にないトリガーを残すこと', async () => {
+        const { gasApi } = createGasApi(CURRENT);
+        const { plan } = await gasApi.syncTriggers({ scriptId: 'script-1', triggers: TRIGGERS, prune: false });
+
+        assert.deepStrictEqual(plan.remove, []);
+        assert.deepStrictEqual(plan.unmanaged.map(t => t.triggerId), ['t-cleanup']);
+    });
+
+    it('定義に問題があれば計画にまとめて報告し、適用は中止すること', async () => {
+        const triggers = [hourly('report', 3), hourly('missing', 1)];
+        const { gasApi, writes } = createGasApi([]);
+
+        const { errors } = await gasApi.syncTriggers({ scriptId: 'script-1', triggers });
+        assert.strictEqual(errors.length, 2);
+        assert.match(errors[0], /^#1: .*everyHours の interval/s);
+        assert.match(errors[1], /関数「missing」がプロジェクトに見つかりません/);
+
+        await assert.rejects(gasApi.syncTriggers({ scriptId: 'script-1', triggers, apply: true }), /適用を中止しました/);
+        assert.deepStrictEqual(writes(), []);
+    });
+
+    it('projectDir の triggers.json と .clasp.json から読み込むこと', async () => {
+        const projectDir = await fs.mkdtemp(path.join(os.tmpdir(), 'gas-mcp-triggers-'));
+        try {
+            await fs.writeJson(path.join(projectDir, '.clasp.json'), { scriptId: 'clasp-script' });
+            await fs.writeJson(path.join(projectDir, 'triggers.json'), { triggers: [hourly('report', 1)] });
+            const { gasApi } = createGasApi([['t-report', 'report', 1]]);
+            const result = await gasApi.syncTriggers({ projectDir });
+
+            assert.strictEqual(result.scriptId, 'clasp-script');
+            assert.strictEqual(result.manifestPath, path.join(projectDir, 'triggers.json'));
+            assert.strictEqual(result.inSync, true);
+
+            await fs.writeJson(path.join(projectDir, 'triggers.json'), { schedule: [] });
+            await assert.rejects(gasApi.syncTriggers({ projectDir }), /triggers 配列がありません/);
+        } finally {
+            await fs.remove(projectDir);
+        }
+    });
+});
@@ -0,0 +1,92 @@
+/**
+ * バージョン管理のテスト
+ *
+ * Author: Utakata
+ */
+
+import assert from 'assert';
+import { describe, it } from 'node:test';
+import { GASApiService } from '../src/services/gas-api.js';
+
+const file = (name, source) => ({ name, type: 'SERVER_JS', source });
+
+/**
+ * バージョンごとのファイルを持つ Apps Script API の代わり
+ */
+function createFakeGasApi() {
+    const state = {
+        head: [file('Code', 'v3'), file('New', 'added')],
+        versions: {
+            1: [file('Code', 'v1'), file('Old', 'removed later')],
+            2: [file('Code', 'v2')]
+        },
+        contentRequests: []
+    };
+    const scriptApi = {
+        projects: {
+            get: async ({ scriptId }) => ({ data: { scriptId, title: 'テスト', updateTime: '2026-01-01T00:00:00Z' } }),
+            getContent: async ({ scriptId, versionNumber }) => {
+                state.contentRequests.push(versionNumber ?? 'HEAD');
+                const files = versionNumber ? state.versions[versionNumber] : state.head;
+                return { data: { scriptId, files: structuredClone(files) } };
+            },
+            versions: {
+                // 1ページ1件ずつ返し、ページングを確認する
+                list: async ({ pageToken }) => {
+                    const numbers = Object.keys(state.versions).map(Number);
+                    const index = pageToken ? Number(pageToken) : 0;
+                    return {
+                        data: {
+                            versions: [{ versionNumber: numbers[index], description: `v${numbers[index]}` }],
+                            nextPageToken: index + 1 < numbers.length ? String(index + 1) : undefined
+                        }
+                    };
+                },
+                create: async ({ scriptId, requestBody }) => {
+                    const versionNumber = Object.keys(state.versions).length + 1;
+                    state.versions[versionNumber] = structuredClone(state.head);
+                    return { data: { scriptId, versionNumber, description: requestBody.description, createTime: '2026-01-02T00:00:00Z' } };
+                }
+            }
+        }
+    };
+    return { gasApi: new GASApiService({ getScriptApi: () => scriptApi }), state };
+}
+
+describe('バージョン管理', () => {
+
+    it('listVersions は全ページを取得して新しい順に並べること', async () => {
+        const { gasApi } = createFakeGasApi();
+        const { versions } = await gasApi.listVersions('script-1');
+
+        assert.deepStrictEqual(versions.map(v => v.versionNumber), [2, 1]);
+    });
+
+    it('createVersion は作成したバージョン番号を返すこと', async () => {
+        const { gasApi, state } = createFakeGasApi();
+        const version = await gasApi.createVersion('script-1', 'リリース');
+
+        assert.strictEqual(version.versionNumber, 3);
+        assert.strictEqual(version.description, 'リリース');
+        assert.deepStrictEqual(state.versions[3], state.head);
+    });
+
+    it('diffVersions はバージョンとHEADのファイル差分を返すこと', async () => {
+        const { gasApi } = createFakeGasApi();
+        const result = await gasApi.diffVersions('script-1', 1);
+
+        assert.strictEqual(result.from, 'v1');
+        assert.strictEqual(result.to, 'HEAD');
+        assert.deepStrictEqual(result.summary, { added: 1, removed: 1, modified: 1, unchanged: 0 });
+        assert.match(result.files.find(f => f.name === 'Code').diff, /--- v1\/Code[\s\S]*\+\+\+ HEAD\/Code/);
+        assert.notStrictEqual(result.fromHash, result.toHash);
+    });
+
+    it('バージョン指定の内容は変更されないためキャッシュから返すこと', async () => {
+        const { gasApi, state } = createFakeGasApi();
+        await gasApi.diffVersions('script-1', 1, 2);
+        await gasApi.diffVersions('script-1', 1, 2);
+
+        assert.deepStrictEqual(state.contentRequests, [1, 2]);
+    });
+});